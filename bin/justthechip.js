@@ -0,0 +1,832 @@
+#!/usr/bin/env node
+// JustTheChip Command-Line Interface
+// Runs the calculation engine from a terminal or shop script without the React app
+
+import { parseArgs } from 'node:util';
+
+import { MACHINE_PRESETS } from '../src/data/machines.js';
+import { SPINDLE_TYPES, SPINDLE_UTILS } from '../src/data/spindles.js';
+import { MATERIALS } from '../src/data/materials.js';
+import { TOOL_TYPES, CUT_TYPES, TOOL_UTILS } from '../src/data/tools.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { optimizeCut } from '../src/calculations/optimizer.js';
+import { planPasses } from '../src/calculations/pass-plan.js';
+import { FEATURE_TYPES, estimateJob } from '../src/calculations/cycle-time.js';
+import { SWEEP_PARAMETERS, SWEEP_OUTPUTS, sweepParameter, calculateSensitivities } from '../src/calculations/sensitivity.js';
+
+const USAGE = `Usage:
+  justthechip calc --machine <key> --spindle <key> --tool <type[:DxF]> --material <key> --cut <key> [options]
+  justthechip optimize [calc options] [--objective mrr|cycle_time] [--stock LxWxD]
+  justthechip plan [calc options] --stock LxWxD [--wall-stock <mm>] [--floor-stock <mm>] [--rough-only]
+  justthechip estimate [calc options] --feature <type:size[@tool]> [--feature ...] [--quantity <n>]
+  justthechip sweep <parameter> [calc options] [--from <n>] [--to <n>] [--steps <n>]
+  justthechip list <machines|spindles|materials|tools|cuts> [--tool <type>] [--json]
+  justthechip help
+
+Calc options:
+  --machine <key>          Machine preset (default: printnc)
+  --spindle <key>          Spindle type (default: water_2_2kw)
+  --duty <rating>          Spindle duty: S1 (default) or S6, using the spindle's S6 rating
+  --spindle-curve <curve>  Measured spindle curve as rpm:watts or rpm:torqueNm points, e.g. 6000:0.7Nm,24000:2200
+  --tool <type[:DxF]>      Tool type, optionally with diameter and flutes, e.g. endmill_flat:6x4
+  --material <key>         Material (repeatable)
+  --cut <key>              Cut type (repeatable)
+  --aggressiveness <n>     Aggressiveness factor (default: 1.0)
+  --doc <mm>               Depth of cut override
+  --rpm <rpm>              Spindle speed override
+  --chip-thickness <mm>    Target actual chip thickness; fz is solved for chip thinning
+  --target-ra <um>         Target surface finish Ra; fz is reduced until the prediction meets it
+  --slot-width <mm>        Adaptive cut: trochoidal slot width (loop diameter, stepover and centre feed)
+  --coolant <mode>         dry, air_blast, mist, flood or through_spindle (default: the material's recommended mode)
+  --tilt <deg>             Ball end mill: surface tilt from horizontal (default: 0)
+  --scallop <mm>           Ball end mill: target scallop height (sets the stepover)
+  --stepover <mm>          Ball end mill: stepover (reports the scallop height)
+  --thread <size>          Thread milling: thread size, e.g. M8, M10x1.25, 1/4-20, #10-32
+  --thread-length <mm>     Thread milling: thread length (default: 1.5 × major diameter)
+  --external               Thread milling: external thread (default: internal)
+  --stickout <mm>          Tool stickout
+  --coating <name>         Tool coating (uncoated, tin, ticn, tialn, alcrn, diamond_like)
+  --tool-material <name>   Tool material (carbide, hss, ...)
+  --runout <um>            Measured runout (TIR) at the tool; replaces the spindle and collet values
+  --param <key=value>      Any other tool parameter, e.g. angle_deg=60 or center_cutting=false (repeatable)
+  --speed-mode <mode>      Cutting speed: nominal (default), max_production or min_cost
+  --tool-cost <n>          Tool price for tool life economics (default: 25)
+  --edges <n>              Usable edges per tool (default: 1)
+  --machine-rate <n>       Machine cost per hour (default: 60)
+  --tool-change <min>      Tool change time in minutes (default: 2)
+  --cut-length <mm>        Length of cut per part (default: 1000)
+  --json                   Print results as JSON
+
+Optimize options:
+  --objective <name>       mrr (default) or cycle_time
+  --stock <LxWxD>          Stock length x width x depth in mm (required for cycle_time)
+  --max-deflection <mm>    Deflection limit (default: 0.05)
+
+Plan options (first --material and --cut only):
+  --stock <LxWxD>          Stock length x width x depth in mm to remove
+  --wall-stock <mm>        Wall finishing allowance (default: 5% of the diameter, 0.1-0.5mm)
+  --floor-stock <mm>       Floor finishing allowance (default: 2% of the diameter, 0.1-0.5mm)
+  --rough-only             Plan roughing passes only
+
+Estimate options (first --material; --cut overrides each feature's default cut):
+  --feature <spec>         pocket:LxWxD, slot:LxD or LxWxD, profile:<path length>xD, facing:LxWxD (repeatable,
+                           in machining order); append @<type[:DxF]> to use another tool, e.g. slot:50x6@endmill_flat:6x3
+  --quantity <n>           Parts in the batch (default: 1)
+  Cost inputs come from --machine-rate, --tool-change, --tool-cost and --edges
+
+Sweep options (first --material and --cut only):
+  <parameter>              ${Object.keys(SWEEP_PARAMETERS).join(', ')}
+  --from <n>, --to <n>     Sweep range (default: ±50% of the current value)
+  --steps <n>              Number of points (default: 11)`;
+
+const OPTIONS = {
+    machine: { type: 'string', default: 'printnc' },
+    spindle: { type: 'string', default: 'water_2_2kw' },
+    duty: { type: 'string' },
+    'spindle-curve': { type: 'string' },
+    tool: { type: 'string' },
+    material: { type: 'string', multiple: true },
+    cut: { type: 'string', multiple: true },
+    aggressiveness: { type: 'string', default: '1.0' },
+    doc: { type: 'string' },
+    rpm: { type: 'string' },
+    'chip-thickness': { type: 'string' },
+    'target-ra': { type: 'string' },
+    coolant: { type: 'string' },
+    'slot-width': { type: 'string' },
+    tilt: { type: 'string' },
+    scallop: { type: 'string' },
+    stepover: { type: 'string' },
+    thread: { type: 'string' },
+    'thread-length': { type: 'string' },
+    external: { type: 'boolean', default: false },
+    stickout: { type: 'string' },
+    coating: { type: 'string' },
+    'tool-material': { type: 'string' },
+    runout: { type: 'string' },
+    param: { type: 'string', multiple: true },
+    'speed-mode': { type: 'string' },
+    'tool-cost': { type: 'string' },
+    edges: { type: 'string' },
+    'machine-rate': { type: 'string' },
+    'tool-change': { type: 'string' },
+    'cut-length': { type: 'string' },
+    objective: { type: 'string', default: 'mrr' },
+    stock: { type: 'string' },
+    'max-deflection': { type: 'string' },
+    'wall-stock': { type: 'string' },
+    'floor-stock': { type: 'string' },
+    'rough-only': { type: 'boolean', default: false },
+    feature: { type: 'string', multiple: true },
+    quantity: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    steps: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parse a tool specification like "endmill_flat:6x4" into a tool object
+ * @param {string} spec - Tool type with optional diameter and flute count
+ * @returns {Object} - Tool configuration with defaults filled in
+ */
+function parseToolSpec(spec) {
+    const [type, geometry] = spec.split(':');
+    const tool = TOOL_UTILS.createDefaultTool(type);
+    if (!tool) {
+        throw new Error(`Unknown tool type: ${type} (see "justthechip list tools")`);
+    }
+
+    if (geometry) {
+        const match = geometry.match(/^(\d*\.?\d+)(?:x(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid tool geometry "${geometry}" - expected <diameter>[x<flutes>]`);
+        }
+        tool.diameter_mm = parseFloat(match[1]);
+        if (match[2]) {
+            tool.flutes = parseInt(match[2], 10);
+        }
+    }
+
+    return tool;
+}
+
+/**
+ * Parse a numeric option value
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for error messages
+ * @returns {number} - Parsed number
+ */
+function parseNumber(value, name) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`--${name} must be a number (got "${value}")`);
+    }
+    return number;
+}
+
+/**
+ * Parse a stock size like "200x50x12"
+ * @param {string} value - Length x width x depth in mm
+ * @returns {Object} - { length_mm, width_mm, depth_mm }
+ */
+function parseStock(value) {
+    const [length_mm, width_mm, depth_mm] = value.split('x').map(v => parseNumber(v, 'stock'));
+    if (depth_mm === undefined) {
+        throw new Error(`Invalid --stock "${value}" - expected <length>x<width>x<depth>`);
+    }
+    return { length_mm, width_mm, depth_mm };
+}
+
+/**
+ * Build the tool configuration from calc options
+ * @param {Object} values - Parsed command-line values
+ * @returns {Object} - Tool configuration
+ */
+function buildTool(values) {
+    if (!values.tool) {
+        throw new Error('--tool is required');
+    }
+
+    const tool = parseToolSpec(values.tool);
+    if (values.stickout !== undefined) tool.stickout_mm = parseNumber(values.stickout, 'stickout');
+    if (values.coating) tool.coating = values.coating;
+    if (values['tool-material']) tool.material = values['tool-material'];
+    if (values.runout !== undefined) tool.runout_um = parseNumber(values.runout, 'runout');
+
+    for (const param of values.param || []) {
+        const [key, raw] = param.split('=');
+        if (!key || raw === undefined) {
+            throw new Error(`Invalid --param "${param}" - expected key=value`);
+        }
+        const number = parseFloat(raw);
+        if (Number.isFinite(number)) {
+            tool[key] = number;
+        } else {
+            tool[key] = raw === 'true' ? true : raw === 'false' ? false : raw;
+        }
+    }
+
+    const errors = TOOL_UTILS.validateToolGeometry(tool);
+    if (errors.length > 0) {
+        throw new Error(`Invalid tool "${values.tool}": ${errors.join('; ')}`);
+    }
+    return tool;
+}
+
+/**
+ * Build the spindle from calc options
+ * @param {Object} values - Parsed command-line values
+ * @returns {string|Object} - Spindle preset key, or the preset with the duty and measured curve applied
+ */
+function buildSpindle(values) {
+    if (!values.duty && !values['spindle-curve']) {
+        return values.spindle;
+    }
+
+    const preset = SPINDLE_TYPES[values.spindle];
+    if (!preset) {
+        throw new Error(`Unknown spindle: ${values.spindle} (see "justthechip list spindles")`);
+    }
+    const spindle = { ...preset };
+    if (values.duty) spindle.duty = values.duty.toUpperCase();
+    if (values['spindle-curve']) spindle.power_curve = SPINDLE_UTILS.parsePowerCurve(values['spindle-curve']);
+    // Reject an unknown duty here rather than on the first power lookup
+    SPINDLE_UTILS.getDutyFactor(spindle, spindle.duty);
+    return spindle;
+}
+
+/**
+ * Build the cut options shared by calc and sweep
+ * @param {Object} values - Parsed command-line values
+ * @returns {Object} - computeCut inputs other than machine, spindle, tool, material and cut type
+ */
+function buildCutOptions(values) {
+    const aggressiveness = parseNumber(values.aggressiveness, 'aggressiveness');
+    const doc_mm = values.doc !== undefined ? parseNumber(values.doc, 'doc') : null;
+    const chip_thickness_mm = values['chip-thickness'] !== undefined
+        ? parseNumber(values['chip-thickness'], 'chip-thickness')
+        : null;
+    const contour = {
+        tilt_angle_deg: values.tilt !== undefined ? parseNumber(values.tilt, 'tilt') : 0,
+        scallop_mm: values.scallop !== undefined ? parseNumber(values.scallop, 'scallop') : null,
+        stepover_mm: values.stepover !== undefined ? parseNumber(values.stepover, 'stepover') : null
+    };
+    const thread = {
+        designation: values.thread || null,
+        internal: !values.external,
+        length_mm: values['thread-length'] !== undefined ? parseNumber(values['thread-length'], 'thread-length') : null
+    };
+    const rpm = values.rpm !== undefined ? parseNumber(values.rpm, 'rpm') : null;
+    const optionalNumber = (name) => values[name] !== undefined ? parseNumber(values[name], name) : null;
+    const economics = {
+        speed_mode: values['speed-mode'] || 'nominal',
+        tool_cost: optionalNumber('tool-cost'),
+        edges_per_tool: optionalNumber('edges'),
+        machine_rate_per_hour: optionalNumber('machine-rate'),
+        tool_change_min: optionalNumber('tool-change'),
+        cut_length_mm: optionalNumber('cut-length')
+    };
+
+    const target_ra_um = optionalNumber('target-ra');
+    const coolant = values.coolant || null;
+    const slot_width_mm = optionalNumber('slot-width');
+
+    return { aggressiveness, doc_mm, chip_thickness_mm, ...contour, thread, rpm, economics, target_ra_um, coolant, slot_width_mm };
+}
+
+/**
+ * Run the calc subcommand
+ * @param {Object} values - Parsed command-line values
+ * @returns {string} - Text to print
+ */
+function runCalc(values) {
+    const tool = buildTool(values);
+    const materials = values.material || [];
+    const cuts = values.cut || [];
+
+    if (materials.length === 0) throw new Error('--material is required');
+    if (cuts.length === 0) throw new Error('--cut is required');
+
+    const options = buildCutOptions(values);
+    const results = [];
+    for (const material of materials) {
+        for (const cutType of cuts) {
+            if (!CUT_TYPES[cutType]) {
+                throw new Error(`Unknown cut type: ${cutType} (see "justthechip list cuts")`);
+            }
+            results.push(computeCut({
+                machine: values.machine,
+                spindle: buildSpindle(values),
+                tool,
+                material,
+                cutType,
+                ...options
+            }));
+        }
+    }
+
+    return values.json ? JSON.stringify(results, null, 2) : formatResults(results);
+}
+
+/**
+ * Run the optimize subcommand
+ * @param {Object} values - Parsed command-line values
+ * @returns {string} - Text to print
+ */
+function runOptimize(values) {
+    const tool = buildTool(values);
+    const materials = values.material || [];
+    const cuts = values.cut || [];
+
+    if (materials.length === 0) throw new Error('--material is required');
+    if (cuts.length === 0) throw new Error('--cut is required');
+    if (!['mrr', 'cycle_time'].includes(values.objective)) {
+        throw new Error(`Unknown objective: ${values.objective} - expected mrr or cycle_time`);
+    }
+
+    const options = { objective: values.objective };
+    if (values.stock) {
+        options.stock = parseStock(values.stock);
+    }
+    if (values['max-deflection'] !== undefined) {
+        options.maxDeflection_mm = parseNumber(values['max-deflection'], 'max-deflection');
+    }
+
+    const results = [];
+    for (const material of materials) {
+        for (const cutType of cuts) {
+            const result = optimizeCut({
+                machine: values.machine,
+                spindle: buildSpindle(values),
+                tool,
+                material,
+                cutType
+            }, options);
+            results.push({ materialKey: material, cutType, ...result });
+        }
+    }
+
+    if (values.json) {
+        return JSON.stringify(results, null, 2);
+    }
+
+    const headers = ['Material', 'Cut', 'RPM', 'Feed mm/min', 'fz mm', 'ae mm', 'ap mm', 'MRR mm³/min', 'Power W', 'Defl. mm', 'Limited by'];
+    const rows = results.map(r => r.feasible ? [
+        r.materialKey,
+        r.cutType,
+        r.rpm,
+        r.feed_mm_min,
+        r.fz_mm.toFixed(4),
+        r.ae_mm.toFixed(2),
+        r.ap_mm.toFixed(2),
+        r.mrr_mm3_min,
+        r.power_W,
+        r.deflection_mm.toFixed(3),
+        r.binding_constraint
+    ] : [r.materialKey, r.cutType, '-', '-', '-', '-', '-', '-', '-', '-', `infeasible: ${r.binding_constraint}`]);
+
+    return formatTable(headers, rows);
+}
+
+/**
+ * Run the plan subcommand
+ * @param {Object} values - Parsed command-line values
+ * @returns {string} - Text to print
+ */
+function runPlan(values) {
+    const material = values.material?.[0];
+    const cutType = values.cut?.[0];
+    if (!material) throw new Error('--material is required');
+    if (!cutType) throw new Error('--cut is required');
+    if (!values.stock) throw new Error('--stock is required');
+
+    const plan = planPasses({
+        machine: values.machine,
+        spindle: buildSpindle(values),
+        tool: buildTool(values),
+        material,
+        cutType,
+        ...buildCutOptions(values)
+    }, parseStock(values.stock), {
+        finish: !values['rough-only'],
+        wall_stock_mm: values['wall-stock'] !== undefined ? parseNumber(values['wall-stock'], 'wall-stock') : undefined,
+        floor_stock_mm: values['floor-stock'] !== undefined ? parseNumber(values['floor-stock'], 'floor-stock') : undefined
+    });
+
+    if (values.json) {
+        return JSON.stringify(plan, null, 2);
+    }
+
+    const headers = ['Operation', 'Passes', 'ap mm', 'ae mm', 'RPM', 'Feed mm/min', 'fz mm', 'Power W', 'Defl. mm', 'Cut min', 'Rapid min', 'Accel min'];
+    const rows = plan.operations.map(op => [
+        op.name,
+        `${op.axial_levels_mm.length} × ${op.radial_steps}`,
+        op.ap_mm.toFixed(2),
+        op.ae_mm.toFixed(2),
+        op.rpm,
+        op.feed_mm_min,
+        op.fz_mm.toFixed(4),
+        `${op.power_W} (${op.power_utilization_percent.toFixed(0)}%)`,
+        op.deflection_mm.toFixed(3),
+        op.cutting_time_min,
+        op.rapid_time_min,
+        op.accel_time_min
+    ]);
+
+    const lines = [
+        `${material} / ${cutType}: ${plan.length_mm} × ${plan.width_mm} × ${plan.depth_mm}mm, ` +
+            `leave ${plan.wall_stock_mm}mm wall and ${plan.floor_stock_mm}mm floor`,
+        '',
+        formatTable(headers, rows),
+        '',
+        `${plan.total_passes} passes, ${plan.cutting_time_min} min cutting + ${plan.rapid_time_min} min rapids + ` +
+            `${plan.accel_time_min} min accel/decel = ${plan.total_time_min} min`
+    ];
+    for (const op of plan.operations) {
+        if (!op.surface_finish) continue;
+        lines.push(`${op.name}: ${op.surface_finish.surface} Ra ${op.surface_finish.Ra_um}µm`);
+    }
+    for (const source of [plan, ...plan.operations]) {
+        if (source.warnings.length === 0) continue;
+        lines.push('', `${source.name || 'Plan'}:`);
+        for (const warning of source.warnings) {
+            lines.push(`  [${warning.type}] ${warning.message}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Size syntax --feature accepts for each feature type, as listed in the usage text
+const FEATURE_SYNTAX = {
+    pocket: 'pocket:LxWxD',
+    slot: 'slot:LxD or slot:LxWxD',
+    profile: 'profile:<path length>xD',
+    facing: 'facing:LxWxD'
+};
+
+/**
+ * Parse a feature specification like "pocket:60x40x12@endmill_flat:10x3"
+ * @param {string} spec - Feature type, size and optional tool
+ * @returns {Object} - { feature, toolSpec }
+ */
+function parseFeatureSpec(spec) {
+    const [featureSpec, toolSpec] = spec.split('@');
+    const [type, size] = featureSpec.split(':');
+    if (!FEATURE_TYPES[type]) {
+        throw new Error(`Unknown feature type: ${type} (expected ${Object.keys(FEATURE_TYPES).join(', ')})`);
+    }
+    const dims = (size || '').split('x').map(v => parseNumber(v, 'feature'));
+
+    const feature = { type };
+    if (type === 'profile' || (type === 'slot' && dims.length === 2)) {
+        [feature.length_mm, feature.depth_mm] = dims;
+    } else {
+        [feature.length_mm, feature.width_mm, feature.depth_mm] = dims;
+    }
+    if (feature.depth_mm === undefined) {
+        throw new Error(`Invalid --feature "${spec}" - expected ${FEATURE_SYNTAX[type]} in mm`);
+    }
+    return { feature, toolSpec };
+}
+
+/**
+ * Run the estimate subcommand
+ * @param {Object} values - Parsed command-line values
+ * @returns {string} - Text to print
+ */
+function runEstimate(values) {
+    const material = values.material?.[0];
+    if (!material) throw new Error('--material is required');
+    if (!values.feature?.length) throw new Error('--feature is required');
+
+    const options = buildCutOptions(values);
+    const features = values.feature.map(spec => {
+        const { feature, toolSpec } = parseFeatureSpec(spec);
+        return {
+            feature,
+            inputs: {
+                machine: values.machine,
+                spindle: buildSpindle(values),
+                tool: buildTool(toolSpec ? { ...values, tool: toolSpec } : values),
+                material,
+                cutType: values.cut?.[0],
+                ...options
+            }
+        };
+    });
+    const job = estimateJob(features, {
+        quantity: values.quantity !== undefined ? parseNumber(values.quantity, 'quantity') : 1,
+        economics: options.economics
+    });
+
+    if (values.json) {
+        return JSON.stringify(job, null, 2);
+    }
+
+    const headers = ['Feature', 'Cut', 'Tool', 'Passes', 'Cut min', 'Rapid min', 'Accel min', 'Total min'];
+    const rows = job.features.map(f => [
+        f.name,
+        f.cutType,
+        `${f.tool} Ø${f.diameter_mm}`,
+        f.passes,
+        f.cutting_time_min,
+        f.rapid_time_min,
+        f.accel_time_min,
+        f.total_time_min
+    ]);
+
+    const lines = [
+        formatTable(headers, rows),
+        '',
+        `Cutting ${job.cutting_time_min} + rapids ${job.rapid_time_min} + accel/decel ${job.accel_time_min} + ` +
+            `${job.tool_changes} tool change(s) ${job.tool_change_time_min} = ${job.time_per_part_min} min per part`,
+        `Machine ${job.machine_cost_per_part.toFixed(2)} (at ${job.machine_rate_per_hour}/hr) + tool wear ${job.tool_cost_per_part.toFixed(2)} = ` +
+            `${job.cost_per_part.toFixed(2)} per part`,
+        `Batch of ${job.quantity}: ${job.batch_time_min} min, ${job.batch_cost.toFixed(2)}`
+    ];
+    if (job.warnings.length > 0) {
+        lines.push('');
+        for (const warning of job.warnings) {
+            lines.push(`  [${warning.type}] ${warning.message}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Run the sweep subcommand
+ * @param {string} parameter - Input to vary
+ * @param {Object} values - Parsed command-line values
+ * @returns {string} - Text to print
+ */
+function runSweep(parameter, values) {
+    if (!parameter) {
+        throw new Error(`A sweep parameter is required: ${Object.keys(SWEEP_PARAMETERS).join(', ')}`);
+    }
+    const material = values.material?.[0];
+    const cutType = values.cut?.[0];
+    if (!material) throw new Error('--material is required');
+    if (!cutType) throw new Error('--cut is required');
+
+    const inputs = {
+        machine: values.machine,
+        spindle: buildSpindle(values),
+        tool: buildTool(values),
+        material,
+        cutType,
+        ...buildCutOptions(values)
+    };
+    const sweep = sweepParameter(inputs, parameter, {
+        from: values.from !== undefined ? parseNumber(values.from, 'from') : undefined,
+        to: values.to !== undefined ? parseNumber(values.to, 'to') : undefined,
+        steps: values.steps !== undefined ? parseNumber(values.steps, 'steps') : undefined
+    });
+    const sensitivities = calculateSensitivities(inputs);
+
+    if (values.json) {
+        return JSON.stringify({ sweep, sensitivities }, null, 2);
+    }
+
+    const outputs = Object.keys(SWEEP_OUTPUTS);
+    const sweepHeaders = [`${sweep.label}${sweep.unit ? ` ${sweep.unit}` : ''}`, ...outputs.map(key => SWEEP_OUTPUTS[key].label)];
+    const sweepRows = sweep.points.map(point => point.error
+        ? [formatValue(point.value, sweep.integer), `error: ${point.error}`, ...outputs.slice(1).map(() => '')]
+        : [formatValue(point.value, sweep.integer), ...outputs.map(key => formatValue(point[key]))]);
+
+    const elasticityHeaders = ['Elasticity', ...outputs.map(key => SWEEP_OUTPUTS[key].label)];
+    const elasticityRows = Object.entries(sensitivities.elasticities).map(([key, row]) => [
+        SWEEP_PARAMETERS[key].label,
+        ...outputs.map(output => row[output] === null ? '-' : row[output].toFixed(2))
+    ]);
+
+    return `${material} / ${cutType}, current ${sweep.label.toLowerCase()}: ${formatValue(sweep.current_value, sweep.integer)}\n\n` +
+        `${formatTable(sweepHeaders, sweepRows)}\n\n${formatTable(elasticityHeaders, elasticityRows)}`;
+}
+
+/**
+ * Round a number for table output
+ * @param {number} value - Value to format
+ * @param {boolean} integer - Value is a count, printed without decimals
+ * @returns {string} - Value with sensible precision
+ */
+function formatValue(value, integer = false) {
+    if (!Number.isFinite(value)) return '-';
+    if (integer) return value.toFixed(0);
+    return Math.abs(value) >= 100 ? value.toFixed(0) : value.toPrecision(3);
+}
+
+/**
+ * Run the list subcommand
+ * @param {string} category - What to list
+ * @param {Object} values - Parsed command-line values
+ * @returns {string} - Text to print
+ */
+function runList(category, values) {
+    let rows;
+    switch (category) {
+        case 'machines':
+            rows = Object.entries(MACHINE_PRESETS).map(([key, m]) => [key, m.name, m.description]);
+            break;
+        case 'spindles':
+            rows = Object.entries(SPINDLE_TYPES).map(([key, s]) => [
+                key, s.name, `${s.rated_power_kW} kW${s.s6_power_kW ? ` (S6 ${s.s6_power_kW} kW)` : ''}, ${s.rpm_min}-${s.rpm_max} rpm` +
+                    (s.power_curve ? ', power curve' : '')
+            ]);
+            break;
+        case 'materials':
+            rows = Object.entries(MATERIALS).map(([key, m]) => [key, m.name, m.category]);
+            break;
+        case 'tools':
+            rows = Object.entries(TOOL_TYPES).map(([key, t]) => [key, t.name, t.supportedCuts.join(', ')]);
+            break;
+        case 'cuts': {
+            const cuts = values.tool
+                ? TOOL_UTILS.getCutTypesForTool(values.tool.split(':')[0])
+                : Object.entries(CUT_TYPES).map(([key, c]) => ({ key, ...c }));
+            rows = cuts.map(c => [c.key, c.name, c.toolTypes.join(', ')]);
+            break;
+        }
+        default:
+            throw new Error(`Unknown list category: ${category || '(none)'} - expected machines, spindles, materials, tools or cuts`);
+    }
+
+    if (values.json) {
+        return JSON.stringify(rows.map(([key, name, detail]) => ({ key, name, detail })), null, 2);
+    }
+    return formatTable(['Key', 'Name', 'Details'], rows);
+}
+
+/**
+ * Format computeCut results as a text table followed by warnings
+ * @param {Array} results - computeCut results
+ * @returns {string} - Formatted text
+ */
+function formatResults(results) {
+    const headers = ['Material', 'Cut', 'RPM', 'Feed mm/min', 'fz mm', 'Chip mm', 'ae mm', 'ap mm', 'MRR mm³/min', 'Power W', 'Force N', 'Defl. mm'];
+    const rows = results.map(r => [
+        r.materialKey,
+        r.cutType,
+        r.rpm,
+        r.feed_mm_min,
+        r.fz_mm.toFixed(4),
+        r.effective_chip_thickness_mm.toFixed(4),
+        r.ae_mm.toFixed(2),
+        r.ap_mm.toFixed(2),
+        r.mrr_mm3_min,
+        `${r.power_W} (${r.power_utilization_percent.toFixed(0)}%)`,
+        r.force_N,
+        r.deflection_mm.toFixed(3)
+    ]);
+
+    const lines = [formatTable(headers, rows)];
+    for (const r of results) {
+        if (r.power_wall_W === undefined) continue;
+        lines.push(`${r.materialKey} / ${r.cutType}: power cutting ${r.power_cutting_W}W + process losses ${r.power_process_losses_W}W + ` +
+            `spindle losses ${r.power_losses_W}W = ` +
+            `shaft ${r.power_W}W of ${r.power_available_W}W, motor input ${r.power_motor_W}W, wall ${r.power_wall_W}W`);
+    }
+    for (const r of results) {
+        if (r.torque_Nm === undefined) continue;
+        lines.push(`${r.materialKey} / ${r.cutType}: spindle torque ${r.torque_Nm}N·m mean, ${r.torque_peak_Nm}N·m peak, ` +
+            `${r.torque_available_Nm}N·m available at ${r.rpm} RPM (${r.torque_utilization_percent.toFixed(0)}%)`);
+    }
+    for (const r of results) {
+        if (!r.axis_load) continue;
+        const axes = Object.values(r.axis_load.axes).map(a =>
+            `${a.axis.toUpperCase()} ${a.utilization_percent.toFixed(0)}% (${a.torque_accel_Nm}/${a.torque_peak_Nm}N·m at ${a.motor_rpm} RPM)`);
+        lines.push(`${r.materialKey} / ${r.cutType}: feed axes ${axes.join(', ')}`);
+    }
+    for (const r of results) {
+        if (r.scallop_height_mm === null) continue;
+        lines.push(`${r.materialKey} / ${r.cutType}: stepover ${r.stepover_mm}mm, scallop ${r.scallop_height_mm}mm, ` +
+            `cutting diameter ${r.effective_diameter_mm}mm at ${r.tilt_angle_deg}° tilt`);
+    }
+    for (const r of results) {
+        if (!r.drilling) continue;
+        const d = r.drilling;
+        const zAxis = d.z_axis ? `, Z motor ${d.z_axis.utilization_percent.toFixed(0)}%` : '';
+        lines.push(`${r.materialKey} / ${r.cutType}: ${d.feed_per_rev_mm}mm/rev, thrust ${d.thrust_force_N}N, ` +
+            `torque ${d.torque_Nm}N·m, ${d.peck_count} × ${d.peck_depth_mm}mm pecks to ${d.hole_depth_mm}mm${zAxis}`);
+    }
+    for (const r of results) {
+        if (!r.entry) continue;
+        const e = r.entry;
+        const plunge = e.plunge_feed_mm_min !== null ? `plunge ${e.plunge_feed_mm_min}mm/min` : 'no plunge';
+        lines.push(`${r.materialKey} / ${r.cutType}: entry ramp ${e.ramp_angle_deg}° at ${e.ramp_feed_mm_min}mm/min, ` +
+            `helix Ø${e.helix_diameter_min_mm}-${e.helix_diameter_max_mm}mm (${e.helix_diameter_min_percent}-${e.helix_diameter_max_percent}% D), ${plunge}`);
+    }
+    for (const r of results) {
+        if (!r.thread) continue;
+        const t = r.thread;
+        const size = t.size || `${t.major_diameter_mm}×${t.pitch_mm}`;
+        lines.push(`${r.materialKey} / ${r.cutType}: ${size} ${t.internal ? 'internal' : 'external'}, ` +
+            `${t.radial_passes} radial pass(es) to ${t.thread_depth_mm}mm, edge feed ${t.edge_feed_mm_min} → ` +
+            `centre feed ${t.center_feed_mm_min}mm/min, ${t.cycle_time_s}s per hole`);
+    }
+    for (const r of results) {
+        if (!r.stability) continue;
+        const st = r.stability;
+        const limit = st.critical_doc_mm !== null ? `${st.critical_doc_mm}mm` : 'unlimited';
+        const pocket = st.recommended_rpm !== r.rpm ? `, best nearby ${st.recommended_rpm} RPM (${st.recommended_critical_doc_mm}mm)` : '';
+        lines.push(`${r.materialKey} / ${r.cutType}: chatter limit ${limit} at ${r.rpm} RPM (${st.stable ? 'stable' : 'unstable'}), ` +
+            `fn ${st.natural_frequency_Hz}Hz, min ${st.min_critical_doc_mm}mm at any speed${pocket}`);
+    }
+    for (const r of results) {
+        if (!r.runout || r.runout.runout_um === 0) continue;
+        const ro = r.runout;
+        const source = ro.measured ? 'measured' : `spindle ${ro.spindle_runout_um}µm + ${ro.collet || 'no'} collet ${ro.collet_runout_um}µm`;
+        lines.push(`${r.materialKey} / ${r.cutType}: runout ${ro.runout_um}µm (${source}), flute chips ${ro.flute_chips_mm.join('/')}mm, ` +
+            `worst flute ${ro.worst_flute_load_percent}% of the cut, peak force ${ro.worst_flute_force_N}N`);
+    }
+    for (const r of results) {
+        if (!r.surface_finish) continue;
+        const sf = r.surface_finish;
+        const crossFeed = sf.cross_feed_Rz_um > 0 ? `, stepover cusp ${sf.cross_feed_Rz_um}µm` : '';
+        const formError = sf.form_error_um > 0 ? `, wall form error ${sf.form_error_um}µm` : '';
+        lines.push(`${r.materialKey} / ${r.cutType}: ${sf.surface} Ra ${sf.Ra_um}µm Rz ${sf.Rz_um}µm ` +
+            `(feed marks ${sf.feed_mark_um}µm, runout ${sf.runout_contribution_um}µm from ${sf.runout_um}µm TIR)${crossFeed}${formError}`);
+    }
+    for (const r of results) {
+        if (!r.coolant) continue;
+        const c = r.coolant;
+        lines.push(`${r.materialKey} / ${r.cutType}: ${c.name}${c.assumed ? ' (recommended)' : ''}, chip ${c.chip_temperature_C}°C, ` +
+            `heat ${c.heat_generation_W}W to chip/work/tool ${c.chip_heat_percent}/${c.work_heat_percent}/${c.tool_heat_percent}%, ` +
+            `tool ${c.tool_heat_W}W of ${c.tool_thermal_limit_W}W`);
+    }
+    for (const r of results) {
+        if (!r.trochoid) continue;
+        const tr = r.trochoid;
+        lines.push(`${r.materialKey} / ${r.cutType}: trochoid Ø${tr.loop_diameter_mm}mm loops in a ${tr.slot_width_mm}mm slot, ` +
+            `${tr.stepover_mm}mm per loop, centre feed ${tr.center_feed_mm_min} (edge ${tr.edge_feed_mm_min})mm/min, ` +
+            `${tr.advance_mm_min}mm/min along the slot, average MRR ${tr.average_mrr_mm3_min} of ${tr.peak_mrr_mm3_min}mm³/min peak`);
+    }
+    for (const r of results) {
+        if (!r.economics) continue;
+        const ec = r.economics;
+        lines.push(`${r.materialKey} / ${r.cutType}: tool life ${r.tool_life_min} min/edge at ${r.vc_m_min} m/min (${ec.speed_mode}), ` +
+            `cost ${ec.cost_per_part.toFixed(2)}/part, ${ec.parts_per_edge} parts/edge; ` +
+            `max production ${ec.vc_max_production_m_min} m/min, min cost ${ec.vc_min_cost_m_min} m/min`);
+    }
+    for (const r of results) {
+        if (r.warnings.length === 0) continue;
+        lines.push('', `${r.materialKey} / ${r.cutType}:`);
+        for (const warning of r.warnings) {
+            lines.push(`  [${warning.type}] ${warning.message}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Format rows as a left-aligned text table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Table rows
+ * @returns {string} - Formatted table
+ */
+function formatTable(headers, rows) {
+    const cells = [headers, ...rows].map(row => row.map(cell => String(cell ?? '')));
+    const widths = headers.map((_, col) => Math.max(...cells.map(row => row[col].length)));
+    const formatRow = row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd();
+
+    return [
+        formatRow(cells[0]),
+        widths.map(w => '-'.repeat(w)).join('  '),
+        ...cells.slice(1).map(formatRow)
+    ].join('\n');
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ * @returns {number} - Process exit code
+ */
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...rest] = positionals;
+
+    if (values.help || !command || command === 'help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    try {
+        switch (command) {
+            case 'calc':
+                console.log(runCalc(values));
+                return 0;
+            case 'optimize':
+                console.log(runOptimize(values));
+                return 0;
+            case 'plan':
+                console.log(runPlan(values));
+                return 0;
+            case 'estimate':
+                console.log(runEstimate(values));
+                return 0;
+            case 'sweep':
+                console.log(runSweep(rest[0], values));
+                return 0;
+            case 'list':
+                console.log(runList(rest[0], values));
+                return 0;
+            default:
+                console.error(`Error: Unknown command "${command}"\n\n${USAGE}`);
+                return 1;
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
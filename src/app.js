@@ -1,19 +1,20 @@
 // Main Application Component
 // Integrates all modules into the complete JustTheChip v2.0 application
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 
 // Data imports
 import { MACHINE_PRESETS } from './data/machines.js';
 import { MATERIALS } from './data/materials.js';
 import { TOOL_TYPES } from './data/tools.js';
-import { SPINDLE_TYPES, DEFAULT_SPINDLE } from './data/spindles.js';
+import { SPINDLE_TYPES, SPINDLE_DUTY_RATINGS, SPINDLE_UTILS, DEFAULT_SPINDLE } from './data/spindles.js';
 
 // Calculation engine imports
-import { SpeedsFeedsCalculator } from './calculations/speeds-feeds.js';
-import { calculateCuttingPower } from './calculations/power.js';
-import { calculateToolDeflection } from './calculations/deflection.js';
+import { computeCut } from './calculations/compute.js';
+import { planPasses } from './calculations/pass-plan.js';
 import { validateCalculationInputs } from './calculations/validation.js';
+import { SPEED_MODES } from './calculations/tool-life.js';
+import { COOLANT_MODES } from './calculations/coolant.js';
 
 // Component imports
 import { MachineConfigComponent } from './components/MachineConfig.js';
@@ -21,9 +22,11 @@ import { DOCInputComponent } from './components/DOCInput.js';
 import { ToolSelectorComponent } from './components/ToolSelector.js';
 import { MaterialSelectorComponent } from './components/MaterialSelector.js';
 import { ResultsDisplayComponent } from './components/ResultsDisplay.js';
+import { SensitivityPanelComponent } from './components/SensitivityPanel.js';
 
 // Utility imports
 import { exportSettings, importSettings, autoSaveSettings, loadAutoSavedSettings } from './utils/export-import.js';
+import { TOOL_LIFE_CONSTANTS, TROCHOIDAL_CONSTANTS } from './utils/constants.js';
 
 export function JustTheChipApp() {
     // Machine and spindle configuration
@@ -49,10 +52,18 @@ export function JustTheChipApp() {
     // Cutting parameters
     const [aggressiveness, setAggressiveness] = useState(1.0);
     const [customDOC, setCustomDOC] = useState({ enabled: false, value: 1.0 });
+    const [targetChip, setTargetChip] = useState({ enabled: false, value: 0.03 });
+    const [targetRa, setTargetRa] = useState({ enabled: false, value: 1.6 });
+    const [contour, setContour] = useState({ tilt_angle_deg: 0, scallop_mm: null, stepover_mm: null });
+    const [thread, setThread] = useState({ designation: '', internal: true, length_mm: null });
+    const [economics, setEconomics] = useState({ speed_mode: 'nominal', tool_cost: null, edges_per_tool: null, machine_rate_per_hour: null, tool_change_min: null, cut_length_mm: null });
+    const [coolant, setCoolant] = useState(''); // Empty uses each material's recommended mode
+    const [slotWidth, setSlotWidth] = useState(null); // Trochoidal slot width for adaptive cuts (mm)
     
     // Results and UI state
     const [results, setResults] = useState([]);
     const [isCalculating, setIsCalculating] = useState(false);
+    const [sensitivityInputs, setSensitivityInputs] = useState(null); // Inputs of the first successful result
     const [validationResults, setValidationResults] = useState({ isValid: true, errors: [], warnings: [] });
     
     // Get effective machine configuration
@@ -75,6 +86,7 @@ export function JustTheChipApp() {
             material: selectedMaterials.length > 0 ? MATERIALS[selectedMaterials[0]] : null,
             cutParams: {
                 doc_mm: customDOC.enabled ? customDOC.value : null,
+                chip_thickness_mm: targetChip.enabled ? targetChip.value : null,
                 aggressiveness
             }
         });
@@ -83,6 +95,7 @@ export function JustTheChipApp() {
         
         if (!validation.isValid) {
             setResults([]);
+            setSensitivityInputs(null);
             return;
         }
         
@@ -90,6 +103,7 @@ export function JustTheChipApp() {
         
         try {
             const newResults = [];
+            let firstInputs = null;
             
             // Calculate for each material and cut type combination
             for (const materialKey of selectedMaterials) {
@@ -98,53 +112,26 @@ export function JustTheChipApp() {
                 
                 for (const cutType of selectedCutTypes) {
                     try {
-                        // Create calculator instance
-                        const calculator = new SpeedsFeedsCalculator(
+                        const inputs = {
                             machine,
-                            spindleConfig,
-                            selectedTool,
+                            spindle: spindleConfig,
+                            tool: selectedTool,
                             material,
                             cutType,
                             aggressiveness,
-                            customDOC.enabled ? customDOC.value : null
-                        );
-                        
-                        // Perform main calculation
-                        const baseResult = calculator.calculate();
-                        
-                        // Calculate additional parameters
-                        const powerResult = calculateCuttingPower({
-                            material,
-                            tool: selectedTool,
-                            cutType,
-                            rpm: baseResult.rpm,
-                            feedRate: baseResult.feed_rate_mm_min,
-                            doc: baseResult.doc_mm,
-                            woc: baseResult.woc_mm,
-                            machine,
-                            spindle: spindleConfig
-                        });
-                        
-                        const deflectionResult = calculateToolDeflection({
-                            tool: selectedTool,
-                            cuttingForce: baseResult.cutting_force_N,
-                            stickout: selectedTool.stickout_mm
-                        });
-                        
-                        // Combine results
-                        const combinedResult = {
-                            ...baseResult,
-                            ...powerResult,
-                            ...deflectionResult,
-                            material: material.name,
-                            materialKey,
-                            cutType,
-                            toolType: selectedTool.type,
-                            tool: selectedTool,
-                            power_utilization_percent: (powerResult.total_motor_power_W / (spindleConfig.rated_power_kW * 1000)) * 100
+                            doc_mm: customDOC.enabled ? customDOC.value : null,
+                            chip_thickness_mm: targetChip.enabled ? targetChip.value : null,
+                            target_ra_um: targetRa.enabled ? targetRa.value : null,
+                            ...contour,
+                            thread,
+                            economics,
+                            coolant: coolant || null,
+                            slot_width_mm: slotWidth
                         };
+                        const combinedResult = computeCut(inputs);
                         
                         newResults.push(combinedResult);
+                        if (!firstInputs) firstInputs = inputs;
                         
                     } catch (error) {
                         console.error(`Calculation failed for ${materialKey} - ${cutType}:`, error);
@@ -163,10 +150,12 @@ export function JustTheChipApp() {
             }
             
             setResults(newResults);
+            setSensitivityInputs(firstInputs);
             
         } catch (error) {
             console.error('Calculation process failed:', error);
             setResults([]);
+            setSensitivityInputs(null);
         } finally {
             setTimeout(() => setIsCalculating(false), 300); // Small delay for UI feedback
         }
@@ -179,6 +168,13 @@ export function JustTheChipApp() {
         selectedCutTypes,
         aggressiveness,
         customDOC,
+        targetChip,
+        targetRa,
+        contour,
+        thread,
+        economics,
+        coolant,
+        slotWidth,
         getEffectiveMachine
     ]);
     
@@ -189,7 +185,18 @@ export function JustTheChipApp() {
             return () => clearTimeout(timeoutId);
         }
     }, [calculateResults, selectedMaterials, selectedCutTypes]);
-    
+
+    // Roughing and finishing passes for a custom depth, using the first result's inputs
+    const passPlan = useMemo(() => {
+        if (!customDOC.enabled || !sensitivityInputs) return null;
+        try {
+            return planPasses(sensitivityInputs, { depth_mm: customDOC.value });
+        } catch (error) {
+            // Drilling and thread milling have no pass plan
+            return null;
+        }
+    }, [customDOC, sensitivityInputs]);
+
     // Auto-save functionality
     useEffect(() => {
         const settings = {
@@ -200,7 +207,14 @@ export function JustTheChipApp() {
             selectedMaterials,
             selectedCutTypes,
             aggressiveness,
-            customDOC
+            customDOC,
+            targetChip,
+            targetRa,
+            contour,
+            thread,
+            economics,
+            coolant,
+            slotWidth
         };
         
         autoSaveSettings(settings);
@@ -212,7 +226,14 @@ export function JustTheChipApp() {
         selectedMaterials,
         selectedCutTypes,
         aggressiveness,
-        customDOC
+        customDOC,
+        targetChip,
+        targetRa,
+        contour,
+        thread,
+        economics,
+        coolant,
+        slotWidth
     ]);
     
     // Load auto-saved settings on mount
@@ -227,6 +248,13 @@ export function JustTheChipApp() {
             setSelectedCutTypes(savedSettings.selectedCutTypes || ['profile']);
             setAggressiveness(savedSettings.aggressiveness || 1.0);
             setCustomDOC(savedSettings.customDOC || { enabled: false, value: 1.0 });
+            setTargetChip(savedSettings.targetChip || { enabled: false, value: 0.03 });
+            setTargetRa(savedSettings.targetRa || { enabled: false, value: 1.6 });
+            setContour(savedSettings.contour || { tilt_angle_deg: 0, scallop_mm: null, stepover_mm: null });
+            setThread(savedSettings.thread || { designation: '', internal: true, length_mm: null });
+            setEconomics(savedSettings.economics || { speed_mode: 'nominal', tool_cost: null, edges_per_tool: null, machine_rate_per_hour: null, tool_change_min: null, cut_length_mm: null });
+            setCoolant(savedSettings.coolant || '');
+            setSlotWidth(savedSettings.slotWidth ?? null);
         }
     }, []);
     
@@ -241,6 +269,13 @@ export function JustTheChipApp() {
             cutTypes: selectedCutTypes,
             aggressiveness,
             customDOC,
+            targetChip,
+            targetRa,
+            contour,
+            thread,
+            economics,
+            coolant,
+            slotWidth,
             results
         };
         
@@ -263,6 +298,13 @@ export function JustTheChipApp() {
             if (settings.cutTypes) setSelectedCutTypes(settings.cutTypes);
             if (settings.aggressiveness !== undefined) setAggressiveness(settings.aggressiveness);
             if (settings.customDOC) setCustomDOC(settings.customDOC);
+            if (settings.targetChip) setTargetChip(settings.targetChip);
+            if (settings.targetRa) setTargetRa(settings.targetRa);
+            if (settings.contour) setContour(settings.contour);
+            if (settings.thread) setThread(settings.thread);
+            if (settings.economics) setEconomics(settings.economics);
+            if (settings.coolant !== undefined) setCoolant(settings.coolant);
+            if (settings.slotWidth !== undefined) setSlotWidth(settings.slotWidth);
             
             // Clear file input
             event.target.value = '';
@@ -410,6 +452,100 @@ export function JustTheChipApp() {
                                             step="100"
                                         />
                                     </div>
+                                    
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Runout (µm TIR)
+                                        </label>
+                                        <input
+                                            type="number"
+                                            value={spindleConfig.runout_um ?? 0}
+                                            onChange={(e) => setSpindleConfig({
+                                                ...spindleConfig,
+                                                runout_um: parseFloat(e.target.value) || 0
+                                            })}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            step="1"
+                                            min="0"
+                                        />
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Duty
+                                        </label>
+                                        <select
+                                            value={spindleConfig.duty || 'S1'}
+                                            onChange={(e) => setSpindleConfig({
+                                                ...spindleConfig,
+                                                duty: e.target.value
+                                            })}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        >
+                                            {Object.entries(SPINDLE_DUTY_RATINGS).map(([key, duty]) => (
+                                                <option key={key} value={key} title={duty.description}>{duty.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            S6 Power (kW)
+                                        </label>
+                                        <input
+                                            type="number"
+                                            value={spindleConfig.s6_power_kW ?? ''}
+                                            onChange={(e) => setSpindleConfig({
+                                                ...spindleConfig,
+                                                s6_power_kW: parseFloat(e.target.value) || null
+                                            })}
+                                            placeholder="No S6 rating"
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            step="0.1"
+                                            min="0"
+                                        />
+                                    </div>
+
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Constant Power To (RPM)
+                                        </label>
+                                        <input
+                                            type="number"
+                                            value={spindleConfig.constant_power_rpm ?? ''}
+                                            onChange={(e) => setSpindleConfig({
+                                                ...spindleConfig,
+                                                constant_power_rpm: parseInt(e.target.value) || null
+                                            })}
+                                            placeholder="Max RPM"
+                                            title="Top of the VFD field weakening range; power falls as 1/rpm above it"
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            step="100"
+                                        />
+                                    </div>
+
+                                    <div className="col-span-2">
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Power Curve (rpm:W or rpm:Nm)
+                                        </label>
+                                        <input
+                                            type="text"
+                                            key={SPINDLE_UTILS.formatPowerCurve(spindleConfig.power_curve)}
+                                            defaultValue={SPINDLE_UTILS.formatPowerCurve(spindleConfig.power_curve)}
+                                            onBlur={(e) => {
+                                                try {
+                                                    setSpindleConfig({
+                                                        ...spindleConfig,
+                                                        power_curve: e.target.value.trim() ? SPINDLE_UTILS.parsePowerCurve(e.target.value) : null
+                                                    });
+                                                } catch (error) {
+                                                    alert(error.message);
+                                                }
+                                            }}
+                                            placeholder="e.g. 6000:0.7Nm,12000:1000,24000:2200 - replaces power and base RPM"
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        />
+                                    </div>
                                 </div>
                             </div>
                         </div>
@@ -452,14 +588,222 @@ export function JustTheChipApp() {
                                     </div>
                                 </div>
                                 
+                                <div>
+                                    <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                                        <input
+                                            type="checkbox"
+                                            checked={targetChip.enabled}
+                                            onChange={(e) => setTargetChip({ ...targetChip, enabled: e.target.checked })}
+                                            className="mr-2"
+                                        />
+                                        Target Chip Thickness
+                                    </label>
+                                    {targetChip.enabled && (
+                                        <div className="flex items-center">
+                                            <input
+                                                type="number"
+                                                min="0.001"
+                                                step="0.005"
+                                                value={targetChip.value}
+                                                onChange={(e) => setTargetChip({ ...targetChip, value: parseFloat(e.target.value) || 0.03 })}
+                                                className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                            <span className="ml-2 text-sm text-gray-500">mm (fz is compensated for chip thinning)</span>
+                                        </div>
+                                    )}
+                                </div>
+                                
+                                <div>
+                                    <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                                        <input
+                                            type="checkbox"
+                                            checked={targetRa.enabled}
+                                            onChange={(e) => setTargetRa({ ...targetRa, enabled: e.target.checked })}
+                                            className="mr-2"
+                                        />
+                                        Target Surface Finish
+                                    </label>
+                                    {targetRa.enabled && (
+                                        <div className="flex items-center">
+                                            <input
+                                                type="number"
+                                                min="0.05"
+                                                step="0.1"
+                                                value={targetRa.value}
+                                                onChange={(e) => setTargetRa({ ...targetRa, value: parseFloat(e.target.value) || 1.6 })}
+                                                className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                            <span className="ml-2 text-sm text-gray-500">µm Ra (fz is reduced to meet it)</span>
+                                        </div>
+                                    )}
+                                </div>
+                                
+                                {/* Speed mode and tool life economics */}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Cutting Speed</label>
+                                    <select
+                                        value={economics.speed_mode}
+                                        onChange={(e) => setEconomics({ ...economics, speed_mode: e.target.value })}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                    >
+                                        {Object.entries(SPEED_MODES).map(([key, mode]) => (
+                                            <option key={key} value={key}>{mode.name}</option>
+                                        ))}
+                                    </select>
+                                    <div className="text-xs text-gray-500 mt-1">{SPEED_MODES[economics.speed_mode]?.description}</div>
+                                    {economics.speed_mode !== 'nominal' && (
+                                        <div className="grid grid-cols-2 gap-3 mt-3">
+                                            {[
+                                                ['tool_cost', 'Tool Price', '1'],
+                                                ['edges_per_tool', 'Edges per Tool', '1'],
+                                                ['machine_rate_per_hour', 'Machine Rate (/hr)', '5'],
+                                                ['tool_change_min', 'Tool Change (min)', '0.5'],
+                                                ['cut_length_mm', 'Cut Length per Part (mm)', '100']
+                                            ].map(([key, label, step]) => (
+                                                <div key={key}>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step={step}
+                                                        placeholder={String(TOOL_LIFE_CONSTANTS.DEFAULT_ECONOMICS[key])}
+                                                        value={economics[key] ?? ''}
+                                                        onChange={(e) => setEconomics({ ...economics, [key]: parseFloat(e.target.value) || null })}
+                                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                                    />
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                                
+                                {/* Coolant mode */}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Coolant</label>
+                                    <select
+                                        value={coolant}
+                                        onChange={(e) => setCoolant(e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                    >
+                                        <option value="">Recommended for material</option>
+                                        {Object.entries(COOLANT_MODES).map(([key, mode]) => (
+                                            <option key={key} value={key}>{mode.name}</option>
+                                        ))}
+                                    </select>
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        {coolant ? COOLANT_MODES[coolant]?.description : 'Speeds and chiploads as the material tables give them'}
+                                    </div>
+                                </div>
+                                
+                                {/* Ball nose surface settings */}
+                                {selectedTool.type === 'endmill_ball' && (
+                                    <div className="grid grid-cols-3 gap-3">
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Surface Tilt (°)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="90"
+                                                step="5"
+                                                value={contour.tilt_angle_deg}
+                                                onChange={(e) => setContour({ ...contour, tilt_angle_deg: parseFloat(e.target.value) || 0 })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Scallop (mm)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.001"
+                                                placeholder="auto"
+                                                value={contour.scallop_mm ?? ''}
+                                                onChange={(e) => setContour({ ...contour, scallop_mm: parseFloat(e.target.value) || null, stepover_mm: null })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Stepover (mm)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.05"
+                                                placeholder="auto"
+                                                value={contour.stepover_mm ?? ''}
+                                                onChange={(e) => setContour({ ...contour, stepover_mm: parseFloat(e.target.value) || null, scallop_mm: null })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+                                
+                                {/* Thread milling settings */}
+                                {selectedTool.type === 'threadmill' && (
+                                    <div className="grid grid-cols-3 gap-3">
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Thread Size</label>
+                                            <input
+                                                type="text"
+                                                placeholder="M10, 1/4-20"
+                                                value={thread.designation}
+                                                onChange={(e) => setThread({ ...thread, designation: e.target.value })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Thread Type</label>
+                                            <select
+                                                value={thread.internal ? 'internal' : 'external'}
+                                                onChange={(e) => setThread({ ...thread, internal: e.target.value === 'internal' })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            >
+                                                <option value="internal">Internal</option>
+                                                <option value="external">External</option>
+                                            </select>
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Length (mm)</label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.5"
+                                                placeholder="1.5 × D"
+                                                value={thread.length_mm ?? ''}
+                                                onChange={(e) => setThread({ ...thread, length_mm: parseFloat(e.target.value) || null })}
+                                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+                                
+                                {/* Trochoidal slot settings */}
+                                {selectedCutTypes.includes('adaptive') && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">Trochoidal Slot Width (mm)</label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.5"
+                                            placeholder="none - open adaptive cut"
+                                            value={slotWidth ?? ''}
+                                            onChange={(e) => setSlotWidth(parseFloat(e.target.value) || null)}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                                        />
+                                        <div className="text-xs text-gray-500 mt-1">
+                                            Loop diameter, stepover per loop and centre feed for a slot {TROCHOIDAL_CONSTANTS.MIN_SLOT_WIDTH_D}-{TROCHOIDAL_CONSTANTS.MAX_SLOT_WIDTH_D}× the tool diameter
+                                        </div>
+                                    </div>
+                                )}
+                                
                                 {/* DOC Input Component */}
                                 <DOCInputComponent
                                     tool={selectedTool}
                                     material={selectedMaterials.length > 0 ? MATERIALS[selectedMaterials[0]] : null}
                                     cutType={selectedCutTypes[0]}
                                     calculatedDOC={1.0} // This would come from main calculation
-                                    maxRecommendedDOC={selectedTool.diameter_mm * 0.5}
+                                    maxRecommendedDOC={passPlan?.max_pass_depth_mm ?? selectedTool.diameter_mm * 0.5}
                                     userDOC={customDOC.enabled ? customDOC.value : null}
+                                    passPlan={passPlan}
                                     onDOCChange={(value) => setCustomDOC({ enabled: value !== null, value: value || 1.0 })}
                                     warnings={validationResults.warnings}
                                 />
@@ -503,6 +847,10 @@ export function JustTheChipApp() {
                             isCalculating={isCalculating}
                             onExportResults={handleExportSettings}
                         />
+                        <SensitivityPanelComponent
+                            inputs={sensitivityInputs}
+                            label={sensitivityInputs ? `${sensitivityInputs.material.name} - ${sensitivityInputs.cutType}` : ''}
+                        />
                     </div>
                 </div>
             </main>
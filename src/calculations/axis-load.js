@@ -0,0 +1,101 @@
+// Feed Axis Load Module
+// Cutting and acceleration force on the X, Y and Z axes against motor torque at the motor speed the feed needs
+
+import { AXIS_LOAD_CONSTANTS } from '../utils/constants.js';
+import { MACHINE_UTILS, MOTOR_TYPES } from '../data/machines.js';
+
+const AXIS_NAMES = ['x', 'y', 'z'];
+
+/**
+ * Check that the feed axis motors can push the cut at its feed and accelerate into it
+ * @param {Object} params - { machine, feed, moveAngle, xyForce, zForce } with feed in mm/min, moveAngle above the XY plane
+ *                          (degrees, 0 = contour, 90 = plunge) and the cutting force in the XY plane and along Z (N)
+ * @returns {Object|null} - Load on each axis with motor data and the most loaded axis, or null when no axis has motor data
+ */
+export function checkAxisLoads(params) {
+    const { machine, feed, moveAngle = 0, xyForce = 0, zForce = 0 } = params;
+
+    // A contour can head in any direction, so X and Y each take the whole XY force at the whole XY feed
+    const angle = moveAngle * Math.PI / 180;
+    const xyFeed = feed * Math.cos(angle);
+    const zFeed = feed * Math.abs(Math.sin(angle));
+    const loads = {
+        x: { feed: xyFeed, force: xyForce },
+        y: { feed: xyFeed, force: xyForce },
+        z: { feed: zFeed, force: zForce }
+    };
+
+    const axes = {};
+    for (const name of AXIS_NAMES) {
+        const axis = machine.axes?.[name];
+        if (!axis?.motor_specs || !axis?.drive_specs) continue;
+        axes[name] = checkAxis(name, axis, loads[name], machine.max_accel_mm_s2?.[name]);
+    }
+
+    const checked = Object.values(axes);
+    if (checked.length === 0) return null;
+    const worst = checked.reduce((a, b) => (b.utilization_percent > a.utilization_percent ? b : a));
+    return {
+        axes,
+        limiting_axis: worst.axis,
+        utilization_percent: worst.utilization_percent
+    };
+}
+
+/**
+ * Check one axis: the cut on continuous torque, the cut plus acceleration to feed on peak torque
+ * @param {string} name - Axis name
+ * @param {Object} axis - Axis configuration with motor and drive specs
+ * @param {Object} load - { feed, force } for the axis (mm/min, N)
+ * @param {number} accel - Axis acceleration (mm/s²), undefined when not configured
+ * @returns {Object} - Motor speed, forces, required and available torques and utilization
+ */
+function checkAxis(name, axis, load, accel) {
+    const mass = axis.moving_mass_kg ?? AXIS_LOAD_CONSTANTS.DEFAULT_MOVING_MASS_KG;
+    const gravityForce = name === 'z' ? getGravityForce(axis) : 0;
+    const cutForce = Math.abs(load.force) + gravityForce;
+    const accelForce = accel > 0 ? MACHINE_UTILS.calculateAxisForce(axis, accel, mass) : 0;
+
+    // Steppers are weakest at the top of the ramp, so both checks are made at the feed speed
+    const motorRpm = MACHINE_UTILS.getMotorRPMForFeed(axis, load.feed);
+    const motor = MACHINE_UTILS.getMotorTorqueAtRPM(axis, motorRpm);
+    const stepper = axis.motor_type === 'stepper';
+    const margin = stepper ? MOTOR_TYPES.stepper.torque_margin : 1;
+    const continuousLimit = motor.continuous_Nm * margin;
+    const peakLimit = motor.peak_Nm * margin;
+
+    const cutTorque = MACHINE_UTILS.calculateMotorTorque(axis, cutForce);
+    const accelTorque = MACHINE_UTILS.calculateMotorTorque(axis, cutForce + accelForce);
+    const continuousUse = getUtilization(cutTorque, continuousLimit);
+    const peakUse = getUtilization(accelTorque, peakLimit);
+
+    return {
+        axis: name,
+        motor_type: axis.motor_type,
+        motor_rpm: Math.round(motorRpm),
+        cutting_force_N: Math.round(Math.abs(load.force)),
+        gravity_force_N: Math.round(gravityForce),
+        accel_force_N: Math.round(accelForce),
+        torque_cut_Nm: parseFloat(cutTorque.toFixed(3)),
+        torque_accel_Nm: parseFloat(accelTorque.toFixed(3)),
+        torque_continuous_Nm: parseFloat(continuousLimit.toFixed(3)),
+        torque_peak_Nm: parseFloat(peakLimit.toFixed(3)),
+        utilization_percent: parseFloat(Math.max(continuousUse, peakUse).toFixed(1)),
+        limited_by: peakUse > continuousUse ? 'accel' : 'cut'
+    };
+}
+
+/**
+ * Get the weight of the carriage a vertical axis lifts
+ * @param {Object} axis - Z axis configuration
+ * @returns {number} - Force on the axis from gravity (N), 0 when the axis is counterbalanced
+ */
+export function getGravityForce(axis) {
+    if (axis.counterbalanced) return 0;
+    return (axis.moving_mass_kg ?? AXIS_LOAD_CONSTANTS.DEFAULT_MOVING_MASS_KG) * AXIS_LOAD_CONSTANTS.GRAVITY_M_S2;
+}
+
+function getUtilization(required, available) {
+    if (required <= 0) return 0;
+    return available > 0 ? required / available * 100 : Infinity;
+}
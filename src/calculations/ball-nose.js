@@ -0,0 +1,47 @@
+// Ball Nose Geometry Module
+// Effective cutting diameter, scallop height and stepover for ball end mills
+
+import { CONVERSIONS } from '../utils/constants.js';
+
+/**
+ * Calculate the effective cutting diameter of a ball end mill
+ * @param {number} diameter - Ball diameter (mm)
+ * @param {number} ap - Axial depth of cut measured along the tool axis (mm)
+ * @param {number} tiltAngle - Surface tilt / tool lead angle from vertical (degrees)
+ * @returns {number} - Largest diameter in contact with the work (mm)
+ */
+export function calculateBallEffectiveDiameter(diameter, ap, tiltAngle = 0) {
+    if (ap <= 0) return 0;
+
+    // Half-angle of the engaged ball section, measured from the tool axis
+    const contactAngle = Math.acos(Math.max(-1, 1 - (2 * ap) / diameter));
+    const edgeAngle = Math.min(contactAngle + tiltAngle * CONVERSIONS.DEG_TO_RAD, Math.PI / 2);
+
+    return diameter * Math.sin(edgeAngle);
+}
+
+/**
+ * Calculate the scallop (cusp) height left between adjacent ball nose passes
+ * @param {number} diameter - Ball diameter (mm)
+ * @param {number} stepover - Distance between passes (mm)
+ * @returns {number} - Scallop height (mm)
+ */
+export function calculateScallopHeight(diameter, stepover) {
+    const radius = diameter / 2;
+    if (stepover >= diameter) return radius;
+    return radius - Math.sqrt(radius * radius - (stepover * stepover) / 4);
+}
+
+/**
+ * Calculate the stepover that leaves a target scallop height
+ * @param {number} diameter - Ball diameter (mm)
+ * @param {number} scallopHeight - Target scallop height (mm)
+ * @returns {number} - Stepover (mm)
+ */
+export function calculateStepoverForScallop(diameter, scallopHeight) {
+    if (scallopHeight <= 0) {
+        throw new Error('Scallop height must be positive');
+    }
+    const height = Math.min(scallopHeight, diameter / 2);
+    return 2 * Math.sqrt(height * (diameter - height));
+}
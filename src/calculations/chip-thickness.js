@@ -0,0 +1,115 @@
+// Chip Thickness Calculation Module
+// Radial and axial chip thinning from engagement angle and cutter lead angle
+
+import { CONVERSIONS, MACHINING_CONSTANTS, THREAD_MILLING_CONSTANTS } from '../utils/constants.js';
+
+/**
+ * Calculate the engagement angle for a given radial width of cut
+ * @param {number} ae - Radial engagement (mm)
+ * @param {number} diameter - Cutter diameter (mm)
+ * @returns {number} - Engagement angle in radians (π for a full slot)
+ */
+export function getEngagementAngle(ae, diameter) {
+    if (ae <= 0 || diameter <= 0) return 0;
+    if (ae >= diameter) return Math.PI;
+    return Math.acos(1 - (2 * ae) / diameter);
+}
+
+/**
+ * Get the lead angle of the cutting edge (90° = square shoulder, no axial thinning)
+ * @param {Object} tool - Tool configuration
+ * @param {number} ap - Axial engagement (mm)
+ * @param {number} diameter - Cutter diameter (mm)
+ * @param {number} tiltAngle - Surface tilt for ball end mills (degrees)
+ * @returns {number} - Lead angle in degrees
+ */
+export function getLeadAngle(tool, ap, diameter, tiltAngle = 0) {
+    switch (tool.type) {
+        case 'endmill_ball': {
+            // Edge angle at the top of the engagement on the ball (always the full ball size)
+            const radius = (tool.diameter_mm || diameter) / 2;
+            if (ap <= 0 || ap >= radius) return 90;
+            const contactAngle = Math.acos((radius - ap) / radius) * CONVERSIONS.RAD_TO_DEG;
+            return Math.min(contactAngle + tiltAngle, 90);
+        }
+        case 'chamfer':
+        case 'vbit':
+            // angle_deg is the included angle
+            return (tool.angle_deg || 90) / 2;
+        case 'threadmill':
+            // Thread form flanks sit at half the thread angle from the radial direction
+            return 90 - THREAD_MILLING_CONSTANTS.THREAD_ANGLE_DEG / 2;
+        default:
+            return 90;
+    }
+}
+
+/**
+ * Calculate effective chip thickness for a programmed feed per tooth
+ * @param {Object} params - { tool, diameter, ae, ap, fz, tiltAngle }
+ * @returns {Object} - Thinning factors and chip thicknesses
+ */
+export function calculateChipThickness(params) {
+    const { tool, diameter, ae, ap, fz, tiltAngle = 0 } = params;
+
+    const engagementAngle = getEngagementAngle(ae, diameter);
+    const leadAngle = getLeadAngle(tool, ap, diameter, tiltAngle);
+
+    // Maximum chip thickness occurs at the widest point of the engagement arc
+    const radialFactor = Math.sin(Math.min(engagementAngle, Math.PI / 2));
+    const axialFactor = Math.sin(leadAngle * CONVERSIONS.DEG_TO_RAD);
+    const thinningFactor = radialFactor * axialFactor;
+
+    // Mean chip thickness over the arc: hm = fz·sin κ·(1 - cos φ)/φ
+    const meanChipThickness = engagementAngle > 0
+        ? fz * axialFactor * (1 - Math.cos(engagementAngle)) / engagementAngle
+        : 0;
+
+    return {
+        engagement_angle_deg: engagementAngle * CONVERSIONS.RAD_TO_DEG,
+        lead_angle_deg: leadAngle,
+        radial_thinning_factor: radialFactor,
+        axial_thinning_factor: axialFactor,
+        thinning_factor: thinningFactor,
+        programmed_chipload_mm: fz,
+        effective_chip_thickness_mm: fz * thinningFactor,
+        mean_chip_thickness_mm: meanChipThickness
+    };
+}
+
+/**
+ * Back-solve the programmed feed per tooth that produces a target chip thickness
+ * @param {Object} params - { tool, diameter, ae, ap, chipThickness, maxCompensation, tiltAngle }
+ * @returns {Object} - Programmed fz and whether the compensation was capped
+ */
+export function getProgrammedChipload(params) {
+    const {
+        tool,
+        diameter,
+        ae,
+        ap,
+        chipThickness,
+        maxCompensation = Infinity,
+        tiltAngle = 0
+    } = params;
+
+    const { thinning_factor: thinningFactor } = calculateChipThickness({ tool, diameter, ae, ap, fz: 1, tiltAngle });
+    const compensation = thinningFactor > 0 ? 1 / thinningFactor : 1;
+    const appliedCompensation = Math.min(compensation, maxCompensation);
+
+    return {
+        fz_mm: chipThickness * appliedCompensation,
+        compensation_factor: appliedCompensation,
+        capped: appliedCompensation < compensation
+    };
+}
+
+/**
+ * Get the largest chip thinning compensation allowed for a material
+ * @param {Object} material - Material properties
+ * @returns {number} - Maximum fz multiplier
+ */
+export function getMaxThinningCompensation(material) {
+    return material.chip_thinning?.max_compensation_factor ||
+           MACHINING_CONSTANTS.CHIP_THINNING_MAX_COMPENSATION;
+}
@@ -0,0 +1,289 @@
+// Headless Calculation API
+// Framework-free entry point that runs the speeds/feeds, force, power and deflection models together
+
+import { MACHINE_PRESETS } from '../data/machines.js';
+import { SPINDLE_TYPES } from '../data/spindles.js';
+import { MATERIALS } from '../data/materials.js';
+import { SpeedsFeedsCalculator } from './speeds-feeds.js';
+import { calculateToolDeflection } from './deflection.js';
+import { analyzeChatterStability } from './stability.js';
+
+/**
+ * Version of the result object returned by computeCut.
+ * Bumped only when a field is renamed, removed or changes meaning;
+ * adding new fields does not change the version.
+ */
+export const RESULT_SCHEMA_VERSION = 2;
+
+/**
+ * Result of a single cut calculation (schema version 2)
+ * @typedef {Object} CutResult
+ * @property {number} schema_version - Always RESULT_SCHEMA_VERSION
+ * @property {string} material - Material display name
+ * @property {string} materialKey - Material id
+ * @property {string} cutType - Cut type key
+ * @property {string} toolType - Tool type key
+ * @property {Object} tool - Tool configuration used
+ * @property {number} rpm - Spindle speed
+ * @property {number} vc_m_min - Actual surface speed (m/min)
+ * @property {number} sfm - Actual surface speed (ft/min)
+ * @property {number} feed_mm_min - Programmed feed rate (mm/min); tool-centre feed for thread milling
+ * @property {number} max_feed_mm_min - Machine feed limit for the direction of the cutting move (mm/min)
+ * @property {string} feed_limit_axis - Axis that sets max_feed_mm_min ('x', 'y' or 'z')
+ * @property {string|null} feed_limited_by - Axis that clamped the feed, or null if the feed was not limited
+ * @property {number} fz_mm - Programmed feed per tooth after limits (mm)
+ * @property {number} effective_chip_thickness_mm - Actual maximum chip thickness after radial and axial thinning (mm)
+ * @property {number} target_chip_thickness_mm - Chip thickness the programmed fz was solved for (mm)
+ * @property {number} chip_thinning_factor - Programmed fz / target chip thickness before feed limits
+ * @property {number} ae_mm - Radial engagement / width of cut (mm)
+ * @property {number} ap_mm - Axial engagement / depth of cut (mm)
+ * @property {number} doc_mm - Same as ap_mm
+ * @property {number} effective_diameter_mm - Cutting diameter used for RPM (mm); depth/tilt dependent for ball end mills
+ * @property {number|null} stepover_mm - Ball end mill stepover (mm), null for other tools
+ * @property {number|null} scallop_height_mm - Scallop height left by the stepover (mm), null for other tools
+ * @property {number|null} tilt_angle_deg - Surface tilt used for the ball end mill (degrees), null for other tools
+ * @property {number} mrr_mm3_min - Material removal rate (mm³/min)
+ * @property {number} force_N - Lateral cutting force bending the tool (N)
+ * @property {number} force_tangential_N - Mean tangential cutting force (N)
+ * @property {number} force_radial_N - Mean radial cutting force (N)
+ * @property {number} force_axial_N - Mean axial cutting force (N)
+ * @property {number} chip_thickness_mm - Mean chip thickness over the engagement arc (mm)
+ * @property {number} kc_N_mm2 - Specific cutting force at the mean chip thickness (N/mm²)
+ * @property {Object} forces - Full breakdown from calculateCuttingForces
+ * @property {number} power_W - Power required at the spindle shaft: cutting power plus process and spindle friction losses (W)
+ * @property {number} power_cutting_W - Power at the cutting edge, Ft · vc (W); equals forces.cutting_power_W
+ * @property {number} power_process_losses_W - Tool efficiency and machine rigidity surcharge on the cutting power (W)
+ * @property {number} power_losses_W - Spindle bearing friction and windage at rpm (W)
+ * @property {number} power_motor_W - Electrical power into the spindle motor (W)
+ * @property {number} power_wall_W - Electrical power drawn through the VFD or controller from the wall (W)
+ * @property {number} power_available_W - Spindle shaft power available at rpm (W)
+ * @property {number} power_utilization_percent - power_W as % of power_available_W
+ * @property {Object} power - Full breakdown from calculatePowerBreakdown
+ * @property {number} torque_Nm - Mean spindle torque required (N·m)
+ * @property {number} torque_peak_Nm - Peak torque as teeth enter the cut at the maximum chip (N·m)
+ * @property {number} torque_available_Nm - Continuous spindle torque at rpm from the spindle curve (N·m)
+ * @property {number} torque_utilization_percent - Larger of the mean against the available torque and the peak against its overload limit
+ * @property {number} deflection_mm - Total tool deflection (mm)
+ * @property {Object} deflection - Full breakdown from calculateToolDeflection
+ * @property {boolean} user_doc_override - True when doc_mm was supplied (the hole depth for drilling cuts)
+ * @property {Object|null} drilling - Feed per rev, thrust, torque, Z axis check and peck plan for drilling cuts
+ * @property {Object|null} entry - Ramp angle, helix diameter range and plunge/ramp feeds for pocket entry (milling tools only)
+ * @property {Object|null} thread - Thread geometry, radial passes, centre/edge feeds and cycle time for thread milling cuts
+ * @property {number|null} tool_life_min - Taylor tool life at vc_m_min (minutes of cut per edge), null without Taylor data
+ * @property {Object|null} economics - Speed mode, max-production and min-cost speeds, time and cost per part
+ * @property {Object|null} surface_finish - Predicted Ra/Rz of the finished wall or floor with feed mark, runout and deflection parts
+ * @property {Object|null} runout - Runout at the tool and the chip and load on each flute (milling cuts only)
+ * @property {Object} coolant - Coolant mode, its speed/chipload factors, heat partition, chip temperature and tool heat load
+ * @property {Object|null} trochoid - Loop diameter and stepover, centre/edge feeds and average MRR when slot_width_mm is set on an adaptive cut
+ * @property {Object|null} axis_load - Cutting, gravity and acceleration load on each feed axis against its motor torque at the feed,
+ *                                      and the most loaded axis; null when the machine has no motor data
+ * @property {Object|null} stability - Chatter stability: critical DOC at rpm, lobe diagram and recommended stable RPM (milling cuts only)
+ * @property {Array<{type: string, message: string}>} warnings - Warnings from all models
+ */
+
+/**
+ * Resolve preset keys to configuration objects
+ * @param {Object} inputs - Raw inputs; machine, spindle and material may be keys or objects
+ * @returns {Object} - Inputs with machine, spindle and material as objects
+ */
+export function resolveInputs(inputs) {
+    const {
+        machine,
+        spindle,
+        tool,
+        material,
+        cutType,
+        aggressiveness = 1.0,
+        doc_mm = null,
+        chip_thickness_mm = null,
+        tilt_angle_deg = 0,
+        scallop_mm = null,
+        stepover_mm = null,
+        thread = null,
+        rpm = null,
+        economics = null,
+        target_ra_um = null,
+        coolant = null,
+        woc_mm = null,
+        slot_width_mm = null
+    } = inputs;
+
+    const resolved = {
+        machine: resolvePreset(machine, MACHINE_PRESETS, 'machine'),
+        spindle: resolvePreset(spindle, SPINDLE_TYPES, 'spindle'),
+        material: resolvePreset(material, MATERIALS, 'material'),
+        tool,
+        cutType,
+        aggressiveness,
+        doc_mm,
+        chip_thickness_mm,
+        contour: { tilt_angle_deg, scallop_mm, stepover_mm },
+        thread,
+        rpm,
+        economics,
+        target_ra_um,
+        coolant,
+        woc_mm,
+        slot_width_mm
+    };
+
+    if (!resolved.tool || !resolved.tool.type) {
+        throw new Error('Tool configuration with a type is required');
+    }
+    if (!resolved.cutType) {
+        throw new Error('Cut type is required');
+    }
+
+    return resolved;
+}
+
+/**
+ * Create the speeds and feeds engine for resolved inputs
+ * @param {Object} resolved - Inputs from resolveInputs
+ * @returns {SpeedsFeedsCalculator} - Calculator for the cut
+ */
+export function createCalculator(resolved) {
+    return new SpeedsFeedsCalculator(
+        resolved.machine,
+        resolved.spindle,
+        resolved.tool,
+        resolved.material,
+        resolved.cutType,
+        resolved.aggressiveness,
+        resolved.doc_mm,
+        resolved.chip_thickness_mm,
+        resolved.contour,
+        resolved.thread,
+        resolved.rpm,
+        resolved.economics,
+        resolved.target_ra_um,
+        resolved.coolant,
+        resolved.woc_mm,
+        resolved.slot_width_mm
+    );
+}
+
+/**
+ * Run a complete cut calculation
+ * @param {Object} inputs - { machine, spindle, tool, material, cutType, aggressiveness, doc_mm, chip_thickness_mm,
+ *                            tilt_angle_deg, scallop_mm, stepover_mm, thread, rpm, economics, target_ra_um, coolant, woc_mm,
+ *                            slot_width_mm }
+ * @returns {CutResult} - Combined, versioned result
+ */
+export function computeCut(inputs) {
+    const resolved = resolveInputs(inputs);
+    const { machine, spindle, tool, material, cutType } = resolved;
+
+    const calculator = createCalculator(resolved);
+    const base = calculator.calculate();
+
+    // Feed the deflection model with the calculator's force calculation
+    const deflection = calculateToolDeflection({
+        tool,
+        cuttingForce: base.forces.lateral_force_N,
+        stickout: tool.stickout_mm
+    });
+
+    // Chatter check for milling cuts that engage the tool; drilling and thread milling have their own models
+    const stability = base.drilling || base.thread || !(base.ap_mm > 0) || !(base.ae_mm > 0)
+        ? null
+        : analyzeChatterStability({
+            tool,
+            diameter: calculator.getEffectiveDiameter(),
+            flutes: calculator.getEffectiveFlutes(),
+            kc: base.kc_N_mm2,
+            mc: base.forces.mc,
+            ae: base.ae_mm,
+            rpm: base.rpm,
+            ap: base.ap_mm,
+            spindle
+        });
+
+    const powerUtilization = base.power_available_W > 0
+        ? (base.power.shaft_power_W / base.power_available_W) * 100
+        : 0;
+
+    return {
+        schema_version: RESULT_SCHEMA_VERSION,
+        material: material.name,
+        materialKey: material.id,
+        cutType,
+        toolType: tool.type,
+        tool,
+        rpm: base.rpm,
+        vc_m_min: base.vc_m_min,
+        sfm: base.sfm,
+        feed_mm_min: base.feed_mm_min,
+        max_feed_mm_min: base.max_feed_mm_min,
+        feed_limit_axis: base.feed_limit_axis,
+        feed_limited_by: base.feed_limited_by,
+        fz_mm: base.fz_mm,
+        effective_chip_thickness_mm: base.effective_chip_thickness_mm,
+        target_chip_thickness_mm: base.target_chip_thickness_mm,
+        chip_thinning_factor: base.chip_thinning_factor,
+        ae_mm: base.ae_mm,
+        ap_mm: base.ap_mm,
+        doc_mm: base.doc_mm,
+        effective_diameter_mm: base.effectiveDiameter,
+        stepover_mm: base.stepover_mm ?? null,
+        scallop_height_mm: base.scallop_height_mm ?? null,
+        tilt_angle_deg: base.tilt_angle_deg ?? null,
+        mrr_mm3_min: base.mrr_mm3_min,
+        force_N: base.force_N,
+        force_tangential_N: base.force_tangential_N,
+        force_radial_N: base.force_radial_N,
+        force_axial_N: base.force_axial_N,
+        chip_thickness_mm: base.chip_thickness_mm,
+        kc_N_mm2: base.kc_N_mm2,
+        forces: base.forces,
+        power_W: base.power_W,
+        power_cutting_W: base.power_cutting_W,
+        power_process_losses_W: base.power_process_losses_W,
+        power_losses_W: base.power_losses_W,
+        power_motor_W: base.power_motor_W,
+        power_wall_W: base.power_wall_W,
+        power_available_W: base.power_available_W,
+        power_utilization_percent: parseFloat(powerUtilization.toFixed(1)),
+        power: base.power,
+        torque_Nm: base.torque_Nm,
+        torque_peak_Nm: base.torque_peak_Nm,
+        torque_available_Nm: base.torque_available_Nm,
+        torque_utilization_percent: base.torque_utilization_percent,
+        deflection_mm: parseFloat(deflection.total_deflection_mm.toFixed(4)),
+        deflection,
+        user_doc_override: base.user_doc_override,
+        drilling: base.drilling ?? null,
+        entry: base.entry ?? null,
+        thread: base.thread ?? null,
+        tool_life_min: base.tool_life_min ?? null,
+        economics: base.economics ?? null,
+        surface_finish: base.surface_finish ?? null,
+        runout: base.runout ?? null,
+        coolant: base.coolant,
+        trochoid: base.trochoid ?? null,
+        axis_load: base.axis_load ?? null,
+        stability,
+        warnings: stability ? [...base.warnings, ...stability.warnings] : base.warnings
+    };
+}
+
+/**
+ * Look up a preset by key, or pass a configuration object through
+ * @param {string|Object} value - Preset key or configuration object
+ * @param {Object} presets - Preset table to look up keys in
+ * @param {string} label - Name used in error messages
+ * @returns {Object} - Configuration object
+ */
+function resolvePreset(value, presets, label) {
+    if (typeof value === 'string') {
+        const preset = presets[value];
+        if (!preset) {
+            throw new Error(`Unknown ${label}: ${value}`);
+        }
+        return preset;
+    }
+    if (!value) {
+        throw new Error(`${label.charAt(0).toUpperCase() + label.slice(1)} configuration is required`);
+    }
+    return value;
+}
@@ -0,0 +1,82 @@
+// Coolant Module
+// Coolant modes, their effect on recommended speeds and chiploads, and the split of cutting heat between chip, work and tool
+
+import { COOLANT_CONSTANTS } from '../utils/constants.js';
+
+// Coolant delivery modes; tool_cooling is the fraction of the tool's heat the coolant carries away
+export const COOLANT_MODES = {
+    dry: { name: 'Dry', description: 'No coolant or air', tool_cooling: 0, liquid: false },
+    air_blast: { name: 'Air Blast', description: 'Compressed air clears chips and cools slightly', tool_cooling: 0.15, liquid: false },
+    mist: { name: 'Mist / MQL', description: 'Atomized lubricant; lubricates more than it cools', tool_cooling: 0.3, liquid: true },
+    flood: { name: 'Flood', description: 'Nozzles flood the cut with water-based coolant', tool_cooling: 0.6, liquid: true },
+    through_spindle: { name: 'Through-Spindle', description: 'High pressure coolant through the tool to the edge', tool_cooling: 0.75, liquid: true }
+};
+
+/**
+ * Resolve the coolant mode for a material
+ * @param {string|null} coolant - Key of COOLANT_MODES; null uses the material's recommended mode
+ * @param {Object} material - Material properties (force_group)
+ * @returns {Object} - { mode, recommended, assumed }
+ */
+export function resolveCoolant(coolant, material) {
+    const recommended = getRecommendedCoolant(material);
+    const mode = coolant || recommended;
+    if (!COOLANT_MODES[mode]) {
+        throw new Error(`Unknown coolant mode: ${mode} (expected ${Object.keys(COOLANT_MODES).join(', ')})`);
+    }
+    return { mode, recommended, assumed: !coolant };
+}
+
+/**
+ * Get the coolant mode the material's speed and chipload tables assume
+ * @param {Object} material - Material properties (force_group)
+ * @returns {string} - Key of COOLANT_MODES
+ */
+export function getRecommendedCoolant(material) {
+    return COOLANT_CONSTANTS.RECOMMENDED_MODE[material.force_group] || 'flood';
+}
+
+/**
+ * Get the cutting speed and chipload multipliers for a coolant mode
+ * @param {Object} material - Material properties (force_group)
+ * @param {string} mode - Key of COOLANT_MODES
+ * @returns {Object} - { vc, fz } multipliers on the table values
+ */
+export function getCoolantFactors(material, mode) {
+    const factors = COOLANT_CONSTANTS.FACTORS[material.force_group]?.[mode];
+    if (!factors) return { vc: 1.0, fz: 1.0 };
+    return { vc: factors[0], fz: factors[1] };
+}
+
+/**
+ * Estimate how the cutting heat divides between chip, workpiece and tool
+ * @param {Object} params - { material, tool, vc, chipThickness } with vc in m/min and chipThickness in mm
+ * @returns {Object} - Thermal number and the chip, work and tool heat fractions
+ */
+export function calculateHeatPartition(params) {
+    const { material, tool, vc, chipThickness } = params;
+    const conductivity = material.thermal_conductivity || 50;
+    const heatCapacity = material.heat_capacity_MJ_m3K || 3.5;
+
+    // Thermal number R = ρ·c·v·h / k: how fast the chip carries heat away compared with conduction into the work
+    const thermalNumber = heatCapacity * 1e6 * (vc / 60) * (chipThickness / 1000) / conductivity;
+
+    // Boothroyd's fit for the shear zone heat conducted into the workpiece
+    const ratio = Math.max(thermalNumber, 0.04);
+    const workShare = ratio <= 10 ? 0.5 - 0.35 * Math.log10(ratio) : 0.3 - 0.15 * Math.log10(ratio);
+    const shearToWork = Math.min(1, Math.max(0, workShare));
+
+    // Rake face friction heat divides by conductivity; a fast chip takes more of it with it
+    const toolConductivity = COOLANT_CONSTANTS.TOOL_CONDUCTIVITY[tool.material] || COOLANT_CONSTANTS.TOOL_CONDUCTIVITY.carbide;
+    const frictionToTool = toolConductivity / (toolConductivity + conductivity * Math.sqrt(thermalNumber));
+
+    const friction = COOLANT_CONSTANTS.FRICTION_HEAT_SHARE;
+    const toolFraction = friction * frictionToTool;
+    const workFraction = (1 - friction) * shearToWork;
+    return {
+        thermal_number: thermalNumber,
+        chip_fraction: 1 - toolFraction - workFraction,
+        work_fraction: workFraction,
+        tool_fraction: toolFraction
+    };
+}
@@ -0,0 +1,179 @@
+// Cycle Time Module
+// Machining time, tool changes and cost of pockets, slots, profiles and faced areas for quoting
+
+import { planPasses } from './pass-plan.js';
+import { resolveInputs } from './compute.js';
+import { resolveEconomics } from './tool-life.js';
+
+// Feature types; cutType is the cut used when the inputs do not give one
+export const FEATURE_TYPES = {
+    pocket: { name: 'Pocket', cutType: 'adaptive', description: 'Rectangular pocket, length x width x depth' },
+    slot: { name: 'Slot', cutType: 'slot', description: 'Straight slot, length x width x depth; width defaults to the tool diameter' },
+    profile: { name: 'Profile', cutType: 'profile', description: 'Outside or inside contour, path length x depth' },
+    facing: { name: 'Facing', cutType: 'facing', description: 'Faced area (or length x width) x depth' }
+};
+
+/**
+ * Estimate the machining time of one feature
+ * @param {Object} inputs - Same inputs as computeCut; cutType defaults to the feature type's cut (adaptive for a slot wider than the tool)
+ * @param {Object} feature - { type, depth_mm, length_mm, width_mm, area_mm2, stock_mm }; stock_mm is the profile width to remove
+ * @param {Object} options - Pass plan options ({ finish, wall_stock_mm, floor_stock_mm })
+ * @returns {Object} - Pass plan for the feature and its cutting, rapid and acceleration times
+ */
+export function estimateFeature(inputs, feature, options = {}) {
+    const featureType = FEATURE_TYPES[feature?.type];
+    if (!featureType) {
+        throw new Error(`Unknown feature type: ${feature?.type} (expected ${Object.keys(FEATURE_TYPES).join(', ')})`);
+    }
+
+    // A slot wider than the tool is cleared like a pocket
+    const wideSlot = feature.type === 'slot' && feature.width_mm > inputs.tool?.diameter_mm;
+    const cutInputs = { ...inputs, cutType: inputs.cutType || (wideSlot ? FEATURE_TYPES.pocket.cutType : featureType.cutType) };
+    const { tool } = resolveInputs(cutInputs);
+    const stock = getFeatureStock(feature, tool.diameter_mm);
+    const plan = planPasses(cutInputs, stock, options);
+
+    return {
+        feature: feature.type,
+        name: feature.name || featureType.name,
+        cutType: cutInputs.cutType,
+        tool,
+        depth_mm: feature.depth_mm,
+        passes: plan.total_passes,
+        cutting_time_min: plan.cutting_time_min,
+        rapid_time_min: plan.rapid_time_min,
+        accel_time_min: plan.accel_time_min,
+        total_time_min: plan.total_time_min,
+        tool_wear_edges: getEdgesUsed(plan.operations),
+        plan
+    };
+}
+
+/**
+ * Estimate a job of features cut in order, with tool changes and cost for a quote
+ * @param {Array} features - [{ inputs, feature, options }] in machining order; inputs and options as for estimateFeature
+ * @param {Object} job - { quantity, economics }; economics gives machine_rate_per_hour, tool_change_min, tool_cost and
+ *                       edges_per_tool (defaults from TOOL_LIFE_CONSTANTS.DEFAULT_ECONOMICS)
+ * @returns {Object} - Per-feature breakdown, tool changes, time and cost per part and for the batch
+ */
+export function estimateJob(features, job = {}) {
+    if (!Array.isArray(features) || features.length === 0) {
+        throw new Error('A job needs at least one feature');
+    }
+    const quantity = job.quantity ?? 1;
+    if (!(quantity >= 1)) {
+        throw new Error('Quantity must be at least 1');
+    }
+    const economics = resolveEconomics(job.economics);
+
+    const estimates = features.map(({ inputs, feature, options }) => estimateFeature(inputs, feature, options));
+
+    // Every feature that needs a different tool from the one before it costs a change, including loading the first
+    const toolChanges = estimates.filter((estimate, i) =>
+        i === 0 || getToolKey(estimate.tool) !== getToolKey(estimates[i - 1].tool)
+    ).length;
+
+    const sum = key => estimates.reduce((total, estimate) => total + estimate[key], 0);
+    const cuttingTime = sum('cutting_time_min');
+    const rapidTime = sum('rapid_time_min');
+    const accelTime = sum('accel_time_min');
+    const toolChangeTime = toolChanges * economics.tool_change_min;
+    const partTime = cuttingTime + rapidTime + accelTime + toolChangeTime;
+
+    const machineCost = partTime * economics.machine_rate_per_hour / 60;
+    const toolCost = sum('tool_wear_edges') * economics.tool_cost / Math.max(1, economics.edges_per_tool);
+    const round = value => parseFloat(value.toFixed(2));
+
+    return {
+        features: estimates.map(estimate => ({
+            feature: estimate.feature,
+            name: estimate.name,
+            cutType: estimate.cutType,
+            tool: estimate.tool.type,
+            diameter_mm: estimate.tool.diameter_mm,
+            passes: estimate.passes,
+            cutting_time_min: estimate.cutting_time_min,
+            rapid_time_min: estimate.rapid_time_min,
+            accel_time_min: estimate.accel_time_min,
+            total_time_min: estimate.total_time_min,
+            plan: estimate.plan
+        })),
+        tool_changes: toolChanges,
+        cutting_time_min: round(cuttingTime),
+        rapid_time_min: round(rapidTime),
+        accel_time_min: round(accelTime),
+        tool_change_time_min: round(toolChangeTime),
+        time_per_part_min: round(partTime),
+        machine_cost_per_part: round(machineCost),
+        tool_cost_per_part: round(toolCost),
+        cost_per_part: round(machineCost + toolCost),
+        quantity,
+        batch_time_min: round(partTime * quantity),
+        batch_cost: round((machineCost + toolCost) * quantity),
+        machine_rate_per_hour: economics.machine_rate_per_hour,
+        warnings: estimates.flatMap(estimate => estimate.plan.warnings.map(warning => ({
+            ...warning,
+            message: `${estimate.name}: ${warning.message}`
+        })))
+    };
+}
+
+// Map a feature to the pass plan stock: straight passes of one length across the width
+function getFeatureStock(feature, diameter) {
+    const { type, depth_mm: depth, length_mm: length, width_mm: width } = feature;
+    if (!(depth > 0)) {
+        throw new Error(`${FEATURE_TYPES[type].name} depth must be positive`);
+    }
+
+    switch (type) {
+        case 'pocket':
+            // Passes run along the pocket between the end walls; the finished wall is the whole perimeter
+            requireSize(feature, ['length_mm', 'width_mm']);
+            if (Math.min(length, width) < diameter) {
+                throw new Error(`Pocket ${length} x ${width}mm is narrower than the ${diameter}mm tool`);
+            }
+            return {
+                depth_mm: depth,
+                width_mm: width,
+                length_mm: length - diameter,
+                wall_length_mm: 2 * (length + width - 2 * diameter)
+            };
+        case 'slot': {
+            requireSize(feature, ['length_mm']);
+            const slotWidth = width ?? diameter;
+            if (slotWidth < diameter) {
+                throw new Error(`Slot width ${slotWidth}mm is narrower than the ${diameter}mm tool`);
+            }
+            return { depth_mm: depth, width_mm: slotWidth, length_mm: length, wall_length_mm: 2 * length };
+        }
+        case 'profile':
+            requireSize(feature, ['length_mm']);
+            return { depth_mm: depth, width_mm: feature.stock_mm, length_mm: length };
+        case 'facing': {
+            // An area alone is faced as a square; passes overrun the edges by the tool diameter
+            const faceLength = length ?? Math.sqrt(feature.area_mm2);
+            const faceWidth = width ?? feature.area_mm2 / faceLength;
+            if (!(faceLength > 0) || !(faceWidth > 0)) {
+                throw new Error('Facing needs area_mm2 or length_mm and width_mm');
+            }
+            return { depth_mm: depth, width_mm: faceWidth, length_mm: faceLength + diameter };
+        }
+    }
+}
+
+function requireSize(feature, keys) {
+    for (const key of keys) {
+        if (!(feature[key] > 0)) {
+            throw new Error(`${FEATURE_TYPES[feature.type].name} ${key} must be positive`);
+        }
+    }
+}
+
+// Edges worn out: cutting time of each operation over its Taylor tool life
+function getEdgesUsed(operations) {
+    return operations.reduce((sum, op) => op.tool_life_min > 0 ? sum + op.cutting_time_min / op.tool_life_min : sum, 0);
+}
+
+function getToolKey(tool) {
+    return JSON.stringify(tool);
+}
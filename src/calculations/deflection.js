@@ -97,6 +97,23 @@ function calculateShearDeflection(diameter, length, force, E) {
     return deflection;
 }
 
+/**
+ * Calculate static stiffness at the tool tip
+ * @param {Object} tool - Tool configuration
+ * @returns {number} - Stiffness in N/mm, clamped rigidly at the holder face like calculateToolNaturalFrequency
+ */
+export function calculateToolStiffness(tool) {
+    const diameter = tool.diameter_mm || 6;
+    const length = tool.stickout_mm || 25;
+    const E = getToolModulus(tool.material || 'carbide');
+
+    // Deflection under a 1N tip load is the compliance in mm/N
+    const compliance = calculateBendingDeflection(diameter, length, 1, E) +
+        calculateShearDeflection(diameter, length, 1, E);
+
+    return 1 / compliance;
+}
+
 /**
  * Calculate tool holder compliance contribution
  * @param {number} force - Cutting force (N)
@@ -341,7 +358,7 @@ export function calculateDynamicDeflection(params) {
  * @param {Object} tool - Tool configuration
  * @returns {number} - Natural frequency in Hz
  */
-function calculateToolNaturalFrequency(tool) {
+export function calculateToolNaturalFrequency(tool) {
     const diameter = tool.diameter_mm || 6;
     const length = tool.stickout_mm || 25;
     const material = tool.material || 'carbide';
@@ -0,0 +1,139 @@
+// Drilling Calculation Module
+// Feed per revolution, thrust and torque from the Kienzle model, Z axis thrust check and peck planning
+
+import { DRILLING_CONSTANTS, CONVERSIONS } from '../utils/constants.js';
+import { CUT_TYPES } from '../data/tools.js';
+import { MACHINE_UTILS } from '../data/machines.js';
+import { getKienzleCoefficients } from './forces.js';
+import { getGravityForce } from './axis-load.js';
+
+// Cut types handled by the drilling model instead of the milling path
+export const DRILLING_CUT_TYPES = ['drilling', 'spot_drill', 'peck_drill'];
+
+/**
+ * Get the recommended feed per revolution for a drill
+ * @param {Object} material - Material properties
+ * @param {number} diameter - Drill diameter (mm)
+ * @param {string} cutType - drilling, spot_drill or peck_drill
+ * @returns {number} - Feed per revolution (mm/rev)
+ */
+export function getDrillFeedPerRev(material, diameter, cutType) {
+    const range = material.drill_feed_per_rev_D || [0.01, 0.02];
+    let feedPerRev = (range[0] + range[1]) / 2 * diameter;
+
+    if (cutType === 'spot_drill') {
+        feedPerRev *= DRILLING_CONSTANTS.SPOT_DRILL_FEED_FACTOR;
+    }
+
+    return feedPerRev;
+}
+
+/**
+ * Get the default hole depth for a drilling cut type
+ * @param {string} cutType - drilling, spot_drill or peck_drill
+ * @param {number} diameter - Drill diameter (mm)
+ * @returns {number} - Hole depth (mm)
+ */
+export function getDefaultHoleDepth(cutType, diameter) {
+    const range = CUT_TYPES[cutType]?.ap_fraction_range || [1.0, 3.0];
+    return (range[0] + range[1]) / 2 * diameter;
+}
+
+/**
+ * Calculate drilling forces for a two-lip drill
+ * @param {Object} params - { material, tool, feedPerRev, rpm }
+ * @returns {Object} - Force breakdown in the same shape as calculateCuttingForces
+ */
+export function calculateDrillingForces(params) {
+    const { material, tool, feedPerRev, rpm = 0 } = params;
+
+    const diameter = tool.diameter_mm;
+    const pointAngle = tool.point_angle_deg || 118;
+    const leadAngle = (pointAngle / 2) * CONVERSIONS.DEG_TO_RAD;
+    const { kc1_1, mc } = getKienzleCoefficients(material);
+
+    // Each lip takes half the feed; the point angle thins the chip
+    const chipThickness = (feedPerRev / 2) * Math.sin(leadAngle);
+    const kc = chipThickness > 0 ? kc1_1 * Math.pow(chipThickness, -mc) : 0;
+
+    // Cutting force per lip acts at D/4, giving Mc = kc · D² · f / 8000 (N·m)
+    const lipForce = kc * (diameter / 2) * (feedPerRev / 2);
+    const torque = (kc * diameter * diameter * feedPerRev) / 8000;
+    const thrust = DRILLING_CONSTANTS.THRUST_RATIO * kc * (diameter / 2) * feedPerRev * Math.sin(leadAngle);
+
+    const cuttingPower = torque * (2 * Math.PI * rpm) / 60;
+
+    return {
+        kc1_1_N_mm2: kc1_1,
+        mc,
+        kc_N_mm2: kc,
+        engagement_angle_deg: 180,
+        lead_angle_deg: pointAngle / 2,
+        mean_chip_thickness_mm: chipThickness,
+        max_chip_thickness_mm: chipThickness,
+        teeth_in_cut: 2,
+        tangential_force_N: lipForce,
+        radial_force_N: 0,           // Lip forces balance for a symmetric drill
+        axial_force_N: thrust,
+        lateral_force_N: 0,
+        cutting_power_W: cuttingPower,
+        cutting_torque_Nm: torque
+    };
+}
+
+/**
+ * Plan a peck cycle from the hole depth-to-diameter ratio
+ * @param {number} depth - Hole depth (mm)
+ * @param {number} diameter - Drill diameter (mm)
+ * @param {string} cutType - drilling, spot_drill or peck_drill
+ * @returns {Object} - Peck depth and count (peck_count 1 = drill straight through)
+ */
+export function planPecks(depth, diameter, cutType) {
+    const depthRatio = depth / diameter;
+
+    if (cutType === 'spot_drill') {
+        return { depth_to_diameter: depthRatio, peck_depth_mm: depth, peck_count: 1 };
+    }
+
+    const rule = DRILLING_CONSTANTS.PECK_RULES.find(r => depthRatio <= r.max_depth_ratio);
+    let peckFraction = rule.peck_D;
+
+    // Honour a requested peck cycle even when the hole is shallow enough to drill straight
+    if (peckFraction === null && cutType === 'peck_drill') {
+        peckFraction = DRILLING_CONSTANTS.SHALLOW_PECK_D;
+    }
+
+    if (peckFraction === null) {
+        return { depth_to_diameter: depthRatio, peck_depth_mm: depth, peck_count: 1 };
+    }
+
+    const peckDepth = Math.min(peckFraction * diameter, depth);
+    return {
+        depth_to_diameter: depthRatio,
+        peck_depth_mm: peckDepth,
+        peck_count: Math.ceil(depth / peckDepth - 1e-9)
+    };
+}
+
+/**
+ * Check that the Z axis can push the drill with the required thrust
+ * @param {Object} machine - Machine configuration
+ * @param {number} thrust - Drilling thrust force (N)
+ * @returns {Object|null} - Required vs usable motor torque, or null if the machine has no Z axis data
+ */
+export function checkZAxisThrust(machine, thrust) {
+    const axis = machine.axes?.z;
+    if (!axis || !axis.drive_specs || !axis.motor_specs) return null;
+
+    // The motor also lifts the head against its weight as the drill retracts
+    const weight = getGravityForce(axis);
+    const required = MACHINE_UTILS.calculateMotorTorque(axis, thrust + weight);
+    const available = MACHINE_UTILS.getUsableMotorTorque(axis);
+
+    return {
+        torque_required_Nm: required,
+        torque_available_Nm: available,
+        utilization_percent: available > 0 ? (required / available) * 100 : Infinity,
+        max_thrust_N: required > 0 ? Math.max(0, (thrust + weight) * available / required - weight) : Infinity
+    };
+}
@@ -0,0 +1,105 @@
+// Entry Move Calculation Module
+// Ramp angle, helix diameter range and plunge/ramp feeds for getting a tool down into a pocket
+
+import { ENTRY_CONSTANTS, CONVERSIONS } from '../utils/constants.js';
+import { TOOL_TYPES } from '../data/tools.js';
+import { MACHINE_UTILS } from '../data/machines.js';
+
+// Tool types that can ramp or helix into a pocket
+export const ENTRY_TOOL_TYPES = ['endmill_flat', 'endmill_ball', 'tapered', 'facemill'];
+
+/**
+ * Check whether a tool has cutting edges across its centre
+ * @param {Object} tool - Tool configuration (center_cutting overrides the tool type default)
+ * @returns {boolean} - True if the tool can plunge straight down
+ */
+export function isCenterCutting(tool) {
+    if (tool.center_cutting !== undefined) {
+        return Boolean(tool.center_cutting);
+    }
+    return TOOL_TYPES[tool.type]?.centerCutting ?? false;
+}
+
+/**
+ * Get the largest recommended ramp angle for a tool in a material
+ * @param {Object} tool - Tool configuration
+ * @param {Object} material - Material properties
+ * @returns {Object} - { angle_deg, limited_by: 'material' | 'tool' }
+ */
+export function getMaxRampAngle(tool, material) {
+    const materialAngle = ENTRY_CONSTANTS.RAMP_ANGLE_DEG[material.force_group] || 2;
+
+    // An explicit tool limit (insert clearance, catalogue value) takes priority
+    let toolAngle = tool.max_ramp_angle_deg;
+    if (toolAngle === undefined && !isCenterCutting(tool)) {
+        toolAngle = ENTRY_CONSTANTS.NON_CENTER_CUTTING_MAX_RAMP_DEG;
+    }
+
+    if (toolAngle !== undefined && toolAngle < materialAngle) {
+        return { angle_deg: toolAngle, limited_by: 'tool' };
+    }
+    return { angle_deg: materialAngle, limited_by: 'material' };
+}
+
+/**
+ * Calculate ramp, helix and plunge entry moves
+ * @param {Object} params - { tool, material, machine, diameter, flutes, rpm, chiploadRange, depth, cutFeed }
+ * @returns {Object} - Ramp angle, helix diameter range and entry feeds
+ */
+export function calculateEntryMoves(params) {
+    const { tool, material, machine, diameter, flutes, rpm, chiploadRange, depth, cutFeed = Infinity } = params;
+
+    const centerCutting = isCenterCutting(tool);
+    const { angle_deg: rampAngle, limited_by: angleLimit } = getMaxRampAngle(tool, material);
+    const rampRad = rampAngle * CONVERSIONS.DEG_TO_RAD;
+    let limitedBy = angleLimit;
+
+    const chipload = (chiploadRange[0] + chiploadRange[1]) / 2;
+
+    // Ramp feed along the blended XY/Z path
+    let rampFeed = rpm * flutes * chipload * ENTRY_CONSTANTS.RAMP_CHIPLOAD_FACTOR;
+    if (rampFeed > cutFeed) {
+        // Never enter faster than the cut itself, which already carries the power limit
+        rampFeed = cutFeed;
+        limitedBy = 'cut_feed';
+    }
+    const rampLimit = MACHINE_UTILS.getFeedLimitForMove(machine, rampAngle);
+    if (rampFeed > rampLimit.max_feed_mm_min) {
+        rampFeed = rampLimit.max_feed_mm_min;
+        limitedBy = `${rampLimit.limiting_axis}_axis`;
+    }
+
+    // Straight plunges are only possible with centre-cutting edges
+    let plungeFeed = null;
+    if (centerCutting) {
+        const maxFeedZ = MACHINE_UTILS.getFeedLimitForMove(machine, 90).max_feed_mm_min;
+        plungeFeed = Math.min(rpm * flutes * chipload * ENTRY_CONSTANTS.PLUNGE_CHIPLOAD_FACTOR, maxFeedZ, cutFeed);
+    }
+
+    // Distance the Z axis needs to reach the plunge (or ramp descent) rate
+    const zAccel = machine.max_accel_mm_s2?.z;
+    const zFeed = plungeFeed !== null ? plungeFeed : rampFeed * Math.sin(rampRad);
+    const zAccelDistance = zAccel ? Math.pow(zFeed / 60, 2) / (2 * zAccel) : 0;
+
+    // Helix bore range; the helix pitch follows the ramp angle at the bore wall
+    const [minD, maxD] = ENTRY_CONSTANTS.HELIX_DIAMETER_D[centerCutting ? 'center_cutting' : 'non_center_cutting'];
+    const helixDiameter = (minD + maxD) / 2 * diameter;
+    const helixPitch = Math.PI * helixDiameter * Math.tan(rampRad);
+
+    return {
+        center_cutting: centerCutting,
+        ramp_angle_deg: rampAngle,
+        ramp_feed_mm_min: rampFeed,
+        ramp_z_feed_mm_min: rampFeed * Math.sin(rampRad),
+        ramp_length_mm: depth / Math.tan(rampRad),
+        helix_diameter_min_percent: minD * 100,
+        helix_diameter_max_percent: maxD * 100,
+        helix_diameter_min_mm: minD * diameter,
+        helix_diameter_max_mm: maxD * diameter,
+        helix_pitch_mm: helixPitch,
+        helix_revolutions: depth / helixPitch,
+        plunge_feed_mm_min: plungeFeed,
+        z_accel_distance_mm: zAccelDistance,
+        limited_by: limitedBy
+    };
+}
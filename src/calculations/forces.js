@@ -0,0 +1,116 @@
+// Cutting Force Calculation Module
+// Kienzle specific cutting force model driven by mean chip thickness
+
+import { FORCE_COEFFICIENTS, CONVERSIONS } from '../utils/constants.js';
+import { calculateChipThickness } from './chip-thickness.js';
+
+/**
+ * Calculate milling forces with the Kienzle model (kc = kc1.1 · h^-mc)
+ * @param {Object} params - Calculation parameters
+ * @returns {Object} - Force components, chip thickness and cutting power
+ */
+export function calculateCuttingForces(params) {
+    const {
+        material,
+        tool,
+        diameter = tool.diameter_mm,
+        flutes = tool.flutes || 2,
+        ae,         // Radial engagement (mm)
+        ap,         // Axial engagement (mm)
+        fz,         // Feed per tooth (mm)
+        rpm = 0,
+        tiltAngle = 0
+    } = params;
+
+    const { kc1_1, mc } = getKienzleCoefficients(material);
+
+    // Chip geometry including radial and axial (lead angle) thinning
+    const chip = calculateChipThickness({ tool, diameter, ae, ap, fz, tiltAngle });
+    const engagementAngle = chip.engagement_angle_deg * CONVERSIONS.DEG_TO_RAD;
+    const meanChipThickness = chip.mean_chip_thickness_mm;
+
+    // Specific cutting force at the mean chip thickness (N/mm²)
+    const kc = meanChipThickness > 0 ? kc1_1 * Math.pow(meanChipThickness, -mc) : 0;
+
+    // Average number of teeth in the cut
+    const teethInCut = flutes * engagementAngle / (2 * Math.PI);
+
+    // Mean force components - the chip is ap / sin κ wide
+    const chipWidth = ap / (chip.axial_thinning_factor || 1);
+    const tangentialForce = kc * chipWidth * meanChipThickness * teethInCut;
+    const radialForce = tangentialForce * FORCE_COEFFICIENTS.RADIAL_RATIO;
+    const helixAngle = getHelixAngle(tool) * CONVERSIONS.DEG_TO_RAD;
+    const axialForce = tangentialForce * Math.tan(helixAngle) * FORCE_COEFFICIENTS.AXIAL_RATIO_PER_HELIX;
+
+    // Angle the helix winds the flute around the tool over the depth of cut
+    const helixLag = diameter > 0 ? 2 * ap * Math.tan(helixAngle) / diameter : 0;
+
+    // Force bending the tool acts in the plane normal to its axis
+    const lateralForce = Math.hypot(tangentialForce, radialForce);
+
+    // Cutting power and torque from the tangential force
+    const vc = (Math.PI * diameter * rpm) / 1000; // m/min
+    const cuttingPower = (tangentialForce * vc) / 60; // W
+    const torque = tangentialForce * diameter / 2000; // N·m
+
+    return {
+        kc1_1_N_mm2: kc1_1,
+        mc,
+        kc_N_mm2: kc,
+        engagement_angle_deg: chip.engagement_angle_deg,
+        lead_angle_deg: chip.lead_angle_deg,
+        mean_chip_thickness_mm: meanChipThickness,
+        max_chip_thickness_mm: chip.effective_chip_thickness_mm,
+        teeth_in_cut: teethInCut,
+        tooth_pitch_deg: 360 / flutes,
+        helix_lag_deg: helixLag * CONVERSIONS.RAD_TO_DEG,
+        tangential_force_N: tangentialForce,
+        radial_force_N: radialForce,
+        axial_force_N: axialForce,
+        lateral_force_N: lateralForce,
+        cutting_power_W: cuttingPower,
+        cutting_torque_Nm: torque
+    };
+}
+
+/**
+ * Get Kienzle coefficients for a material
+ * @param {Object} material - Material properties
+ * @returns {Object} - { kc1_1, mc } with kc1.1 in N/mm²
+ */
+export function getKienzleCoefficients(material) {
+    // Explicit values on the material (custom materials) take priority
+    if (material.kc1_1_N_mm2 && material.mc !== undefined) {
+        return { kc1_1: material.kc1_1_N_mm2, mc: material.mc };
+    }
+
+    const group = material.force_group;
+    if (group && FORCE_COEFFICIENTS.KC1[group]) {
+        return { kc1_1: FORCE_COEFFICIENTS.KC1[group], mc: FORCE_COEFFICIENTS.MC[group] };
+    }
+
+    // Fall back to the legacy force coefficient as kc1.1
+    return { kc1_1: (material.force_coeff_KN_mm2 || 1.0) * 1000, mc: 0.25 };
+}
+
+/**
+ * Get the flute helix angle for a tool
+ * @param {Object} tool - Tool configuration
+ * @returns {number} - Helix angle in degrees
+ */
+function getHelixAngle(tool) {
+    if (tool.helix_angle_deg !== undefined) {
+        return tool.helix_angle_deg;
+    }
+
+    // Straight-fluted and insert tools produce little axial force
+    switch (tool.type) {
+        case 'vbit':
+        case 'slitting':
+        case 'boring':
+        case 'facemill':
+            return 0;
+        default:
+            return FORCE_COEFFICIENTS.DEFAULT_HELIX_ANGLE_DEG;
+    }
+}
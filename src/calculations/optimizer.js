@@ -0,0 +1,334 @@
+// Cutting Parameter Optimizer
+// Searches RPM, chipload and engagement for maximum MRR or minimum cycle time under machine constraints
+
+import { DEFLECTION_CONSTANTS, POWER_CONSTANTS } from '../utils/constants.js';
+import { createCalculator, resolveInputs } from './compute.js';
+import { MACHINE_UTILS } from '../data/machines.js';
+import { getProgrammedChipload, getMaxThinningCompensation } from './chip-thickness.js';
+import { DRILLING_CUT_TYPES } from './drilling.js';
+import { THREAD_CUT_TYPES } from './thread-milling.js';
+
+// Default optimizer settings
+export const OPTIMIZER_DEFAULTS = {
+    objective: 'mrr',            // 'mrr' or 'cycle_time'
+    rpmSteps: 12,
+    engagementSteps: 10,
+    powerMargin: POWER_CONSTANTS.POWER_LIMIT, // Fraction of available spindle power that may be used
+    maxDeflection_mm: DEFLECTION_CONSTANTS.DEFLECTION_LIMITS.ROUGH,
+    stock: null                  // { length_mm, width_mm, depth_mm } for the cycle_time objective
+};
+
+// Human-readable names for the constraints the optimizer can hit
+export const OPTIMIZER_CONSTRAINTS = {
+    chipload_max: 'Maximum chipload for material and tool',
+    machine_feed: 'Machine maximum feed rate',
+    spindle_power: 'Spindle power available at RPM',
+    spindle_torque: 'Spindle peak torque at RPM',
+    deflection: 'Tool deflection limit',
+    radial_engagement: 'Material maximum radial engagement',
+    axial_depth: 'Material maximum axial depth per pass',
+    rpm_range: 'Spindle RPM range'
+};
+
+/**
+ * Search for the cutting parameters that maximize MRR (or minimize cycle time)
+ * @param {Object} inputs - Same inputs as computeCut
+ * @param {Object} options - Optimizer settings (see OPTIMIZER_DEFAULTS)
+ * @returns {Object} - Best operating point with the binding constraint, or feasible: false
+ */
+export function optimizeCut(inputs, options = {}) {
+    const settings = { ...OPTIMIZER_DEFAULTS, ...options };
+    if (settings.objective === 'cycle_time' && !settings.stock) {
+        throw new Error('The cycle_time objective requires stock dimensions');
+    }
+
+    const resolved = resolveInputs(inputs);
+    const { cutType } = resolved;
+    // The search is over milling width and depth of cut; drilling and thread milling have their own cycles
+    if (DRILLING_CUT_TYPES.includes(cutType) || THREAD_CUT_TYPES.includes(cutType)) {
+        throw new Error(`The optimizer is for milling cuts - ${cutType} has its own cycle, use computeCut`);
+    }
+    const calculator = createCalculator(resolved);
+    calculator.validateToolCut();
+    const bounds = getSearchBounds(calculator);
+
+    const steps = settings.engagementSteps;
+    const aeValues = bounds.aeFixed ? [bounds.ae[1]] : linspace(bounds.ae[1] / steps, bounds.ae[1], steps);
+    const apValues = linspace(bounds.ap[1] / steps, bounds.ap[1], steps);
+
+    let best = null;
+    for (const rpm of linspace(bounds.rpm[0], bounds.rpm[1], settings.rpmSteps)) {
+        for (const ae of aeValues) {
+            for (const ap of apValues) {
+                const candidate = findMaxChipload(calculator, bounds, settings, { rpm, ae, ap });
+                if (!candidate) continue;
+
+                candidate.score = scoreCandidate(candidate, settings);
+                if (!best || candidate.score > best.score) {
+                    best = candidate;
+                }
+            }
+        }
+    }
+
+    if (!best) {
+        // Report what blocks even the lightest cut in the search space
+        const lightestEngagement = { ae: aeValues[0], ap: apValues[0] };
+        const lightest = evaluatePoint(calculator, bounds, settings, {
+            rpm: bounds.rpm[0],
+            fz: getChiploadBounds(calculator, bounds, lightestEngagement)[0],
+            ...lightestEngagement
+        });
+        const binding = getTightestChiploadLimit(lightest.utilization);
+        return {
+            feasible: false,
+            objective: settings.objective,
+            binding_constraint: binding,
+            binding_constraint_description: OPTIMIZER_CONSTRAINTS[binding],
+            message: `No parameters satisfy all constraints above the minimum chipload (${OPTIMIZER_CONSTRAINTS[binding].toLowerCase()})`
+        };
+    }
+
+    return formatOptimum(best, bounds, settings);
+}
+
+/**
+ * Work out the search ranges for RPM, chipload and engagement
+ * @param {SpeedsFeedsCalculator} calculator - Calculator for the cut
+ * @returns {Object} - { D, z, rpm, fz, ae, ap, maxFeed, feedLimitAxis } ranges and limits
+ */
+function getSearchBounds(calculator) {
+    const { material, tool, spindle, machine, cutType } = calculator;
+    const D = calculator.getEffectiveDiameter();
+    const z = calculator.getEffectiveFlutes();
+
+    // RPM range from the material surface speed range, limited by the spindle
+    const speedFactor = calculator.getSpeedFactor();
+    const rpmLow = (material.vc_range[0] * speedFactor * 1000) / (Math.PI * D);
+    const rpmHigh = (material.vc_range[1] * speedFactor * 1000) / (Math.PI * D);
+    const rpm = [
+        Math.max(spindle.rpm_min, Math.min(rpmLow, spindle.rpm_max)),
+        Math.min(spindle.rpm_max, Math.max(rpmHigh, spindle.rpm_min))
+    ];
+
+    // Actual chip thickness range adjusted for tool type and coating
+    const fzRange = calculator.getChiploadRange(D);
+    const toolFactor = material.toolChiploadFactors[tool.type] || 1.0;
+    const coatingFactor = calculator.getCoatingChiploadFactor();
+    const fz = [fzRange[0] * toolFactor * coatingFactor, fzRange[1] * toolFactor * coatingFactor];
+
+    // Engagement limits from the material and cut type tables (slots always run at full width)
+    const aeMax = cutType === 'slot' ? D : calculator.getMaxAllowableWOC(D);
+    const apMax = calculator.getMaxAllowableDOC(D);
+
+    // Feed limit for the direction the cut moves in
+    const feedLimit = MACHINE_UTILS.getFeedLimitForMove(machine, calculator.getMoveAngle());
+
+    return {
+        D,
+        z,
+        rpm,
+        rpmClampedLow: rpm[0] > rpmLow,
+        rpmClampedHigh: rpm[1] < rpmHigh,
+        fz,
+        ae: [0, aeMax],
+        aeFixed: cutType === 'slot',
+        ap: [0, apMax],
+        maxFeed: feedLimit.max_feed_mm_min,
+        feedLimitAxis: feedLimit.limiting_axis
+    };
+}
+
+/**
+ * Evaluate all constraints at one operating point
+ * @param {SpeedsFeedsCalculator} calculator - Calculator for the cut
+ * @param {Object} bounds - Search bounds
+ * @param {Object} settings - Optimizer settings
+ * @param {Object} point - { rpm, fz, ae, ap }
+ * @returns {Object} - Operating point values and constraint utilizations (1.0 = at limit)
+ */
+function evaluatePoint(calculator, bounds, settings, point) {
+    const { rpm, fz, ae, ap } = point;
+    const vf = rpm * bounds.z * fz;
+
+    const forces = calculator.calculateCuttingForces(ae, ap, fz, rpm);
+    const force = forces.lateral_force_N;
+    const fzMax = getChiploadBounds(calculator, bounds, point)[1];
+    const deflection = calculator.calculateImprovedDeflection(force);
+
+    const power = calculator.calculateImprovedPower(forces, rpm);
+    const powerAvailable = calculator.getSpindlePowerAtRPM(rpm);
+    const torque = calculator.getSpindleTorque(forces, power, rpm);
+
+    return {
+        ...point,
+        vf,
+        force,
+        deflection,
+        effective_chip_thickness: forces.max_chip_thickness_mm,
+        power_W: power.shaft_power_W,
+        power_available_W: powerAvailable,
+        utilization: {
+            chipload_max: fz / fzMax,
+            machine_feed: vf / bounds.maxFeed,
+            spindle_power: powerAvailable > 0 ? power.shaft_power_W / (powerAvailable * settings.powerMargin) : Infinity,
+            spindle_torque: torque.peak_limit_Nm > 0 ? torque.peak_Nm / torque.peak_limit_Nm : Infinity,
+            deflection: deflection / settings.maxDeflection_mm,
+            radial_engagement: ae / bounds.ae[1],
+            axial_depth: ap / bounds.ap[1]
+        }
+    };
+}
+
+/**
+ * Find the largest chipload that satisfies every constraint at a given RPM and engagement
+ * @param {SpeedsFeedsCalculator} calculator - Calculator for the cut
+ * @param {Object} bounds - Search bounds
+ * @param {Object} settings - Optimizer settings
+ * @param {Object} point - { rpm, ae, ap }
+ * @returns {Object|null} - Evaluated point, or null if even the minimum chipload is infeasible
+ */
+function findMaxChipload(calculator, bounds, settings, point) {
+    const isFeasible = (fz) => {
+        const { utilization } = evaluatePoint(calculator, bounds, settings, { ...point, fz });
+        return utilization.machine_feed <= 1 && utilization.spindle_power <= 1 && utilization.spindle_torque <= 1 &&
+            utilization.deflection <= 1;
+    };
+
+    let [low, high] = getChiploadBounds(calculator, bounds, point);
+    if (!isFeasible(low)) return null;
+    if (isFeasible(high)) {
+        return evaluatePoint(calculator, bounds, settings, { ...point, fz: high });
+    }
+
+    // Bisection - every constraint grows monotonically with chipload
+    for (let i = 0; i < 30; i++) {
+        const mid = (low + high) / 2;
+        if (isFeasible(mid)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return evaluatePoint(calculator, bounds, settings, { ...point, fz: low });
+}
+
+/**
+ * Programmed chipload range at an engagement, compensated for chip thinning
+ * @param {SpeedsFeedsCalculator} calculator - Calculator for the cut
+ * @param {Object} bounds - Search bounds (fz holds the actual chip thickness range)
+ * @param {Object} point - { ae, ap }
+ * @returns {Array<number>} - [min, max] programmed fz
+ */
+function getChiploadBounds(calculator, bounds, point) {
+    const { compensation_factor } = getProgrammedChipload({
+        tool: calculator.tool,
+        diameter: bounds.D,
+        ae: point.ae,
+        ap: point.ap,
+        chipThickness: 1,
+        maxCompensation: getMaxThinningCompensation(calculator.material)
+    });
+    return [bounds.fz[0] * compensation_factor, bounds.fz[1] * compensation_factor];
+}
+
+/**
+ * Score a candidate for the chosen objective (higher is better)
+ * @param {Object} candidate - Evaluated operating point
+ * @param {Object} settings - Optimizer settings
+ * @returns {number} - Score
+ */
+function scoreCandidate(candidate, settings) {
+    if (settings.objective === 'cycle_time') {
+        return -estimateCycleTime(candidate, settings.stock);
+    }
+    return candidate.ae * candidate.ap * candidate.vf;
+}
+
+/**
+ * Estimate cutting time to clear a block of stock with the given parameters
+ * @param {Object} candidate - Operating point with ae, ap and vf
+ * @param {Object} stock - { length_mm, width_mm, depth_mm }
+ * @returns {number} - Cutting time in minutes
+ */
+function estimateCycleTime(candidate, stock) {
+    const depthPasses = Math.ceil(stock.depth_mm / candidate.ap - 1e-9);
+    const widthPasses = Math.ceil(stock.width_mm / candidate.ae - 1e-9);
+    return (depthPasses * widthPasses * stock.length_mm) / candidate.vf;
+}
+
+/**
+ * Build the optimizer result and identify the binding constraint
+ * @param {Object} best - Best evaluated operating point
+ * @param {Object} bounds - Search bounds
+ * @param {Object} settings - Optimizer settings
+ * @returns {Object} - Optimizer result
+ */
+function formatOptimum(best, bounds, settings) {
+    const constraints = Object.entries(best.utilization).map(([name, utilization]) => ({
+        name,
+        description: OPTIMIZER_CONSTRAINTS[name],
+        utilization_percent: parseFloat((utilization * 100).toFixed(1))
+    }));
+
+    const binding = getTightestChiploadLimit(best.utilization);
+
+    const activeConstraints = constraints
+        .filter(c => c.utilization_percent >= 99)
+        .map(c => c.name);
+    if ((bounds.rpmClampedLow && best.rpm <= bounds.rpm[0]) || (bounds.rpmClampedHigh && best.rpm >= bounds.rpm[1])) {
+        activeConstraints.push('rpm_range');
+    }
+
+    const result = {
+        feasible: true,
+        objective: settings.objective,
+        rpm: Math.round(best.rpm),
+        fz_mm: parseFloat(best.fz.toFixed(4)),
+        effective_chip_thickness_mm: parseFloat(best.effective_chip_thickness.toFixed(4)),
+        feed_mm_min: Math.round(best.vf),
+        ae_mm: parseFloat(best.ae.toFixed(2)),
+        ap_mm: parseFloat(best.ap.toFixed(2)),
+        mrr_mm3_min: Math.round(best.ae * best.ap * best.vf),
+        power_W: Math.round(best.power_W),
+        power_available_W: Math.round(best.power_available_W),
+        force_N: Math.round(best.force),
+        deflection_mm: parseFloat(best.deflection.toFixed(4)),
+        max_feed_mm_min: Math.round(bounds.maxFeed),
+        feed_limit_axis: bounds.feedLimitAxis,
+        binding_constraint: binding,
+        binding_constraint_description: OPTIMIZER_CONSTRAINTS[binding],
+        active_constraints: activeConstraints,
+        constraints
+    };
+
+    if (settings.objective === 'cycle_time') {
+        result.cycle_time_min = parseFloat(estimateCycleTime(best, settings.stock).toFixed(2));
+    }
+
+    return result;
+}
+
+/**
+ * Find the constraint that stops the chipload search (engagement limits are handled by the grid)
+ * @param {Object} utilization - Constraint utilizations from evaluatePoint
+ * @returns {string} - Constraint name
+ */
+function getTightestChiploadLimit(utilization) {
+    return ['chipload_max', 'machine_feed', 'spindle_power', 'spindle_torque', 'deflection']
+        .reduce((tightest, name) => utilization[name] > utilization[tightest] ? name : tightest);
+}
+
+/**
+ * Evenly spaced values between two limits (inclusive)
+ * @param {number} start - First value
+ * @param {number} end - Last value
+ * @param {number} steps - Number of values
+ * @returns {Array<number>} - Values
+ */
+function linspace(start, end, steps) {
+    if (steps <= 1 || start === end) return [end];
+    const step = (end - start) / (steps - 1);
+    return Array.from({ length: steps }, (_, i) => start + i * step);
+}
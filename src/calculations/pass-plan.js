@@ -0,0 +1,187 @@
+// Pass Plan Module
+// Roughing and finishing passes for a depth and width of stock, with the parameters of each pass and a time estimate
+
+import { PASS_PLAN_CONSTANTS } from '../utils/constants.js';
+import { CUT_TYPES, TOOL_TYPES } from '../data/tools.js';
+import { MACHINE_UTILS } from '../data/machines.js';
+import { DRILLING_CUT_TYPES } from './drilling.js';
+import { THREAD_CUT_TYPES } from './thread-milling.js';
+import { computeCut, createCalculator, resolveInputs } from './compute.js';
+
+// Pass plan operations in the order they are cut; surface is the surface the operation leaves finished
+export const PASS_OPERATIONS = {
+    rough: { name: 'Rough', description: 'Equal steps down and across to the finishing allowance', surface: null },
+    finish_floor: { name: 'Finish Floor', description: 'Floor allowance at the facing stepover of the tool', surface: 'floor' },
+    finish_wall: { name: 'Finish Wall', description: 'Wall allowance in equal steps down the wall', surface: 'wall' }
+};
+
+/**
+ * Plan roughing and finishing passes to remove a block of stock
+ * @param {Object} cutInputs - Same inputs as computeCut; doc_mm and woc_mm are set for each pass and slot_width_mm is ignored
+ * @param {Object} stock - { depth_mm, width_mm, length_mm, wall_length_mm }; width defaults to one stepover plus the wall allowance,
+ *                         wall_length to length
+ * @param {Object} options - { finish, wall_stock_mm, floor_stock_mm }; finish: false plans roughing only
+ * @returns {Object} - Stock to leave, each operation with its passes and computeCut parameters, and time totals
+ */
+export function planPasses(cutInputs, stock, options = {}) {
+    // Passes are straight; trochoidal loops have their own feed and removal rate
+    const inputs = { ...cutInputs, slot_width_mm: null };
+    const resolved = resolveInputs(inputs);
+    const { machine, tool, cutType } = resolved;
+    if (DRILLING_CUT_TYPES.includes(cutType) || THREAD_CUT_TYPES.includes(cutType)) {
+        throw new Error(`Pass plans are for milling cuts - ${cutType} has its own cycle`);
+    }
+    if (!(stock?.depth_mm > 0)) {
+        throw new Error('Stock depth must be positive');
+    }
+
+    // The recommended engagement for the cut is the largest roughing step
+    const base = computeCut({ ...inputs, doc_mm: null, woc_mm: null });
+    const diameter = tool.diameter_mm || base.effective_diameter_mm;
+    const fullWidth = isFullWidthCut(cutType);
+    const maxDepth = base.ap_mm;
+    const maxStepover = fullWidth ? diameter : base.ae_mm;
+    const warnings = [];
+
+    // Finishing allowances; floor-finishing cuts have no wall and full-width cuts cannot leave one
+    const finish = options.finish !== false;
+    const depth = stock.depth_mm;
+    let wallStock = finish && !fullWidth && CUT_TYPES[cutType]?.finishSurface !== 'floor'
+        ? options.wall_stock_mm ?? getDefaultStock(diameter, PASS_PLAN_CONSTANTS.WALL_STOCK_D)
+        : 0;
+    const floorStock = finish
+        ? Math.min(options.floor_stock_mm ?? getDefaultStock(diameter, PASS_PLAN_CONSTANTS.FLOOR_STOCK_D), depth / 2)
+        : 0;
+
+    const width = stock.width_mm ?? (fullWidth ? diameter : maxStepover + wallStock);
+    if (fullWidth && width > diameter) {
+        warnings.push({ type: 'warning', message: `Stock is wider than the ${diameter}mm ${cutType} - plan the extra width as a profile cut` });
+    }
+    wallStock = Math.min(wallStock, width / 2);
+    const length = stock.length_mm ?? PASS_PLAN_CONSTANTS.DEFAULT_LENGTH_MM;
+    const wallLength = stock.wall_length_mm ?? length;
+
+    // Equal roughing steps down and across to the allowances
+    const roughDepth = depth - floorStock;
+    const roughWidth = fullWidth ? diameter : width - wallStock;
+    const axialPasses = Math.ceil(roughDepth / maxDepth - 1e-9);
+    const radialPasses = fullWidth ? 1 : Math.ceil(roughWidth / maxStepover - 1e-9);
+    const stepDown = roughDepth / axialPasses;
+    const stepover = fullWidth ? null : roughWidth / radialPasses;
+
+    const plan = (operation, ap, ae, levels, radialSteps, passLength = length, opInputs = inputs) => planOperation({
+        inputs: operation === 'rough' && finish ? { ...opInputs, target_ra_um: null } : opInputs,
+        operation, ap, ae, levels, radialSteps, length: passLength, machine, finish
+    });
+
+    // Roughing ignores the surface finish target unless nothing is left to finish
+    const operations = [
+        plan('rough', stepDown, stepover, Array.from({ length: axialPasses }, (_, i) => stepDown * (i + 1)), radialPasses)
+    ];
+    if (floorStock > 0) {
+        // The floor is a light cut across the roughed width, taken at the facing stepover when the tool can face
+        const floorInputs = !fullWidth && TOOL_TYPES[tool.type]?.supportedCuts.includes('facing')
+            ? { ...inputs, cutType: 'facing' }
+            : inputs;
+        const floorStepover = fullWidth
+            ? null
+            : Math.max(stepover, computeCut({ ...floorInputs, doc_mm: floorStock, woc_mm: null }).ae_mm);
+        const floorPasses = fullWidth ? 1 : Math.ceil(roughWidth / floorStepover - 1e-9);
+        operations.push(plan('finish_floor', floorStock, fullWidth ? null : roughWidth / floorPasses, [depth], floorPasses, length, floorInputs));
+    }
+    if (wallStock > 0) {
+        // Walls are finished in equal steps within the flute length and the material's depth limit for the cut
+        const calculator = createCalculator(resolved);
+        const wallLimit = Math.min(calculator.getMaxAllowableDOC(diameter), tool.flute_length_mm || tool.cutting_length_mm || Infinity);
+        const wallPasses = Math.ceil(depth / wallLimit - 1e-9);
+        const wallStep = depth / wallPasses;
+        operations.push(plan('finish_wall', wallStep, wallStock, Array.from({ length: wallPasses }, (_, i) => wallStep * (i + 1)), 1, wallLength));
+    }
+
+    // Full-width cuts only sweep the tool diameter, however wide the stock
+    const sweptWidth = fullWidth ? Math.min(width, diameter) : width;
+    const cuttingTime = operations.reduce((sum, op) => sum + op.cutting_time_min, 0);
+    const rapidTime = operations.reduce((sum, op) => sum + op.rapid_time_min, 0);
+    const accelTime = operations.reduce((sum, op) => sum + op.accel_time_min, 0);
+    return {
+        depth_mm: depth,
+        width_mm: parseFloat(width.toFixed(3)),
+        length_mm: length,
+        max_pass_depth_mm: maxDepth,
+        max_stepover_mm: parseFloat(maxStepover.toFixed(3)),
+        wall_stock_mm: parseFloat(wallStock.toFixed(3)),
+        floor_stock_mm: parseFloat(floorStock.toFixed(3)),
+        operations,
+        total_passes: operations.reduce((sum, op) => sum + op.passes, 0),
+        cutting_time_min: parseFloat(cuttingTime.toFixed(2)),
+        rapid_time_min: parseFloat(rapidTime.toFixed(2)),
+        accel_time_min: parseFloat(accelTime.toFixed(2)),
+        total_time_min: parseFloat((cuttingTime + rapidTime + accelTime).toFixed(2)),
+        removed_volume_mm3: Math.round(depth * sweptWidth * length),
+        warnings
+    };
+}
+
+/**
+ * Calculate one operation of a pass plan
+ * @param {Object} params - { inputs, operation, ap, ae, levels, radialSteps, length, machine, finish }
+ * @returns {Object} - Passes, engagement, computeCut parameters and times for the operation
+ */
+function planOperation(params) {
+    const { inputs, operation, ap, ae, levels, radialSteps, length, machine, finish } = params;
+    const result = computeCut({ ...inputs, doc_mm: ap, woc_mm: ae });
+    const passes = levels.length * radialSteps;
+
+    // Report the finish of the surface this operation leaves, or of roughing when it is the last operation
+    const surface = PASS_OPERATIONS[operation].surface;
+    const finished = surface ? result.surface_finish?.surface === surface : !finish;
+
+    // Each pass cuts its length, retracts from its depth to the clearance plane, returns at rapid and plunges back,
+    // starting and stopping every move at the machine's acceleration
+    const rapidXY = MACHINE_UTILS.getFeedLimitForMove(machine, 0).max_feed_mm_min;
+    const rapidZ = MACHINE_UTILS.getFeedLimitForMove(machine, 90).max_feed_mm_min;
+    const cut = result.feed_mm_min > 0 ? MACHINE_UTILS.getMoveTime(machine, length, result.feed_mm_min) : { time_min: Infinity, accel_time_min: 0 };
+    const rapidReturn = MACHINE_UTILS.getMoveTime(machine, length, rapidXY);
+    let cuttingTime = 0;
+    let rapidTime = 0;
+    let accelTime = 0;
+    for (const level of levels) {
+        const retract = MACHINE_UTILS.getMoveTime(machine, level + PASS_PLAN_CONSTANTS.CLEARANCE_MM, rapidZ, 90);
+        const moves = [rapidReturn, retract, retract];
+        cuttingTime += radialSteps * (cut.time_min - cut.accel_time_min);
+        rapidTime += radialSteps * moves.reduce((sum, move) => sum + move.time_min - move.accel_time_min, 0);
+        accelTime += radialSteps * [cut, ...moves].reduce((sum, move) => sum + move.accel_time_min, 0);
+    }
+
+    return {
+        operation,
+        name: PASS_OPERATIONS[operation].name,
+        passes,
+        axial_levels_mm: levels.map(level => parseFloat(level.toFixed(3))),
+        radial_steps: radialSteps,
+        ap_mm: result.ap_mm,
+        ae_mm: result.ae_mm,
+        rpm: result.rpm,
+        feed_mm_min: result.feed_mm_min,
+        fz_mm: result.fz_mm,
+        power_W: result.power_W,
+        power_utilization_percent: result.power_utilization_percent,
+        deflection_mm: result.deflection_mm,
+        surface_finish: finished ? result.surface_finish : null,
+        cutting_time_min: parseFloat(cuttingTime.toFixed(2)),
+        rapid_time_min: parseFloat(rapidTime.toFixed(2)),
+        accel_time_min: parseFloat(accelTime.toFixed(2)),
+        tool_life_min: result.tool_life_min,
+        warnings: result.warnings
+    };
+}
+
+function isFullWidthCut(cutType) {
+    const cutDef = CUT_TYPES[cutType];
+    const aeRange = cutDef?.ae_fraction_range || [cutDef?.ae_fraction, cutDef?.ae_fraction];
+    return aeRange[0] >= 1;
+}
+
+function getDefaultStock(diameter, fraction) {
+    return Math.min(PASS_PLAN_CONSTANTS.MAX_STOCK_MM, Math.max(PASS_PLAN_CONSTANTS.MIN_STOCK_MM, diameter * fraction));
+}
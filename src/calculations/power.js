@@ -1,7 +1,10 @@
 // Power and Torque Calculation Module
 // Based on physics-based cutting models and validated formulas
 
-import { POWER_CONSTANTS, CONVERSIONS } from '../utils/constants.js';
+import { POWER_CONSTANTS, COOLANT_CONSTANTS, CONVERSIONS } from '../utils/constants.js';
+import { calculateCuttingForces } from './forces.js';
+import { COOLANT_MODES, calculateHeatPartition } from './coolant.js';
+import { SPINDLE_UTILS } from '../data/spindles.js';
 
 /**
  * Calculate cutting power requirements
@@ -12,7 +15,6 @@ export function calculateCuttingPower(params) {
     const {
         material,
         tool,
-        cutType,
         rpm,
         feedRate,
         doc,        // Depth of cut (axial)
@@ -23,52 +25,74 @@ export function calculateCuttingPower(params) {
     // Material Removal Rate (mm³/min)
     const mrr = woc * doc * feedRate;
     
-    // Get specific cutting energy for material
-    const specificEnergy = getSpecificCuttingEnergy(material);
-    
-    // Base cutting power (W)
-    const baseCuttingPower = (mrr * specificEnergy) / 60; // Convert mm³/min to mm³/s
-    
-    // Tool geometry factor
-    const toolFactor = getToolPowerFactor(tool, cutType);
-    
-    // Tool efficiency factor (includes coating effects)
-    const toolEfficiency = getToolEfficiency(tool);
-    
-    // Machine rigidity factor
-    const rigidityFactor = machine.K_rigidity || 1.0;
+    // Cutting forces - use the caller's force calculation when given so all models agree
+    const forces = params.forces || calculateCuttingForces({
+        material,
+        tool,
+        ae: woc,
+        ap: doc,
+        fz: feedRate / (rpm * (tool.flutes || 2)),
+        rpm
+    });
+    
+    // Cutting power through the spindle, motor and drive losses
+    const breakdown = calculatePowerBreakdown({
+        cutting_power_W: forces.cutting_power_W,
+        rpm,
+        tool,
+        machine,
+        spindle: params.spindle
+    });
     
-    // Calculate net cutting power (applying efficiency to reduce power requirement)
-    const netCuttingPower = baseCuttingPower * toolFactor * rigidityFactor / toolEfficiency;
+    return {
+        mrr_mm3_min: mrr,
+        ...breakdown,
+        specific_energy_J_mm3: forces.kc_N_mm2 / 1000 // kc in N/mm² = mJ/mm³
+    };
+}
+
+/**
+ * Follow cutting power through the spindle, motor and drive losses to the wall
+ * @param {Object} params - { cutting_power_W, rpm, tool, machine, spindle } with cutting_power_W from the tangential force (Ft · vc)
+ * @returns {Object} - Cutting power (Ft · vc), process and friction losses, shaft power (what the spindle curve must supply),
+ *                     motor input and wall power in watts
+ */
+export function calculatePowerBreakdown(params) {
+    const { rpm, tool, machine, spindle } = params;
+    const cuttingPower = params.cutting_power_W;
     
-    // Add spindle losses (empirical values)
-    const spindleLosses = calculateSpindleLosses(rpm, params.spindle);
+    // Tool efficiency (coating) and machine rigidity surcharge on the tangential force power; it scales with the cut,
+    // and never takes the shaft below Ft · vc
+    const processFactor = Math.max(0, (machine.K_rigidity || 1.0) / getToolEfficiency(tool) - 1);
+    const processLosses = cuttingPower * processFactor;
     
-    // Total power at spindle
-    const totalSpindlePower = netCuttingPower + spindleLosses;
+    // Bearing friction and windage depend on RPM alone
+    const frictionLosses = calculateSpindleLosses(rpm, spindle);
     
-    // Account for drive system efficiency
-    const driveEfficiency = POWER_CONSTANTS.DRIVE_EFFICIENCY;
-    const totalMotorPower = totalSpindlePower / driveEfficiency;
+    // The spindle curve is shaft power; the motor and VFD losses come on top of it
+    const shaftPower = cuttingPower + processLosses + frictionLosses;
+    const motorInput = shaftPower / POWER_CONSTANTS.MOTOR_EFFICIENCY;
+    const wallPower = motorInput / POWER_CONSTANTS.DRIVE_EFFICIENCY;
     
     return {
-        mrr_mm3_min: mrr,
-        net_cutting_power_W: netCuttingPower,
-        spindle_losses_W: spindleLosses,
-        total_spindle_power_W: totalSpindlePower,
-        total_motor_power_W: totalMotorPower,
-        specific_energy_J_mm3: specificEnergy,
-        power_efficiency: driveEfficiency
+        cutting_power_W: cuttingPower,
+        process_losses_W: processLosses,
+        friction_losses_W: frictionLosses,
+        shaft_power_W: shaftPower,
+        motor_input_W: motorInput,
+        wall_power_W: wallPower,
+        motor_efficiency: POWER_CONSTANTS.MOTOR_EFFICIENCY,
+        drive_efficiency: POWER_CONSTANTS.DRIVE_EFFICIENCY
     };
 }
 
 /**
  * Calculate spindle torque requirements
- * @param {Object} params - Calculation parameters
- * @returns {Object} - Torque calculation results
+ * @param {Object} params - { rpm, power_W, tool, cutType, forces }; with forces the peak comes from the tooth engagement
+ * @returns {Object} - Mean torque from the power, peak torque as teeth enter and leave the cut, and the factor between them
  */
 export function calculateSpindleTorque(params) {
-    const { rpm, power_W, tool, cutType } = params;
+    const { rpm, power_W, tool, cutType, forces } = params;
     
     // Convert RPM to rad/s
     const omega = (rpm * 2 * Math.PI) / 60;
@@ -76,8 +100,8 @@ export function calculateSpindleTorque(params) {
     // Calculate torque from power
     const baseTorque = power_W / omega;
     
-    // Tool-specific torque factors
-    const torqueFactor = getToolTorqueFactor(tool, cutType);
+    // Peak over the mean from the engagement when the forces are known, otherwise tool-specific torque factors
+    const torqueFactor = forces ? getPeakTorqueFactor(forces) : getToolTorqueFactor(tool, cutType);
     
     // Effective torque
     const effectiveTorque = baseTorque * torqueFactor;
@@ -90,27 +114,28 @@ export function calculateSpindleTorque(params) {
     };
 }
 
+// Peak torque over the mean: the most teeth in the cut at once, each at the maximum chip, against the average
+// teeth in cut at the mean chip. A helix spreads each tooth's entry over its lag angle, smoothing the peak away as
+// the lag reaches the tooth pitch. A drill keeps both lips in the cut, so its torque is steady
+function getPeakTorqueFactor(forces) {
+    const { teeth_in_cut: teethInCut, mean_chip_thickness_mm: meanChip, max_chip_thickness_mm: maxChip, mc } = forces;
+    if (!(teethInCut > 0) || !(meanChip > 0)) return 1;
+    
+    const peakTeeth = Math.max(1, Math.ceil(teethInCut - 1e-9));
+    const peakFactor = (peakTeeth / teethInCut) * Math.pow(Math.max(1, maxChip / meanChip), 1 - mc);
+    const smoothing = forces.tooth_pitch_deg > 0 ? Math.min(1, (forces.helix_lag_deg || 0) / forces.tooth_pitch_deg) : 0;
+    return 1 + (peakFactor - 1) * (1 - smoothing);
+}
+
 /**
  * Get available spindle power at given RPM
  * @param {Object} spindle - Spindle configuration
  * @param {number} rpm - Operating RPM
+ * @param {string} duty - Duty rating, S1 or S6 (default: the spindle's duty, else S1)
  * @returns {number} - Available power in watts
  */
-export function getSpindlePowerAtRPM(spindle, rpm) {
-    const { rated_power_kW, base_rpm, rpm_min, rpm_max } = spindle;
-    
-    // Check if RPM is within operating range
-    if (rpm < rpm_min || rpm > rpm_max) return 0;
-    
-    const ratedPowerW = rated_power_kW * 1000;
-    
-    if (rpm <= base_rpm) {
-        // Constant torque region - power increases linearly with RPM
-        return ratedPowerW * (rpm / base_rpm);
-    } else {
-        // Constant power region - full power available
-        return ratedPowerW;
-    }
+export function getSpindlePowerAtRPM(spindle, rpm, duty) {
+    return SPINDLE_UTILS.getSpindlePowerAtRPM(spindle, rpm, duty);
 }
 
 /**
@@ -156,63 +181,6 @@ export function analyzePowerUtilization(requiredPowerW, spindle, rpm) {
     };
 }
 
-/**
- * Get specific cutting energy for material
- * @param {Object} material - Material properties
- * @returns {number} - Specific cutting energy in J/mm³
- */
-function getSpecificCuttingEnergy(material) {
-    // Use material-specific value if available
-    if (material.specific_cutting_energy_J_mm3) {
-        return material.specific_cutting_energy_J_mm3;
-    }
-    
-    // Fallback to generic values based on material type
-    const materialType = material.category || 'aluminum';
-    return POWER_CONSTANTS.SPECIFIC_CUTTING_ENERGY[materialType] || 1.0;
-}
-
-/**
- * Get tool-specific power factor
- * @param {Object} tool - Tool configuration
- * @param {string} cutType - Cut type
- * @returns {number} - Power factor multiplier
- */
-function getToolPowerFactor(tool, cutType) {
-    const toolType = tool.type;
-    
-    // Base factors by tool type
-    const toolFactors = {
-        endmill_flat: 1.0,
-        endmill_ball: 1.1,
-        chamfer: 0.9,
-        vbit: 0.8,
-        facemill: 1.3,
-        drill: 0.7,
-        threadmill: 0.6,
-        tapered: 1.05,
-        boring: 0.8,
-        slitting: 1.4
-    };
-    
-    // Modification factors by cut type
-    const cutFactors = {
-        slot: 1.2,
-        profile: 1.0,
-        adaptive: 0.8,
-        facing: 1.1,
-        plunge: 1.5,
-        drilling: 1.0,
-        chamfer: 0.9,
-        vcarve: 0.7
-    };
-    
-    const baseFactor = toolFactors[toolType] || 1.0;
-    const cutFactor = cutFactors[cutType] || 1.0;
-    
-    return baseFactor * cutFactor;
-}
-
 /**
  * Get tool-specific torque factor
  * @param {Object} tool - Tool configuration
@@ -252,38 +220,51 @@ function calculateSpindleLosses(rpm, spindle) {
     const baseLossPercent = 0.05; // 5% base losses
     const baseLosses = ratedPowerW * baseLossPercent;
     
-    // RPM-dependent losses (air resistance, bearing friction)
-    const rpmFactor = Math.pow(rpm / spindle.base_rpm, 1.5);
+    // RPM-dependent losses (air resistance, bearing friction), scaled to the top speed the bearings are built for
+    // rather than base_rpm, which only shapes the drive's torque curve
+    const rpmFactor = Math.pow(rpm / spindle.rpm_max, 1.5);
     const rpmLosses = baseLosses * 0.3 * rpmFactor;
     
     return baseLosses + rpmLosses;
 }
 
 /**
- * Calculate thermal considerations
- * @param {Object} params - Calculation parameters
- * @returns {Object} - Thermal analysis
+ * Calculate cutting temperature and the heat load on the tool
+ * @param {Object} params - { power_W, material, tool, vc, chip_thickness_mm, coolant } where coolant is a COOLANT_MODES key
+ * @returns {Object} - Heat partition, chip temperature and tool heat against its limit
  */
 export function calculateThermalEffects(params) {
-    const { power_W, material, tool, coolant = false } = params;
-    
-    // Heat generation rate (most power becomes heat)
-    const heatGenerationW = power_W * 0.85; // 85% of power becomes heat
+    const { power_W, material, tool, vc, chip_thickness_mm: chipThickness } = params;
     
-    // Tool thermal limits
-    const toolThermalLimit = getToolThermalLimit(tool);
+    // Older callers pass a boolean for coolant on/off
+    const coolant = params.coolant === true ? 'flood' : (params.coolant || 'dry');
+    const mode = COOLANT_MODES[coolant];
+    if (!mode) {
+        throw new Error(`Unknown coolant mode: ${coolant}`);
+    }
     
-    // Material thermal properties
-    const thermalConductivity = material.thermal_conductivity || 50; // W/m·K
+    // Nearly all cutting power becomes heat
+    const heatGenerationW = power_W * COOLANT_CONSTANTS.HEAT_FRACTION;
+    const partition = calculateHeatPartition({ material, tool, vc, chipThickness });
     
-    // Coolant effectiveness
-    const coolantFactor = coolant ? 0.3 : 1.0; // 70% heat reduction with coolant
+    // Mean chip temperature from the heat each mm³ of chip carries away (J/mm³ → MJ/m³)
+    const specificEnergy = (material.specific_cutting_energy_J_mm3 || 1.0) * 1000;
+    const chipTemperature = COOLANT_CONSTANTS.AMBIENT_TEMP_C +
+        specificEnergy * COOLANT_CONSTANTS.HEAT_FRACTION * partition.chip_fraction / (material.heat_capacity_MJ_m3K || 3.5);
     
-    // Effective heat in tool
-    const effectiveHeat = heatGenerationW * coolantFactor * 0.2; // 20% of heat goes to tool
+    // Coolant carries part of the tool's share away before it soaks into the edge
+    const toolHeat = heatGenerationW * partition.tool_fraction;
+    const effectiveHeat = toolHeat * (1 - mode.tool_cooling);
+    const toolThermalLimit = getToolThermalLimit(tool);
     
     return {
         heat_generation_W: heatGenerationW,
+        thermal_number: partition.thermal_number,
+        chip_heat_percent: partition.chip_fraction * 100,
+        work_heat_percent: partition.work_fraction * 100,
+        tool_heat_percent: partition.tool_fraction * 100,
+        chip_temperature_C: chipTemperature,
+        tool_heat_W: toolHeat,
         effective_tool_heat_W: effectiveHeat,
         tool_thermal_limit_W: toolThermalLimit,
         thermal_utilization_percent: (effectiveHeat / toolThermalLimit) * 100,
@@ -300,10 +281,8 @@ function getToolThermalLimit(tool) {
     const diameter = tool.diameter_mm || 6;
     const toolArea = Math.PI * diameter * diameter / 4; // mm²
     
-    // Base thermal capacity per mm² (empirical values)
-    const thermalCapacityPerArea = 0.5; // W/mm²
-    
-    return toolArea * thermalCapacityPerArea;
+    const limits = COOLANT_CONSTANTS.TOOL_HEAT_FLUX_LIMIT;
+    return toolArea * (limits[tool.material] || limits.carbide);
 }
 
 /**
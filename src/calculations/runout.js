@@ -0,0 +1,73 @@
+// Runout Module
+// Per-flute chip loads for a tool running eccentric in the spindle and the feed that keeps the worst flute in range
+
+import { RUNOUT_CONSTANTS } from '../utils/constants.js';
+
+/**
+ * Calculate the chip each flute takes with radial runout
+ * @param {number} fz - Programmed feed per tooth (mm)
+ * @param {number} flutes - Number of flutes
+ * @param {number} runout - Total indicated runout at the cutting edges (mm)
+ * @returns {Object} - { chiploads_mm, max_mm, min_mm, idle_flutes, load_share } for the worst orientation of the runout
+ */
+export function calculateFluteChiploads(fz, flutes, runout) {
+    if (flutes < 2 || runout <= 0) {
+        return summarize(Array(Math.max(1, flutes)).fill(fz), flutes, fz);
+    }
+
+    // The eccentricity is half the indicated runout; try orientations across one flute pitch
+    const eccentricity = runout / 2;
+    const pitch = 2 * Math.PI / flutes;
+    let worst = null;
+    for (let step = 0; step < RUNOUT_CONSTANTS.PHASE_SAMPLES; step++) {
+        const phase = pitch * step / RUNOUT_CONSTANTS.PHASE_SAMPLES;
+        const radii = Array.from({ length: flutes }, (_, i) => eccentricity * Math.cos(phase + pitch * i));
+
+        // A flute cuts down to the lowest surface left by the flutes ahead of it, up to one revolution back
+        const chiploads = radii.map((radius, i) => {
+            let chip = Infinity;
+            for (let k = 1; k <= flutes; k++) {
+                chip = Math.min(chip, k * fz + radius - radii[(i - k + flutes) % flutes]);
+            }
+            return Math.max(0, chip);
+        });
+
+        const candidate = summarize(chiploads, flutes, fz);
+        if (!worst || candidate.max_mm > worst.max_mm) worst = candidate;
+    }
+    return worst;
+}
+
+/**
+ * Solve the programmed feed per tooth that keeps the worst flute at a chip limit
+ * @param {number} maxChip - Largest chip any flute may take (mm)
+ * @param {number} flutes - Number of flutes
+ * @param {number} runout - Total indicated runout at the cutting edges (mm)
+ * @returns {number} - Feed per tooth (mm)
+ */
+export function solveChiploadForRunout(maxChip, flutes, runout) {
+    // The worst flute never takes less than fz, so the answer lies below the limit
+    let low = 0;
+    let high = maxChip;
+    while ((high - low) / high > RUNOUT_CONSTANTS.SOLVE_TOLERANCE) {
+        const fz = (low + high) / 2;
+        if (calculateFluteChiploads(fz, flutes, runout).max_mm <= maxChip) {
+            low = fz;
+        } else {
+            high = fz;
+        }
+    }
+    return low;
+}
+
+function summarize(chiploads, flutes, fz) {
+    const total = fz * flutes;
+    return {
+        chiploads_mm: chiploads,
+        max_mm: Math.max(...chiploads),
+        min_mm: Math.min(...chiploads),
+        idle_flutes: chiploads.filter(chip => chip <= 0).length,
+        // Share of the material per revolution taken by the most loaded flute
+        load_share: total > 0 ? Math.max(...chiploads) / total : 1
+    };
+}
@@ -0,0 +1,176 @@
+// Sensitivity Analysis Module
+// One-parameter what-if sweeps and normalized sensitivities (elasticities) of the engine outputs
+
+import { createCalculator, resolveInputs } from './compute.js';
+
+// Inputs that can be swept; get reads the value from resolved inputs, set returns new raw inputs
+export const SWEEP_PARAMETERS = {
+    diameter_mm: {
+        label: 'Tool Diameter',
+        unit: 'mm',
+        get: (inputs) => inputs.tool.diameter_mm,
+        set: (inputs, value) => ({ ...inputs, tool: { ...inputs.tool, diameter_mm: value } })
+    },
+    stickout_mm: {
+        label: 'Stickout',
+        unit: 'mm',
+        get: (inputs) => inputs.tool.stickout_mm,
+        set: (inputs, value) => ({ ...inputs, tool: { ...inputs.tool, stickout_mm: value } })
+    },
+    aggressiveness: {
+        label: 'Aggressiveness',
+        unit: '',
+        get: (inputs) => inputs.aggressiveness,
+        set: (inputs, value) => ({ ...inputs, aggressiveness: value })
+    },
+    doc_mm: {
+        label: 'Depth of Cut',
+        unit: 'mm',
+        get: (inputs, base) => inputs.doc_mm ?? base.ap_mm,
+        set: (inputs, value) => ({ ...inputs, doc_mm: value })
+    },
+    rpm: {
+        label: 'Spindle Speed',
+        unit: 'rpm',
+        get: (inputs, base) => inputs.rpm ?? base.rpm,
+        set: (inputs, value) => ({ ...inputs, rpm: value })
+    },
+    flutes: {
+        label: 'Flute Count',
+        unit: '',
+        integer: true,
+        get: (inputs) => inputs.tool.flutes,
+        set: (inputs, value) => ({ ...inputs, tool: { ...inputs.tool, flutes: value } })
+    }
+};
+
+// Calculator outputs reported by sweeps and sensitivities; get reads the value from a calculator result
+export const SWEEP_OUTPUTS = {
+    rpm: { label: 'RPM', unit: 'rpm', get: (result) => result.rpm },
+    feed_mm_min: { label: 'Feed', unit: 'mm/min', get: (result) => result.feed_mm_min },
+    power_W: { label: 'Power', unit: 'W', get: (result) => result.power_W },
+    // A drill's radial forces cancel, so its load is the thrust
+    force_N: { label: 'Force', unit: 'N', get: (result) => result.drilling?.thrust_force_N ?? result.force_N },
+    deflection_mm: { label: 'Deflection', unit: 'mm', get: (result) => result.deflection_mm }
+};
+
+/**
+ * Vary one input over a range and record the calculator outputs at each point
+ * @param {Object} inputs - Same inputs as computeCut
+ * @param {string} parameter - Key of SWEEP_PARAMETERS
+ * @param {Object} range - { from, to, steps }; defaults to ±50% of the current value
+ * @returns {Object} - Parameter metadata (label, unit, integer), the current value and one point per step
+ */
+export function sweepParameter(inputs, parameter, range = {}) {
+    const definition = getParameterDefinition(parameter);
+    const base = runCalculator(inputs);
+    const current = getCurrentValue(definition, inputs, base, parameter);
+
+    const from = range.from ?? current * 0.5;
+    const to = range.to ?? current * 1.5;
+    const steps = Math.max(2, range.steps ?? 11);
+    if (!(from > 0) || !(to > from)) {
+        throw new Error(`Sweep range for ${definition.label} must be positive and increasing`);
+    }
+
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+        const value = from + (to - from) * i / (steps - 1);
+        const rounded = definition.integer ? Math.round(value) : value;
+        if (!values.includes(rounded)) values.push(rounded);
+    }
+
+    const points = values.map(value => {
+        try {
+            const result = runCalculator(definition.set(inputs, value));
+            return { value, ...pickOutputs(result), warnings: result.warnings };
+        } catch (error) {
+            return { value, error: error.message };
+        }
+    });
+
+    return {
+        parameter,
+        label: definition.label,
+        unit: definition.unit,
+        integer: Boolean(definition.integer),
+        current_value: current,
+        points
+    };
+}
+
+/**
+ * Calculate normalized sensitivities d(ln output)/d(ln input) at the current operating point
+ * @param {Object} inputs - Same inputs as computeCut
+ * @param {Object} options - { parameters, step } where step is the relative perturbation (default 5%)
+ * @returns {Object} - Baseline outputs and elasticities[parameter][output] (null where undefined)
+ */
+export function calculateSensitivities(inputs, options = {}) {
+    const { parameters = Object.keys(SWEEP_PARAMETERS), step = 0.05 } = options;
+    const base = runCalculator(inputs);
+    const baseline = pickOutputs(base);
+
+    const elasticities = {};
+    const values = {};
+    for (const parameter of parameters) {
+        const definition = getParameterDefinition(parameter);
+        const current = definition.get(resolveInputs(inputs), base);
+        if (!(current > 0)) continue;
+
+        // Central difference; integer inputs move by one step
+        const low = definition.integer ? Math.max(1, current - 1) : current * (1 - step);
+        const high = definition.integer ? current + 1 : current * (1 + step);
+
+        let lowResult, highResult;
+        try {
+            lowResult = pickOutputs(runCalculator(definition.set(inputs, low)));
+            highResult = pickOutputs(runCalculator(definition.set(inputs, high)));
+        } catch (error) {
+            continue;
+        }
+
+        const inputChange = (high - low) / current;
+        values[parameter] = current;
+        elasticities[parameter] = {};
+        for (const output of Object.keys(SWEEP_OUTPUTS)) {
+            elasticities[parameter][output] = baseline[output]
+                ? parseFloat((((highResult[output] - lowResult[output]) / baseline[output]) / inputChange).toFixed(3))
+                : null;
+        }
+    }
+
+    return { baseline, values, elasticities };
+}
+
+/**
+ * Run the speeds and feeds engine for computeCut-style inputs
+ * @param {Object} inputs - Same inputs as computeCut
+ * @returns {Object} - SpeedsFeedsCalculator result
+ */
+function runCalculator(inputs) {
+    return createCalculator(resolveInputs(inputs)).calculate();
+}
+
+function getParameterDefinition(parameter) {
+    const definition = SWEEP_PARAMETERS[parameter];
+    if (!definition) {
+        throw new Error(`Unknown sweep parameter: ${parameter} (expected ${Object.keys(SWEEP_PARAMETERS).join(', ')})`);
+    }
+    return definition;
+}
+
+function getCurrentValue(definition, inputs, base, parameter) {
+    const current = definition.get(resolveInputs(inputs), base);
+    if (!(current > 0)) {
+        throw new Error(`${parameter} is not defined for a ${inputs.tool.type} tool`);
+    }
+    return current;
+}
+
+function pickOutputs(result) {
+    const outputs = {};
+    for (const [output, definition] of Object.entries(SWEEP_OUTPUTS)) {
+        outputs[output] = definition.get(result);
+    }
+    return outputs;
+}
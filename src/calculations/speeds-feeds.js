@@ -1,10 +1,49 @@
 // Enhanced Speeds & Feeds Calculation Engine
 // Based on validated formulas and industry standards
 
-import { MATERIAL_CONSTANTS } from '../data/materials.js';
+import { calculateToolDeflection } from './deflection.js';
+import {
+    THREAD_MILLING_CONSTANTS,
+    MACHINING_CONSTANTS,
+    TOOL_LIFE_CONSTANTS,
+    SURFACE_FINISH_CONSTANTS,
+    TROCHOIDAL_CONSTANTS,
+    POWER_CONSTANTS,
+    WARNING_THRESHOLDS
+} from '../utils/constants.js';
+import { TOOL_TYPES, CUT_TYPES, TOOL_UTILS } from '../data/tools.js';
+import { calculateCuttingForces } from './forces.js';
+import { getProgrammedChipload, getMaxThinningCompensation } from './chip-thickness.js';
+import { calculateBallEffectiveDiameter, calculateScallopHeight, calculateStepoverForScallop } from './ball-nose.js';
+import {
+    DRILLING_CUT_TYPES,
+    getDrillFeedPerRev,
+    getDefaultHoleDepth,
+    calculateDrillingForces,
+    planPecks,
+    checkZAxisThrust
+} from './drilling.js';
+import {
+    THREAD_CUT_TYPES,
+    resolveThreadSpec,
+    planRadialPasses,
+    getCircularEngagementAngle,
+    getHelicalFeedFactor,
+    estimateThreadCycleTime
+} from './thread-milling.js';
+import { ENTRY_TOOL_TYPES, calculateEntryMoves, getMaxRampAngle } from './entry-moves.js';
+import { MACHINE_UTILS } from '../data/machines.js';
+import { checkAxisLoads } from './axis-load.js';
+import { getTaylorConstants, resolveEconomics, getEconomicSpeed, calculateCostPerPart, SPEED_MODES } from './tool-life.js';
+import { getFinishSurface, predictSurfaceFinish, solveChiploadForRoughness } from './surface-finish.js';
+import { SPINDLE_UTILS } from '../data/spindles.js';
+import { calculateFluteChiploads, solveChiploadForRunout } from './runout.js';
+import { COOLANT_MODES, resolveCoolant, getCoolantFactors } from './coolant.js';
+import { calculateThermalEffects, calculateSpindleTorque, calculatePowerBreakdown } from './power.js';
+import { calculateTrochoid, calculateTrochoidalMRR } from './trochoidal.js';
 
 export class SpeedsFeedsCalculator {
-    constructor(machine, spindle, tool, material, cutType, aggressiveness = 1.0, userDOC = null) {
+    constructor(machine, spindle, tool, material, cutType, aggressiveness = 1.0, userDOC = null, targetChipThickness = null, contour = null, thread = null, userRPM = null, economics = null, targetRa = null, coolant = null, userWOC = null, slotWidth = null) {
         this.machine = machine;
         this.spindle = spindle;
         this.tool = tool;
@@ -12,86 +51,106 @@ export class SpeedsFeedsCalculator {
         this.cutType = cutType;
         this.aggressiveness = aggressiveness;
         this.userDOC = userDOC; // User-specified Depth of Cut override
+        this.targetChipThickness = targetChipThickness; // User-specified actual chip thickness (mm)
+        this.contour = contour; // Ball nose surface settings: { tilt_angle_deg, scallop_mm, stepover_mm }
+        this.thread = thread; // Thread spec for thread milling: { designation | major_diameter_mm + pitch_mm, internal, length_mm }
+        this.userRPM = userRPM; // User-specified spindle speed override
+        this.economics = resolveEconomics(economics); // Speed mode and cost inputs for tool life economics
+        this.targetRa = targetRa; // User-specified surface finish target (Ra, µm)
+        this.coolant = resolveCoolant(coolant, material); // Coolant mode, defaulting to the material's recommended mode
+        this.coolantFactors = getCoolantFactors(material, this.coolant.mode);
+        this.userWOC = userWOC; // User-specified width of cut (radial engagement) override
+        this.slotWidth = slotWidth; // Slot width for trochoidal loops on the adaptive cut (mm)
         this.warnings = [];
     }
 
     calculate() {
         this.warnings = [];
+        this.validateToolCut();
+        
+        // Drilling cycles use their own feed-per-rev and thrust model
+        if (DRILLING_CUT_TYPES.includes(this.cutType)) {
+            return this.calculateDrilling();
+        }
+        
+        // Thread milling orbits a helical path with its own engagement geometry
+        if (THREAD_CUT_TYPES.includes(this.cutType)) {
+            return this.calculateThreadMilling();
+        }
         
         // Get effective diameter based on tool type
         const D = this.getEffectiveDiameter();
         const z = this.getEffectiveFlutes();
         
+        // Get engagement parameters with user DOC override
+        const { ae, ap } = this.getEngagementParams(D);
+        
+        // Diameter actually cutting at this depth (smaller than D for shallow ball nose cuts)
+        const Dc = this.getEffectiveDiameter(ap);
+        
         // Get tool-specific speed factor
         const speedFactor = this.getSpeedFactor();
         
-        // Calculate surface speed (vc) from material properties
-        const vcRange = this.material.vc_range;
-        const vc = (vcRange[0] + vcRange[1]) / 2 * speedFactor * this.aggressiveness;
+        // Calculate surface speed (vc) from material properties and the speed mode
+        const vc = this.getCuttingSpeed(speedFactor);
         
-        // Calculate RPM from surface speed
-        let rpm = (vc * 1000) / (Math.PI * D);
+        // Calculate RPM from surface speed at the cutting diameter, clamped to spindle limits
+        const rpm = this.getRPM(vc, Dc);
         
-        // Clamp RPM to spindle limits
-        const { rpm_min, rpm_max } = this.spindle;
-        if (rpm < rpm_min) {
-            rpm = rpm_min;
-            this.warnings.push({ type: 'warning', message: 'RPM limited by spindle minimum' });
-        } else if (rpm > rpm_max) {
-            rpm = rpm_max;
-            this.warnings.push({ type: 'warning', message: 'RPM limited by spindle maximum' });
-        }
-        
-        // Get chipload range and calculate feed per tooth
+        // Get chipload range - the table values are actual chip thickness
         const fzRange = this.getChiploadRange(D);
         const toolFactor = this.material.toolChiploadFactors[this.tool.type] || 1.0;
         const coatingFactor = this.getCoatingChiploadFactor();
-        let fz = (fzRange[0] + fzRange[1]) / 2 * this.aggressiveness * toolFactor * coatingFactor;
+        const chipTarget = this.targetChipThickness !== null
+            ? this.targetChipThickness
+            : (fzRange[0] + fzRange[1]) / 2 * this.aggressiveness * toolFactor * coatingFactor * this.coolantFactors.fz;
         
-        // Get engagement parameters with user DOC override
-        const { ae, ap } = this.getEngagementParams(D);
+        // Compensate for radial and axial chip thinning so the actual chip matches the target
+        let fz = this.applyChipThinning(chipTarget, Dc, ae, ap);
         
-        // Apply chip thinning correction if needed
-        if (this.material.chip_thinning && ae < D * this.material.chip_thinning.enable_below_fraction) {
-            const thinningFactor = Math.sqrt(D / ae);
-            fz *= thinningFactor;
-            this.warnings.push({ type: 'info', message: 'Chip thinning compensation applied' });
-        }
+        // Keep the flute that runout overloads within the chipload range
+        let fzAdjusted = this.applyRunoutDerate(fz, z, chipTarget / fz, Math.max(fzRange[1], chipTarget));
         
-        // Calculate feed rate
-        let vf = rpm * z * fz;
-        let fzAdjusted = fz;
+        // Calculate feed rate, slowed for a target Ra if one is set
+        fzAdjusted = this.getChiploadForFinish(fzAdjusted, Dc, z, ae);
+        let vf = rpm * z * fzAdjusted;
         
-        // Check machine feed limits
-        const maxFeed = Math.min(
-            this.machine.max_feed_mm_min.x,
-            this.machine.max_feed_mm_min.y,
-            this.machine.max_feed_mm_min.z
-        );
-        if (vf > maxFeed) {
-            vf = maxFeed;
+        // Trochoidal loops are programmed at the tool centre, which moves slower than the cutting edge
+        const trochoid = this.getTrochoid(D, ae);
+        const feedFactor = trochoid ? trochoid.feed_factor : 1;
+        
+        // Check machine feed limits for the direction of the cutting move
+        const feedLimit = this.limitFeed(vf * feedFactor, this.getMoveAngle());
+        if (feedLimit.limited) {
+            vf = feedLimit.feed_mm_min / feedFactor;
             fzAdjusted = vf / (rpm * z);
-            this.warnings.push({ type: 'warning', message: 'Feed limited by machine' });
         }
         
         // Calculate MRR (Material Removal Rate)
         let mrr = this.calculateMRR(D, ae, ap, vf);
         
-        // Calculate power requirement using improved model
-        const powerRequired = this.calculateImprovedPower(ae, ap, vf);
+        // Power limiting - cutting forces for power, deflection and warnings all come from the solved chipload
         const powerAvailable = this.getSpindlePowerAtRPM(rpm);
+        const powerLimit = this.limitPower(ratio => this.calculateCuttingForces(ae, ap, fzAdjusted * ratio, rpm), rpm, powerAvailable);
+        let { forces, power } = powerLimit;
+        vf *= powerLimit.ratio;
+        fzAdjusted *= powerLimit.ratio;
+        mrr *= powerLimit.ratio;
         
-        // Power limiting
-        if (powerRequired > powerAvailable * 0.9) {
-            const powerRatio = (powerAvailable * 0.85) / powerRequired;
-            vf *= powerRatio;
-            fzAdjusted *= powerRatio;
-            mrr *= powerRatio;
-            this.warnings.push({ type: 'warning', message: 'Power limited' });
-        }
+        // Torque limiting - tooth-entry peaks stall a spindle at low RPM before the mean power reaches its limit
+        const torqueLimit = this.limitTorque(ratio => this.calculateCuttingForces(ae, ap, fzAdjusted * ratio, rpm), rpm, forces, power);
+        ({ forces, power } = torqueLimit);
+        const torque = torqueLimit.torque;
+        vf *= torqueLimit.ratio;
+        fzAdjusted *= torqueLimit.ratio;
+        mrr *= torqueLimit.ratio;
+        
+        // Part of each trochoidal loop is spent in air, so report the average removal rate
+        const programmedFeed = vf * feedFactor;
+        const trochoidResults = this.getTrochoidResults(trochoid, ap, vf, mrr);
+        if (trochoidResults) mrr = trochoidResults.average_mrr_mm3_min;
         
-        // Calculate cutting forces
-        const cuttingForce = this.calculateCuttingForce(ae, ap, fzAdjusted);
+        const cuttingForce = forces.lateral_force_N;
         
         // Calculate tool deflection
         let deflection = 0;
@@ -104,38 +163,574 @@ export class SpeedsFeedsCalculator {
             }
         }
         
-        // Validate minimum chipload
-        this.validateChipload(fzAdjusted, fzRange);
+        // Validate the actual chip thickness against the material range, for the average and the runout-loaded flutes
+        this.validateChipload(forces.max_chip_thickness_mm, fzRange);
+        const runout = this.getRunoutResults(fzAdjusted, z, forces, fzRange, cuttingForce);
         
         // Tool-specific warnings
         this.addToolSpecificWarnings(D, ap, vf, cuttingForce);
         
         // Calculate actual surface speeds
-        const vcActual = (Math.PI * D * rpm) / 1000;
+        const vcActual = (Math.PI * Dc * rpm) / 1000;
         const sfmActual = vcActual * 3.28084;
         
         return {
             rpm: Math.round(rpm),
-            feed_mm_min: Math.round(vf),
+            feed_mm_min: Math.round(programmedFeed),
             fz_mm: parseFloat(fzAdjusted.toFixed(4)),
             fz_actual_mm: parseFloat(fz.toFixed(4)),
+            effective_chip_thickness_mm: parseFloat(forces.max_chip_thickness_mm.toFixed(4)),
+            target_chip_thickness_mm: parseFloat(chipTarget.toFixed(4)),
+            chip_thinning_factor: parseFloat((fz / chipTarget).toFixed(3)),
             ae_mm: parseFloat(ae.toFixed(2)),
             ap_mm: parseFloat(ap.toFixed(2)), // This is the DOC (Depth of Cut)
             doc_mm: parseFloat(ap.toFixed(2)), // Explicit DOC field
             mrr_mm3_min: Math.round(mrr),
-            power_W: Math.round(powerRequired),
-            power_available_W: Math.round(powerAvailable),
+            ...this.getPowerResults(power, powerAvailable),
+            ...this.getTorqueResults(torque),
             force_N: Math.round(cuttingForce),
+            force_tangential_N: Math.round(forces.tangential_force_N),
+            force_radial_N: Math.round(forces.radial_force_N),
+            force_axial_N: Math.round(forces.axial_force_N),
+            chip_thickness_mm: parseFloat(forces.mean_chip_thickness_mm.toFixed(4)),
+            kc_N_mm2: Math.round(forces.kc_N_mm2),
+            forces,
             deflection_mm: parseFloat(deflection.toFixed(4)),
             vc_m_min: Math.round(vcActual),
             sfm: Math.round(sfmActual),
             warnings: this.warnings,
             toolType: this.tool.type,
-            effectiveDiameter: parseFloat(D.toFixed(2)),
+            effectiveDiameter: parseFloat(Dc.toFixed(2)),
+            ...this.getContourResults(D, ae),
+            ...this.getFeedLimitResults(feedLimit),
+            ...this.getToolLifeResults(vcActual, programmedFeed),
+            entry: this.getEntryMoves(D, z, rpm, ap, programmedFeed),
+            surface_finish: this.getSurfaceFinishResults(fzAdjusted, Dc, z, ae, deflection),
+            runout,
+            coolant: this.getCoolantResults(forces, vcActual, fzRange),
+            trochoid: trochoidResults,
+            axis_load: this.getAxisLoadResults(forces, programmedFeed, this.getMoveAngle()),
             user_doc_override: this.userDOC !== null
         };
     }
     
+    calculateDrilling() {
+        const D = this.getEffectiveDiameter();
+        
+        // Surface speed and RPM
+        const vc = this.getCuttingSpeed(this.getSpeedFactor());
+        const rpm = this.getRPM(vc, D);
+        
+        // Hole depth from the user DOC, otherwise the cut type default
+        const depth = this.userDOC !== null ? this.userDOC : getDefaultHoleDepth(this.cutType, D);
+        
+        // Feed per revolution by diameter and material
+        let feedPerRev = getDrillFeedPerRev(this.material, D, this.cutType) *
+                         this.aggressiveness * this.getCoatingChiploadFactor() * this.coolantFactors.fz;
+        
+        // Drilling is a pure Z move
+        const feedLimit = this.limitFeed(feedPerRev * rpm, 90);
+        feedPerRev = feedLimit.feed_mm_min / rpm;
+        
+        // Power limiting - torque scales with f^(1 - mc)
+        const powerAvailable = this.getSpindlePowerAtRPM(rpm);
+        const powerLimit = this.limitPower(
+            ratio => calculateDrillingForces({ material: this.material, tool: this.tool, feedPerRev: feedPerRev * ratio, rpm }),
+            rpm,
+            powerAvailable
+        );
+        let { forces, power } = powerLimit;
+        feedPerRev *= powerLimit.ratio;
+        
+        // Torque limiting against the spindle's torque at this RPM
+        const torqueLimit = this.limitTorque(
+            ratio => calculateDrillingForces({ material: this.material, tool: this.tool, feedPerRev: feedPerRev * ratio, rpm }),
+            rpm,
+            forces,
+            power
+        );
+        ({ forces, power } = torqueLimit);
+        let torque = torqueLimit.torque;
+        feedPerRev *= torqueLimit.ratio;
+        
+        // Z axis thrust limiting - thrust also scales with f^(1 - mc)
+        let zAxis = checkZAxisThrust(this.machine, forces.axial_force_N);
+        if (zAxis && zAxis.utilization_percent > 100) {
+            const thrustRatio = zAxis.max_thrust_N / forces.axial_force_N;
+            feedPerRev *= Math.pow(thrustRatio, 1 / (1 - forces.mc));
+            forces = calculateDrillingForces({ material: this.material, tool: this.tool, feedPerRev, rpm });
+            power = this.calculateImprovedPower(forces, rpm);
+            zAxis = checkZAxisThrust(this.machine, forces.axial_force_N);
+            torque = this.getSpindleTorque(forces, power, rpm);
+            this.warnings.push({ 
+                type: 'warning', 
+                message: `Feed limited by Z axis thrust (${Math.round(zAxis.max_thrust_N)}N available)` 
+            });
+        }
+        
+        // Derated feeds can drop below what the drill needs to cut
+        const minFeedPerRev = (this.material.drill_feed_per_rev_D?.[0] || 0.01) * D * 0.5;
+        if (feedPerRev < minFeedPerRev) {
+            this.warnings.push({ type: 'danger', message: 'Feed per rev too low - rubbing and work hardening risk' });
+        }
+        
+        // Peck cycle
+        const pecks = planPecks(depth, D, this.cutType);
+        if (pecks.depth_to_diameter > 8) {
+            this.warnings.push({ type: 'danger', message: `Deep hole (${pecks.depth_to_diameter.toFixed(1)}×D) - use a long-series or parabolic drill` });
+        } else if (pecks.peck_count > 1 && this.cutType === 'drilling') {
+            this.warnings.push({ type: 'info', message: `Peck drilling recommended (${pecks.peck_count} pecks of ${pecks.peck_depth_mm.toFixed(1)}mm)` });
+        }
+        if (this.tool.flute_length_mm && depth > this.tool.flute_length_mm) {
+            this.warnings.push({ type: 'danger', message: 'Hole deeper than drill flute length - chips cannot evacuate' });
+        }
+        
+        const vf = feedPerRev * rpm;
+        const fz = feedPerRev / 2;
+        const chipThickness = forces.max_chip_thickness_mm;
+        const vcActual = (Math.PI * D * rpm) / 1000;
+        
+        return {
+            rpm: Math.round(rpm),
+            feed_mm_min: Math.round(vf),
+            fz_mm: parseFloat(fz.toFixed(4)),
+            fz_actual_mm: parseFloat(fz.toFixed(4)),
+            effective_chip_thickness_mm: parseFloat(chipThickness.toFixed(4)),
+            target_chip_thickness_mm: parseFloat(chipThickness.toFixed(4)),
+            chip_thinning_factor: parseFloat((fz / chipThickness).toFixed(3)),
+            ae_mm: parseFloat(D.toFixed(2)),
+            ap_mm: parseFloat(depth.toFixed(2)),
+            doc_mm: parseFloat(depth.toFixed(2)),
+            mrr_mm3_min: Math.round(this.calculateMRR(D, D, depth, vf)),
+            ...this.getPowerResults(power, powerAvailable),
+            ...this.getTorqueResults(torque),
+            force_N: Math.round(forces.lateral_force_N),
+            force_tangential_N: Math.round(forces.tangential_force_N),
+            force_radial_N: Math.round(forces.radial_force_N),
+            force_axial_N: Math.round(forces.axial_force_N),
+            chip_thickness_mm: parseFloat(forces.mean_chip_thickness_mm.toFixed(4)),
+            kc_N_mm2: Math.round(forces.kc_N_mm2),
+            forces,
+            deflection_mm: 0,
+            vc_m_min: Math.round(vcActual),
+            sfm: Math.round(vcActual * 3.28084),
+            warnings: this.warnings,
+            toolType: this.tool.type,
+            effectiveDiameter: parseFloat(D.toFixed(2)),
+            ...this.getFeedLimitResults(feedLimit),
+            ...this.getToolLifeResults(vcActual, vf),
+            coolant: this.getCoolantResults(forces, vcActual, null),
+            // A drill's lips balance the radial forces, leaving only thrust on the Z axis
+            axis_load: this.getAxisLoadResults(forces, vf, 90, 0),
+            user_doc_override: this.userDOC !== null,
+            drilling: {
+                feed_per_rev_mm: parseFloat(feedPerRev.toFixed(4)),
+                thrust_force_N: Math.round(forces.axial_force_N),
+                torque_Nm: parseFloat(forces.cutting_torque_Nm.toFixed(3)),
+                point_angle_deg: this.tool.point_angle_deg || 118,
+                hole_depth_mm: parseFloat(depth.toFixed(2)),
+                depth_to_diameter: parseFloat(pecks.depth_to_diameter.toFixed(2)),
+                peck_depth_mm: parseFloat(pecks.peck_depth_mm.toFixed(2)),
+                peck_count: pecks.peck_count,
+                z_axis: zAxis && {
+                    torque_required_Nm: parseFloat(zAxis.torque_required_Nm.toFixed(3)),
+                    torque_available_Nm: parseFloat(zAxis.torque_available_Nm.toFixed(3)),
+                    utilization_percent: parseFloat(zAxis.utilization_percent.toFixed(1))
+                }
+            }
+        };
+    }
+
+    calculateThreadMilling() {
+        const D = this.tool.diameter_mm;
+        const z = this.getEffectiveFlutes();
+        const thread = resolveThreadSpec(this.thread, this.tool);
+        const { internal, major_diameter_mm: major, minor_diameter_mm: minor, pitch_mm: pitch } = thread;
+        const label = thread.size || `${major}×${pitch}`;
+        
+        if (thread.assumed) {
+            this.warnings.push({ type: 'info', message: `No thread specified - assuming ${label} ${internal ? 'internal' : 'external'}` });
+        }
+        if (internal && D >= minor) {
+            throw new Error(`Thread mill (${D}mm) does not fit the ${label} minor diameter (${minor.toFixed(2)}mm)`);
+        }
+        if (internal && D > major * THREAD_MILLING_CONSTANTS.MAX_TOOL_RATIO) {
+            const ratio = THREAD_MILLING_CONSTANTS.MAX_TOOL_RATIO * 100;
+            this.warnings.push({ type: 'warning', message: `Thread mill over ${ratio}% of the thread diameter - expect profile distortion` });
+        }
+        if (this.tool.pitch_mm && Math.abs(this.tool.pitch_mm - pitch) > 0.01) {
+            this.warnings.push({ type: 'danger', message: `Tool pitch (${this.tool.pitch_mm}mm) does not match the thread pitch (${pitch.toFixed(3)}mm)` });
+        }
+        
+        // Surface speed and RPM at the tool diameter
+        const vc = this.getCuttingSpeed(this.getSpeedFactor());
+        const rpm = this.getRPM(vc, D);
+        
+        // Internal threads start from the tap drill (minor) and grow out; external threads cut in from the major
+        const cutDiameter = internal ? major : minor;
+        const startDiameter = internal ? minor : major;
+        const passDepths = planRadialPasses(thread.thread_depth_mm, pitch, this.material);
+        const passDepth = passDepths[0];
+        
+        // The heaviest pass sets the feed - compare straight-line equivalent widths of cut
+        const direction = internal ? 2 : -2;
+        let ae = 0;
+        passDepths.forEach((depth, i) => {
+            const previous = i > 0 ? passDepths[i - 1] : 0;
+            const engagement = getCircularEngagementAngle({
+                toolDiameter: D,
+                finishedDiameter: startDiameter + direction * depth,
+                previousDiameter: startDiameter + direction * previous,
+                internal
+            });
+            ae = Math.max(ae, D / 2 * (1 - Math.cos(engagement)));
+        });
+        
+        // Thread forms in the cut, each cutting two flanks
+        const engagedLength = Math.min(thread.length_mm, this.tool.cutting_length_mm || thread.length_mm);
+        const axialSteps = Math.ceil(thread.length_mm / engagedLength - 1e-9);
+        const ap = 2 * passDepth * Math.max(1, Math.round(engagedLength / pitch));
+        
+        // Chip thickness target and thinning compensation
+        const fzRange = this.getChiploadRange(D);
+        const toolFactor = this.material.toolChiploadFactors[this.tool.type] || 1.0;
+        const chipTarget = this.targetChipThickness !== null
+            ? this.targetChipThickness
+            : (fzRange[0] + fzRange[1]) / 2 * this.aggressiveness * toolFactor * this.getCoatingChiploadFactor() * this.coolantFactors.fz;
+        const fz = this.applyChipThinning(chipTarget, D, ae, ap);
+        let fzAdjusted = fz;
+        
+        // Chipload is set at the cutting edge; the controller is programmed at the tool centre
+        const feedFactor = getHelicalFeedFactor(D, cutDiameter, internal);
+        let edgeFeed = rpm * z * fzAdjusted;
+        
+        // Machine feed limit applies to the tool-centre helix, which climbs one pitch per orbit
+        const pathDiameter = internal ? cutDiameter - D : cutDiameter + D;
+        const helixAngle = Math.atan(pitch / (Math.PI * pathDiameter)) * 180 / Math.PI;
+        const feedLimit = this.limitFeed(edgeFeed * feedFactor, helixAngle);
+        if (feedLimit.limited) {
+            edgeFeed = feedLimit.feed_mm_min / feedFactor;
+            fzAdjusted = edgeFeed / (rpm * z);
+        }
+        
+        // Power limiting
+        const powerAvailable = this.getSpindlePowerAtRPM(rpm);
+        const powerLimit = this.limitPower(ratio => this.calculateCuttingForces(ae, ap, fzAdjusted * ratio, rpm), rpm, powerAvailable);
+        let { forces, power } = powerLimit;
+        edgeFeed *= powerLimit.ratio;
+        fzAdjusted *= powerLimit.ratio;
+        
+        // Torque limiting
+        const torqueLimit = this.limitTorque(ratio => this.calculateCuttingForces(ae, ap, fzAdjusted * ratio, rpm), rpm, forces, power);
+        ({ forces, power } = torqueLimit);
+        const torque = torqueLimit.torque;
+        edgeFeed *= torqueLimit.ratio;
+        fzAdjusted *= torqueLimit.ratio;
+        
+        const centerFeed = edgeFeed * feedFactor;
+        const cuttingForce = forces.lateral_force_N;
+        
+        // Thread mills are slender - check deflection like an end mill
+        const deflection = this.calculateImprovedDeflection(cuttingForce);
+        if (deflection > 0.02) {
+            this.warnings.push({ type: 'warning', message: `Thread mill deflection ${deflection.toFixed(3)}mm - add a spring pass` });
+        }
+        
+        this.validateChipload(forces.max_chip_thickness_mm, fzRange);
+        
+        // Helical path of the tool centre at full depth
+        const cycle = estimateThreadCycleTime({
+            pathDiameter,
+            pitch,
+            length: thread.length_mm,
+            passes: passDepths.length,
+            axialSteps,
+            feed: centerFeed,
+            plungeFeed: MACHINE_UTILS.getFeedLimitForMove(this.machine, 90).max_feed_mm_min
+        });
+        
+        const vcActual = (Math.PI * D * rpm) / 1000;
+        
+        return {
+            rpm: Math.round(rpm),
+            feed_mm_min: Math.round(centerFeed), // Programmed at the tool centre
+            fz_mm: parseFloat(fzAdjusted.toFixed(4)),
+            fz_actual_mm: parseFloat(fz.toFixed(4)),
+            effective_chip_thickness_mm: parseFloat(forces.max_chip_thickness_mm.toFixed(4)),
+            target_chip_thickness_mm: parseFloat(chipTarget.toFixed(4)),
+            chip_thinning_factor: parseFloat((fz / chipTarget).toFixed(3)),
+            ae_mm: parseFloat(passDepth.toFixed(3)),
+            ap_mm: parseFloat(thread.length_mm.toFixed(2)),
+            doc_mm: parseFloat(thread.length_mm.toFixed(2)),
+            // V-shaped profile removes half of the pass depth × engaged length band
+            mrr_mm3_min: Math.round(passDepth * engagedLength * 0.5 * edgeFeed),
+            ...this.getPowerResults(power, powerAvailable),
+            ...this.getTorqueResults(torque),
+            force_N: Math.round(cuttingForce),
+            force_tangential_N: Math.round(forces.tangential_force_N),
+            force_radial_N: Math.round(forces.radial_force_N),
+            force_axial_N: Math.round(forces.axial_force_N),
+            chip_thickness_mm: parseFloat(forces.mean_chip_thickness_mm.toFixed(4)),
+            kc_N_mm2: Math.round(forces.kc_N_mm2),
+            forces,
+            deflection_mm: parseFloat(deflection.toFixed(4)),
+            vc_m_min: Math.round(vcActual),
+            sfm: Math.round(vcActual * 3.28084),
+            warnings: this.warnings,
+            toolType: this.tool.type,
+            effectiveDiameter: parseFloat(D.toFixed(2)),
+            ...this.getFeedLimitResults(feedLimit),
+            ...this.getToolLifeResults(vcActual, centerFeed),
+            coolant: this.getCoolantResults(forces, vcActual, fzRange),
+            axis_load: this.getAxisLoadResults(forces, centerFeed, helixAngle),
+            user_doc_override: this.userDOC !== null,
+            thread: {
+                standard: thread.standard,
+                size: thread.size,
+                internal,
+                major_diameter_mm: parseFloat(major.toFixed(3)),
+                minor_diameter_mm: parseFloat(minor.toFixed(3)),
+                pitch_mm: parseFloat(pitch.toFixed(4)),
+                thread_depth_mm: parseFloat(thread.thread_depth_mm.toFixed(3)),
+                length_mm: parseFloat(thread.length_mm.toFixed(2)),
+                radial_passes: passDepths.length,
+                radial_depths_mm: passDepths.map(d => parseFloat(d.toFixed(3))),
+                axial_steps: axialSteps,
+                path_diameter_mm: parseFloat(pathDiameter.toFixed(3)),
+                edge_feed_mm_min: Math.round(edgeFeed),
+                center_feed_mm_min: Math.round(centerFeed),
+                feed_compensation_factor: parseFloat(feedFactor.toFixed(3)),
+                path_length_mm: parseFloat(cycle.path_length_mm.toFixed(1)),
+                cutting_time_s: parseFloat(cycle.cutting_time_s.toFixed(1)),
+                cycle_time_s: parseFloat(cycle.cycle_time_s.toFixed(1))
+            }
+        };
+    }
+    
+    getMoveAngle() {
+        // Angle of the cutting move above the XY plane (0 = contour, 90 = plunge)
+        switch (this.cutType) {
+            case 'plunge':
+                return 90;
+            case 'ramping':
+                return getMaxRampAngle(this.tool, this.material).angle_deg;
+            default:
+                return 0;
+        }
+    }
+    
+    limitFeed(feed, moveAngle) {
+        const { max_feed_mm_min, limiting_axis } = MACHINE_UTILS.getFeedLimitForMove(this.machine, moveAngle);
+        const limited = feed > max_feed_mm_min;
+        if (limited) {
+            this.warnings.push({ 
+                type: 'warning', 
+                message: `Feed limited by ${limiting_axis.toUpperCase()} axis (${Math.round(max_feed_mm_min)} mm/min)` 
+            });
+        }
+        return {
+            feed_mm_min: limited ? max_feed_mm_min : feed,
+            max_feed_mm_min,
+            limiting_axis,
+            limited
+        };
+    }
+    
+    getFeedLimitResults(feedLimit) {
+        return {
+            max_feed_mm_min: Math.round(feedLimit.max_feed_mm_min),
+            feed_limit_axis: feedLimit.limiting_axis,
+            feed_limited_by: feedLimit.limited ? feedLimit.limiting_axis : null
+        };
+    }
+    
+    getAxisLoadResults(forces, feed, moveAngle, xyForce = forces.lateral_force_N) {
+        const load = checkAxisLoads({ machine: this.machine, feed, moveAngle, xyForce, zForce: forces.axial_force_N });
+        if (!load) return null;
+        
+        // Warn only - the feed axes hold the programmed feed until the motors fall behind
+        for (const axis of Object.values(load.axes)) {
+            if (axis.utilization_percent <= 100) continue;
+            const name = axis.axis.toUpperCase();
+            const required = axis.limited_by === 'accel' ? axis.torque_accel_Nm : axis.torque_cut_Nm;
+            const available = axis.limited_by === 'accel' ? axis.torque_peak_Nm : axis.torque_continuous_Nm;
+            const task = axis.limited_by === 'accel' ? 'to accelerate into the cut' : 'to push the cut';
+            if (axis.motor_type === 'stepper') {
+                this.warnings.push({
+                    type: 'danger',
+                    message: `${name} axis stepper needs ${required.toFixed(2)}N·m ${task} but has ${available.toFixed(2)}N·m at ${axis.motor_rpm} RPM - it will lose steps`
+                });
+            } else {
+                this.warnings.push({
+                    type: axis.limited_by === 'accel' ? 'danger' : 'warning',
+                    message: `${name} axis servo needs ${required.toFixed(2)}N·m ${task}, over its ${available.toFixed(2)}N·m ` +
+                             `${axis.limited_by === 'accel' ? 'peak' : 'continuous'} torque - expect following error`
+                });
+            }
+        }
+        return load;
+    }
+    
+    getCuttingSpeed(speedFactor) {
+        const vcRange = this.material.vc_range;
+        const nominal = (vcRange[0] + vcRange[1]) / 2 * speedFactor * this.aggressiveness;
+        const mode = this.economics.speed_mode;
+        if (mode === 'nominal') {
+            return nominal;
+        }
+        
+        const taylor = this.getTaylorConstants();
+        if (!taylor) {
+            this.warnings.push({ type: 'warning', message: `No tool life data for ${this.material.name} - using nominal speed` });
+            return nominal;
+        }
+        
+        // Economic speeds stay inside the material's recommended range for this tool
+        const vc = getEconomicSpeed(mode, taylor, this.economics);
+        const vcMin = vcRange[0] * speedFactor;
+        const vcMax = vcRange[1] * speedFactor;
+        if (vc > vcMax || vc < vcMin) {
+            const limit = vc > vcMax ? vcMax : vcMin;
+            this.warnings.push({
+                type: 'info',
+                message: `${SPEED_MODES[mode].name} speed ${Math.round(vc)} m/min held to the table ${vc > vcMax ? 'maximum' : 'minimum'} (${Math.round(limit)} m/min)`
+            });
+            return limit;
+        }
+        return vc;
+    }
+    
+    getToolLifeResults(vc, feed) {
+        const taylor = this.getTaylorConstants();
+        if (!taylor || !(vc > 0)) {
+            return { tool_life_min: null, economics: null };
+        }
+        
+        const cost = calculateCostPerPart({ vc, feed, taylor, economics: this.economics });
+        if (cost.tool_life_min < TOOL_LIFE_CONSTANTS.SHORT_LIFE_MIN) {
+            this.warnings.push({ type: 'warning', message: `Short tool life: ${cost.tool_life_min.toFixed(1)} min of cut per edge` });
+        }
+        
+        return {
+            tool_life_min: parseFloat(cost.tool_life_min.toFixed(1)),
+            economics: {
+                speed_mode: this.economics.speed_mode,
+                taylor_n: taylor.n,
+                taylor_C: parseFloat(taylor.C.toFixed(1)),
+                taylor_estimated: taylor.estimated,
+                vc_max_production_m_min: Math.round(getEconomicSpeed('max_production', taylor, this.economics)),
+                vc_min_cost_m_min: Math.round(getEconomicSpeed('min_cost', taylor, this.economics)),
+                machining_time_min: parseFloat(cost.machining_time_min.toFixed(2)),
+                time_per_part_min: parseFloat(cost.time_per_part_min.toFixed(2)),
+                parts_per_edge: parseFloat(cost.parts_per_edge.toFixed(1)),
+                machine_cost_per_part: parseFloat(cost.machine_cost_per_part.toFixed(2)),
+                tool_cost_per_part: parseFloat(cost.tool_cost_per_part.toFixed(2)),
+                cost_per_part: parseFloat(cost.cost_per_part.toFixed(2))
+            }
+        };
+    }
+    
+    getTaylorConstants() {
+        // A coolant mode that raises the recommended speed gives the same tool life at that speed
+        const taylor = getTaylorConstants(this.material, this.tool);
+        return taylor && { ...taylor, C: taylor.C * this.coolantFactors.vc };
+    }
+    
+    getCoolantResults(forces, vc, fzRange) {
+        const { mode, recommended, assumed } = this.coolant;
+        const group = this.material.force_group;
+        const name = COOLANT_MODES[mode].name;
+        const thermal = calculateThermalEffects({
+            power_W: forces.cutting_power_W,
+            material: this.material,
+            tool: this.tool,
+            vc,
+            chip_thickness_mm: forces.mean_chip_thickness_mm,
+            coolant: mode
+        });
+        
+        if (mode !== recommended && (this.coolantFactors.vc !== 1 || this.coolantFactors.fz !== 1)) {
+            this.warnings.push({
+                type: 'info',
+                message: `${name}: speed ×${this.coolantFactors.vc}, chipload ×${this.coolantFactors.fz} against ${COOLANT_MODES[recommended].name} for ${this.material.name}`
+            });
+        }
+        
+        // Material-specific coolant problems
+        if (group === 'aluminum' && mode === 'dry') {
+            this.warnings.push({ type: 'warning', message: 'Dry aluminium welds chips to the flutes and recuts them - use air blast or mist' });
+        } else if (group === 'aluminum' && mode === 'air_blast' && this.tool.coating !== 'diamond_like') {
+            this.warnings.push({ type: 'info', message: 'Air blast only on aluminium - mist or a DLC coating stops chips welding to the edge' });
+        }
+        if (group === 'titanium' && !['flood', 'through_spindle'].includes(mode)) {
+            this.warnings.push({
+                type: mode === 'mist' ? 'warning' : 'danger',
+                message: 'Titanium without flood coolant keeps the heat at the edge - use flood or through-spindle coolant'
+            });
+        }
+        if (group === 'stainless' && ['dry', 'air_blast'].includes(mode)) {
+            this.warnings.push({ type: 'warning', message: 'Stainless without liquid coolant work hardens and holds heat at the edge - use flood or mist' });
+        }
+        if (group === 'wood' && COOLANT_MODES[mode].liquid) {
+            this.warnings.push({ type: 'warning', message: `Liquid coolant swells ${this.material.name} - cut dry with dust extraction or air blast` });
+        }
+        
+        // Plastics and wood soften or scorch: hot chips and rubbing edges weld them to the tool
+        const softening = this.material.softening_temp_C;
+        if (softening && thermal.chip_temperature_C > softening) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Chip temperature ~${Math.round(thermal.chip_temperature_C)}°C is above the ${softening}°C softening point - chips will weld; lower the speed`
+            });
+        } else if (softening && fzRange && forces.max_chip_thickness_mm < fzRange[0]) {
+            this.warnings.push({ type: 'warning', message: `Chips under ${fzRange[0]}mm rub instead of cutting and overheat ${this.material.name} - raise the chipload` });
+        }
+        
+        // Tool heat only limits metals; softer materials fail first
+        if (!softening && thermal.thermal_utilization_percent > 100) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Tool heat ${thermal.effective_tool_heat_W.toFixed(1)}W is over the ${thermal.tool_thermal_limit_W.toFixed(1)}W the tool can shed - ${COOLANT_MODES[mode].tool_cooling < COOLANT_MODES.flood.tool_cooling ? 'add flood coolant or ' : ''}lower the speed`
+            });
+        }
+        
+        return {
+            mode,
+            name,
+            recommended,
+            assumed,
+            vc_factor: this.coolantFactors.vc,
+            fz_factor: this.coolantFactors.fz,
+            chip_temperature_C: Math.round(thermal.chip_temperature_C),
+            heat_generation_W: Math.round(thermal.heat_generation_W),
+            chip_heat_percent: parseFloat(thermal.chip_heat_percent.toFixed(1)),
+            work_heat_percent: parseFloat(thermal.work_heat_percent.toFixed(1)),
+            tool_heat_percent: parseFloat(thermal.tool_heat_percent.toFixed(1)),
+            tool_heat_W: parseFloat(thermal.effective_tool_heat_W.toFixed(1)),
+            tool_thermal_limit_W: parseFloat(thermal.tool_thermal_limit_W.toFixed(1)),
+            thermal_utilization_percent: parseFloat(thermal.thermal_utilization_percent.toFixed(1))
+        };
+    }
+    
+    getRPM(vc, D) {
+        // RPM for the surface speed at diameter D unless the user fixed it, clamped to spindle limits
+        const rpm = this.userRPM !== null ? this.userRPM : (vc * 1000) / (Math.PI * D);
+        return this.clampRPM(rpm);
+    }
+    
+    clampRPM(rpm) {
+        const { rpm_min, rpm_max } = this.spindle;
+        if (rpm < rpm_min) {
+            this.warnings.push({ type: 'warning', message: 'RPM limited by spindle minimum' });
+            return rpm_min;
+        }
+        if (rpm > rpm_max) {
+            this.warnings.push({ type: 'warning', message: 'RPM limited by spindle maximum' });
+            return rpm_max;
+        }
+        return rpm;
+    }
+    
     getEngagementParams(D) {
         // Get base engagement parameters
         const { ae: baseAe, ap: baseAp } = this.getBaseEngagementParams(D);
@@ -143,6 +738,16 @@ export class SpeedsFeedsCalculator {
         // Apply user DOC override if specified
         const ap = this.userDOC !== null ? this.userDOC : baseAp;
         
+        // Ball nose stepover from a target scallop height or an explicit stepover
+        let ae = this.userWOC !== null ? this.userWOC : baseAe;
+        if (this.userWOC === null && this.tool.type === 'endmill_ball' && this.contour) {
+            if (this.contour.scallop_mm) {
+                ae = calculateStepoverForScallop(D, this.contour.scallop_mm);
+            } else if (this.contour.stepover_mm) {
+                ae = this.contour.stepover_mm;
+            }
+        }
+        
         // Validate user DOC against material limits
         if (this.userDOC !== null) {
             const maxAp = this.getMaxAllowableDOC(D);
@@ -153,13 +758,245 @@ export class SpeedsFeedsCalculator {
                 });
             }
         }
+        if (this.userWOC !== null && ae > this.getMaxAllowableWOC(D)) {
+            this.warnings.push({
+                type: 'warning',
+                message: `User WOC (${ae.toFixed(2)}mm) exceeds recommended maximum (${this.getMaxAllowableWOC(D).toFixed(2)}mm)`
+            });
+        }
         
-        return { ae: baseAe, ap };
+        return { ae, ap };
+    }
+    
+    getTrochoid(D, ae) {
+        if (this.slotWidth === null || this.cutType !== 'adaptive') return null;
+        
+        const trochoid = calculateTrochoid({ diameter: D, slotWidth: this.slotWidth, ae });
+        const ratio = this.slotWidth / D;
+        if (ratio < TROCHOIDAL_CONSTANTS.MIN_SLOT_WIDTH_D) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Slot is only ${ratio.toFixed(2)}× the tool diameter - loops this tight pack chips; use a smaller tool`
+            });
+        } else if (ratio > TROCHOIDAL_CONSTANTS.MAX_SLOT_WIDTH_D) {
+            this.warnings.push({
+                type: 'info',
+                message: `Slot is ${ratio.toFixed(1)}× the tool diameter - most of each loop cuts air; clear it as a pocket or use a larger tool`
+            });
+        }
+        return trochoid;
+    }
+    
+    getTrochoidResults(trochoid, ap, vf, peakMrr) {
+        if (!trochoid) return null;
+        
+        const centerFeed = vf * trochoid.feed_factor;
+        const removal = calculateTrochoidalMRR({ trochoid, slotWidth: this.slotWidth, ap, centerFeed });
+        return {
+            slot_width_mm: this.slotWidth,
+            loop_diameter_mm: parseFloat(trochoid.loop_diameter_mm.toFixed(3)),
+            stepover_mm: parseFloat(trochoid.stepover_mm.toFixed(3)),
+            engagement_angle_deg: parseFloat(trochoid.engagement_angle_deg.toFixed(1)),
+            feed_factor: parseFloat(trochoid.feed_factor.toFixed(3)),
+            edge_feed_mm_min: Math.round(vf),
+            center_feed_mm_min: Math.round(centerFeed),
+            cutting_percent: parseFloat((trochoid.cutting_fraction * 100).toFixed(1)),
+            loop_time_s: parseFloat(removal.loop_time_s.toFixed(3)),
+            advance_mm_min: Math.round(removal.advance_mm_min),
+            peak_mrr_mm3_min: Math.round(peakMrr),
+            average_mrr_mm3_min: Math.round(removal.average_mrr_mm3_min)
+        };
+    }
+    
+    getContourResults(D, ae) {
+        if (this.tool.type !== 'endmill_ball') return {};
+        
+        return {
+            stepover_mm: parseFloat(ae.toFixed(3)),
+            scallop_height_mm: parseFloat(calculateScallopHeight(D, ae).toFixed(4)),
+            tilt_angle_deg: this.getTiltAngle()
+        };
+    }
+    
+    getEntryMoves(D, z, rpm, ap, vf) {
+        if (!ENTRY_TOOL_TYPES.includes(this.tool.type)) return null;
+        
+        // Entry chiploads scale from the same table range as the main cut
+        const toolFactor = this.material.toolChiploadFactors[this.tool.type] || 1.0;
+        const scale = this.aggressiveness * toolFactor * this.getCoatingChiploadFactor() * this.coolantFactors.fz;
+        const entry = calculateEntryMoves({
+            tool: this.tool,
+            material: this.material,
+            machine: this.machine,
+            diameter: D,
+            flutes: z,
+            rpm,
+            chiploadRange: this.getChiploadRange(D).map(fz => fz * scale),
+            depth: ap,
+            cutFeed: vf
+        });
+        
+        if (!entry.center_cutting) {
+            this.warnings.push({ type: 'info', message: 'Tool is not centre cutting - ramp or helix in, do not plunge' });
+        }
+        if (entry.z_accel_distance_mm > ap) {
+            this.warnings.push({ 
+                type: 'info', 
+                message: `Z axis needs ${entry.z_accel_distance_mm.toFixed(2)}mm to reach entry feed - actual plunge rate will be lower` 
+            });
+        }
+        
+        return {
+            center_cutting: entry.center_cutting,
+            ramp_angle_deg: entry.ramp_angle_deg,
+            ramp_feed_mm_min: Math.round(entry.ramp_feed_mm_min),
+            ramp_z_feed_mm_min: Math.round(entry.ramp_z_feed_mm_min),
+            ramp_length_mm: parseFloat(entry.ramp_length_mm.toFixed(1)),
+            helix_diameter_min_percent: Math.round(entry.helix_diameter_min_percent),
+            helix_diameter_max_percent: Math.round(entry.helix_diameter_max_percent),
+            helix_diameter_min_mm: parseFloat(entry.helix_diameter_min_mm.toFixed(2)),
+            helix_diameter_max_mm: parseFloat(entry.helix_diameter_max_mm.toFixed(2)),
+            helix_pitch_mm: parseFloat(entry.helix_pitch_mm.toFixed(3)),
+            helix_revolutions: parseFloat(entry.helix_revolutions.toFixed(1)),
+            plunge_feed_mm_min: entry.plunge_feed_mm_min !== null ? Math.round(entry.plunge_feed_mm_min) : null,
+            z_accel_distance_mm: parseFloat(entry.z_accel_distance_mm.toFixed(3)),
+            limited_by: entry.limited_by
+        };
+    }
+    
+    getRunout() {
+        return SPINDLE_UTILS.getRunoutAtTool(this.spindle, this.tool);
+    }
+    
+    applyRunoutDerate(fz, z, thinning, maxChip) {
+        const runout = this.getRunout().total_um / 1000;
+        const flutes = calculateFluteChiploads(fz, z, runout);
+        const worstChip = flutes.max_mm * thinning;
+        if (worstChip <= maxChip) return fz;
+        
+        // Chip thinning scales every flute alike, so solve in programmed feed per tooth
+        const derated = solveChiploadForRunout(maxChip / thinning, z, runout);
+        const ceiling = this.getChiploadRange(this.getEffectiveDiameter())[1] * WARNING_THRESHOLDS.CHIPLOAD_CEILING;
+        this.warnings.push({
+            type: worstChip > ceiling ? 'warning' : 'info',
+            message: `Runout ${Math.round(runout * 1000)}µm puts a ${worstChip.toFixed(4)}mm chip on the worst flute ` +
+                     `(${Math.round(flutes.load_share * 100)}% of the cut) - feed derated × ${(derated / fz).toFixed(2)}`
+        });
+        return derated;
+    }
+    
+    getRunoutResults(fz, z, forces, fzRange, cuttingForce) {
+        const runout = this.getRunout();
+        const flutes = calculateFluteChiploads(fz, z, runout.total_um / 1000);
+        
+        // Flute chips scale with the average actual chip; peak flute force follows the Kienzle exponent
+        const thinning = fz > 0 ? forces.max_chip_thickness_mm / fz : 1;
+        const loadFactor = fz > 0 ? Math.pow(flutes.max_mm / fz, 1 - forces.mc) : 1;
+        const bestChip = flutes.min_mm * thinning;
+        const averageRubbing = forces.max_chip_thickness_mm < fzRange[0] * WARNING_THRESHOLDS.CHIPLOAD_RUBBING;
+        
+        if (flutes.idle_flutes > 0) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Runout ${runout.total_um}µm: ${flutes.idle_flutes} of ${z} flutes not cutting - the rest carry the whole load`
+            });
+        } else if (bestChip < fzRange[0] * WARNING_THRESHOLDS.CHIPLOAD_RUBBING && !averageRubbing) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Runout ${runout.total_um}µm: lightest flute chip ${bestChip.toFixed(4)}mm - rubbing risk`
+            });
+        }
+        
+        return {
+            runout_um: runout.total_um,
+            spindle_runout_um: runout.spindle_um,
+            collet: runout.collet,
+            collet_runout_um: runout.collet_um,
+            measured: runout.measured,
+            flute_chips_mm: flutes.chiploads_mm.map(chip => parseFloat((chip * thinning).toFixed(4))),
+            max_flute_chip_mm: parseFloat((flutes.max_mm * thinning).toFixed(4)),
+            min_flute_chip_mm: parseFloat(bestChip.toFixed(4)),
+            idle_flutes: flutes.idle_flutes,
+            worst_flute_load_percent: Math.round(flutes.load_share * 100),
+            peak_load_factor: parseFloat(loadFactor.toFixed(2)),
+            worst_flute_force_N: Math.round(cuttingForce * loadFactor)
+        };
+    }
+    
+    getChiploadForFinish(fz, Dc, z, ae) {
+        if (this.targetRa === null) return fz;
+        
+        const surface = getFinishSurface(this.tool.type, this.cutType);
+        if (!surface) {
+            this.warnings.push({ type: 'info', message: `No surface finish model for ${this.cutType} with this tool - target Ra ignored` });
+            return fz;
+        }
+        
+        const predictRa = (candidate) => this.predictSurfaceFinish(surface, candidate, Dc, z, ae, 0).Ra_mm * 1000;
+        const solved = solveChiploadForRoughness(this.targetRa, predictRa, fz);
+        if (solved < fz) {
+            this.warnings.push({
+                type: 'info',
+                message: `Feed per tooth reduced to ${solved.toFixed(4)}mm for Ra ${this.targetRa} µm`
+            });
+        }
+        
+        // Feed cannot fix the ball nose cusp left between passes
+        const crossFeedRa = this.predictSurfaceFinish(surface, solved, Dc, z, ae, 0).cross_feed_Rz_mm *
+                            SURFACE_FINISH_CONSTANTS.RA_RZ_RATIO * 1000;
+        if (crossFeedRa > this.targetRa) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Stepover scallop alone gives Ra ${crossFeedRa.toFixed(2)} µm across the feed - reduce the stepover`
+            });
+        }
+        return solved;
+    }
+    
+    predictSurfaceFinish(surface, fz, Dc, z, ae, deflection) {
+        return predictSurfaceFinish({
+            tool: this.tool,
+            surface,
+            fz,
+            flutes: z,
+            diameter: Dc,
+            ae,
+            runout_mm: this.getRunout().total_um / 1000,
+            deflection_mm: deflection
+        });
+    }
+    
+    getSurfaceFinishResults(fz, Dc, z, ae, deflection) {
+        const surface = getFinishSurface(this.tool.type, this.cutType);
+        if (!surface) return null;
+        
+        const runout = this.getRunout();
+        const finish = this.predictSurfaceFinish(surface, fz, Dc, z, ae, deflection);
+        const um = (mm) => parseFloat((mm * 1000).toFixed(2));
+        
+        return {
+            surface,
+            Ra_um: um(finish.Ra_mm),
+            Rz_um: um(finish.Rz_mm),
+            target_Ra_um: this.targetRa,
+            feed_mark_um: um(finish.feed_mark_mm),
+            runout_contribution_um: um(finish.runout_contribution_mm),
+            cross_feed_Rz_um: um(finish.cross_feed_Rz_mm),
+            form_error_um: um(finish.form_error_mm),
+            generating_radius_mm: parseFloat(finish.generating_radius_mm.toFixed(3)),
+            runout_um: runout.total_um,
+            collet: runout.collet
+        };
+    }
+    
+    getTiltAngle() {
+        return this.contour?.tilt_angle_deg || 0;
     }
     
     getBaseEngagementParams(D) {
         const cutDef = this.getCutDefinition();
-        const matLimits = this.material;
+        const aeRange = cutDef.ae_fraction_range || [cutDef.ae_fraction, cutDef.ae_fraction];
+        const apRange = cutDef.ap_fraction_range;
         
         let ae, ap;
         
@@ -172,114 +1009,152 @@ export class SpeedsFeedsCalculator {
             const estimatedDepth = this.tool.tip_diameter_mm + 2;
             ae = estimatedDepth * Math.tan(angle_rad / 2) * 2;
             ap = estimatedDepth;
+        } else if (this.tool.type === 'slitting') {
+            // Saws engage their full blade width; the table depth is in blade widths
+            const width = this.tool.width_mm || 1;
+            const maxDepth = Math.max((D - 2 * (this.tool.arbor_hole_mm || 0)) / 2, width);
+            ae = Math.min(width * (apRange[0] + apRange[1]) / 2, maxDepth) * this.machine.aggressiveness.radial;
+            ap = width;
         } else {
-            // Standard engagement calculation
-            if (this.cutType === 'slot') {
-                ae = D;
+            // Full-width cuts (slot, plunge, countersink) cannot be narrowed
+            if (aeRange[0] >= 1) {
+                ae = this.tool.type === 'boring'
+                    ? D * MACHINING_CONSTANTS.BORING_RADIAL_STOCK_D // Radial skim around the whole bore
+                    : D;
             } else {
-                const aeRange = cutDef.ae_fraction_range || [cutDef.ae_fraction, cutDef.ae_fraction];
                 const aeFraction = (aeRange[0] + aeRange[1]) / 2;
-                const maxAe = D * (matLimits.max_radial_engagement_fraction[this.cutType] || 0.3);
-                ae = Math.min(D * aeFraction, maxAe) * this.machine.aggressiveness.radial;
+                ae = Math.min(D * aeFraction, this.getMaxAllowableWOC(D)) * this.machine.aggressiveness.radial;
             }
             
-            const apRange = cutDef.ap_fraction_range;
             const apFraction = (apRange[0] + apRange[1]) / 2;
-            const maxAp = D * (matLimits.max_axial_per_pass_D[this.cutType] || 1.0);
-            ap = Math.min(D * apFraction, maxAp) * this.machine.aggressiveness.axial;
+            ap = Math.min(D * apFraction, this.getMaxAllowableDOC(D)) * this.machine.aggressiveness.axial;
         }
         
         return { ae, ap };
     }
     
-    getMaxAllowableDOC(D) {
-        const matLimits = this.material.max_axial_per_pass_D[this.cutType] || 1.0;
-        return D * matLimits;
-    }
-    
-    calculateImprovedPower(ae, ap, vf) {
-        // More accurate power calculation based on specific cutting energy
-        const MRR_mm3_min = ae * ap * vf;
-        const MRR_cm3_min = MRR_mm3_min / 1000;
+    applyChipThinning(chipTarget, D, ae, ap) {
+        const maxCompensation = getMaxThinningCompensation(this.material);
+        const userTarget = this.targetChipThickness !== null;
         
-        // Get specific cutting energy for material
-        const specificEnergy = this.material.specific_cutting_energy_J_mm3 || 
-                              this.getSpecificCuttingEnergy();
+        // A user target is always met exactly; the default target respects the material cap
+        const { fz_mm, compensation_factor, capped } = getProgrammedChipload({
+            tool: this.tool,
+            diameter: D,
+            ae,
+            ap,
+            chipThickness: chipTarget,
+            maxCompensation: userTarget ? Infinity : maxCompensation,
+            tiltAngle: this.getTiltAngle()
+        });
         
-        // Calculate cutting power
-        let cuttingPower = (MRR_mm3_min * specificEnergy) / 60; // Watts
-        
-        // Tool-specific adjustments
-        const toolFactor = this.getToolPowerFactor();
-        cuttingPower *= toolFactor;
-        
-        // Apply machine rigidity factor
-        cuttingPower *= this.machine.K_rigidity;
+        if (compensation_factor > 1.05) {
+            this.warnings.push({ 
+                type: 'info', 
+                message: `Chip thinning compensation applied (fz × ${compensation_factor.toFixed(2)})` 
+            });
+        }
+        if (capped) {
+            this.warnings.push({ 
+                type: 'info', 
+                message: `Chip thinning compensation limited to × ${maxCompensation.toFixed(1)} for this material` 
+            });
+        } else if (userTarget && compensation_factor > maxCompensation) {
+            this.warnings.push({ 
+                type: 'warning', 
+                message: `Target chip thickness needs fz × ${compensation_factor.toFixed(2)} - very light engagement` 
+            });
+        }
         
-        // Add spindle losses (typically 10-20% of cutting power)
-        const spindleLosses = cuttingPower * 0.15;
+        return fz_mm;
+    }
+    
+    getMaxAllowableDOC(D) {
+        // Material limit for the cut type, otherwise the top of the cut type's own range
+        const limit = this.material.max_axial_per_pass_D[this.cutType] ?? this.getCutDefinition().ap_fraction_range[1];
         
-        return cuttingPower + spindleLosses;
+        // Insert cutters are also limited by the insert's cutting edge length
+        return this.tool.max_doc_mm ? Math.min(D * limit, this.tool.max_doc_mm) : D * limit;
     }
     
-    getSpecificCuttingEnergy() {
-        // Fallback specific cutting energy based on material category
-        const category = this.material.category;
-        switch (category) {
-            case 'metal':
-                if (this.material.id.includes('aluminum')) return 0.5;
-                if (this.material.id.includes('steel')) return 2.5;
-                if (this.material.id.includes('stainless')) return 3.5;
-                if (this.material.id.includes('titanium')) return 5.0;
-                return 2.0; // Default for metals
-            case 'plastic':
-                return 0.1;
-            case 'wood':
-                return 0.05;
-            default:
-                return 1.0;
-        }
+    getMaxAllowableWOC(D) {
+        const cutDef = this.getCutDefinition();
+        const limit = this.material.max_radial_engagement_fraction[this.cutType] ??
+                      (cutDef.ae_fraction_range ? cutDef.ae_fraction_range[1] : cutDef.ae_fraction);
+        return D * limit;
     }
     
-    getToolPowerFactor() {
-        switch (this.tool.type) {
-            case 'facemill':
-                return 0.7; // Intermittent engagement
-            case 'slitting':
-                return 1.2; // Higher due to chip evacuation
-            case 'drill':
-                return 1.1; // Thrust component
-            case 'endmill_ball':
-                return 0.9; // Lower cutting efficiency at tip
-            default:
-                return 1.0;
-        }
+    calculateImprovedPower(forces, rpm) {
+        // Kienzle cutting power (Ft · vc) through the spindle, motor and drive losses
+        return calculatePowerBreakdown({
+            cutting_power_W: forces.cutting_power_W,
+            rpm,
+            tool: this.tool,
+            machine: this.machine,
+            spindle: this.spindle
+        });
     }
     
-    calculateImprovedDeflection(force) {
-        const L = this.tool.stickout_mm || 20;
-        const d = this.tool.shank_mm || this.tool.diameter_mm;
-        
-        // Use improved Young's modulus values
-        let E = MATERIAL_CONSTANTS.CARBIDE_YOUNGS_MODULUS; // Default carbide
-        if (this.tool.material === 'hss') {
-            E = MATERIAL_CONSTANTS.HSS_YOUNGS_MODULUS;
+    limitPower(forcesAt, rpm, powerAvailable, maxIterations = POWER_CONSTANTS.LIMIT_MAX_ITERATIONS) {
+        // Solve the chipload ratio whose shaft power loads the spindle curve to POWER_LIMIT. Cutting power and the
+        // process losses on it scale with fz^(1 - mc) only while the chip geometry holds, so repeat until the shaft
+        // power settles on the target
+        let ratio = 1;
+        let forces = forcesAt(ratio);
+        let power = this.calculateImprovedPower(forces, rpm);
+        const target = powerAvailable * POWER_CONSTANTS.POWER_LIMIT;
+        if (power.shaft_power_W <= target) {
+            return { ratio, forces, power };
         }
         
-        // Bending deflection (cantilever beam)
-        const I = Math.PI * Math.pow(d, 4) / 64;
-        const bendingDeflection = (force * Math.pow(L, 3)) / (3 * E * I);
-        
-        // Shear deflection (significant for short, thick tools)
-        const G = E / 2.6; // Shear modulus approximation
-        const A = Math.PI * Math.pow(d, 2) / 4;
-        const shearDeflection = (1.2 * force * L) / (G * A);
-        
-        // Tool holder compliance (empirical value)
-        const holderCompliance = 0.002; // mm/N for typical holders
-        const holderDeflection = force * holderCompliance;
+        if (power.friction_losses_W >= target) {
+            this.warnings.push({
+                type: 'danger',
+                message: `Spindle losses (${Math.round(power.friction_losses_W)}W) use all the power available at ${Math.round(rpm)} RPM`
+            });
+            return { ratio, forces, power };
+        }
         
-        return bendingDeflection + shearDeflection + holderDeflection;
+        let converged = false;
+        for (let i = 0; i < maxIterations && !converged; i++) {
+            const load = power.cutting_power_W + power.process_losses_W;
+            ratio *= Math.pow((target - power.friction_losses_W) / load, 1 / (1 - forces.mc));
+            forces = forcesAt(ratio);
+            power = this.calculateImprovedPower(forces, rpm);
+            converged = Math.abs(power.shaft_power_W - target) <= target * POWER_CONSTANTS.LIMIT_TOLERANCE;
+        }
+        this.warnings.push({ type: 'warning', message: 'Power limited' });
+        if (!converged) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Power limit did not converge: shaft power ${Math.round(power.shaft_power_W)}W against a ${Math.round(target)}W target ` +
+                         `after ${maxIterations} iterations`
+            });
+        }
+        return { ratio, forces, power };
+    }
+    
+    getPowerResults(power, powerAvailable) {
+        return {
+            power_W: Math.round(power.shaft_power_W),
+            power_cutting_W: Math.round(power.cutting_power_W),
+            power_process_losses_W: Math.round(power.process_losses_W),
+            power_losses_W: Math.round(power.friction_losses_W),
+            power_motor_W: Math.round(power.motor_input_W),
+            power_wall_W: Math.round(power.wall_power_W),
+            power_available_W: Math.round(powerAvailable),
+            power
+        };
+    }
+    
+    calculateImprovedDeflection(force) {
+        // Delegate to the deflection module so the engine and computeCut agree
+        const result = calculateToolDeflection({
+            tool: this.tool,
+            cuttingForce: force,
+            stickout: this.tool.stickout_mm
+        });
+        return result.total_deflection_mm;
     }
     
     calculateMRR(D, ae, ap, vf) {
@@ -290,14 +1165,14 @@ export class SpeedsFeedsCalculator {
         }
     }
     
-    validateChipload(fzAdjusted, fzRange) {
-        const minChipload = fzRange[0] * 0.5;
-        if (fzAdjusted < minChipload && !['drill', 'boring'].includes(this.tool.type)) {
+    validateChipload(chipThickness, fzRange) {
+        const minChipload = fzRange[0] * WARNING_THRESHOLDS.CHIPLOAD_RUBBING;
+        if (chipThickness < minChipload && !['drill', 'boring'].includes(this.tool.type)) {
             this.warnings.push({ type: 'danger', message: 'Chipload too low - rubbing risk' });
         }
         
-        const maxChipload = fzRange[1] * 1.5;
-        if (fzAdjusted > maxChipload) {
+        const maxChipload = fzRange[1] * WARNING_THRESHOLDS.CHIPLOAD_CEILING;
+        if (chipThickness > maxChipload) {
             this.warnings.push({ type: 'warning', message: 'Chipload very high - check tool strength' });
         }
     }
@@ -331,8 +1206,13 @@ export class SpeedsFeedsCalculator {
     
     // ... (include other existing methods like getEffectiveDiameter, getEffectiveFlutes, etc.)
     
-    getEffectiveDiameter() {
+    getEffectiveDiameter(ap = null) {
         switch (this.tool.type) {
+            case 'endmill_ball':
+                // Cutting diameter at depth ap when known, otherwise the ball size
+                return ap !== null
+                    ? calculateBallEffectiveDiameter(this.tool.diameter_mm, ap, this.getTiltAngle())
+                    : this.tool.diameter_mm;
             case 'vbit':
                 const angle_rad = (this.tool.angle_deg * Math.PI) / 180;
                 const ap_assumed = 2;
@@ -367,16 +1247,7 @@ export class SpeedsFeedsCalculator {
     }
     
     getSpeedFactor() {
-        // Implementation for speed factors based on cut type
-        const speedFactors = {
-            slot: 1.0,
-            profile: 1.2,
-            adaptive: 1.3,
-            facing: 1.1,
-            drilling: 0.8,
-            boring: 0.9
-        };
-        return speedFactors[this.cutType] || 1.0;
+        return TOOL_UTILS.getSpeedFactor(this.tool.type, this.cutType) * this.coolantFactors.vc;
     }
     
     getChiploadRange(diameter) {
@@ -390,48 +1261,108 @@ export class SpeedsFeedsCalculator {
     }
     
     getCutDefinition() {
-        // This would come from cut types data
-        // For now, return basic structure
-        return {
-            ae_fraction: 0.3,
-            ap_fraction_range: [0.5, 1.0]
-        };
+        const cutDef = CUT_TYPES[this.cutType];
+        if (!cutDef) {
+            throw new Error(`Unknown cut type: ${this.cutType}`);
+        }
+        return cutDef;
     }
     
-    calculateCuttingForce(ae, ap, fz) {
-        const K = this.material.force_coeff_KN_mm2;
-        const area = ae * fz;
-        
-        let forceFactor = 1.0;
-        if (this.tool.type === 'drill') {
-            forceFactor = 1.5;
-        } else if (this.tool.type === 'vbit' || this.tool.type === 'chamfer') {
-            forceFactor = 0.7;
-        } else if (this.tool.type === 'facemill') {
-            forceFactor = 0.6;
+    validateToolCut() {
+        const toolDef = TOOL_TYPES[this.tool.type];
+        if (!toolDef) {
+            throw new Error(`Unknown tool type: ${this.tool.type}`);
         }
         
-        return K * area * 1000 * forceFactor;
+        const cutDef = this.getCutDefinition();
+        if (!toolDef.supportedCuts.includes(this.cutType) || !cutDef.toolTypes.includes(this.tool.type)) {
+            throw new Error(`${toolDef.name} does not support ${cutDef.name} (supported: ${toolDef.supportedCuts.join(', ')})`);
+        }
+    }
+    
+    calculateCuttingForces(ae, ap, fz, rpm) {
+        return calculateCuttingForces({
+            material: this.material,
+            tool: this.tool,
+            diameter: this.getEffectiveDiameter(ap),
+            flutes: this.getEffectiveFlutes(),
+            ae,
+            ap,
+            fz,
+            rpm,
+            tiltAngle: this.getTiltAngle()
+        });
     }
     
     getSpindlePowerAtRPM(rpm) {
-        const { rated_power_kW, base_rpm, rpm_min, rpm_max } = this.spindle;
-        const efficiency = 0.85; // Typical spindle efficiency
-        
-        if (rpm < rpm_min || rpm > rpm_max) return 0;
-        
-        let availablePower;
-        
-        if (rpm <= base_rpm) {
-            // Constant torque region with gradual buildup
-            const torqueRatio = Math.min(rpm / (rpm_min * 1.5), 1.0);
-            availablePower = rated_power_kW * 1000 * (rpm / base_rpm) * torqueRatio;
-        } else {
-            // Constant power region
-            availablePower = rated_power_kW * 1000;
+        // Shaft power from the spindle's curve and duty rating
+        return SPINDLE_UTILS.getSpindlePowerAtRPM(this.spindle, rpm);
+    }
+    
+    getSpindleTorque(forces, power, rpm) {
+        // Friction torque is steady; the cutting torque and the process losses on it peak as teeth enter the cut
+        const cutting = calculateSpindleTorque({
+            rpm,
+            power_W: power.cutting_power_W + power.process_losses_W,
+            tool: this.tool,
+            cutType: this.cutType,
+            forces
+        });
+        const friction = rpm > 0 ? power.friction_losses_W / cutting.omega_rad_s : 0;
+        const available = rpm > 0 ? this.getSpindlePowerAtRPM(rpm) / cutting.omega_rad_s : 0;
+        const peakLimit = available * POWER_CONSTANTS.PEAK_TORQUE_OVERLOAD;
+        const required = cutting.base_torque_Nm + friction;
+        const peak = cutting.effective_torque_Nm + friction;
+        return {
+            required_Nm: required,
+            peak_Nm: peak,
+            cutting_peak_Nm: cutting.effective_torque_Nm,
+            friction_Nm: friction,
+            available_Nm: available,
+            peak_limit_Nm: peakLimit,
+            utilization_percent: peakLimit > 0 ? Math.max(required / available, peak / peakLimit) * 100 : Infinity
+        };
+    }
+    
+    limitTorque(forcesAt, rpm, forces, power, maxIterations = POWER_CONSTANTS.LIMIT_MAX_ITERATIONS) {
+        // Solve the chipload ratio that brings the peak torque to the spindle's limit. The power limit already holds
+        // the mean torque; only the cutting torque scales with fz^(1 - mc), with the steady friction torque on top
+        let ratio = 1;
+        let torque = this.getSpindleTorque(forces, power, rpm);
+        if (torque.utilization_percent <= 100 || torque.friction_Nm >= torque.peak_limit_Nm) {
+            return { ratio, forces, power, torque };
         }
         
-        return availablePower * efficiency;
+        this.warnings.push({
+            type: 'warning',
+            message: `Feed limited by spindle torque: ${torque.peak_Nm.toFixed(2)}Nm peak exceeds the ${torque.peak_limit_Nm.toFixed(2)}Nm ` +
+                     `the spindle holds at ${Math.round(rpm)} RPM`
+        });
+        let converged = false;
+        for (let i = 0; i < maxIterations && !converged; i++) {
+            ratio *= Math.pow((torque.peak_limit_Nm - torque.friction_Nm) / torque.cutting_peak_Nm, 1 / (1 - forces.mc));
+            forces = forcesAt(ratio);
+            power = this.calculateImprovedPower(forces, rpm);
+            torque = this.getSpindleTorque(forces, power, rpm);
+            converged = Math.abs(torque.peak_Nm - torque.peak_limit_Nm) <= torque.peak_limit_Nm * POWER_CONSTANTS.LIMIT_TOLERANCE;
+        }
+        if (!converged) {
+            this.warnings.push({
+                type: 'warning',
+                message: `Torque limit did not converge: ${torque.peak_Nm.toFixed(2)}Nm peak against a ${torque.peak_limit_Nm.toFixed(2)}Nm ` +
+                         `limit after ${maxIterations} iterations`
+            });
+        }
+        return { ratio, forces, power, torque };
+    }
+    
+    getTorqueResults(torque) {
+        return {
+            torque_Nm: parseFloat(torque.required_Nm.toFixed(3)),
+            torque_peak_Nm: parseFloat(torque.peak_Nm.toFixed(3)),
+            torque_available_Nm: parseFloat(torque.available_Nm.toFixed(3)),
+            torque_utilization_percent: parseFloat(torque.utilization_percent.toFixed(1))
+        };
     }
     
     getCoatingChiploadFactor() {
@@ -0,0 +1,217 @@
+// Chatter Stability Module
+// Single degree of freedom stability lobes: critical axial depth against spindle speed and stable pocket search
+
+import { STABILITY_CONSTANTS, FORCE_COEFFICIENTS } from '../utils/constants.js';
+import { calculateToolNaturalFrequency, calculateToolStiffness } from './deflection.js';
+
+/**
+ * Get the modal parameters of the tool's first bending mode
+ * @param {Object} tool - Tool configuration; natural_frequency_Hz, stiffness_N_mm and damping_ratio override the model (e.g. from a tap test)
+ * @returns {Object} - { natural_frequency_Hz, stiffness_N_mm, damping_ratio, measured }
+ */
+export function getToolDynamics(tool) {
+    return {
+        natural_frequency_Hz: tool.natural_frequency_Hz || calculateToolNaturalFrequency(tool),
+        stiffness_N_mm: tool.stiffness_N_mm || calculateToolStiffness(tool),
+        damping_ratio: tool.damping_ratio || STABILITY_CONSTANTS.DAMPING_RATIO,
+        measured: Boolean(tool.natural_frequency_Hz && tool.stiffness_N_mm)
+    };
+}
+
+/**
+ * Calculate stability lobes for a single degree of freedom tool tip
+ * @param {Object} params - { dynamics, cuttingCoefficient, directionalFactor, flutes, rpmMin, rpmMax }
+ * @returns {Object} - Lobe curves, the critical depth envelope over rpmMin..rpmMax and the minimum critical depth
+ */
+export function calculateStabilityLobes(params) {
+    const { dynamics, cuttingCoefficient, directionalFactor, flutes, rpmMin, rpmMax } = params;
+    const { natural_frequency_Hz: fn, stiffness_N_mm: k, damping_ratio: zeta } = dynamics;
+    const { MAX_FREQUENCY_RATIO, SAMPLES_PER_LOBE, MAX_LOBES } = STABILITY_CONSTANTS;
+
+    // Chatter grows where the oriented response α·Re[G] is positive: above fn for α < 0, below it for α > 0
+    const frequencyRatios = Array.from({ length: SAMPLES_PER_LOBE }, (_, i) => {
+        const step = Math.pow((i + 1) / SAMPLES_PER_LOBE, 2);
+        return directionalFactor < 0 ? 1 + (MAX_FREQUENCY_RATIO - 1) * step : 1 - 0.95 * step;
+    });
+
+    // Lobe j holds j whole vibration waves between teeth; higher lobes sit at lower speeds
+    const lobes = [];
+    for (let j = 0; j < MAX_LOBES; j++) {
+        const points = frequencyRatios.map(r => {
+            const { real, imaginary } = getFrequencyResponse(r, k, zeta);
+            const depth = 2 * Math.PI / (flutes * cuttingCoefficient * directionalFactor * real);
+            const phase = Math.PI - 2 * Math.atan(-imaginary / real);
+            const rpm = 60 * r * fn / (flutes * (j + phase / (2 * Math.PI)));
+            // Without a cutting force (no engagement or no chip) nothing regenerates and any depth is stable
+            return { rpm, doc_mm: depth > 0 ? depth : Infinity };
+        });
+        lobes.push(points);
+
+        if (Math.max(...points.map(p => p.rpm)) < rpmMin) break;
+    }
+
+    const gridPoints = rpmMax > rpmMin ? STABILITY_CONSTANTS.RPM_GRID_POINTS : 1;
+    const envelope = Array.from({ length: gridPoints }, (_, i) => {
+        const rpm = gridPoints > 1 ? rpmMin + (rpmMax - rpmMin) * i / (gridPoints - 1) : rpmMin;
+        return { rpm, doc_mm: getCriticalDepthAt(lobes, rpm) };
+    });
+
+    return {
+        lobes,
+        envelope,
+        // Every lobe has the same depth profile; below its minimum the cut is stable at any speed
+        min_critical_doc_mm: Math.min(...lobes[0].map(p => p.doc_mm))
+    };
+}
+
+/**
+ * Get the average directional factor of the cutting forces for a radial engagement
+ * @param {number} ae - Radial engagement (mm)
+ * @param {number} diameter - Tool diameter (mm)
+ * @returns {number} - Directional factor for the more critical of the feed and normal directions (climb milling)
+ */
+export function getDirectionalFactor(ae, diameter) {
+    const Kr = FORCE_COEFFICIENTS.RADIAL_RATIO;
+    const entry = Math.acos(Math.min(1, Math.max(-1, 2 * ae / diameter - 1)));
+    const exit = Math.PI;
+
+    // Zero-order averages of the directional coefficients over the engagement arc
+    const feed = (phi) => Math.cos(2 * phi) - 2 * Kr * phi + Kr * Math.sin(2 * phi);
+    const normal = (phi) => -Math.cos(2 * phi) - 2 * Kr * phi - Kr * Math.sin(2 * phi);
+    const alphaXX = (feed(exit) - feed(entry)) / 2;
+    const alphaYY = (normal(exit) - normal(entry)) / 2;
+
+    return Math.abs(alphaXX) > Math.abs(alphaYY) ? alphaXX : alphaYY;
+}
+
+/**
+ * Check a cut for chatter and find a nearby stable spindle speed
+ * @param {Object} params - { tool, diameter, flutes, kc, mc, ae, rpm, ap, spindle }
+ * @returns {Object} - Modal parameters, critical depths, lobe diagram, recommended RPM and warnings
+ */
+export function analyzeChatterStability(params) {
+    const { tool, diameter = tool.diameter_mm, flutes = tool.flutes || 2, kc, mc, ae, rpm, ap, spindle } = params;
+    const dynamics = getToolDynamics(tool);
+    const rpmMin = spindle?.rpm_min || rpm;
+    const rpmMax = spindle?.rpm_max || rpm;
+
+    // Chip thickness modulation sees the slope of the Kienzle curve, d(kc·h)/dh = (1 - mc)·kc
+    const cuttingCoefficient = kc * (1 - mc);
+    const directionalFactor = getDirectionalFactor(ae, diameter);
+
+    const { lobes, envelope, min_critical_doc_mm: minCritical } = calculateStabilityLobes({
+        dynamics, cuttingCoefficient, directionalFactor, flutes, rpmMin, rpmMax
+    });
+
+    const criticalDoc = getCriticalDepthAt(lobes, rpm);
+    const requiredDoc = ap * STABILITY_CONSTANTS.SAFETY_FACTOR;
+    const recommendation = criticalDoc >= requiredDoc
+        ? { rpm, doc_mm: criticalDoc }
+        : findStablePocket(lobes, envelope, rpm, requiredDoc);
+
+    const warnings = [];
+    const recommendedRPM = Math.round(recommendation.rpm);
+    if (ap >= criticalDoc) {
+        warnings.push({
+            type: 'warning',
+            message: recommendation.doc_mm >= requiredDoc
+                ? `Chatter predicted: ${ap.toFixed(2)}mm DOC exceeds the ${criticalDoc.toFixed(2)}mm stability limit at ${Math.round(rpm)} RPM - try ${recommendedRPM} RPM (${formatLimit(recommendation.doc_mm)})`
+                : `Chatter predicted: ${ap.toFixed(2)}mm DOC exceeds the ${criticalDoc.toFixed(2)}mm stability limit and no spindle speed is stable - reduce DOC below ${(recommendation.doc_mm / STABILITY_CONSTANTS.SAFETY_FACTOR).toFixed(2)}mm at ${recommendedRPM} RPM`
+        });
+    } else if (criticalDoc < requiredDoc) {
+        warnings.push({
+            type: 'info',
+            message: `Close to the chatter limit (${criticalDoc.toFixed(2)}mm at ${Math.round(rpm)} RPM)` +
+                (recommendation.doc_mm >= requiredDoc ? ` - ${recommendedRPM} RPM is more stable` : '')
+        });
+    }
+
+    return {
+        natural_frequency_Hz: Math.round(dynamics.natural_frequency_Hz),
+        stiffness_N_mm: Math.round(dynamics.stiffness_N_mm),
+        damping_ratio: dynamics.damping_ratio,
+        measured_dynamics: dynamics.measured,
+        cutting_coefficient_N_mm2: Math.round(cuttingCoefficient),
+        directional_factor: parseFloat(directionalFactor.toFixed(3)),
+        tooth_passing_frequency_Hz: parseFloat((rpm * flutes / 60).toFixed(1)),
+        critical_doc_mm: roundDepth(criticalDoc),
+        min_critical_doc_mm: roundDepth(minCritical),
+        stable: ap < criticalDoc,
+        recommended_rpm: recommendedRPM,
+        recommended_critical_doc_mm: roundDepth(recommendation.doc_mm),
+        lobe_diagram: envelope.map(point => ({ rpm: Math.round(point.rpm), doc_mm: roundDepth(point.doc_mm) })),
+        warnings
+    };
+}
+
+/**
+ * Get the frequency response of the tool tip
+ * @param {number} r - Frequency ratio f / fn
+ * @param {number} k - Static stiffness (N/mm)
+ * @param {number} zeta - Damping ratio
+ * @returns {Object} - { real, imaginary } in mm/N
+ */
+function getFrequencyResponse(r, k, zeta) {
+    const denominator = Math.pow(1 - r * r, 2) + Math.pow(2 * zeta * r, 2);
+    return {
+        real: (1 - r * r) / (k * denominator),
+        imaginary: -2 * zeta * r / (k * denominator)
+    };
+}
+
+// Depths above every lobe are unbounded and reported as null
+function roundDepth(depth) {
+    return Number.isFinite(depth) ? parseFloat(depth.toFixed(3)) : null;
+}
+
+// A pocket above every lobe has no depth limit
+function formatLimit(depth) {
+    return Number.isFinite(depth) ? `limit ${depth.toFixed(2)}mm` : 'unlimited';
+}
+
+// Lowest lobe at a spindle speed; speeds above every lobe are unconditionally stable
+function getCriticalDepthAt(lobes, rpm) {
+    let depth = Infinity;
+    for (const points of lobes) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (rpm < Math.min(a.rpm, b.rpm) || rpm > Math.max(a.rpm, b.rpm)) continue;
+            const t = b.rpm === a.rpm ? 0 : (rpm - a.rpm) / (b.rpm - a.rpm);
+            if (Number.isFinite(a.doc_mm) && Number.isFinite(b.doc_mm)) {
+                depth = Math.min(depth, a.doc_mm + t * (b.doc_mm - a.doc_mm));
+            }
+        }
+    }
+    return depth;
+}
+
+// Closest pocket peak deep enough for the cut, else the deepest pocket in the speed range
+function findStablePocket(lobes, envelope, rpm, requiredDoc) {
+    const step = envelope.length > 1 ? envelope[1].rpm - envelope[0].rpm : 0;
+    const peaks = envelope
+        .filter((point, i) =>
+            (i === 0 || point.doc_mm >= envelope[i - 1].doc_mm) &&
+            (i === envelope.length - 1 || point.doc_mm >= envelope[i + 1].doc_mm))
+        .map(point => refinePeak(lobes, point, step, envelope[0].rpm, envelope[envelope.length - 1].rpm));
+    if (peaks.length === 0) return { rpm, doc_mm: Infinity };
+
+    const stable = peaks.filter(point => point.doc_mm >= requiredDoc);
+    if (stable.length > 0) {
+        return stable.reduce((best, point) =>
+            Math.abs(point.rpm - rpm) < Math.abs(best.rpm - rpm) ? point : best);
+    }
+
+    return peaks.reduce((best, point) => point.doc_mm > best.doc_mm ? point : best);
+}
+
+// Pocket tops are sharp lobe intersections, so search between the neighbouring grid points
+function refinePeak(lobes, point, step, rpmMin, rpmMax) {
+    let best = point;
+    for (let i = -10; i <= 10; i++) {
+        const rpm = Math.min(rpmMax, Math.max(rpmMin, point.rpm + step * i / 10));
+        const depth = getCriticalDepthAt(lobes, rpm);
+        if (depth > best.doc_mm) best = { rpm, doc_mm: depth };
+    }
+    return best;
+}
@@ -0,0 +1,103 @@
+// Surface Finish Module
+// Feed mark and runout contributions to Rz/Ra, deflection form error and the feed per tooth for a target Ra
+
+import { SURFACE_FINISH_CONSTANTS } from '../utils/constants.js';
+import { CUT_TYPES } from '../data/tools.js';
+import { calculateScallopHeight } from './ball-nose.js';
+
+// Tool types with a surface finish prediction
+export const FINISH_TOOL_TYPES = ['endmill_flat', 'endmill_ball', 'tapered', 'facemill'];
+
+/**
+ * Get the surface a cut leaves finished
+ * @param {string} toolType - Tool type key
+ * @param {string} cutType - Cut type key
+ * @returns {string|null} - 'wall', 'floor' or null when the finish is not modelled
+ */
+export function getFinishSurface(toolType, cutType) {
+    if (!FINISH_TOOL_TYPES.includes(toolType)) return null;
+    return CUT_TYPES[cutType]?.finishSurface || null;
+}
+
+/**
+ * Get the radius of the edge that generates the feed marks
+ * @param {Object} tool - Tool configuration (corner_radius_mm overrides the tool type default)
+ * @param {string} surface - 'wall' or 'floor'
+ * @param {number} diameter - Cutting diameter (mm)
+ * @returns {number} - Generating radius (mm)
+ */
+export function getFinishRadius(tool, surface, diameter) {
+    // Walls are swept by the flute tips on the cutting diameter
+    if (surface === 'wall') return diameter / 2;
+
+    // Floors are swept by the tool corner
+    if (tool.corner_radius_mm > 0) return tool.corner_radius_mm;
+    switch (tool.type) {
+        case 'endmill_ball':
+            return tool.diameter_mm / 2;
+        case 'tapered':
+            return Math.max((tool.tip_diameter_mm || 0) / 2, SURFACE_FINISH_CONSTANTS.SHARP_CORNER_RADIUS_MM);
+        case 'facemill':
+            return SURFACE_FINISH_CONSTANTS.INSERT_CORNER_RADIUS_MM;
+        default:
+            return SURFACE_FINISH_CONSTANTS.SHARP_CORNER_RADIUS_MM;
+    }
+}
+
+/**
+ * Predict the roughness of the finished surface
+ * @param {Object} params - { tool, surface, fz, flutes, diameter, ae, runout_mm, deflection_mm }
+ * @returns {Object} - Feed mark and runout contributions, Rz, Ra and the deflection form error (mm)
+ */
+export function predictSurfaceFinish(params) {
+    const { tool, surface, fz, flutes, diameter, ae, runout_mm: runout = 0, deflection_mm: deflection = 0 } = params;
+    const radius = getFinishRadius(tool, surface, diameter);
+
+    // Each tooth leaves a circular-arc cusp one feed per tooth long
+    const feedMark = calculateScallopHeight(2 * radius, fz);
+
+    // Runout offsets the teeth radially: a height step on a wall, uneven mark spacing on a floor.
+    // At worst one tooth does all the cutting and the marks are one feed per revolution apart.
+    const rz = surface === 'wall'
+        ? Math.max(feedMark, Math.min(feedMark + runout, calculateScallopHeight(2 * radius, fz * flutes)))
+        : calculateScallopHeight(2 * radius, Math.min(fz + runout, fz * flutes));
+
+    return {
+        surface,
+        generating_radius_mm: radius,
+        feed_mark_mm: feedMark,
+        runout_contribution_mm: rz - feedMark,
+        Rz_mm: rz,
+        Ra_mm: rz * SURFACE_FINISH_CONSTANTS.RA_RZ_RATIO,
+        // Ball nose floors also carry the stepover cusp across the feed direction
+        cross_feed_Rz_mm: surface === 'floor' && tool.type === 'endmill_ball' ? calculateScallopHeight(tool.diameter_mm, ae) : 0,
+        // Each tooth leaves the wall at the same point in its force cycle, so deflection moves the wall instead of roughening it
+        form_error_mm: surface === 'wall' ? deflection : 0
+    };
+}
+
+/**
+ * Solve the feed per tooth that gives a target Ra
+ * @param {number} targetRa - Target Ra (same unit as predictRa returns)
+ * @param {Function} predictRa - Ra for a feed per tooth; must increase with fz
+ * @param {number} fzMax - Largest feed per tooth to consider (mm)
+ * @returns {number} - Feed per tooth (mm), fzMax when the target is already met
+ */
+export function solveChiploadForRoughness(targetRa, predictRa, fzMax) {
+    if (!(targetRa > 0)) {
+        throw new Error('Target Ra must be positive');
+    }
+    if (predictRa(fzMax) <= targetRa) return fzMax;
+
+    let low = 0;
+    let high = fzMax;
+    while ((high - low) / high > SURFACE_FINISH_CONSTANTS.SOLVE_TOLERANCE) {
+        const fz = (low + high) / 2;
+        if (predictRa(fz) <= targetRa) {
+            low = fz;
+        } else {
+            high = fz;
+        }
+    }
+    return low;
+}
@@ -0,0 +1,124 @@
+// Thread Milling Calculation Module
+// Thread geometry, radial pass planning, helical feed compensation and cycle time per hole
+
+import { THREAD_MILLING_CONSTANTS } from '../utils/constants.js';
+import { THREAD_UTILS } from '../data/threads.js';
+
+// Cut types handled by the thread milling model instead of the straight-line milling path
+export const THREAD_CUT_TYPES = ['thread_mill', 'helical'];
+
+/**
+ * Resolve a thread specification to full thread geometry
+ * @param {Object|null} spec - { designation } or { standard, major_diameter_mm, pitch_mm | tpi }, plus internal and length_mm
+ * @param {Object} tool - Thread mill configuration (its pitch picks a default size when no spec is given)
+ * @returns {Object} - Thread geometry; assumed is true when the size came from the tool pitch
+ */
+export function resolveThreadSpec(spec, tool) {
+    const { internal = true, length_mm = null } = spec || {};
+    let thread;
+    let assumed = false;
+
+    if (spec?.designation) {
+        thread = THREAD_UTILS.parseDesignation(spec.designation);
+    } else if (spec?.major_diameter_mm && (spec.pitch_mm || spec.tpi)) {
+        thread = {
+            standard: spec.standard || 'metric',
+            size: null,
+            major_diameter_mm: spec.major_diameter_mm,
+            pitch_mm: THREAD_UTILS.getPitch(spec)
+        };
+    } else {
+        // Fall back to the smallest standard size the tool can cut
+        const pitch = tool.pitch_mm;
+        const standard = ['metric', 'unc', 'unf'].find(s => THREAD_UTILS.findSizeForPitch(pitch, tool.diameter_mm, s));
+        if (!standard) {
+            throw new Error(`No standard thread with a ${pitch}mm pitch fits a ${tool.diameter_mm}mm thread mill - specify the thread`);
+        }
+        thread = THREAD_UTILS.parseDesignation(THREAD_UTILS.findSizeForPitch(pitch, tool.diameter_mm, standard));
+        assumed = true;
+    }
+
+    const { major_diameter_mm: major, pitch_mm: pitch } = thread;
+    if (!(major > 0) || !(pitch > 0)) {
+        throw new Error('Thread major diameter and pitch must be positive');
+    }
+
+    return {
+        ...thread,
+        internal,
+        minor_diameter_mm: THREAD_UTILS.getMinorDiameter(major, pitch, internal),
+        thread_depth_mm: THREAD_UTILS.getThreadDepth(pitch, internal),
+        length_mm: length_mm || major * THREAD_MILLING_CONSTANTS.DEFAULT_LENGTH_D,
+        assumed
+    };
+}
+
+/**
+ * Split the thread depth into equal radial passes
+ * @param {number} threadDepth - Radial thread depth (mm)
+ * @param {number} pitch - Thread pitch (mm)
+ * @param {Object} material - Material properties
+ * @returns {Array<number>} - Cumulative radial depth after each pass (mm)
+ */
+export function planRadialPasses(threadDepth, pitch, material) {
+    const fraction = THREAD_MILLING_CONSTANTS.RADIAL_DEPTH_PER_PASS_P[material.force_group] || 0.3;
+    const passCount = Math.max(1, Math.ceil(threadDepth / (fraction * pitch) - 1e-9));
+    return Array.from({ length: passCount }, (_, i) => threadDepth * (i + 1) / passCount);
+}
+
+/**
+ * Calculate the engagement angle of a cutter orbiting a circular contour
+ * @param {Object} params - { toolDiameter, finishedDiameter, previousDiameter, internal }
+ * @returns {number} - Engagement angle in radians
+ */
+export function getCircularEngagementAngle(params) {
+    const { toolDiameter, finishedDiameter, previousDiameter, internal } = params;
+    const r = toolDiameter / 2;
+    const finished = finishedDiameter / 2;
+    const previous = previousDiameter / 2;
+
+    // Law of cosines between the work centre, tool centre and the stock boundary
+    const cosAngle = internal
+        ? (previous * previous - (finished - r) ** 2 - r * r) / (2 * (finished - r) * r)
+        : ((finished + r) ** 2 + r * r - previous * previous) / (2 * (finished + r) * r);
+
+    return Math.acos(Math.min(1, Math.max(-1, cosAngle)));
+}
+
+/**
+ * Get the ratio of tool-centre feed to cutting-edge feed on a circular path
+ * @param {number} toolDiameter - Cutter diameter (mm)
+ * @param {number} cutDiameter - Diameter being cut (mm)
+ * @param {boolean} internal - Internal (hole) or external (boss) contour
+ * @returns {number} - vf_centre / vf_edge
+ */
+export function getHelicalFeedFactor(toolDiameter, cutDiameter, internal = true) {
+    return internal
+        ? (cutDiameter - toolDiameter) / cutDiameter
+        : (cutDiameter + toolDiameter) / cutDiameter;
+}
+
+/**
+ * Estimate the time to mill one thread
+ * @param {Object} params - { pathDiameter, pitch, length, passes, axialSteps, feed, plungeFeed }
+ * @returns {Object} - Path lengths and times per hole
+ */
+export function estimateThreadCycleTime(params) {
+    const { pathDiameter, pitch, length, passes, axialSteps = 1, feed, plungeFeed } = params;
+
+    // One orbit climbs one pitch; arc-in and arc-out add a fraction of an orbit each
+    const orbitLength = Math.hypot(Math.PI * pathDiameter, pitch);
+    const passLength = orbitLength * (axialSteps + 2 * THREAD_MILLING_CONSTANTS.ARC_ENTRY_FRACTION);
+    const pathLength = passLength * passes;
+
+    const cuttingTime = feed > 0 ? pathLength / feed * 60 : Infinity;
+    const plungeDistance = 2 * (length + THREAD_MILLING_CONSTANTS.CLEARANCE_MM);
+    const positioningTime = plungeFeed > 0 ? plungeDistance / plungeFeed * 60 : 0;
+
+    return {
+        orbit_length_mm: orbitLength,
+        path_length_mm: pathLength,
+        cutting_time_s: cuttingTime,
+        cycle_time_s: cuttingTime + positioningTime
+    };
+}
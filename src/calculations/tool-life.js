@@ -0,0 +1,119 @@
+// Tool Life Module
+// Taylor tool life, economic cutting speeds and cost per part
+
+import { TOOL_LIFE_CONSTANTS } from '../utils/constants.js';
+
+// Ways of choosing the cutting speed
+export const SPEED_MODES = {
+    nominal: { name: 'Nominal', description: 'Midpoint of the material vc range' },
+    max_production: { name: 'Max Production', description: 'Shortest time per part, counting tool changes' },
+    min_cost: { name: 'Min Cost', description: 'Lowest cost per part from machine rate, tool price and change time' }
+};
+
+/**
+ * Get Taylor tool life constants for a tool in a material
+ * @param {Object} material - Material properties with taylor constants per tool material
+ * @param {Object} tool - Tool configuration (material and coating)
+ * @returns {Object|null} - { n, C, estimated } or null when the material has no Taylor data
+ */
+export function getTaylorConstants(material, tool) {
+    if (!material.taylor) return null;
+
+    const toolMaterial = tool.material || 'carbide';
+    const base = material.taylor[toolMaterial] || material.taylor.carbide;
+    if (!base) return null;
+
+    const coatingFactor = TOOL_LIFE_CONSTANTS.COATING_C_FACTOR[tool.coating] || 1.0;
+    return {
+        n: base.n,
+        C: base.C * coatingFactor,
+        // Tool materials without their own data borrow the carbide constants
+        estimated: !material.taylor[toolMaterial]
+    };
+}
+
+/**
+ * Calculate tool life from Taylor's equation vc·T^n = C
+ * @param {number} vc - Cutting speed (m/min)
+ * @param {Object} taylor - { n, C }
+ * @returns {number} - Minutes of cut per edge
+ */
+export function calculateToolLife(vc, taylor) {
+    return Math.pow(taylor.C / vc, 1 / taylor.n);
+}
+
+/**
+ * Fill in missing cost inputs with defaults
+ * @param {Object|null} economics - { speed_mode, tool_cost, edges_per_tool, machine_rate_per_hour, tool_change_min, cut_length_mm }
+ * @returns {Object} - Complete economics inputs
+ */
+export function resolveEconomics(economics) {
+    const resolved = { speed_mode: 'nominal', ...TOOL_LIFE_CONSTANTS.DEFAULT_ECONOMICS };
+    for (const [key, value] of Object.entries(economics || {})) {
+        if (value !== null && value !== undefined && value !== '') resolved[key] = value;
+    }
+    if (!SPEED_MODES[resolved.speed_mode]) {
+        throw new Error(`Unknown speed mode: ${resolved.speed_mode} (expected ${Object.keys(SPEED_MODES).join(', ')})`);
+    }
+    return resolved;
+}
+
+/**
+ * Get the tool life that maximizes production or minimizes cost (Gilbert)
+ * @param {string} mode - 'max_production' or 'min_cost'
+ * @param {Object} taylor - { n, C }
+ * @param {Object} economics - Resolved economics inputs
+ * @returns {number} - Economic tool life in minutes
+ */
+export function getEconomicToolLife(mode, taylor, economics) {
+    const { tool_change_min: changeTime, machine_rate_per_hour: rate } = economics;
+    const factor = 1 / taylor.n - 1;
+
+    if (mode === 'max_production') {
+        return factor * changeTime;
+    }
+    // Each edge costs its share of the tool plus the machine time to change it
+    return factor * (changeTime + getEdgeCost(economics) / (rate / 60));
+}
+
+/**
+ * Get the cutting speed for a speed mode from Taylor's equation
+ * @param {string} mode - 'max_production' or 'min_cost'
+ * @param {Object} taylor - { n, C }
+ * @param {Object} economics - Resolved economics inputs
+ * @returns {number} - Cutting speed (m/min)
+ */
+export function getEconomicSpeed(mode, taylor, economics) {
+    return taylor.C / Math.pow(getEconomicToolLife(mode, taylor, economics), taylor.n);
+}
+
+/**
+ * Calculate time and cost per part for a cutting speed and feed
+ * @param {Object} params - { vc, feed, taylor, economics }
+ * @returns {Object} - Tool life, time and cost per part
+ */
+export function calculateCostPerPart(params) {
+    const { vc, feed, taylor, economics } = params;
+    const { machine_rate_per_hour: rate, tool_change_min: changeTime, cut_length_mm: length } = economics;
+
+    const toolLife = calculateToolLife(vc, taylor);
+    const machiningTime = feed > 0 ? length / feed : Infinity;
+    const edgesPerPart = machiningTime / toolLife;
+
+    const machineCost = machiningTime * rate / 60;
+    const toolCost = edgesPerPart * (getEdgeCost(economics) + changeTime * rate / 60);
+
+    return {
+        tool_life_min: toolLife,
+        machining_time_min: machiningTime,
+        time_per_part_min: machiningTime + edgesPerPart * changeTime,
+        parts_per_edge: 1 / edgesPerPart,
+        machine_cost_per_part: machineCost,
+        tool_cost_per_part: toolCost,
+        cost_per_part: machineCost + toolCost
+    };
+}
+
+function getEdgeCost(economics) {
+    return economics.tool_cost / Math.max(1, economics.edges_per_tool);
+}
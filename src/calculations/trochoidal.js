@@ -0,0 +1,84 @@
+// Trochoidal Milling Module
+// Loop diameter and stepover for a trochoidal slot, centre/edge feed compensation and average MRR
+
+import { TROCHOIDAL_CONSTANTS } from '../utils/constants.js';
+import { getEngagementAngle } from './chip-thickness.js';
+import { getCircularEngagementAngle, getHelicalFeedFactor } from './thread-milling.js';
+
+/**
+ * Calculate the trochoidal loop that holds a straight-cut engagement in a slot
+ * @param {Object} params - { diameter, slotWidth, ae } with ae the radial engagement to hold (mm)
+ * @returns {Object} - Loop diameter and stepover, engagement, feed factor and the cutting share of each loop
+ */
+export function calculateTrochoid(params) {
+    const { diameter, slotWidth, ae } = params;
+    if (!(slotWidth > diameter)) {
+        throw new Error(`Trochoidal slot width (${slotWidth}mm) must be larger than the tool diameter (${diameter}mm)`);
+    }
+
+    // The tool centre circles inside the slot; its edge sweeps the full slot width
+    const loopDiameter = slotWidth - diameter;
+    const targetAngle = getEngagementAngle(ae, diameter);
+    const stepover = solveLoopStepover(diameter, slotWidth, targetAngle);
+
+    // The tool removes stock while the loop faces forward: cos θ > -s/dt from the front of the loop
+    const cuttingArc = 2 * Math.acos(Math.max(-1, -stepover / loopDiameter));
+    const loopLength = Math.PI * loopDiameter + stepover;
+
+    return {
+        loop_diameter_mm: loopDiameter,
+        stepover_mm: stepover,
+        engagement_angle_deg: targetAngle * 180 / Math.PI,
+        // Chipload is set at the cutting edge on the slot wall; the controller is programmed at the tool centre
+        feed_factor: getHelicalFeedFactor(diameter, slotWidth, true),
+        loop_length_mm: loopLength,
+        cutting_fraction: cuttingArc / 2 * loopDiameter / loopLength
+    };
+}
+
+/**
+ * Solve the advance per loop whose peak engagement matches an engagement angle
+ * @param {number} diameter - Cutter diameter (mm)
+ * @param {number} slotWidth - Slot width (mm)
+ * @param {number} engagementAngle - Target engagement angle (radians)
+ * @returns {number} - Stepover per loop (mm)
+ */
+export function solveLoopStepover(diameter, slotWidth, engagementAngle) {
+    // At the front of the loop the tool enlarges a bore from the previous loop's wall, like circular interpolation
+    const engagement = stepover => getCircularEngagementAngle({
+        toolDiameter: diameter,
+        finishedDiameter: slotWidth,
+        previousDiameter: slotWidth - 2 * stepover,
+        internal: true
+    });
+
+    let low = 0;
+    let high = Math.min(diameter, slotWidth / 2);
+    if (engagement(high) <= engagementAngle) return high;
+    while ((high - low) / high > TROCHOIDAL_CONSTANTS.SOLVE_TOLERANCE) {
+        const stepover = (low + high) / 2;
+        if (engagement(stepover) <= engagementAngle) {
+            low = stepover;
+        } else {
+            high = stepover;
+        }
+    }
+    return low;
+}
+
+/**
+ * Calculate the average removal rate of a trochoidal slot
+ * @param {Object} params - { trochoid, slotWidth, ap, centerFeed }
+ * @returns {Object} - Loop time, slot advance rate and average MRR
+ */
+export function calculateTrochoidalMRR(params) {
+    const { trochoid, slotWidth, ap, centerFeed } = params;
+    const loopTime = centerFeed > 0 ? trochoid.loop_length_mm / centerFeed : Infinity;
+
+    // Each loop clears the full slot width for one stepover, including the part of the loop spent in air
+    return {
+        loop_time_s: loopTime * 60,
+        advance_mm_min: trochoid.stepover_mm / loopTime,
+        average_mrr_mm3_min: slotWidth * trochoid.stepover_mm * ap / loopTime
+    };
+}
@@ -2,6 +2,7 @@
 // Comprehensive validation for all calculation parameters
 
 import { VALIDATION_LIMITS, WARNING_THRESHOLDS } from '../utils/constants.js';
+import { SPINDLE_DUTY_RATINGS } from '../data/spindles.js';
 
 /**
  * Validate all calculation inputs
@@ -85,6 +86,19 @@ export function validateMachine(machine) {
         }
     }
     
+    // Validate imported stepper torque curves
+    Object.entries(machine.axes || {}).forEach(([axis, config]) => {
+        const curve = config?.motor_specs?.torque_curve;
+        if (!curve) return;
+        const points = Array.isArray(curve) ? curve : [];
+        if (points.length < 2 || points.every(point => !(point.rpm > 0))) {
+            errors.push(`${axis.toUpperCase()}-axis torque curve needs at least two points, with at least one above 0 rpm`);
+        }
+        if (points.some(point => !isValidNumber(point.rpm) || point.rpm < 0 || !isValidNumber(point.torque_Nm) || point.torque_Nm <= 0)) {
+            errors.push(`${axis.toUpperCase()}-axis torque curve points need a non-negative rpm and a positive torque_Nm`);
+        }
+    });
+    
     // Validate rigidity factor
     if (machine.K_rigidity !== undefined) {
         if (!isValidNumber(machine.K_rigidity) || machine.K_rigidity <= 0) {
@@ -146,6 +160,35 @@ export function validateSpindle(spindle) {
         errors.push('Base RPM must be within min/max RPM range');
     }
     
+    if (spindle.constant_power_rpm && base_rpm && spindle.constant_power_rpm < base_rpm) {
+        errors.push('Constant power RPM must not be below base RPM');
+    }
+    
+    // Validate power curve and duty rating
+    if (spindle.power_curve) {
+        const points = Array.isArray(spindle.power_curve) ? spindle.power_curve : [];
+        if (points.length < 2) {
+            errors.push('Power curve must have at least two points');
+        }
+        points.forEach((point, i) => {
+            const value = point.power_W ?? point.torque_Nm;
+            if (!isValidNumber(point.rpm) || point.rpm <= 0 || !isValidNumber(value) || value <= 0) {
+                errors.push(`Power curve point ${i + 1} needs a positive rpm and power_W or torque_Nm`);
+            }
+        });
+        const curveRPMs = points.map(point => point.rpm);
+        if (points.length > 0 && (Math.min(...curveRPMs) > rpm_min || Math.max(...curveRPMs) < rpm_max)) {
+            warnings.push('Power curve does not cover the full RPM range - values are extended from its end points');
+        }
+    }
+    
+    const duty = spindle.duty || 'S1';
+    if (!SPINDLE_DUTY_RATINGS[duty]) {
+        errors.push(`Unknown spindle duty: ${duty}`);
+    } else if (duty === 'S6' && !(spindle.s6_power_kW > 0)) {
+        warnings.push('No S6 rating given - S6 duty uses the S1 curve');
+    }
+    
     return { errors, warnings };
 }
 
@@ -285,6 +328,16 @@ export function validateCutParameters(cutParams) {
         }
     }
     
+    // Validate target chip thickness
+    const { chip_thickness_mm } = cutParams;
+    if (chip_thickness_mm !== undefined && chip_thickness_mm !== null) {
+        if (!isValidNumber(chip_thickness_mm) || chip_thickness_mm <= 0) {
+            errors.push('Target chip thickness must be positive');
+        } else if (chip_thickness_mm > 0.5) {
+            warnings.push(`Very heavy target chip thickness (${chip_thickness_mm}mm)`);
+        }
+    }
+    
     // Validate aggressiveness factor
     const { aggressiveness } = cutParams;
     if (aggressiveness !== undefined) {
@@ -386,17 +439,17 @@ export function validateCalculationResults(results) {
     }
     
     // Deflection check
-    if (results.tool_deflection_mm) {
-        if (results.tool_deflection_mm > WARNING_THRESHOLDS.DEFLECTION_WARNING) {
+    if (results.deflection_mm) {
+        if (results.deflection_mm > WARNING_THRESHOLDS.DEFLECTION_WARNING) {
             warnings.push({
                 type: 'warning',
                 category: 'deflection',
-                message: `High tool deflection (${(results.tool_deflection_mm * 1000).toFixed(1)} µm)`
+                message: `High tool deflection (${(results.deflection_mm * 1000).toFixed(1)} µm)`
             });
             recommendations.push('Use shorter or larger diameter tool');
         }
         
-        if (results.tool_deflection_mm > WARNING_THRESHOLDS.DEFLECTION_DANGER) {
+        if (results.deflection_mm > WARNING_THRESHOLDS.DEFLECTION_DANGER) {
             warnings.push({
                 type: 'danger',
                 category: 'deflection',
@@ -407,8 +460,8 @@ export function validateCalculationResults(results) {
     }
     
     // Feed rate check
-    if (results.feed_rate_mm_min && results.max_feed_rate_mm_min) {
-        const feedUtilization = results.feed_rate_mm_min / results.max_feed_rate_mm_min;
+    if (results.feed_mm_min && results.max_feed_mm_min) {
+        const feedUtilization = results.feed_mm_min / results.max_feed_mm_min;
         if (feedUtilization > WARNING_THRESHOLDS.FEED_WARNING) {
             warnings.push({
                 type: 'warning',
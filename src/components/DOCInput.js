@@ -10,6 +10,7 @@ export function DOCInputComponent({
     calculatedDOC, 
     maxRecommendedDOC, 
     userDOC, 
+    passPlan = null,
     onDOCChange,
     warnings = [] 
 }) {
@@ -66,20 +67,9 @@ export function DOCInputComponent({
         }
     };
     
-    const getMultiPassSuggestion = () => {
-        if (!useCustomDOC || !userDOC || userDOC <= maxRecommendedDOC) return null;
-        
-        const numPasses = Math.ceil(userDOC / maxRecommendedDOC);
-        const passDepth = userDOC / numPasses;
-        
-        return {
-            passes: numPasses,
-            depthPerPass: passDepth
-        };
-    };
-    
     const status = getDocStatus();
-    const multiPassSuggestion = getMultiPassSuggestion();
+    // The engine's pass plan for the custom depth, shown once it takes more than one pass
+    const multiPassPlan = useCustomDOC && passPlan && passPlan.operations[0].axial_levels_mm.length > 1 ? passPlan : null;
     
     return (
         <div className="bg-white rounded-lg p-4 border">
@@ -159,13 +149,30 @@ export function DOCInputComponent({
                     </div>
                 )}
                 
-                {/* Multi-Pass Suggestion */}
-                {multiPassSuggestion && (
+                {/* Multi-Pass Plan */}
+                {multiPassPlan && (
                     <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
-                        <h5 className="text-sm font-medium text-blue-800 mb-1">Multi-Pass Suggestion</h5>
-                        <p className="text-sm text-blue-700">
-                            Consider {multiPassSuggestion.passes} passes at {multiPassSuggestion.depthPerPass.toFixed(2)}mm each
-                            for better tool life and surface finish.
+                        <h5 className="text-sm font-medium text-blue-800 mb-1">Multi-Pass Plan</h5>
+                        <p className="text-sm text-blue-700 mb-2">
+                            Leave {multiPassPlan.wall_stock_mm}mm on the wall and {multiPassPlan.floor_stock_mm}mm on the floor
+                            for {multiPassPlan.length_mm}mm of {multiPassPlan.width_mm}mm wide stock.
+                        </p>
+                        <div className="space-y-1 text-xs text-blue-700">
+                            {multiPassPlan.operations.map(op => (
+                                <div key={op.operation} title={`Depths: ${op.axial_levels_mm.join(', ')} mm`}>
+                                    <span className="font-medium">{op.name}:</span>
+                                    <span className="ml-2">
+                                        {op.axial_levels_mm.length} × {op.ap_mm.toFixed(2)}mm deep, {op.ae_mm.toFixed(2)}mm wide
+                                        {op.radial_steps > 1 && ` (${op.radial_steps} steps across)`} at {op.rpm} RPM,
+                                        {' '}{op.feed_mm_min} mm/min, {op.power_W}W, {op.deflection_mm.toFixed(3)}mm deflection
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-sm text-blue-800 font-medium mt-2">
+                            {multiPassPlan.total_passes} passes, ≈ {multiPassPlan.total_time_min} min
+                            ({multiPassPlan.cutting_time_min} cutting + {multiPassPlan.rapid_time_min} rapids
+                            + {multiPassPlan.accel_time_min} accel/decel)
                         </p>
                     </div>
                 )}
@@ -31,12 +31,16 @@ export function MachineConfigComponent({ selectedMachine, onMachineChange, onCus
     function createDefaultAxis() {
         return {
             motor_count: 1,
+            moving_mass_kg: 10,
             motor_type: 'stepper',
             motor_specs: {
                 holding_torque_Nm: 3.0,
                 max_speed_rpm: 1200,
                 step_angle_deg: 1.8,
-                current_A: 4.0
+                current_A: 4.0,
+                inductance_mH: 3.2,
+                supply_voltage_V: 48,
+                driver_current_A: 4.0
             },
             drive_system: 'ballscrew',
             drive_specs: {
@@ -192,6 +196,18 @@ function AxisConfigComponent({ axisName, axis, onMotorChange, onDriveChange, onA
                         </select>
                     </div>
                     
+                    <div>
+                        <label className="block text-xs text-gray-600">Moving Mass (kg)</label>
+                        <input
+                            type="number"
+                            value={axis.moving_mass_kg ?? ''}
+                            onChange={(e) => onAxisChange({ moving_mass_kg: parseFloat(e.target.value) || undefined })}
+                            className="w-full px-2 py-1 text-sm border rounded"
+                            step="0.5"
+                            min="0"
+                        />
+                    </div>
+                    
                     <div>
                         <label className="block text-xs text-gray-600">Motor Type</label>
                         <select
@@ -217,6 +233,29 @@ function AxisConfigComponent({ axisName, axis, onMotorChange, onDriveChange, onA
                         specs={axis.motor_specs}
                         onChange={onMotorChange}
                     />
+                    
+                    {axis.motor_type === 'stepper' && (
+                        <div>
+                            <label className="block text-xs text-gray-600">Pull-out Torque Curve (rpm:Nm)</label>
+                            <input
+                                type="text"
+                                key={MACHINE_UTILS.formatTorqueCurve(axis.motor_specs.torque_curve)}
+                                defaultValue={MACHINE_UTILS.formatTorqueCurve(axis.motor_specs.torque_curve)}
+                                onBlur={(e) => {
+                                    try {
+                                        onMotorChange({
+                                            ...axis.motor_specs,
+                                            torque_curve: e.target.value.trim() ? MACHINE_UTILS.parseTorqueCurve(e.target.value) : null
+                                        });
+                                    } catch (error) {
+                                        alert(error.message);
+                                    }
+                                }}
+                                placeholder="Datasheet curve, e.g. 60:2.6Nm,600:1.8Nm,1200:0.9Nm"
+                                className="w-full px-2 py-1 text-sm border rounded"
+                            />
+                        </div>
+                    )}
                 </div>
                 
                 {/* Drive Configuration */}
@@ -260,6 +299,22 @@ function AxisConfigComponent({ axisName, axis, onMotorChange, onDriveChange, onA
                             {Math.round(MACHINE_UTILS.getMaxFeedForAxis(axis))} mm/min
                         </span>
                     </div>
+                    {axis.motor_type === 'stepper' && (
+                        <div>
+                            <span className="text-gray-600">Corner Speed:</span>
+                            <span className="ml-1 font-medium">
+                                {axis.motor_specs.torque_curve?.length ? 'from curve' : `${Math.round(MACHINE_UTILS.getStepperCornerRPM(axis.motor_specs))} RPM`}
+                            </span>
+                        </div>
+                    )}
+                    {axis.motor_type === 'stepper' && (
+                        <div>
+                            <span className="text-gray-600">Pull-out at Max Feed:</span>
+                            <span className="ml-1 font-medium">
+                                {MACHINE_UTILS.getMotorTorqueAtRPM(axis, MACHINE_UTILS.getMotorRPMForFeed(axis, MACHINE_UTILS.getMaxFeedForAxis(axis))).peak_Nm.toFixed(2)} Nm
+                            </span>
+                        </div>
+                    )}
                     <div>
                         <span className="text-gray-600">Control Type:</span>
                         <span className="ml-1 font-medium">
@@ -412,7 +467,10 @@ function getDefaultMotorSpecs(motorType) {
                 holding_torque_Nm: 3.0,
                 max_speed_rpm: 1200,
                 step_angle_deg: 1.8,
-                current_A: 4.0
+                current_A: 4.0,
+                inductance_mH: 3.2,
+                supply_voltage_V: 48,
+                driver_current_A: 4.0
             };
         case 'ac_servo':
             return {
@@ -483,6 +541,7 @@ function formatPropertyName(prop) {
         .replace(/W$/g, '(W)')
         .replace(/V$/g, '(V)')
         .replace(/Mm/g, '(mm)')
+        .replace(/MH$/g, '(mH)')
         .replace(/Ratio/g, 'Ratio')
         .replace(/Teeth/g, 'Teeth');
 }
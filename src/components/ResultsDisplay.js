@@ -4,6 +4,8 @@
 import React, { useState, useMemo } from 'react';
 import { TOOL_TYPES } from '../data/tools.js';
 import { exportResultsAsCSV, copyResultsToClipboard } from '../utils/export-import.js';
+import { SPEED_MODES } from '../calculations/tool-life.js';
+import { TOOL_LIFE_CONSTANTS } from '../utils/constants.js';
 
 export function ResultsDisplayComponent({ 
     results = [], 
@@ -35,9 +37,9 @@ export function ResultsDisplayComponent({
                 case 'rpm':
                     return a.rpm - b.rpm;
                 case 'feed':
-                    return a.feed_rate_mm_min - b.feed_rate_mm_min;
+                    return a.feed_mm_min - b.feed_mm_min;
                 case 'power':
-                    return a.power_required_W - b.power_required_W;
+                    return a.power_W - b.power_W;
                 case 'mrr':
                     return a.mrr_mm3_min - b.mrr_mm3_min;
                 default:
@@ -251,11 +253,15 @@ function ResultCard({ result }) {
                 </div>
                 <div>
                     <span className="text-gray-500">Feed:</span>
-                    <span className="ml-2 font-medium">{result.feed_rate_mm_min} mm/min</span>
+                    <span className="ml-2 font-medium">{result.feed_mm_min} mm/min</span>
                 </div>
                 <div>
                     <span className="text-gray-500">Chipload:</span>
-                    <span className="ml-2 font-medium">{result.chipload_mm?.toFixed(3)} mm</span>
+                    <span className="ml-2 font-medium">{result.fz_mm?.toFixed(3)} mm</span>
+                </div>
+                <div>
+                    <span className="text-gray-500">Actual Chip:</span>
+                    <span className="ml-2 font-medium">{result.effective_chip_thickness_mm?.toFixed(3)} mm</span>
                 </div>
                 <div>
                     <span className="text-gray-500">MRR:</span>
@@ -263,37 +269,185 @@ function ResultCard({ result }) {
                 </div>
                 <div>
                     <span className="text-gray-500">WOC:</span>
-                    <span className="ml-2 font-medium">{result.woc_mm?.toFixed(1)} mm</span>
+                    <span className="ml-2 font-medium">{result.ae_mm?.toFixed(1)} mm</span>
                 </div>
                 <div>
                     <span className="text-gray-500">DOC:</span>
                     <span className="ml-2 font-medium">{result.doc_mm?.toFixed(1)} mm</span>
                 </div>
+                {result.drilling && (
+                    <div>
+                        <span className="text-gray-500">Thrust:</span>
+                        <span className="ml-2 font-medium">{result.drilling.thrust_force_N} N</span>
+                    </div>
+                )}
+                {result.drilling && (
+                    <div>
+                        <span className="text-gray-500">Pecks:</span>
+                        <span className="ml-2 font-medium">
+                            {result.drilling.peck_count} × {result.drilling.peck_depth_mm} mm
+                        </span>
+                    </div>
+                )}
+                {result.entry && (
+                    <div title={`Helix Ø${result.entry.helix_diameter_min_mm}-${result.entry.helix_diameter_max_mm} mm`}>
+                        <span className="text-gray-500">Ramp:</span>
+                        <span className="ml-2 font-medium">
+                            {result.entry.ramp_angle_deg}° @ {result.entry.ramp_feed_mm_min} mm/min
+                        </span>
+                    </div>
+                )}
+                {result.entry && (
+                    <div>
+                        <span className="text-gray-500">Plunge:</span>
+                        <span className="ml-2 font-medium">
+                            {result.entry.plunge_feed_mm_min !== null ? `${result.entry.plunge_feed_mm_min} mm/min` : 'Not centre cutting'}
+                        </span>
+                    </div>
+                )}
+                {result.thread && (
+                    <div>
+                        <span className="text-gray-500">Radial Passes:</span>
+                        <span className="ml-2 font-medium">
+                            {result.thread.radial_passes} to {result.thread.thread_depth_mm} mm
+                        </span>
+                    </div>
+                )}
+                {result.thread && (
+                    <div>
+                        <span className="text-gray-500">Cycle / Hole:</span>
+                        <span className="ml-2 font-medium">{result.thread.cycle_time_s} s</span>
+                    </div>
+                )}
+                {result.stability && (
+                    <div title={`Unconditionally stable below ${result.stability.min_critical_doc_mm} mm`}>
+                        <span className="text-gray-500">Chatter Limit:</span>
+                        <span className={`ml-2 font-medium ${result.stability.stable ? '' : 'text-yellow-600'}`}>
+                            {result.stability.critical_doc_mm !== null ? `${result.stability.critical_doc_mm} mm` : 'None'}
+                        </span>
+                    </div>
+                )}
+                {result.stability && result.stability.recommended_rpm !== result.rpm && (
+                    <div>
+                        <span className="text-gray-500">Stable RPM:</span>
+                        <span className="ml-2 font-medium">{result.stability.recommended_rpm}</span>
+                    </div>
+                )}
+                {result.runout && result.runout.runout_um > 0 && (
+                    <div title={`Flute chips ${result.runout.flute_chips_mm.join(' / ')} mm at ${result.runout.runout_um} µm runout`}>
+                        <span className="text-gray-500">Worst Flute:</span>
+                        <span className={`ml-2 font-medium ${result.runout.idle_flutes > 0 ? 'text-yellow-600' : ''}`}>
+                            {result.runout.max_flute_chip_mm} mm ({result.runout.worst_flute_load_percent}%)
+                        </span>
+                    </div>
+                )}
+                {result.surface_finish && (
+                    <div title={`Feed marks ${result.surface_finish.feed_mark_um} µm, runout ${result.surface_finish.runout_contribution_um} µm (Rz ${result.surface_finish.Rz_um} µm)`}>
+                        <span className="text-gray-500">Surface Ra:</span>
+                        <span className="ml-2 font-medium">
+                            {result.surface_finish.Ra_um} µm ({result.surface_finish.surface})
+                        </span>
+                    </div>
+                )}
+                {result.coolant && (
+                    <div title={`Heat to chip / work / tool ${result.coolant.chip_heat_percent} / ${result.coolant.work_heat_percent} / ${result.coolant.tool_heat_percent}%, tool ${result.coolant.tool_heat_W} of ${result.coolant.tool_thermal_limit_W} W`}>
+                        <span className="text-gray-500">Coolant:</span>
+                        <span className={`ml-2 font-medium ${result.coolant.thermal_utilization_percent > 100 ? 'text-yellow-600' : ''}`}>
+                            {result.coolant.name}, chip {result.coolant.chip_temperature_C}°C
+                        </span>
+                    </div>
+                )}
+                {result.trochoid && (
+                    <div title={`Edge feed ${result.trochoid.edge_feed_mm_min} mm/min, ${result.trochoid.cutting_percent}% of each loop cutting, peak MRR ${result.trochoid.peak_mrr_mm3_min} mm³/min`}>
+                        <span className="text-gray-500">Trochoid:</span>
+                        <span className="ml-2 font-medium">
+                            Ø{result.trochoid.loop_diameter_mm} mm × {result.trochoid.stepover_mm} mm/loop, {result.trochoid.advance_mm_min} mm/min along the slot
+                        </span>
+                    </div>
+                )}
+                {result.tool_life_min != null && (
+                    <div title={`${result.economics.parts_per_edge} parts per edge`}>
+                        <span className="text-gray-500">Tool Life:</span>
+                        <span className={`ml-2 font-medium ${result.tool_life_min < TOOL_LIFE_CONSTANTS.SHORT_LIFE_MIN ? 'text-yellow-600' : ''}`}>
+                            {result.tool_life_min} min
+                        </span>
+                    </div>
+                )}
+                {result.economics && (
+                    <div title={`Machine ${result.economics.machine_cost_per_part.toFixed(2)} + tool ${result.economics.tool_cost_per_part.toFixed(2)} (${SPEED_MODES[result.economics.speed_mode].name} speed)`}>
+                        <span className="text-gray-500">Cost / Part:</span>
+                        <span className="ml-2 font-medium">{result.economics.cost_per_part.toFixed(2)}</span>
+                    </div>
+                )}
+                {result.scallop_height_mm != null && (
+                    <div>
+                        <span className="text-gray-500">Scallop:</span>
+                        <span className="ml-2 font-medium">{result.scallop_height_mm.toFixed(4)} mm</span>
+                    </div>
+                )}
+                {result.scallop_height_mm != null && (
+                    <div>
+                        <span className="text-gray-500">Cutting Ø:</span>
+                        <span className="ml-2 font-medium">{result.effective_diameter_mm?.toFixed(2)} mm</span>
+                    </div>
+                )}
             </div>
             
+            {/* Stability Lobes */}
+            {result.stability && (
+                <StabilityLobeChart stability={result.stability} rpm={result.rpm} doc={result.ap_mm} />
+            )}
+            
             {/* Advanced Parameters */}
             <div className="pt-3 border-t border-gray-200">
                 <div className="flex justify-between text-sm">
-                    <div>
+                    <div title={`Cutting ${result.power_cutting_W}W + process losses ${result.power_process_losses_W}W + spindle losses ${result.power_losses_W}W at the shaft, ${result.power_available_W}W available; motor input ${result.power_motor_W}W, wall ${result.power_wall_W}W`}>
                         <span className="text-gray-500">Power:</span>
                         <span className={`ml-2 font-medium ${
                             result.power_utilization_percent > 90 ? 'text-red-600' : 
                             result.power_utilization_percent > 80 ? 'text-yellow-600' : ''
                         }`}>
-                            {result.power_required_W}W
+                            {result.power_W}W
                         </span>
                         <span className="text-xs text-gray-500">
                             ({result.power_utilization_percent?.toFixed(0)}%)
                         </span>
                     </div>
-                    {result.tool_deflection_mm && (
+                    {result.torque_Nm !== undefined && (
+                        <div title={`Mean ${result.torque_Nm}N·m, peak ${result.torque_peak_Nm}N·m as teeth enter the cut, ${result.torque_available_Nm}N·m available at ${result.rpm} RPM`}>
+                            <span className="text-gray-500">Torque:</span>
+                            <span className={`ml-2 font-medium ${
+                                result.torque_utilization_percent > 95 ? 'text-red-600' : 
+                                result.torque_utilization_percent > 80 ? 'text-yellow-600' : ''
+                            }`}>
+                                {result.torque_peak_Nm?.toFixed(2)}N·m
+                            </span>
+                            <span className="text-xs text-gray-500">
+                                ({result.torque_utilization_percent?.toFixed(0)}%)
+                            </span>
+                        </div>
+                    )}
+                    {result.axis_load && (
+                        <div title={Object.values(result.axis_load.axes).map(a =>
+                            `${a.axis.toUpperCase()}: ${a.torque_accel_Nm}N·m of ${a.torque_peak_Nm}N·m at ${a.motor_rpm} RPM (${a.utilization_percent.toFixed(0)}%)`
+                        ).join('\n')}>
+                            <span className="text-gray-500">Feed Axes:</span>
+                            <span className={`ml-2 font-medium ${
+                                result.axis_load.utilization_percent > 100 ? 'text-red-600' : 
+                                result.axis_load.utilization_percent > 80 ? 'text-yellow-600' : ''
+                            }`}>
+                                {result.axis_load.limiting_axis.toUpperCase()} {result.axis_load.utilization_percent.toFixed(0)}%
+                            </span>
+                        </div>
+                    )}
+                    {result.deflection_mm && (
                         <div>
                             <span className="text-gray-500">Deflection:</span>
                             <span className={`ml-2 font-medium ${
-                                result.tool_deflection_mm > 0.05 ? 'text-red-600' : 
-                                result.tool_deflection_mm > 0.02 ? 'text-yellow-600' : ''
+                                result.deflection_mm > 0.05 ? 'text-red-600' : 
+                                result.deflection_mm > 0.02 ? 'text-yellow-600' : ''
                             }`}>
-                                {(result.tool_deflection_mm * 1000).toFixed(0)}µm
+                                {(result.deflection_mm * 1000).toFixed(0)}µm
                             </span>
                         </div>
                     )}
@@ -325,6 +479,47 @@ function ResultCard({ result }) {
     );
 }
 
+// Critical DOC against spindle speed, with the operating point and the recommended RPM
+function StabilityLobeChart({ stability, rpm, doc }) {
+    const width = 240;
+    const height = 80;
+    const points = stability.lobe_diagram;
+    if (points.length < 2) return null;
+    
+    const rpmMin = points[0].rpm;
+    const rpmMax = points[points.length - 1].rpm;
+    const docMax = Math.max(doc, ...points.map(p => p.doc_mm ?? 0)) * 1.1 || 1;
+    
+    const toX = (value) => (value - rpmMin) / (rpmMax - rpmMin) * width;
+    const toY = (value) => height - Math.min(value ?? docMax, docMax) / docMax * height;
+    const path = points.map(p => `${toX(p.rpm).toFixed(1)},${toY(p.doc_mm).toFixed(1)}`).join(' ');
+    
+    return (
+        <div className="mb-3">
+            <div className="flex justify-between text-xs text-gray-500">
+                <span>Stability lobes (critical DOC)</span>
+                <span>{stability.natural_frequency_Hz} Hz</span>
+            </div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-20 bg-gray-50 rounded">
+                <polygon points={`0,${height} ${path} ${width},${height}`} fill="#dcfce7" />
+                <polyline points={path} fill="none" stroke="#16a34a" strokeWidth="1.5" />
+                <circle cx={toX(rpm)} cy={toY(doc)} r="3" fill={stability.stable ? '#2563eb' : '#dc2626'} />
+                {stability.recommended_rpm !== rpm && (
+                    <line
+                        x1={toX(stability.recommended_rpm)} y1="0"
+                        x2={toX(stability.recommended_rpm)} y2={height}
+                        stroke="#2563eb" strokeDasharray="3,3"
+                    />
+                )}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-400">
+                <span>{rpmMin} RPM</span>
+                <span>{rpmMax} RPM</span>
+            </div>
+        </div>
+    );
+}
+
 // Table View Component
 function ResultsTableView({ results }) {
     return (
@@ -379,9 +574,11 @@ function ResultTableRow({ result }) {
                 </div>
             </td>
             <td className="px-4 py-3 text-right">{result.rpm}</td>
-            <td className="px-4 py-3 text-right">{result.feed_rate_mm_min}</td>
-            <td className="px-4 py-3 text-right">{result.chipload_mm?.toFixed(4)}</td>
-            <td className="px-4 py-3 text-right">{result.woc_mm?.toFixed(2)}</td>
+            <td className="px-4 py-3 text-right">{result.feed_mm_min}</td>
+            <td className="px-4 py-3 text-right" title={`Actual chip: ${result.effective_chip_thickness_mm?.toFixed(4)} mm`}>
+                {result.fz_mm?.toFixed(4)}
+            </td>
+            <td className="px-4 py-3 text-right">{result.ae_mm?.toFixed(2)}</td>
             <td className="px-4 py-3 text-right">{result.doc_mm?.toFixed(2)}</td>
             <td className="px-4 py-3 text-right">{result.mrr_mm3_min}</td>
             <td className="px-4 py-3 text-right">
@@ -389,7 +586,7 @@ function ResultTableRow({ result }) {
                     result.power_utilization_percent > 90 ? 'text-red-600' : 
                     result.power_utilization_percent > 80 ? 'text-yellow-600' : ''
                 }>
-                    {result.power_required_W}
+                    {result.power_W}
                 </span>
             </td>
             <td className="px-4 py-3 text-center">
@@ -0,0 +1,221 @@
+// Sensitivity Panel Component
+// What-if sweep charts and an elasticity table for the current operating point
+
+import React, { useState, useMemo } from 'react';
+import { SWEEP_PARAMETERS, SWEEP_OUTPUTS, sweepParameter, calculateSensitivities } from '../calculations/sensitivity.js';
+
+const CHART_WIDTH = 220;
+const CHART_HEIGHT = 110;
+const CHART_PADDING = 6;
+
+export function SensitivityPanelComponent({ inputs = null, label = '' }) {
+    const [parameter, setParameter] = useState('stickout_mm');
+    const [range, setRange] = useState({ from: '', to: '', steps: 11 });
+
+    const sweep = useMemo(() => {
+        if (!inputs) return null;
+        try {
+            return sweepParameter(inputs, parameter, {
+                from: parseFloat(range.from) || undefined,
+                to: parseFloat(range.to) || undefined,
+                steps: parseInt(range.steps) || 11
+            });
+        } catch (error) {
+            return { error: error.message };
+        }
+    }, [inputs, parameter, range]);
+
+    const sensitivities = useMemo(() => {
+        if (!inputs) return null;
+        try {
+            return calculateSensitivities(inputs);
+        } catch (error) {
+            return null;
+        }
+    }, [inputs]);
+
+    if (!inputs) return null;
+
+    const handleParameterChange = (value) => {
+        setParameter(value);
+        setRange({ from: '', to: '', steps: range.steps });
+    };
+
+    const formatElasticity = (value) => {
+        if (value === null || value === undefined) return '-';
+        return value.toFixed(2);
+    };
+
+    const getElasticityColor = (value) => {
+        const magnitude = Math.abs(value || 0);
+        if (magnitude >= 1) return 'text-red-600 font-semibold';
+        if (magnitude >= 0.5) return 'text-yellow-600 font-medium';
+        if (magnitude >= 0.1) return 'text-gray-800';
+        return 'text-gray-400';
+    };
+
+    return (
+        <div className="bg-white rounded-lg p-6 shadow-lg mt-6">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">Sensitivity Analysis</h3>
+                {label && <span className="text-sm text-gray-500">{label}</span>}
+            </div>
+
+            {/* Sweep controls */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Vary</label>
+                    <select
+                        value={parameter}
+                        onChange={(e) => handleParameterChange(e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                        {Object.entries(SWEEP_PARAMETERS).map(([key, definition]) => (
+                            <option key={key} value={key}>{definition.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                    <input
+                        type="number"
+                        value={range.from}
+                        placeholder={sweep?.current_value ? (sweep.current_value * 0.5).toFixed(2) : ''}
+                        onChange={(e) => setRange({ ...range, from: e.target.value })}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                    <input
+                        type="number"
+                        value={range.to}
+                        placeholder={sweep?.current_value ? (sweep.current_value * 1.5).toFixed(2) : ''}
+                        onChange={(e) => setRange({ ...range, to: e.target.value })}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Steps</label>
+                    <input
+                        type="number"
+                        min="2"
+                        max="50"
+                        value={range.steps}
+                        onChange={(e) => setRange({ ...range, steps: e.target.value })}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+            </div>
+
+            {/* Sweep charts */}
+            {sweep?.error ? (
+                <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                    {sweep.error}
+                </div>
+            ) : sweep && (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+                    {Object.entries(SWEEP_OUTPUTS).map(([key, output]) => (
+                        <SweepChart
+                            key={key}
+                            title={`${output.label} (${output.unit})`}
+                            points={sweep.points}
+                            outputKey={key}
+                            currentValue={sweep.current_value}
+                            integer={sweep.integer}
+                            xLabel={`${sweep.label}${sweep.unit ? ` (${sweep.unit})` : ''}`}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {/* Elasticity table */}
+            {sensitivities && (
+                <div>
+                    <h4 className="font-medium mb-2">Elasticities at Current Point</h4>
+                    <p className="text-xs text-gray-500 mb-2">
+                        % change in each output per 1% change in the input. |e| ≥ 1 means the output moves faster than the input.
+                    </p>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left font-medium text-gray-600">Input</th>
+                                    {Object.values(SWEEP_OUTPUTS).map(output => (
+                                        <th key={output.label} className="px-3 py-2 text-right font-medium text-gray-600">{output.label}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {Object.entries(sensitivities.elasticities).map(([key, row]) => (
+                                    <tr key={key}>
+                                        <td className="px-3 py-2 text-gray-700">{SWEEP_PARAMETERS[key].label}</td>
+                                        {Object.keys(SWEEP_OUTPUTS).map(output => (
+                                            <td key={output} className={`px-3 py-2 text-right ${getElasticityColor(row[output])}`}>
+                                                {formatElasticity(row[output])}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Single output against the swept input, drawn as an SVG polyline
+function SweepChart({ title, points, outputKey, currentValue, integer, xLabel }) {
+    const valid = points.filter(p => !p.error && Number.isFinite(p[outputKey]));
+    if (valid.length < 2) {
+        return (
+            <div className="border rounded p-2">
+                <div className="text-sm font-medium text-gray-700">{title}</div>
+                <div className="text-xs text-gray-400 mt-2">Not enough valid points</div>
+            </div>
+        );
+    }
+
+    const xs = valid.map(p => p.value);
+    const ys = valid.map(p => p[outputKey]);
+    const xMin = Math.min(...xs);
+    const xMax = Math.max(...xs);
+    const yMin = Math.min(...ys);
+    const yMax = Math.max(...ys);
+    const formatX = (value) => (integer ? value.toFixed(0) : value.toPrecision(3));
+    const ySpan = yMax - yMin || Math.abs(yMax) || 1;
+
+    const toX = (x) => CHART_PADDING + (x - xMin) / (xMax - xMin) * (CHART_WIDTH - 2 * CHART_PADDING);
+    const toY = (y) => CHART_HEIGHT - CHART_PADDING - (y - yMin) / ySpan * (CHART_HEIGHT - 2 * CHART_PADDING);
+    const path = valid.map(p => `${toX(p.value).toFixed(1)},${toY(p[outputKey]).toFixed(1)}`).join(' ');
+
+    return (
+        <div className="border rounded p-2">
+            <div className="text-sm font-medium text-gray-700">{title}</div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-28">
+                <rect x="0" y="0" width={CHART_WIDTH} height={CHART_HEIGHT} fill="#f9fafb" />
+                {currentValue >= xMin && currentValue <= xMax && (
+                    <line
+                        x1={toX(currentValue)} y1="0"
+                        x2={toX(currentValue)} y2={CHART_HEIGHT}
+                        stroke="#9ca3af" strokeDasharray="3,3"
+                    />
+                )}
+                <polyline points={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+                {valid.map(p => (
+                    <circle key={p.value} cx={toX(p.value)} cy={toY(p[outputKey])} r="2" fill="#2563eb" />
+                ))}
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500">
+                <span>{formatX(xMin)}</span>
+                <span>{xLabel}</span>
+                <span>{formatX(xMax)}</span>
+            </div>
+            <div className="text-xs text-gray-500">
+                {yMin.toPrecision(3)} – {yMax.toPrecision(3)}
+            </div>
+        </div>
+    );
+}
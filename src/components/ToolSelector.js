@@ -23,7 +23,7 @@ export function ToolSelectorComponent({
                 // Set default values for missing parameters
                 toolDef.parameters.forEach(param => {
                     if (!newParams[param]) {
-                        newParams[param] = getDefaultParameterValue(param);
+                        newParams[param] = getDefaultParameterValue(param, selectedTool.type);
                     }
                 });
                 
@@ -290,32 +290,8 @@ function formatParameterName(param) {
     return names[param] || param.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 }
 
-function getDefaultParameterValue(param) {
-    const defaults = {
-        diameter_mm: 6,
-        flutes: 4,
-        stickout_mm: 25,
-        shank_mm: 6,
-        angle_deg: 90,
-        tip_diameter_mm: 0.1,
-        max_diameter_mm: 10,
-        insert_count: 4,
-        insert_size_mm: 8,
-        max_doc_mm: 5,
-        point_angle_deg: 118,
-        flute_length_mm: 20,
-        pitch_mm: 1.5,
-        thread_depth_mm: 1,
-        taper_angle_deg: 1,
-        min_bore_diameter_mm: 10,
-        bar_diameter_mm: 12,
-        max_depth_mm: 50,
-        width_mm: 2,
-        teeth: 80,
-        arbor_hole_mm: 22
-    };
-    
-    return defaults[param] || 1;
+function getDefaultParameterValue(param, toolType) {
+    return TOOL_UTILS.getDefaultParameterValue(param, toolType);
 }
 
 function getParameterStep(param) {
@@ -6,7 +6,16 @@ export const MOTOR_TYPES = {
         name: 'Stepper Motor',
         control_type: 'open_loop',
         typical_efficiency: 0.85,
-        properties: ['holding_torque_Nm', 'max_speed_rpm', 'step_angle_deg', 'current_A']
+        properties: ['holding_torque_Nm', 'max_speed_rpm', 'step_angle_deg', 'current_A', 'inductance_mH', 'supply_voltage_V', 'driver_current_A'],
+        // Pull-out torque at low speed as a fraction of holding torque, held up to the corner speed and falling
+        // as 1/rpm above it as the winding current cannot keep up. Without inductance and supply voltage
+        // the corner speed is a fraction of max speed.
+        pullout_fraction: 0.8,
+        corner_speed_fraction: 0.3,
+        // Share of pull-out torque a stepper is loaded to; resonance, supply sag and wear take the rest
+        torque_margin: 0.7,
+        // Torque kept in hand at the top loaded feed for the cut and drive drag, as a fraction of holding torque
+        feed_reserve_fraction: 0.25
     },
     ac_servo: {
         name: 'AC Servo Motor',
@@ -82,12 +91,16 @@ export const MACHINE_PRESETS = {
         axes: {
             x: {
                 motor_count: 1,
+                moving_mass_kg: 4,
                 motor_type: 'stepper',
                 motor_specs: {
                     holding_torque_Nm: 2.0,
                     max_speed_rpm: 1000,
                     step_angle_deg: 1.8,
-                    current_A: 3.0
+                    current_A: 3.0,
+                    inductance_mH: 3.2,
+                    supply_voltage_V: 24,
+                    driver_current_A: 3.0
                 },
                 drive_system: 'leadscrew',
                 drive_specs: {
@@ -101,12 +114,16 @@ export const MACHINE_PRESETS = {
             },
             y: {
                 motor_count: 1,
+                moving_mass_kg: 6,
                 motor_type: 'stepper',
                 motor_specs: {
                     holding_torque_Nm: 2.0,
                     max_speed_rpm: 1000,
                     step_angle_deg: 1.8,
-                    current_A: 3.0
+                    current_A: 3.0,
+                    inductance_mH: 3.2,
+                    supply_voltage_V: 24,
+                    driver_current_A: 3.0
                 },
                 drive_system: 'leadscrew',
                 drive_specs: {
@@ -120,12 +137,16 @@ export const MACHINE_PRESETS = {
             },
             z: {
                 motor_count: 1,
+                moving_mass_kg: 2,
                 motor_type: 'stepper',
                 motor_specs: {
                     holding_torque_Nm: 1.5,
                     max_speed_rpm: 800,
                     step_angle_deg: 1.8,
-                    current_A: 2.5
+                    current_A: 2.5,
+                    inductance_mH: 2.8,
+                    supply_voltage_V: 24,
+                    driver_current_A: 2.5
                 },
                 drive_system: 'leadscrew',
                 drive_specs: {
@@ -150,12 +171,16 @@ export const MACHINE_PRESETS = {
         axes: {
             x: {
                 motor_count: 1,
+                moving_mass_kg: 12,
                 motor_type: 'stepper',
                 motor_specs: {
                     holding_torque_Nm: 3.0,
                     max_speed_rpm: 1200,
                     step_angle_deg: 1.8,
-                    current_A: 4.2
+                    current_A: 4.2,
+                    inductance_mH: 3.2,
+                    supply_voltage_V: 48,
+                    driver_current_A: 4.2
                 },
                 drive_system: 'ballscrew',
                 drive_specs: {
@@ -171,12 +196,16 @@ export const MACHINE_PRESETS = {
             },
             y: {
                 motor_count: 2, // Dual motor gantry
+                moving_mass_kg: 30,
                 motor_type: 'stepper',
                 motor_specs: {
                     holding_torque_Nm: 3.0,
                     max_speed_rpm: 1200,
                     step_angle_deg: 1.8,
-                    current_A: 4.2
+                    current_A: 4.2,
+                    inductance_mH: 3.2,
+                    supply_voltage_V: 48,
+                    driver_current_A: 4.2
                 },
                 drive_system: 'ballscrew',
                 drive_specs: {
@@ -189,12 +218,16 @@ export const MACHINE_PRESETS = {
             },
             z: {
                 motor_count: 1,
+                moving_mass_kg: 6,
                 motor_type: 'stepper',
                 motor_specs: {
                     holding_torque_Nm: 2.5,
                     max_speed_rpm: 1000,
                     step_angle_deg: 1.8,
-                    current_A: 3.5
+                    current_A: 3.5,
+                    inductance_mH: 2.8,
+                    supply_voltage_V: 48,
+                    driver_current_A: 3.5
                 },
                 drive_system: 'ballscrew',
                 drive_specs: {
@@ -218,6 +251,7 @@ export const MACHINE_PRESETS = {
         axes: {
             x: {
                 motor_count: 1,
+                moving_mass_kg: 25,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 4.0,
@@ -237,6 +271,7 @@ export const MACHINE_PRESETS = {
             },
             y: {
                 motor_count: 1,
+                moving_mass_kg: 45,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 4.0,
@@ -256,6 +291,7 @@ export const MACHINE_PRESETS = {
             },
             z: {
                 motor_count: 1,
+                moving_mass_kg: 12,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 2.5,
@@ -286,6 +322,7 @@ export const MACHINE_PRESETS = {
         axes: {
             x: {
                 motor_count: 1,
+                moving_mass_kg: 40,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 6.0,
@@ -305,6 +342,7 @@ export const MACHINE_PRESETS = {
             },
             y: {
                 motor_count: 1,
+                moving_mass_kg: 60,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 6.0,
@@ -324,6 +362,7 @@ export const MACHINE_PRESETS = {
             },
             z: {
                 motor_count: 1,
+                moving_mass_kg: 30,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 4.0,
@@ -354,6 +393,7 @@ export const MACHINE_PRESETS = {
         axes: {
             x: {
                 motor_count: 1,
+                moving_mass_kg: 250,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 15.0,
@@ -373,6 +413,7 @@ export const MACHINE_PRESETS = {
             },
             y: {
                 motor_count: 1,
+                moving_mass_kg: 400,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 15.0,
@@ -392,6 +433,7 @@ export const MACHINE_PRESETS = {
             },
             z: {
                 motor_count: 1,
+                moving_mass_kg: 180,
                 motor_type: 'ac_servo',
                 motor_specs: {
                     continuous_torque_Nm: 10.0,
@@ -413,22 +455,29 @@ export const MACHINE_PRESETS = {
     }
 };
 
+// Acceleration the loaded feed of an axis is checked at when the machine has none (mm/s²)
+const DEFAULT_AXIS_ACCEL_MM_S2 = 500;
+
+// Feed limit of an axis with neither max_feed_mm_min nor motor data, e.g. the custom preset (mm/min)
+const DEFAULT_AXIS_FEED_MM_MIN = { x: 5000, y: 5000, z: 2000 };
+
 // Helper functions for machine calculations
 export const MACHINE_UTILS = {
-    calculateAxisForce(axis, acceleration_mm_s2, moving_mass_kg = 10) {
+    calculateAxisForce(axis, acceleration_mm_s2, moving_mass_kg = axis?.moving_mass_kg ?? 10) {
         const force_N = moving_mass_kg * acceleration_mm_s2 / 1000; // Convert mm/s² to m/s²
         return force_N;
     },
     
     calculateMotorTorque(axis, force_N) {
         const drive = axis.drive_specs;
-        const efficiency = drive.efficiency || 0.85;
+        const efficiency = drive.efficiency || DRIVE_SYSTEMS[axis.drive_system]?.typical_efficiency || 0.85;
+        const gearRatio = drive.gear_reduction_ratio || 1.0;
         
         switch (axis.drive_system) {
             case 'ballscrew':
             case 'leadscrew':
                 const lead_m = drive.lead_mm_per_rev / 1000;
-                return (force_N * lead_m) / (2 * Math.PI * efficiency);
+                return (force_N * lead_m) / (2 * Math.PI * efficiency * gearRatio);
                 
             case 'belt_drive':
                 const pulley_radius_m = (drive.pulley_diameter_mm || 20) / 2000;
@@ -436,30 +485,204 @@ export const MACHINE_UTILS = {
                 
             case 'rack_pinion':
                 const pinion_radius_m = ((drive.module_mm * drive.pinion_teeth) / 2) / 1000;
-                return (force_N * pinion_radius_m) / efficiency;
+                return (force_N * pinion_radius_m) / (efficiency * gearRatio);
                 
             default:
                 return 0;
         }
     },
     
-    getMaxFeedForAxis(axis) {
+    getMotorRPMForFeed(axis, feed_mm_min) {
+        // Motor speed that drives the axis at a feed, through the gear reduction
+        const travelPerRev = MACHINE_UTILS.getFinalRotationDistance(axis);
+        return travelPerRev > 0 ? feed_mm_min / travelPerRev : 0;
+    },
+    
+    getMotorTorqueAtRPM(axis, rpm) {
+        // Torque all of the axis motors deliver at a speed. Steppers lose steps past their pull-out torque,
+        // so it is both their continuous and peak limit; servos hold their rated torques up to max speed.
+        const motor = axis.motor_specs;
+        const motorCount = axis.motor_count || 1;
+        const maxRpm = motor.max_speed_rpm || 3000;
+        if (rpm > maxRpm) {
+            return { continuous_Nm: 0, peak_Nm: 0 };
+        }
+        
+        if (axis.motor_type === 'stepper') {
+            const pullout = MACHINE_UTILS.getStepperTorqueAtRPM(motor, rpm) * motorCount;
+            return { continuous_Nm: pullout, peak_Nm: pullout };
+        }
+        const continuous = motor.continuous_torque_Nm || 0;
+        return {
+            continuous_Nm: continuous * motorCount,
+            peak_Nm: (motor.peak_torque_Nm || continuous) * motorCount
+        };
+    },
+    
+    getStepperCornerRPM(motor) {
+        // The driver reaches full current within a full step up to f = V / (2·L·I) steps per second
+        const current = motor.driver_current_A || motor.current_A;
+        if (motor.inductance_mH > 0 && motor.supply_voltage_V > 0 && current > 0) {
+            const stepsPerRev = 360 / (motor.step_angle_deg || 1.8);
+            const stepRate = motor.supply_voltage_V / (2 * motor.inductance_mH / 1000 * current);
+            return stepRate * 60 / stepsPerRev;
+        }
+        return (motor.max_speed_rpm || 3000) * MOTOR_TYPES.stepper.corner_speed_fraction;
+    },
+    
+    getStepperTorqueAtRPM(motor, rpm) {
+        // Pull-out torque of one stepper: the datasheet curve when imported, otherwise the holding torque scaled
+        // by driver current, flat to the corner speed and falling as 1/rpm above it
+        if (rpm > (motor.max_speed_rpm || 3000)) return 0;
+        if (motor.torque_curve?.length) {
+            return interpolateTorqueCurve(motor.torque_curve, rpm);
+        }
+        
+        const currentFactor = motor.driver_current_A && motor.current_A ? Math.min(1, motor.driver_current_A / motor.current_A) : 1;
+        const lowSpeed = (motor.holding_torque_Nm || 0) * MOTOR_TYPES.stepper.pullout_fraction * currentFactor;
+        const cornerRpm = MACHINE_UTILS.getStepperCornerRPM(motor);
+        return rpm <= cornerRpm ? lowSpeed : lowSpeed * cornerRpm / rpm;
+    },
+    
+    parseTorqueCurve: (text) => {
+        const points = String(text).split(',').map(point => point.trim()).filter(Boolean).map(point => {
+            const match = point.match(/^(\d*\.?\d+):(\d*\.?\d+)\s*(nm)?$/i);
+            if (!match) {
+                throw new Error(`Invalid torque curve point "${point}" - expected <rpm>:<torque>Nm`);
+            }
+            return { rpm: parseFloat(match[1]), torque_Nm: parseFloat(match[2]) };
+        });
+        if (points.length < 2 || points.every(point => point.rpm <= 0)) {
+            throw new Error('A torque curve needs at least two points, with at least one above 0 rpm');
+        }
+        return points.sort((a, b) => a.rpm - b.rpm);
+    },
+    
+    formatTorqueCurve: (curve) => {
+        return (curve || []).map(point => `${point.rpm}:${point.torque_Nm}Nm`).join(',');
+    },
+    
+    getLoadedMotorRPM(axis, accel_mm_s2 = DEFAULT_AXIS_ACCEL_MM_S2) {
+        // Fastest motor speed at which a stepper, within its margin, still accelerates the axis with torque in hand
+        // for the cut. Servos hold their torque to max speed.
+        const motor = axis.motor_specs;
+        const maxRpm = motor.max_speed_rpm || 3000;
+        if (axis.motor_type !== 'stepper') return maxRpm;
+        
+        const type = MOTOR_TYPES.stepper;
+        const required = MACHINE_UTILS.calculateMotorTorque(axis, MACHINE_UTILS.calculateAxisForce(axis, accel_mm_s2)) +
+                         (motor.holding_torque_Nm || 0) * type.feed_reserve_fraction * (axis.motor_count || 1);
+        const keepsUp = rpm => MACHINE_UTILS.getMotorTorqueAtRPM(axis, rpm).peak_Nm * type.torque_margin >= required;
+        if (keepsUp(maxRpm)) return maxRpm;
+        if (!keepsUp(0)) return 0;
+        
+        // Pull-out torque falls with speed, so bisect for the speed where it meets the load
+        let low = 0;
+        let high = maxRpm;
+        while (high - low > 1) {
+            const rpm = (low + high) / 2;
+            if (keepsUp(rpm)) {
+                low = rpm;
+            } else {
+                high = rpm;
+            }
+        }
+        return low;
+    },
+    
+    getUsableMotorTorque(axis) {
         const motor = axis.motor_specs;
+        const motorCount = axis.motor_count || 1;
+        
+        if (axis.motor_type === 'stepper') {
+            // Stepper torque falls off with speed - half the holding torque is a safe working value
+            return (motor.holding_torque_Nm || 0) * 0.5 * motorCount;
+        }
+        return (motor.continuous_torque_Nm || 0) * motorCount;
+    },
+    
+    getMaxFeedForAxis(axis, accel_mm_s2 = DEFAULT_AXIS_ACCEL_MM_S2) {
         const drive = axis.drive_specs;
         
+        if (axis.drive_system === 'linear_motor') {
+            // No motor revolutions to count - the drive's rated speed is the limit
+            return drive.max_speed_m_s > 0 ? drive.max_speed_m_s * 60000 : Infinity;
+        }
+        
+        // Loaded motor speed through the drive's travel per motor revolution; Infinity when the drive is unknown
+        const travelPerRev = MACHINE_UTILS.getFinalRotationDistance(axis);
+        if (!(travelPerRev > 0)) return Infinity;
+        const motorFeed = MACHINE_UTILS.getLoadedMotorRPM(axis, accel_mm_s2) * travelPerRev;
+        
         switch (axis.drive_system) {
             case 'ballscrew':
             case 'leadscrew':
-                const max_rpm = Math.min(motor.max_speed_rpm || 3000, drive.max_speed_rpm || 2000);
-                return max_rpm * drive.lead_mm_per_rev;
-                
-            case 'belt_drive':
-                // Implementation for belt drives
-                return 10000; // Placeholder
+                // The screw's own speed limit (whip)
+                return Math.min(motorFeed, (drive.max_speed_rpm || 2000) * drive.lead_mm_per_rev);
                 
             default:
-                return 5000; // Conservative default
+                return motorFeed;
+        }
+    },
+    
+    getAxisFeedLimit(machine, axisName) {
+        // Configured limit, further capped by what the motor and drive can reach; always finite
+        const configured = machine.max_feed_mm_min?.[axisName];
+        const axis = machine.axes?.[axisName];
+        if (!axis || !axis.motor_specs || !axis.drive_specs) {
+            return configured ?? DEFAULT_AXIS_FEED_MM_MIN[axisName];
         }
+        const driveLimit = MACHINE_UTILS.getMaxFeedForAxis(axis, machine.max_accel_mm_s2?.[axisName]);
+        if (!Number.isFinite(driveLimit)) {
+            return configured ?? DEFAULT_AXIS_FEED_MM_MIN[axisName];
+        }
+        return Math.min(configured ?? Infinity, driveLimit);
+    },
+    
+    getFeedLimitForMove(machine, moveAngleDeg = 0) {
+        // moveAngleDeg is the angle of the move above the XY plane: 0 = XY contour, 90 = plunge.
+        // An XY contour can head in any direction, so the slower of X and Y bounds it.
+        const x = MACHINE_UTILS.getAxisFeedLimit(machine, 'x');
+        const y = MACHINE_UTILS.getAxisFeedLimit(machine, 'y');
+        const z = MACHINE_UTILS.getAxisFeedLimit(machine, 'z');
+        const angle = moveAngleDeg * Math.PI / 180;
+        const xyShare = Math.cos(angle);
+        const zShare = Math.sin(angle);
+        
+        // Path feed at which each axis reaches its own limit
+        const candidates = [
+            { axis: x <= y ? 'x' : 'y', feed: xyShare > 1e-9 ? Math.min(x, y) / xyShare : Infinity },
+            { axis: 'z', feed: zShare > 1e-9 ? z / zShare : Infinity }
+        ];
+        const limit = candidates.reduce((a, b) => (b.feed < a.feed ? b : a));
+        
+        return { max_feed_mm_min: limit.feed, limiting_axis: limit.axis };
+    },
+    
+    getAccelForMove(machine, moveAngleDeg = 0) {
+        // Path acceleration at which the first axis reaches its own limit; Infinity when none is configured
+        const accel = machine.max_accel_mm_s2 || {};
+        const angle = moveAngleDeg * Math.PI / 180;
+        const xyShare = Math.cos(angle);
+        const zShare = Math.sin(angle);
+        const xy = Math.min(accel.x ?? Infinity, accel.y ?? Infinity);
+        
+        return Math.min(
+            xyShare > 1e-9 ? xy / xyShare : Infinity,
+            zShare > 1e-9 ? (accel.z ?? Infinity) / zShare : Infinity
+        );
+    },
+    
+    getMoveTime(machine, distance_mm, feed_mm_min, moveAngleDeg = 0) {
+        // A move from rest to rest: trapezoidal velocity profile, or triangular when too short to reach the feed
+        const v = feed_mm_min / 60;
+        const a = MACHINE_UTILS.getAccelForMove(machine, moveAngleDeg);
+        const cruise = distance_mm / v;
+        const time = !Number.isFinite(a)
+            ? cruise
+            : distance_mm >= v * v / a ? cruise + v / a : 2 * Math.sqrt(distance_mm / a);
+        
+        return { time_min: time / 60, accel_time_min: (time - cruise) / 60 };
     },
     
     getFinalRotationDistance(axis) {
@@ -474,9 +697,10 @@ export const MACHINE_UTILS = {
                 
             case 'belt_drive':
                 const motorTeeth = drive.motor_pulley_teeth || 20;
-                const driveTeeth = drive.drive_pulley_teeth || 20;
                 const beltPitch = drive.belt_pitch_mm || 2.0;
-                return (driveTeeth * beltPitch) / motorTeeth;
+                // The drive pulley turns motorTeeth / drivePulleyTeeth per motor revolution and moves its own teeth
+                // of belt per turn, so its size cancels out
+                return motorTeeth * beltPitch;
                 
             case 'rack_pinion':
                 const module = drive.module_mm || 1.0;
@@ -488,4 +712,18 @@ export const MACHINE_UTILS = {
                 return 0;
         }
     }
-};
\ No newline at end of file
+};
+
+// Pull-out torque (N·m) at an RPM from a datasheet curve of { rpm, torque_Nm } points, linear between points,
+// flat below the first point and at constant power above the last
+function interpolateTorqueCurve(curve, rpm) {
+    const points = [...curve].sort((a, b) => a.rpm - b.rpm);
+    if (rpm <= points[0].rpm) return points[0].torque_Nm;
+    const last = points[points.length - 1];
+    if (rpm >= last.rpm) return last.torque_Nm * last.rpm / rpm;
+    
+    const i = points.findIndex(point => point.rpm >= rpm);
+    const low = points[i - 1];
+    const high = points[i];
+    return low.torque_Nm + (high.torque_Nm - low.torque_Nm) * (rpm - low.rpm) / (high.rpm - low.rpm);
+}
@@ -35,10 +35,14 @@ export const MATERIALS = {
             slot: 1.0, profile: 1.5, adaptive: 2.0, facing: 0.2,
             chamfer: 0.5, vcarve: 0.8, drilling: 3.0, boring: 0.5
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 4.0 },
+        drill_feed_per_rev_D: [0.015, 0.025],  // Drill feed per rev as a fraction of diameter
         force_coeff_KN_mm2: 0.7,  // Validated - good value
+        force_group: 'aluminum',  // Kienzle kc1.1 / mc group in FORCE_COEFFICIENTS
+        taylor: { carbide: { n: 0.3, C: 650 }, hss: { n: 0.15, C: 117 } },  // vc·T^n = C (m/min, T in min)
         specific_cutting_energy_J_mm3: 0.5,  // New property for accurate power calculations
         thermal_conductivity: 167,  // W/m·K
+        heat_capacity_MJ_m3K: 2.43,  // Volumetric heat capacity ρ·c
         notes: 'Excellent machinability; avoid work hardening at low speeds.'
     },
     'steel_1018': {
@@ -73,10 +77,14 @@ export const MATERIALS = {
             slot: 0.5, profile: 0.8, adaptive: 1.2, facing: 0.1,
             chamfer: 0.3, vcarve: 0.4, drilling: 2.0, boring: 0.3
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 4.0 },
+        drill_feed_per_rev_D: [0.010, 0.018],
         force_coeff_KN_mm2: 1.8,  // Corrected from 1.2 to validated range
+        force_group: 'steel',
+        taylor: { carbide: { n: 0.25, C: 160 }, hss: { n: 0.125, C: 32 } },
         specific_cutting_energy_J_mm3: 2.5,
         thermal_conductivity: 51,  // W/m·K
+        heat_capacity_MJ_m3K: 3.8,
         notes: 'Good general-purpose steel; consistent machining properties.'
     },
     'stainless_304': {
@@ -111,10 +119,14 @@ export const MATERIALS = {
             slot: 0.3, profile: 0.5, adaptive: 0.8, facing: 0.06,
             chamfer: 0.2, vcarve: 0.25, drilling: 1.0, boring: 0.2
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 4.0 },
+        drill_feed_per_rev_D: [0.008, 0.014],
         force_coeff_KN_mm2: 2.0,  // Corrected from 2.5 to validated range
+        force_group: 'stainless',
+        taylor: { carbide: { n: 0.22, C: 70 }, hss: { n: 0.1, C: 15 } },
         specific_cutting_energy_J_mm3: 3.5,
         thermal_conductivity: 16,  // W/m·K
+        heat_capacity_MJ_m3K: 4.0,
         notes: 'Work hardens easily; maintain consistent chipload.'
     },
     'titanium': {
@@ -149,10 +161,14 @@ export const MATERIALS = {
             slot: 0.2, profile: 0.3, adaptive: 0.5, facing: 0.04,
             chamfer: 0.15, vcarve: 0.2, drilling: 0.75, boring: 0.15
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 4.0 },
+        drill_feed_per_rev_D: [0.007, 0.012],
         force_coeff_KN_mm2: 2.5,  // Corrected from 3.0 to validated range
+        force_group: 'titanium',
+        taylor: { carbide: { n: 0.2, C: 52 }, hss: { n: 0.1, C: 12 } },
         specific_cutting_energy_J_mm3: 5.0,
         thermal_conductivity: 7,   // W/m·K
+        heat_capacity_MJ_m3K: 2.33,
         notes: 'Extremely tough; requires sharp tools and flood coolant.'
     },
     'acrylic': {
@@ -187,10 +203,15 @@ export const MATERIALS = {
             slot: 2.0, profile: 3.0, adaptive: 4.0, facing: 0.35,
             chamfer: 1.2, vcarve: 1.8, drilling: 5.0, boring: 1.2
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 2.5 },
+        drill_feed_per_rev_D: [0.010, 0.020],
         force_coeff_KN_mm2: 0.25,  // Corrected from 0.4
+        force_group: 'plastic',
+        taylor: { carbide: { n: 0.4, C: 1200 }, hss: { n: 0.3, C: 260 } },
         specific_cutting_energy_J_mm3: 0.1,
         thermal_conductivity: 0.19,  // W/m·K
+        heat_capacity_MJ_m3K: 1.73,
+        softening_temp_C: 105,  // Glass transition - chips melt and weld above it
         notes: 'Sharp tools essential; avoid melting from heat buildup.'
     },
     'delrin': {
@@ -225,10 +246,15 @@ export const MATERIALS = {
             slot: 1.8, profile: 2.5, adaptive: 3.5, facing: 0.25,
             chamfer: 0.8, vcarve: 1.2, drilling: 4.5, boring: 0.8
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 2.5 },
+        drill_feed_per_rev_D: [0.015, 0.025],
         force_coeff_KN_mm2: 0.35,  // New validated value
+        force_group: 'plastic',
+        taylor: { carbide: { n: 0.4, C: 1500 }, hss: { n: 0.3, C: 330 } },
         specific_cutting_energy_J_mm3: 0.15,
         thermal_conductivity: 0.31,  // W/m·K
+        heat_capacity_MJ_m3K: 2.07,
+        softening_temp_C: 165,  // Softens toward its 175°C melting point
         notes: 'Tougher than acrylic; good chip evacuation needed.'
     },
     'mdf': {
@@ -263,10 +289,15 @@ export const MATERIALS = {
             slot: 2.0, profile: 3.0, adaptive: 4.0, facing: 0.35,
             chamfer: 1.2, vcarve: 1.8, drilling: 5.0, boring: 1.2
         },
-        chip_thinning: { enable_below_fraction: 0.5 },
+        chip_thinning: { max_compensation_factor: 2.5 },
+        drill_feed_per_rev_D: [0.020, 0.040],
         force_coeff_KN_mm2: 0.15,  // Corrected from 0.25
+        force_group: 'wood',
+        taylor: { carbide: { n: 0.35, C: 1500 }, hss: { n: 0.2, C: 280 } },
         specific_cutting_energy_J_mm3: 0.05,
         thermal_conductivity: 0.05,  // W/m·K
+        heat_capacity_MJ_m3K: 1.28,
+        softening_temp_C: 200,  // Scorches and burns above it
         notes: 'Watch for grain direction; sharp tools essential.'
     }
 };
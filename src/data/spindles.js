@@ -2,7 +2,7 @@
 // Common spindle configurations for CNC machining
 
 export const SPINDLE_TYPES = {
-    // Router spindles
+    // Router spindles: universal motors rated at electrical input; curves are shaft power from typical dyno runs
     dewalt_611: {
         name: 'DeWalt DWP611 (Fixed Speed)',
         type: 'router',
@@ -13,7 +13,12 @@ export const SPINDLE_TYPES = {
         collet_sizes: ['6mm', '1/4"'],
         cooling: 'air',
         runout_um: 25,
-        features: ['fixed_speed']
+        features: ['fixed_speed'],
+        power_curve: [
+            { rpm: 16000, power_W: 560 },
+            { rpm: 22000, power_W: 700 },
+            { rpm: 27000, power_W: 750 }
+        ]
     },
     
     dewalt_611_vfd: {
@@ -26,7 +31,13 @@ export const SPINDLE_TYPES = {
         collet_sizes: ['6mm', '1/4"'],
         cooling: 'air',
         runout_um: 25,
-        features: ['vfd_controlled']
+        features: ['vfd_controlled'],
+        power_curve: [
+            { rpm: 8000, power_W: 240 },
+            { rpm: 16000, power_W: 560 },
+            { rpm: 22000, power_W: 700 },
+            { rpm: 27000, power_W: 750 }
+        ]
     },
     
     makita_rt0701c: {
@@ -39,21 +50,32 @@ export const SPINDLE_TYPES = {
         collet_sizes: ['6mm', '1/4"'],
         cooling: 'air',
         runout_um: 30,
-        features: ['variable_speed']
+        features: ['variable_speed'],
+        power_curve: [
+            { rpm: 10000, power_W: 330 },
+            { rpm: 20000, power_W: 620 },
+            { rpm: 30000, power_W: 710 }
+        ]
     },
     
-    // Water-cooled spindles
+    // Water-cooled spindles: rated at the top frequency (400Hz, 300Hz for 3.2kW), so torque is roughly constant to
+    // rpm_max; the 2.2kW curve shows the low-speed droop of a V/f drive
     water_2_2kw: {
         name: '2.2kW Water-Cooled Spindle',
         type: 'water_cooled',
         rated_power_kW: 2.2,
         rpm_min: 6000,
         rpm_max: 24000,
-        base_rpm: 12000,
+        base_rpm: 24000,
         collet_sizes: ['ER20'],
         cooling: 'water',
         runout_um: 10,
-        features: ['vfd_controlled', 'precision']
+        features: ['vfd_controlled', 'precision'],
+        power_curve: [
+            { rpm: 6000, torque_Nm: 0.72 },
+            { rpm: 12000, torque_Nm: 0.84 },
+            { rpm: 24000, torque_Nm: 0.875 }
+        ]
     },
     
     water_1_5kw: {
@@ -62,7 +84,7 @@ export const SPINDLE_TYPES = {
         rated_power_kW: 1.5,
         rpm_min: 8000,
         rpm_max: 24000,
-        base_rpm: 12000,
+        base_rpm: 24000,
         collet_sizes: ['ER16'],
         cooling: 'water',
         runout_um: 8,
@@ -75,21 +97,21 @@ export const SPINDLE_TYPES = {
         rated_power_kW: 3.2,
         rpm_min: 6000,
         rpm_max: 18000,
-        base_rpm: 10000,
+        base_rpm: 18000,
         collet_sizes: ['ER25'],
         cooling: 'water',
         runout_um: 8,
         features: ['vfd_controlled', 'precision', 'heavy_duty']
     },
     
-    // Air-cooled spindles
+    // Air-cooled spindles, rated like the water-cooled ones
     air_2_2kw: {
         name: '2.2kW Air-Cooled Spindle',
         type: 'air_cooled',
         rated_power_kW: 2.2,
         rpm_min: 8000,
         rpm_max: 24000,
-        base_rpm: 12000,
+        base_rpm: 24000,
         collet_sizes: ['ER20'],
         cooling: 'air',
         runout_um: 15,
@@ -102,7 +124,7 @@ export const SPINDLE_TYPES = {
         rated_power_kW: 1.5,
         rpm_min: 10000,
         rpm_max: 24000,
-        base_rpm: 12000,
+        base_rpm: 24000,
         collet_sizes: ['ER16'],
         cooling: 'air',
         runout_um: 20,
@@ -114,6 +136,7 @@ export const SPINDLE_TYPES = {
         name: 'High-Speed 24k RPM Spindle',
         type: 'high_speed',
         rated_power_kW: 1.5,
+        s6_power_kW: 1.8,
         rpm_min: 12000,
         rpm_max: 24000,
         base_rpm: 18000,
@@ -127,6 +150,7 @@ export const SPINDLE_TYPES = {
         name: 'High-Speed 40k RPM Spindle',
         type: 'high_speed',
         rated_power_kW: 1.0,
+        s6_power_kW: 1.2,
         rpm_min: 20000,
         rpm_max: 40000,
         base_rpm: 30000,
@@ -218,24 +242,86 @@ export const COLLET_INFO = {
     }
 };
 
+// Duty ratings (IEC 60034-1); curves and rated_power_kW are S1 unless noted
+export const SPINDLE_DUTY_RATINGS = {
+    S1: { name: 'S1 (continuous)', description: 'Constant load held indefinitely' },
+    S6: { name: 'S6 (intermittent)', description: 'Periodic load, typically 40% of a 10 minute cycle; uses s6_power_kW' }
+};
+
 // Utility functions for spindle operations
 export const SPINDLE_UTILS = {
     getSpindleByType: (spindleType) => {
         return SPINDLE_TYPES[spindleType] || null;
     },
     
-    getSpindlePowerAtRPM: (spindle, rpm) => {
-        const { rated_power_kW, base_rpm, rpm_min, rpm_max } = spindle;
+    // Shaft power (W) at an RPM: the measured power_curve when there is one, otherwise constant torque to base_rpm,
+    // constant power (VFD field weakening) to constant_power_rpm and falling as 1/rpm above it. S6 duty scales
+    // the S1 curve by the spindle's s6_power_kW rating
+    getSpindlePowerAtRPM: (spindle, rpm, duty = spindle.duty || 'S1') => {
+        const { rated_power_kW, rpm_min, rpm_max } = spindle;
         
         if (rpm < rpm_min || rpm > rpm_max) return 0;
         
-        if (rpm <= base_rpm) {
+        const dutyFactor = SPINDLE_UTILS.getDutyFactor(spindle, duty);
+        if (spindle.power_curve?.length) {
+            return interpolatePowerCurve(spindle.power_curve, rpm) * dutyFactor;
+        }
+        
+        const ratedPowerW = rated_power_kW * 1000;
+        const baseRPM = spindle.base_rpm || rpm_max;
+        const constantPowerRPM = Math.max(spindle.constant_power_rpm || rpm_max, baseRPM);
+        
+        let power;
+        if (rpm <= baseRPM) {
             // Constant torque region
-            return (rated_power_kW * 1000) * (rpm / base_rpm);
-        } else {
+            power = ratedPowerW * (rpm / baseRPM);
+        } else if (rpm <= constantPowerRPM) {
             // Constant power region
-            return rated_power_kW * 1000;
+            power = ratedPowerW;
+        } else {
+            // Past the field weakening range torque falls faster than 1/rpm
+            power = ratedPowerW * (constantPowerRPM / rpm);
+        }
+        return power * dutyFactor;
+    },
+    
+    getSpindleTorqueAtRPM: (spindle, rpm, duty) => {
+        if (!(rpm > 0)) return 0;
+        return SPINDLE_UTILS.getSpindlePowerAtRPM(spindle, rpm, duty) * 60 / (2 * Math.PI * rpm);
+    },
+    
+    getDutyFactor: (spindle, duty = 'S1') => {
+        if (!SPINDLE_DUTY_RATINGS[duty]) {
+            throw new Error(`Unknown spindle duty: ${duty} (expected ${Object.keys(SPINDLE_DUTY_RATINGS).join(', ')})`);
+        }
+        // Without an S6 rating the spindle is only good for its S1 curve
+        if (duty === 'S6' && spindle.s6_power_kW > 0 && spindle.rated_power_kW > 0) {
+            return spindle.s6_power_kW / spindle.rated_power_kW;
         }
+        return 1;
+    },
+    
+    // Parse "rpm:value,..." where each value is watts, or torque with an Nm suffix, e.g. "6000:0.8Nm,24000:2200"
+    parsePowerCurve: (text) => {
+        const points = String(text).split(',').map(point => point.trim()).filter(Boolean).map(point => {
+            const match = point.match(/^(\d*\.?\d+):(\d*\.?\d+)\s*(w|nm)?$/i);
+            if (!match) {
+                throw new Error(`Invalid power curve point "${point}" - expected <rpm>:<watts> or <rpm>:<torque>Nm`);
+            }
+            const rpm = parseFloat(match[1]);
+            const value = parseFloat(match[2]);
+            return match[3]?.toLowerCase() === 'nm' ? { rpm, torque_Nm: value } : { rpm, power_W: value };
+        });
+        if (points.length < 2 || points.every(point => point.rpm <= 0)) {
+            throw new Error('A power curve needs at least two points, with at least one above 0 rpm');
+        }
+        return points.sort((a, b) => a.rpm - b.rpm);
+    },
+    
+    formatPowerCurve: (curve) => {
+        return (curve || []).map(point =>
+            point.torque_Nm !== undefined ? `${point.rpm}:${point.torque_Nm}Nm` : `${point.rpm}:${point.power_W}`
+        ).join(',');
     },
     
     validateRPMRange: (spindle, rpm) => {
@@ -260,6 +346,31 @@ export const SPINDLE_UTILS = {
         });
     },
     
+    getRunoutAtTool: (spindle, tool) => {
+        // A measured runout at the tool (dial indicator TIR) replaces the catalogue values
+        if (tool.runout_um !== undefined && tool.runout_um !== null) {
+            return { spindle_um: 0, collet: null, collet_um: 0, total_um: tool.runout_um, measured: true };
+        }
+        
+        // First listed collet that holds the shank
+        const shank = tool.shank_mm || tool.diameter_mm || 0;
+        const colletType = (spindle.collet_sizes || []).find(type => {
+            const collet = COLLET_INFO[type];
+            return collet && shank <= collet.max_tool_dia;
+        });
+        const collet = colletType ? COLLET_INFO[colletType] : null;
+        const spindleRunout = spindle.runout_um || 0;
+        const colletRunout = collet ? collet.typical_runout_um : 0;
+        
+        return {
+            spindle_um: spindleRunout,
+            collet: colletType || null,
+            collet_um: colletRunout,
+            total_um: spindleRunout + colletRunout,
+            measured: false
+        };
+    },
+    
     getSpindlesByPowerRange: (minPowerKW, maxPowerKW) => {
         return Object.entries(SPINDLE_TYPES)
             .filter(([_, spindle]) => 
@@ -287,4 +398,26 @@ export const SPINDLE_UTILS = {
 export const DEFAULT_SPINDLE = {
     type: 'water_2_2kw',
     config: SPINDLE_TYPES.water_2_2kw
-};
\ No newline at end of file
+};
+
+// Power (W) at an RPM from a curve of { rpm, power_W } or { rpm, torque_Nm } points, linear between points,
+// at constant torque below the first point and constant power above the last
+function interpolatePowerCurve(curve, rpm) {
+    const points = curve
+        .map(point => ({
+            rpm: point.rpm,
+            power_W: point.power_W ?? point.torque_Nm * 2 * Math.PI * point.rpm / 60
+        }))
+        .sort((a, b) => a.rpm - b.rpm);
+    
+    if (rpm <= points[0].rpm) {
+        return points[0].rpm > 0 ? points[0].power_W * rpm / points[0].rpm : points[0].power_W;
+    }
+    const last = points[points.length - 1];
+    if (rpm >= last.rpm) return last.power_W;
+    
+    const i = points.findIndex(point => point.rpm >= rpm);
+    const low = points[i - 1];
+    const high = points[i];
+    return low.power_W + (high.power_W - low.power_W) * (rpm - low.rpm) / (high.rpm - low.rpm);
+}
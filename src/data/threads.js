@@ -0,0 +1,121 @@
+// Thread Standards Database
+// ISO metric coarse and Unified (UNC/UNF) thread sizes for thread milling
+
+export const THREAD_STANDARDS = {
+    metric: {
+        name: 'ISO Metric Coarse',
+        sizes: {
+            'M2': { major_diameter_mm: 2, pitch_mm: 0.4 },
+            'M2.5': { major_diameter_mm: 2.5, pitch_mm: 0.45 },
+            'M3': { major_diameter_mm: 3, pitch_mm: 0.5 },
+            'M4': { major_diameter_mm: 4, pitch_mm: 0.7 },
+            'M5': { major_diameter_mm: 5, pitch_mm: 0.8 },
+            'M6': { major_diameter_mm: 6, pitch_mm: 1.0 },
+            'M8': { major_diameter_mm: 8, pitch_mm: 1.25 },
+            'M10': { major_diameter_mm: 10, pitch_mm: 1.5 },
+            'M12': { major_diameter_mm: 12, pitch_mm: 1.75 },
+            'M14': { major_diameter_mm: 14, pitch_mm: 2.0 },
+            'M16': { major_diameter_mm: 16, pitch_mm: 2.0 },
+            'M20': { major_diameter_mm: 20, pitch_mm: 2.5 },
+            'M24': { major_diameter_mm: 24, pitch_mm: 3.0 }
+        }
+    },
+
+    unc: {
+        name: 'Unified Coarse (UNC)',
+        sizes: {
+            '#4-40': { major_diameter_mm: 2.845, tpi: 40 },
+            '#6-32': { major_diameter_mm: 3.505, tpi: 32 },
+            '#8-32': { major_diameter_mm: 4.166, tpi: 32 },
+            '#10-24': { major_diameter_mm: 4.826, tpi: 24 },
+            '1/4-20': { major_diameter_mm: 6.350, tpi: 20 },
+            '5/16-18': { major_diameter_mm: 7.938, tpi: 18 },
+            '3/8-16': { major_diameter_mm: 9.525, tpi: 16 },
+            '1/2-13': { major_diameter_mm: 12.700, tpi: 13 },
+            '5/8-11': { major_diameter_mm: 15.875, tpi: 11 },
+            '3/4-10': { major_diameter_mm: 19.050, tpi: 10 }
+        }
+    },
+
+    unf: {
+        name: 'Unified Fine (UNF)',
+        sizes: {
+            '#4-48': { major_diameter_mm: 2.845, tpi: 48 },
+            '#6-40': { major_diameter_mm: 3.505, tpi: 40 },
+            '#8-36': { major_diameter_mm: 4.166, tpi: 36 },
+            '#10-32': { major_diameter_mm: 4.826, tpi: 32 },
+            '1/4-28': { major_diameter_mm: 6.350, tpi: 28 },
+            '5/16-24': { major_diameter_mm: 7.938, tpi: 24 },
+            '3/8-24': { major_diameter_mm: 9.525, tpi: 24 },
+            '1/2-20': { major_diameter_mm: 12.700, tpi: 20 },
+            '5/8-18': { major_diameter_mm: 15.875, tpi: 18 },
+            '3/4-16': { major_diameter_mm: 19.050, tpi: 16 }
+        }
+    }
+};
+
+// 60° thread form: fundamental triangle height H = 0.866·P
+const THREAD_FORM = {
+    HEIGHT_PER_PITCH: Math.sqrt(3) / 2,
+    INTERNAL_DEPTH_H: 5 / 8,    // Basic internal thread depth (major to minor)
+    EXTERNAL_DEPTH_H: 17 / 24   // External thread depth including root radius
+};
+
+// Helper functions for thread operations
+export const THREAD_UTILS = {
+    getPitch: (size) => {
+        return size.pitch_mm || 25.4 / size.tpi;
+    },
+
+    getThreadDepth: (pitch, internal = true) => {
+        const H = THREAD_FORM.HEIGHT_PER_PITCH * pitch;
+        return H * (internal ? THREAD_FORM.INTERNAL_DEPTH_H : THREAD_FORM.EXTERNAL_DEPTH_H);
+    },
+
+    getMinorDiameter: (majorDiameter, pitch, internal = true) => {
+        return majorDiameter - 2 * THREAD_UTILS.getThreadDepth(pitch, internal);
+    },
+
+    // Parse a designation like "M8", "M10x1.25", "1/4-20" or "#10-32"
+    parseDesignation: (designation) => {
+        const text = String(designation).trim();
+
+        const metric = text.match(/^M(\d*\.?\d+)(?:\s*x\s*(\d*\.?\d+))?$/i);
+        if (metric) {
+            const size = THREAD_STANDARDS.metric.sizes[`M${metric[1]}`];
+            const pitch = metric[2] ? parseFloat(metric[2]) : size?.pitch_mm;
+            if (!pitch) {
+                throw new Error(`No coarse pitch for ${text} - specify it, e.g. ${text}x1.0`);
+            }
+            return {
+                standard: 'metric',
+                size: metric[2] ? `M${metric[1]}x${metric[2]}` : `M${metric[1]}`,
+                major_diameter_mm: parseFloat(metric[1]),
+                pitch_mm: pitch
+            };
+        }
+
+        for (const standard of ['unc', 'unf']) {
+            const size = THREAD_STANDARDS[standard].sizes[text];
+            if (size) {
+                return {
+                    standard,
+                    size: text,
+                    major_diameter_mm: size.major_diameter_mm,
+                    pitch_mm: THREAD_UTILS.getPitch(size)
+                };
+            }
+        }
+
+        throw new Error(`Unknown thread size: ${text}`);
+    },
+
+    // Smallest standard size with this pitch that the tool fits inside
+    findSizeForPitch: (pitch, toolDiameter, standard = 'metric') => {
+        const entry = Object.entries(THREAD_STANDARDS[standard].sizes).find(([, size]) =>
+            Math.abs(THREAD_UTILS.getPitch(size) - pitch) < 0.01 &&
+            THREAD_UTILS.getMinorDiameter(size.major_diameter_mm, THREAD_UTILS.getPitch(size)) > toolDiameter
+        );
+        return entry ? entry[0] : null;
+    }
+};
@@ -7,14 +7,16 @@ export const TOOL_TYPES = {
         icon: '🔧',
         parameters: ['diameter_mm', 'flutes', 'stickout_mm', 'shank_mm'],
         supportedCuts: ['slot', 'profile', 'adaptive', 'facing', 'plunge'],
+        centerCutting: true,
         speedFactors: { slot: 1.0, profile: 1.2, adaptive: 1.3, facing: 1.1 }
     },
     endmill_ball: {
         name: 'Ball End Mill',
         icon: '⚪',
         parameters: ['diameter_mm', 'flutes', 'stickout_mm', 'shank_mm'],
-        supportedCuts: ['profile', 'adaptive', '3d_contour'],
-        speedFactors: { profile: 0.9, adaptive: 1.0, '3d_contour': 0.8 }
+        supportedCuts: ['slot', 'profile', 'adaptive', '3d_contour'],
+        centerCutting: true,
+        speedFactors: { slot: 0.8, profile: 0.9, adaptive: 1.0, '3d_contour': 0.8 }
     },
     chamfer: {
         name: 'Chamfer Mill',
@@ -35,6 +37,7 @@ export const TOOL_TYPES = {
         icon: '⬡',
         parameters: ['diameter_mm', 'insert_count', 'insert_size_mm', 'max_doc_mm'],
         supportedCuts: ['facing', 'shoulder', 'ramping'],
+        centerCutting: false,
         speedFactors: { facing: 1.4, shoulder: 1.2, ramping: 0.8 }
     },
     drill: {
@@ -56,6 +59,7 @@ export const TOOL_TYPES = {
         icon: '⩙',
         parameters: ['tip_diameter_mm', 'taper_angle_deg', 'flutes', 'flute_length_mm'],
         supportedCuts: ['profile', '3d_contour', 'draft_angle'],
+        centerCutting: true,
         speedFactors: { profile: 0.9, '3d_contour': 0.85, draft_angle: 1.0 }
     },
     boring: {
@@ -80,25 +84,29 @@ export const CUT_TYPES = {
         name: 'Slotting', 
         ae_fraction: 1.0, 
         ap_fraction_range: [0.8, 1.0],
-        toolTypes: ['endmill_flat', 'endmill_ball']
+        toolTypes: ['endmill_flat', 'endmill_ball'],
+        finishSurface: 'wall'
     },
     profile: { 
         name: 'Profile (Side)', 
         ae_fraction_range: [0.2, 0.4], 
         ap_fraction_range: [1.0, 1.5],
-        toolTypes: ['endmill_flat', 'endmill_ball', 'tapered']
+        toolTypes: ['endmill_flat', 'endmill_ball', 'tapered'],
+        finishSurface: 'wall'
     },
     adaptive: { 
         name: 'Adaptive/Trochoidal', 
         ae_fraction_range: [0.1, 0.2], 
         ap_fraction_range: [1.5, 3.0],
-        toolTypes: ['endmill_flat', 'endmill_ball']
+        toolTypes: ['endmill_flat', 'endmill_ball'],
+        finishSurface: 'wall'
     },
     facing: { 
         name: 'Facing', 
         ae_fraction_range: [0.6, 0.8], 
         ap_fraction_range: [0.1, 0.3],
-        toolTypes: ['endmill_flat', 'facemill']
+        toolTypes: ['endmill_flat', 'facemill'],
+        finishSurface: 'floor'
     },
     plunge: {
         name: 'Plunging',
@@ -142,7 +150,8 @@ export const CUT_TYPES = {
         name: 'Shoulder Milling',
         ae_fraction_range: [0.3, 0.5],
         ap_fraction_range: [0.8, 1.2],
-        toolTypes: ['facemill']
+        toolTypes: ['facemill'],
+        finishSurface: 'wall'
     },
     ramping: {
         name: 'Ramping',
@@ -184,13 +193,15 @@ export const CUT_TYPES = {
         name: '3D Contouring',
         ae_fraction_range: [0.1, 0.3],
         ap_fraction_range: [0.1, 0.5],
-        toolTypes: ['endmill_ball', 'tapered']
+        toolTypes: ['endmill_ball', 'tapered'],
+        finishSurface: 'floor'
     },
     draft_angle: {
         name: 'Draft Angle',
         ae_fraction_range: [0.2, 0.4],
         ap_fraction_range: [0.8, 1.5],
-        toolTypes: ['tapered']
+        toolTypes: ['tapered'],
+        finishSurface: 'wall'
     },
     boring: {
         name: 'Boring',
@@ -218,6 +229,49 @@ export const CUT_TYPES = {
     }
 };
 
+// Default values for tool parameters (used when a parameter is not specified)
+export const TOOL_PARAMETER_DEFAULTS = {
+    diameter_mm: 6,
+    flutes: 4,
+    stickout_mm: 25,
+    shank_mm: 6,
+    angle_deg: 90,
+    tip_diameter_mm: 0.1,
+    max_diameter_mm: 10,
+    insert_count: 4,
+    insert_size_mm: 8,
+    max_doc_mm: 5,
+    point_angle_deg: 118,
+    flute_length_mm: 20,
+    pitch_mm: 1.5,
+    thread_depth_mm: 1,
+    taper_angle_deg: 1,
+    min_bore_diameter_mm: 10,
+    bar_diameter_mm: 12,
+    max_depth_mm: 50,
+    width_mm: 2,
+    teeth: 80,
+    arbor_hole_mm: 22
+};
+
+// Per-type overrides of TOOL_PARAMETER_DEFAULTS where the shared value does not fit the tool
+export const TOOL_TYPE_DEFAULTS = {
+    facemill: { diameter_mm: 50 },
+    drill: { flutes: 2 },
+    boring: { bar_diameter_mm: 8 },
+    slitting: { diameter_mm: 63, teeth: 48 }
+};
+
+// Parameter pairs where the first must be smaller than the second for the tool to exist
+const TOOL_GEOMETRY_RULES = [
+    { smaller: 'tip_diameter_mm', larger: 'diameter_mm', message: 'Tip diameter must be smaller than the tool diameter' },
+    { smaller: 'tip_diameter_mm', larger: 'max_diameter_mm', message: 'Tip diameter must be smaller than the maximum diameter' },
+    { smaller: 'insert_size_mm', larger: 'diameter_mm', message: 'Insert size must be smaller than the cutter diameter' },
+    { smaller: 'thread_depth_mm', larger: 'diameter_mm', ratio: 0.5, message: 'Thread depth must be less than the tool radius' },
+    { smaller: 'bar_diameter_mm', larger: 'min_bore_diameter_mm', message: 'Bar diameter must be smaller than the minimum bore' },
+    { smaller: 'arbor_hole_mm', larger: 'diameter_mm', message: 'Arbor hole must be smaller than the saw diameter' }
+];
+
 // Helper functions for tool operations
 export const TOOL_UTILS = {
     getToolsByType: (toolType) => {
@@ -235,6 +289,34 @@ export const TOOL_UTILS = {
             .map(([key, cutType]) => ({ key, ...cutType }));
     },
     
+    getDefaultParameterValue: (param, toolType) => {
+        return TOOL_TYPE_DEFAULTS[toolType]?.[param] || TOOL_PARAMETER_DEFAULTS[param] || 1;
+    },
+    
+    createDefaultTool: (toolType) => {
+        const tool = TOOL_TYPES[toolType];
+        if (!tool) return null;
+        
+        const defaults = { type: toolType, material: 'carbide', coating: 'uncoated' };
+        tool.parameters.forEach(param => {
+            defaults[param] = TOOL_UTILS.getDefaultParameterValue(param, toolType);
+        });
+
+        const errors = TOOL_UTILS.validateToolGeometry(defaults);
+        if (errors.length > 0) {
+            throw new Error(`Default ${tool.name} is not a valid tool: ${errors.join('; ')}`);
+        }
+        return defaults;
+    },
+
+    // Check that the tool's dimensions fit together; returns one message per conflict
+    validateToolGeometry: (tool) => {
+        return TOOL_GEOMETRY_RULES
+            .filter(({ smaller, larger, ratio = 1 }) =>
+                tool[smaller] > 0 && tool[larger] > 0 && tool[smaller] >= tool[larger] * ratio)
+            .map(({ message, smaller, larger }) => `${message} (${smaller} ${tool[smaller]}, ${larger} ${tool[larger]})`);
+    },
+    
     getSpeedFactor: (toolType, cutType) => {
         const tool = TOOL_TYPES[toolType];
         if (!tool || !tool.speedFactors) return 1.0;
@@ -61,7 +61,8 @@ export const FORCE_COEFFICIENTS = {
         'titanium': 2500,
         'brass': 500,
         'copper': 400,
-        'plastic': 200
+        'plastic': 200,
+        'wood': 60
     },
     
     // Material exponent for chip thickness effect
@@ -72,8 +73,16 @@ export const FORCE_COEFFICIENTS = {
         'titanium': 0.35,
         'brass': 0.2,
         'copper': 0.2,
-        'plastic': 0.15
-    }
+        'plastic': 0.15,
+        'wood': 0.15
+    },
+    
+    // Force component ratios relative to the tangential force
+    RADIAL_RATIO: 0.35,          // Fr / Ft for sharp milling cutters
+    AXIAL_RATIO_PER_HELIX: 0.5,  // Fa / (Ft * tan(helix))
+    
+    // Helix angle assumed for fluted cutters when the tool does not specify one (degrees)
+    DEFAULT_HELIX_ANGLE_DEG: 30
 };
 
 // Machining parameters
@@ -96,6 +105,12 @@ export const MACHINING_CONSTANTS = {
         CERAMIC: { min: 200, max: 1200 }
     },
     
+    // Largest fz multiplier applied for chip thinning compensation
+    CHIP_THINNING_MAX_COMPENSATION: 4.0,
+    
+    // Radial stock per boring pass as a fraction of the bore diameter
+    BORING_RADIAL_STOCK_D: 0.05,
+    
     // Recommended DOC as fraction of tool diameter
     DOC_RECOMMENDATIONS: {
         ROUGHING: { min: 0.5, max: 2.0 },
@@ -104,15 +119,243 @@ export const MACHINING_CONSTANTS = {
     }
 };
 
+// Drilling constants
+export const DRILLING_CONSTANTS = {
+    // Thrust force relative to kc · (D/2) · f · sin(σ/2), including chisel edge effects
+    THRUST_RATIO: 0.63,
+    
+    // Spot drills run a lighter feed than the tables for full-depth drilling
+    SPOT_DRILL_FEED_FACTOR: 0.5,
+    
+    // Peck depth (as a fraction of D) by hole depth-to-diameter ratio
+    PECK_RULES: [
+        { max_depth_ratio: 3, peck_D: null },   // Drill straight through
+        { max_depth_ratio: 5, peck_D: 1.0 },
+        { max_depth_ratio: 8, peck_D: 0.75 },
+        { max_depth_ratio: Infinity, peck_D: 0.5 }
+    ],
+    
+    // Peck depth used when pecking is requested for a shallow hole
+    SHALLOW_PECK_D: 1.5
+};
+
+// Thread milling constants
+export const THREAD_MILLING_CONSTANTS = {
+    // Largest radial depth per pass as a fraction of pitch, by Kienzle force group
+    RADIAL_DEPTH_PER_PASS_P: {
+        aluminum: 0.6,   // Full thread depth in one pass
+        plastic: 0.6,
+        wood: 0.6,
+        steel: 0.35,
+        stainless: 0.3,
+        titanium: 0.2
+    },
+    
+    // Included angle of the thread form (degrees)
+    THREAD_ANGLE_DEG: 60,
+    
+    // Default thread length as a multiple of the major diameter
+    DEFAULT_LENGTH_D: 1.5,
+    
+    // Tool diameter above this fraction of the thread diameter distorts the profile
+    MAX_TOOL_RATIO: 0.7,
+    
+    // Arc-in and arc-out moves, each as a fraction of one orbit
+    ARC_ENTRY_FRACTION: 0.25,
+    
+    // Clearance above the hole for the plunge and retract moves (mm)
+    CLEARANCE_MM: 2
+};
+
+// Ramp and helical entry constants
+export const ENTRY_CONSTANTS = {
+    // Recommended ramp angle (degrees) by Kienzle force group
+    RAMP_ANGLE_DEG: {
+        aluminum: 3,
+        plastic: 5,
+        wood: 5,
+        steel: 2,
+        stainless: 1.5,
+        titanium: 1
+    },
+    
+    // Tools without centre-cutting edges must ramp shallow enough for the dead zone to be swept
+    NON_CENTER_CUTTING_MAX_RAMP_DEG: 1.5,
+    
+    // Entry chiploads as fractions of the mid table chipload
+    RAMP_CHIPLOAD_FACTOR: 0.75,
+    PLUNGE_CHIPLOAD_FACTOR: 0.5,
+    
+    // Helix bore diameter as a multiple of D; above 2×D a core is left standing in the middle
+    HELIX_DIAMETER_D: {
+        center_cutting: [1.25, 1.9],
+        non_center_cutting: [1.5, 1.9]
+    }
+};
+
+// Chatter stability (single degree of freedom lobe model)
+export const STABILITY_CONSTANTS = {
+    // Tool tip damping ratio when the tool has no measured value (tap test)
+    DAMPING_RATIO: 0.03,
+    
+    // Lobe sampling: chatter frequency from fn up to this multiple of fn
+    MAX_FREQUENCY_RATIO: 3,
+    SAMPLES_PER_LOBE: 150,
+    MAX_LOBES: 60,
+    RPM_GRID_POINTS: 200,
+    
+    // Critical depth must exceed the programmed depth by this factor to count as a safe pocket
+    SAFETY_FACTOR: 1.2
+};
+
+// Tool life (Taylor) and machining economics
+export const TOOL_LIFE_CONSTANTS = {
+    // Multiplier on Taylor C for coated tools
+    COATING_C_FACTOR: {
+        uncoated: 1.0,
+        tin: 1.15,
+        ticn: 1.2,
+        tialn: 1.35,
+        alcrn: 1.35,
+        diamond_like: 1.3
+    },
+    
+    // Cost inputs used when the user does not give them
+    DEFAULT_ECONOMICS: {
+        tool_cost: 25,              // Price of one tool or insert set
+        edges_per_tool: 1,          // Usable edges or regrinds per tool
+        machine_rate_per_hour: 60,  // Machine and operator cost
+        tool_change_min: 2,         // Time to change and touch off a tool
+        cut_length_mm: 1000         // Toolpath length per part
+    },
+    
+    // Edges that wear out faster than this get a warning (minutes of cut)
+    SHORT_LIFE_MIN: 15
+};
+
+// Surface finish prediction
+export const SURFACE_FINISH_CONSTANTS = {
+    // Floor-generating corner radius when the tool does not give corner_radius_mm
+    SHARP_CORNER_RADIUS_MM: 0.05,   // Honed corner of a square end mill
+    INSERT_CORNER_RADIUS_MM: 0.8,   // Common face mill insert nose radius
+    
+    // Ra / Rz for a periodic cusp profile (exactly 0.257 for parabolic feed marks)
+    RA_RZ_RATIO: 0.25,
+    
+    // Target Ra is met within this fraction
+    SOLVE_TOLERANCE: 0.01
+};
+
+// Spindle runout and per-flute chip load
+export const RUNOUT_CONSTANTS = {
+    // Runout orientations checked per flute pitch for the worst case
+    PHASE_SAMPLES: 24,
+    
+    // Derated feed keeps the worst flute within this fraction of its chip limit
+    SOLVE_TOLERANCE: 0.01
+};
+
+// Coolant modes and cutting temperature
+export const COOLANT_CONSTANTS = {
+    // Mode the vc and chipload tables assume for each force group; other modes scale from it
+    RECOMMENDED_MODE: {
+        'aluminum': 'mist',
+        'steel': 'flood',
+        'stainless': 'flood',
+        'titanium': 'flood',
+        'brass': 'air_blast',
+        'copper': 'mist',
+        'plastic': 'air_blast',
+        'wood': 'air_blast'
+    },
+    
+    // Multipliers on the table cutting speed and chipload by force group and coolant mode: [vc, fz]
+    FACTORS: {
+        'aluminum':  { dry: [0.8, 0.85], air_blast: [0.9, 0.9], mist: [1.0, 1.0], flood: [1.0, 1.0], through_spindle: [1.1, 1.0] },
+        'steel':     { dry: [0.8, 1.0], air_blast: [0.85, 1.0], mist: [0.9, 1.0], flood: [1.0, 1.0], through_spindle: [1.1, 1.0] },
+        'stainless': { dry: [0.7, 0.9], air_blast: [0.75, 0.9], mist: [0.85, 0.95], flood: [1.0, 1.0], through_spindle: [1.15, 1.0] },
+        'titanium':  { dry: [0.5, 0.8], air_blast: [0.6, 0.85], mist: [0.75, 0.9], flood: [1.0, 1.0], through_spindle: [1.2, 1.05] },
+        'brass':     { dry: [1.0, 1.0], air_blast: [1.0, 1.0], mist: [1.0, 1.0], flood: [1.05, 1.0], through_spindle: [1.05, 1.0] },
+        'copper':    { dry: [0.85, 0.9], air_blast: [0.9, 0.95], mist: [1.0, 1.0], flood: [1.0, 1.0], through_spindle: [1.05, 1.0] },
+        'plastic':   { dry: [0.9, 1.0], air_blast: [1.0, 1.0], mist: [1.0, 1.0], flood: [1.05, 1.0], through_spindle: [1.05, 1.0] },
+        'wood':      { dry: [1.0, 1.0], air_blast: [1.0, 1.0], mist: [1.0, 1.0], flood: [1.0, 1.0], through_spindle: [1.0, 1.0] }
+    },
+    
+    // Share of the cutting heat made by rake face friction; the rest comes from the shear zone
+    FRICTION_HEAT_SHARE: 0.25,
+    
+    // Tool thermal conductivity (W/m·K)
+    TOOL_CONDUCTIVITY: {
+        carbide: 80,
+        hss: 25
+    },
+    
+    // Heat the tool can shed per mm² of cross section without softening the edge (W/mm²)
+    TOOL_HEAT_FLUX_LIMIT: {
+        carbide: 1.5,
+        hss: 0.75
+    },
+    
+    // Fraction of the mechanical power that ends up as heat
+    HEAT_FRACTION: 0.95,
+    
+    AMBIENT_TEMP_C: 20
+};
+
+// Multi-pass depth and width planning
+export const PASS_PLAN_CONSTANTS = {
+    // Finishing allowance as a fraction of tool diameter, held between the min and max
+    WALL_STOCK_D: 0.05,
+    FLOOR_STOCK_D: 0.02,
+    MIN_STOCK_MM: 0.1,
+    MAX_STOCK_MM: 0.5,
+    
+    // Pass length used for time estimates when the stock length is not given (mm)
+    DEFAULT_LENGTH_MM: 100,
+    
+    // Retract height above the stock between passes (mm)
+    CLEARANCE_MM: 2
+};
+
+// Trochoidal slotting
+export const TROCHOIDAL_CONSTANTS = {
+    // Slot width as a multiple of tool diameter; narrower loops pack chips, wider ones cut air
+    MIN_SLOT_WIDTH_D: 1.25,
+    MAX_SLOT_WIDTH_D: 2.5,
+    
+    // Relative tolerance for the loop stepover solve
+    SOLVE_TOLERANCE: 1e-4
+};
+
+// Feed axis load check
+export const AXIS_LOAD_CONSTANTS = {
+    // Moving mass of an axis without moving_mass_kg (kg)
+    DEFAULT_MOVING_MASS_KG: 10,
+    
+    // The Z axis lifts its carriage against gravity unless it is counterbalanced (m/s²)
+    GRAVITY_M_S2: 9.81
+};
+
 // Power calculation constants
 export const POWER_CONSTANTS = {
-    // Machine efficiency factors
-    SPINDLE_EFFICIENCY: 0.85,
+    // Spindle motor (shaft power / electrical input) and VFD or controller (motor input / wall draw) efficiencies
+    MOTOR_EFFICIENCY: 0.85,
     DRIVE_EFFICIENCY: 0.9,
     
+    // Share of the spindle curve the power limit loads the shaft to
+    POWER_LIMIT: 0.9,
+    
+    // Power and torque limits solve the chipload until they are within this fraction of the limit
+    LIMIT_TOLERANCE: 0.005,
+    LIMIT_MAX_ITERATIONS: 10,
+    
     // Power safety factors
     POWER_SAFETY_FACTOR: 1.2,
     
+    // Peak cutting torque a spindle rides through as a multiple of its continuous torque at the RPM,
+    // on the VFD current limit and rotor inertia; larger tooth-entry peaks slow it down and stall it
+    PEAK_TORQUE_OVERLOAD: 1.25,
+    
     // Specific cutting energy (J/mm³) - material dependent
     SPECIFIC_CUTTING_ENERGY: {
         'aluminum': 0.7,
@@ -131,6 +374,10 @@ export const WARNING_THRESHOLDS = {
     POWER_WARNING: 0.8,    // 80% of available power
     POWER_DANGER: 0.95,    // 95% of available power
     
+    // Actual chip thickness limits relative to the material table range
+    CHIPLOAD_RUBBING: 0.5,     // Below 50% of the table minimum
+    CHIPLOAD_CEILING: 1.5,     // Above 150% of the table maximum
+    
     // Deflection warnings (mm)
     DEFLECTION_WARNING: 0.02,  // 20 microns
     DEFLECTION_DANGER: 0.05,   // 50 microns
@@ -183,7 +430,7 @@ export const DEFAULTS = {
     TOOL_FLUTES: 4,
     TOOL_COATING: 'uncoated',
     MACHINE_RIGIDITY: 1.0,
-    COOLANT: false
+    COOLANT: null             // Material's recommended coolant mode
 };
 
 // Export all constants as a single object for convenience
@@ -193,6 +440,17 @@ export const CONSTANTS = {
     DEFLECTION_CONSTANTS,
     FORCE_COEFFICIENTS,
     MACHINING_CONSTANTS,
+    DRILLING_CONSTANTS,
+    THREAD_MILLING_CONSTANTS,
+    ENTRY_CONSTANTS,
+    STABILITY_CONSTANTS,
+    TOOL_LIFE_CONSTANTS,
+    SURFACE_FINISH_CONSTANTS,
+    RUNOUT_CONSTANTS,
+    COOLANT_CONSTANTS,
+    PASS_PLAN_CONSTANTS,
+    TROCHOIDAL_CONSTANTS,
+    AXIS_LOAD_CONSTANTS,
     POWER_CONSTANTS,
     WARNING_THRESHOLDS,
     GEOMETRY,
@@ -102,14 +102,14 @@ export function exportResultsAsCSV(results, filename = 'cnc-calculation-results.
             result.toolType || '',
             result.tool?.diameter_mm || '',
             result.rpm || '',
-            result.feed_rate_mm_min || '',
-            result.chipload_mm || '',
-            result.woc_mm || '',
+            result.feed_mm_min || '',
+            result.fz_mm || '',
+            result.ae_mm || '',
             result.doc_mm || '',
             result.mrr_mm3_min || '',
-            result.power_required_W || '',
-            result.cutting_force_N || '',
-            result.tool_deflection_mm || '',
+            result.power_W || '',
+            result.force_N || '',
+            result.deflection_mm || '',
             result.warnings?.map(w => w.message).join('; ') || ''
         ]);
         
@@ -145,10 +145,10 @@ export function copyResultsToClipboard(results) {
                 `Material: ${result.material}`,
                 `Cut Type: ${result.cutType}`,
                 `RPM: ${result.rpm}`,
-                `Feed: ${result.feed_rate_mm_min} mm/min`,
-                `Chipload: ${result.chipload_mm} mm/tooth`,
-                `Power: ${result.power_required_W} W`,
-                `Deflection: ${result.tool_deflection_mm} mm`,
+                `Feed: ${result.feed_mm_min} mm/min`,
+                `Chipload: ${result.fz_mm} mm/tooth`,
+                `Power: ${result.power_W} W`,
+                `Deflection: ${result.deflection_mm} mm`,
                 result.warnings?.length > 0 ? `Warnings: ${result.warnings.map(w => w.message).join(', ')}` : '',
                 '---'
             ].filter(line => line).join('\n');
@@ -216,7 +216,8 @@ export function createDefaultSettings() {
             rated_power_kW: 2.2,
             rpm_min: 8000,
             rpm_max: 24000,
-            base_rpm: 12000
+            base_rpm: 24000,
+            duty: 'S1'
         },
         tool: {
             type: 'endmill_flat',
@@ -231,7 +232,35 @@ export function createDefaultSettings() {
         customDOC: {
             enabled: false,
             value: 1.0
-        }
+        },
+        targetChip: {
+            enabled: false,
+            value: 0.03
+        },
+        targetRa: {
+            enabled: false,
+            value: 1.6
+        },
+        contour: {
+            tilt_angle_deg: 0,
+            scallop_mm: null,
+            stepover_mm: null
+        },
+        thread: {
+            designation: '',
+            internal: true,
+            length_mm: null
+        },
+        economics: {
+            speed_mode: 'nominal',
+            tool_cost: null,
+            edges_per_tool: null,
+            machine_rate_per_hour: null,
+            tool_change_min: null,
+            cut_length_mm: null
+        },
+        coolant: '',
+        slotWidth: null
     };
 }
 
@@ -248,7 +277,12 @@ export function mergeWithDefaults(imported, defaults = createDefaultSettings())
         // Ensure nested objects are properly merged
         spindle: { ...defaults.spindle, ...imported.spindle },
         tool: { ...defaults.tool, ...imported.tool },
-        customDOC: { ...defaults.customDOC, ...imported.customDOC }
+        customDOC: { ...defaults.customDOC, ...imported.customDOC },
+        targetChip: { ...defaults.targetChip, ...imported.targetChip },
+        targetRa: { ...defaults.targetRa, ...imported.targetRa },
+        contour: { ...defaults.contour, ...imported.contour },
+        thread: { ...defaults.thread, ...imported.thread },
+        economics: { ...defaults.economics, ...imported.economics }
     };
 }
 
@@ -0,0 +1,63 @@
+// Feed Axis Load Tests
+// Cutting, gravity and acceleration force on each axis against motor torque at the feed
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAxisLoads, getGravityForce } from '../src/calculations/axis-load.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { MACHINE_PRESETS, MACHINE_UTILS } from '../src/data/machines.js';
+import { AXIS_LOAD_CONSTANTS } from '../src/utils/constants.js';
+
+const machine = MACHINE_PRESETS.printnc;
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const slot = { spindle: 'water_2_2kw', tool: endmill, material: 'steel_1018', cutType: 'slot' };
+
+test('the Z axis lifts its carriage unless it is counterbalanced', () => {
+    assert.equal(getGravityForce({ moving_mass_kg: 5 }), 5 * AXIS_LOAD_CONSTANTS.GRAVITY_M_S2);
+    assert.equal(getGravityForce({}), AXIS_LOAD_CONSTANTS.DEFAULT_MOVING_MASS_KG * AXIS_LOAD_CONSTANTS.GRAVITY_M_S2);
+    assert.equal(getGravityForce({ moving_mass_kg: 5, counterbalanced: true }), 0);
+});
+
+test('each axis converts its force to motor torque through the drive', () => {
+    const load = checkAxisLoads({ machine, feed: 2000, xyForce: 200, zForce: 50 });
+    const { x, z } = load.axes;
+    assert.equal(x.cutting_force_N, 200);
+    assert.equal(x.gravity_force_N, 0);
+    assert.ok(Math.abs(x.torque_cut_Nm - MACHINE_UTILS.calculateMotorTorque(machine.axes.x, 200)) < 0.001);
+    assert.ok(Math.abs(z.torque_cut_Nm - MACHINE_UTILS.calculateMotorTorque(machine.axes.z, 50 + getGravityForce(machine.axes.z))) < 0.001);
+    assert.equal(load.utilization_percent, load.axes[load.limiting_axis].utilization_percent);
+});
+
+test('the feed is split between the XY and Z motors by the move angle', () => {
+    const contour = checkAxisLoads({ machine, feed: 2000, moveAngle: 0 });
+    assert.equal(contour.axes.z.motor_rpm, 0);
+    assert.ok(contour.axes.x.motor_rpm > 0);
+
+    const plunge = checkAxisLoads({ machine, feed: 2000, moveAngle: 90 });
+    assert.equal(plunge.axes.x.motor_rpm, 0);
+    assert.equal(plunge.axes.z.motor_rpm, Math.round(MACHINE_UTILS.getMotorRPMForFeed(machine.axes.z, 2000)));
+});
+
+test('a force the motor cannot hold is over 100%, and acceleration only adds to it', () => {
+    const load = checkAxisLoads({ machine, feed: 1000, xyForce: 20000 });
+    assert.ok(load.axes.x.utilization_percent > 100);
+    assert.equal(load.axes.x.limited_by, 'accel', 'a stepper has no peak torque above its continuous torque');
+
+    const steady = checkAxisLoads({ machine: { ...machine, max_accel_mm_s2: undefined }, feed: 1000, xyForce: 20000 });
+    assert.equal(steady.axes.x.accel_force_N, 0);
+    assert.equal(steady.axes.x.limited_by, 'cut');
+    assert.equal(checkAxisLoads({ machine: MACHINE_PRESETS.custom, feed: 1000 }), null, 'no motor data, no check');
+});
+
+test('milling results warn when a stepper would lose steps', () => {
+    const result = computeCut({ ...slot, machine: 'printnc' });
+    assert.ok(result.axis_load.utilization_percent <= 100);
+    assert.ok(!result.warnings.some(w => /will lose steps/.test(w.message)));
+
+    const weak = structuredClone(machine);
+    weak.axes.x.motor_specs.holding_torque_Nm = 0.05;
+    const overloaded = computeCut({ ...slot, machine: weak });
+    assert.ok(overloaded.axis_load.axes.x.utilization_percent > 100);
+    assert.ok(overloaded.warnings.some(w => w.message.startsWith('X axis stepper needs')));
+    assert.equal(computeCut({ ...slot, machine: 'custom' }).axis_load, null);
+});
@@ -0,0 +1,54 @@
+// Ball Nose Geometry Tests
+// Effective cutting diameter, scallop height and stepover, and RPM held on the cutting diameter
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateBallEffectiveDiameter,
+    calculateScallopHeight,
+    calculateStepoverForScallop
+} from '../src/calculations/ball-nose.js';
+import { computeCut } from '../src/calculations/compute.js';
+
+const ball = { type: 'endmill_ball', diameter_mm: 6, flutes: 2, stickout_mm: 20 };
+const contour = { machine: 'printnc', spindle: 'water_2_2kw', tool: ball, material: 'al_6061_t6', cutType: '3d_contour' };
+
+test('effective diameter is 2·√(ap·(D - ap)) up to the ball radius', () => {
+    assert.equal(calculateBallEffectiveDiameter(6, 0), 0);
+    assert.ok(Math.abs(calculateBallEffectiveDiameter(6, 0.5) - 2 * Math.sqrt(0.5 * 5.5)) < 1e-12);
+    assert.ok(Math.abs(calculateBallEffectiveDiameter(6, 3) - 6) < 1e-12);
+    assert.equal(calculateBallEffectiveDiameter(6, 5), 6);
+});
+
+test('tilting the tool moves the contact toward the full diameter', () => {
+    const flat = calculateBallEffectiveDiameter(6, 0.3);
+    const tilted = calculateBallEffectiveDiameter(6, 0.3, 30);
+    assert.ok(tilted > flat);
+    assert.equal(calculateBallEffectiveDiameter(6, 0.3, 90), 6);
+});
+
+test('stepover for a scallop and scallop for a stepover are inverses', () => {
+    for (const height of [0.001, 0.01, 0.1]) {
+        const stepover = calculateStepoverForScallop(6, height);
+        assert.ok(Math.abs(calculateScallopHeight(6, stepover) - height) < 1e-12);
+    }
+    assert.equal(calculateScallopHeight(6, 8), 3, 'never more than the ball radius');
+    assert.throws(() => calculateStepoverForScallop(6, 0), /Scallop height must be positive/);
+});
+
+test('shallow passes spin faster to hold the cutting speed', () => {
+    const shallow = computeCut({ ...contour, doc_mm: 0.3 });
+    const deep = computeCut({ ...contour, doc_mm: 3 });
+    assert.ok(shallow.effective_diameter_mm < deep.effective_diameter_mm);
+    assert.ok(Math.abs(shallow.effective_diameter_mm - calculateBallEffectiveDiameter(6, 0.3)) < 0.01);
+    assert.ok(shallow.rpm > deep.rpm);
+});
+
+test('a scallop target sets the stepover and a stepover reports its scallop', () => {
+    const byScallop = computeCut({ ...contour, doc_mm: 0.3, scallop_mm: 0.01 });
+    assert.ok(Math.abs(byScallop.stepover_mm - calculateStepoverForScallop(6, 0.01)) < 0.01);
+    assert.ok(Math.abs(byScallop.ae_mm - byScallop.stepover_mm) < 0.01, 'the stepover is the radial engagement');
+
+    const byStepover = computeCut({ ...contour, doc_mm: 0.3, stepover_mm: 0.5 });
+    assert.ok(Math.abs(byStepover.scallop_height_mm - calculateScallopHeight(6, 0.5)) < 1e-4);
+});
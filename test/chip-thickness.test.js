@@ -0,0 +1,82 @@
+// Chip Thinning Tests
+// Engagement angle, radial and axial thinning factors and the programmed chipload solve
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getEngagementAngle,
+    getLeadAngle,
+    calculateChipThickness,
+    getProgrammedChipload,
+    getMaxThinningCompensation
+} from '../src/calculations/chip-thickness.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { MATERIALS } from '../src/data/materials.js';
+import { MACHINING_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 10, flutes: 3 };
+
+test('engagement angle runs from 0 to π for a slot', () => {
+    assert.equal(getEngagementAngle(0, 10), 0);
+    assert.ok(Math.abs(getEngagementAngle(5, 10) - Math.PI / 2) < 1e-12);
+    assert.equal(getEngagementAngle(10, 10), Math.PI);
+    assert.equal(getEngagementAngle(12, 10), Math.PI);
+});
+
+test('radial thinning is sin φ below half the diameter and none above it', () => {
+    const light = calculateChipThickness({ tool: endmill, diameter: 10, ae: 1, ap: 5, fz: 0.1 });
+    const expected = Math.sqrt(1 - Math.pow(1 - 2 * 1 / 10, 2));
+    assert.ok(Math.abs(light.radial_thinning_factor - expected) < 1e-12);
+    assert.ok(Math.abs(light.effective_chip_thickness_mm - 0.1 * expected) < 1e-12);
+
+    const heavy = calculateChipThickness({ tool: endmill, diameter: 10, ae: 7, ap: 5, fz: 0.1 });
+    assert.equal(heavy.thinning_factor, 1);
+});
+
+test('the lead angle thins chips on chamfer mills, V-bits and shallow ball cuts', () => {
+    assert.equal(getLeadAngle(endmill, 5, 10), 90);
+    assert.equal(getLeadAngle({ type: 'chamfer', angle_deg: 90 }, 1, 10), 45);
+    assert.equal(getLeadAngle({ type: 'vbit', angle_deg: 60 }, 1, 10), 30);
+
+    const ball = { type: 'endmill_ball', diameter_mm: 10 };
+    assert.equal(getLeadAngle(ball, 5, 10), 90, 'full ball radius');
+    assert.ok(getLeadAngle(ball, 0.5, 10) < getLeadAngle(ball, 2, 10));
+    assert.ok(getLeadAngle(ball, 0.5, 10, 15) > getLeadAngle(ball, 0.5, 10), 'tilt moves the contact out');
+
+    const chamfer = calculateChipThickness({ tool: { type: 'chamfer', angle_deg: 90 }, diameter: 10, ae: 10, ap: 1, fz: 0.1 });
+    assert.ok(Math.abs(chamfer.axial_thinning_factor - Math.SQRT1_2) < 1e-12);
+});
+
+test('the programmed chipload undoes the thinning, up to the cap', () => {
+    const params = { tool: endmill, diameter: 10, ae: 1, ap: 5, chipThickness: 0.05 };
+    const free = getProgrammedChipload(params);
+    const check = calculateChipThickness({ tool: endmill, diameter: 10, ae: 1, ap: 5, fz: free.fz_mm });
+    assert.ok(Math.abs(check.effective_chip_thickness_mm - 0.05) < 1e-12);
+    assert.equal(free.capped, false);
+
+    const capped = getProgrammedChipload({ ...params, maxCompensation: 1.5 });
+    assert.equal(capped.compensation_factor, 1.5);
+    assert.equal(capped.capped, true);
+});
+
+test('the cap comes from the material, with a general default', () => {
+    const material = MATERIALS.al_6061_t6;
+    assert.equal(getMaxThinningCompensation(material), material.chip_thinning.max_compensation_factor);
+    assert.equal(getMaxThinningCompensation({}), MACHINING_CONSTANTS.CHIP_THINNING_MAX_COMPENSATION);
+});
+
+test('a target chip thickness is met exactly in the engine', () => {
+    const inputs = {
+        machine: 'printnc',
+        spindle: 'water_2_2kw',
+        tool: { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 },
+        material: 'al_6061_t6',
+        cutType: 'adaptive',
+        doc_mm: 3
+    };
+    const result = computeCut({ ...inputs, chip_thickness_mm: 0.03 });
+    assert.equal(result.target_chip_thickness_mm, 0.03);
+    assert.ok(Math.abs(result.effective_chip_thickness_mm - 0.03) < 0.001);
+    assert.ok(result.fz_mm > 0.03, 'the light adaptive stepover thins the chip');
+    assert.ok(result.warnings.some(w => w.message.startsWith('Chip thinning compensation applied')));
+});
@@ -0,0 +1,106 @@
+// Command-Line Interface Tests
+// Runs bin/justthechip.js as a child process and checks its output and exit codes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { computeCut, RESULT_SCHEMA_VERSION } from '../src/calculations/compute.js';
+import { MACHINE_PRESETS } from '../src/data/machines.js';
+import { TOOL_TYPES, TOOL_UTILS } from '../src/data/tools.js';
+
+const CLI = fileURLToPath(new URL('../bin/justthechip.js', import.meta.url));
+
+function run(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    return { status, stdout, stderr };
+}
+
+test('calc --json prints one computeCut result per material and cut', () => {
+    const { status, stdout } = run(
+        'calc', '--tool', 'endmill_flat:6x3', '--stickout', '20',
+        '--material', 'al_6061_t6', '--material', 'steel_1018', '--cut', 'profile', '--cut', 'slot', '--json'
+    );
+    assert.equal(status, 0);
+    const results = JSON.parse(stdout);
+    assert.equal(results.length, 4);
+    assert.deepEqual(results.map(r => `${r.materialKey}/${r.cutType}`), [
+        'al_6061_t6/profile', 'al_6061_t6/slot', 'steel_1018/profile', 'steel_1018/slot'
+    ]);
+    assert.ok(results.every(r => r.schema_version === RESULT_SCHEMA_VERSION));
+});
+
+test('calc matches computeCut with the default tool and presets', () => {
+    const { stdout } = run('calc', '--tool', 'endmill_flat:6x3', '--material', 'al_6061_t6', '--cut', 'adaptive', '--doc', '3', '--json');
+    const [result] = JSON.parse(stdout);
+    const tool = { ...TOOL_UTILS.createDefaultTool('endmill_flat'), diameter_mm: 6, flutes: 3 };
+    const expected = computeCut({ machine: 'printnc', spindle: 'water_2_2kw', tool, material: 'al_6061_t6', cutType: 'adaptive', doc_mm: 3 });
+    assert.equal(result.rpm, expected.rpm);
+    assert.equal(result.feed_mm_min, expected.feed_mm_min);
+    assert.equal(result.ap_mm, 3);
+});
+
+test('every default tool is geometrically valid', () => {
+    for (const type of Object.keys(TOOL_TYPES)) {
+        const tool = TOOL_UTILS.createDefaultTool(type);
+        assert.deepEqual(TOOL_UTILS.validateToolGeometry(tool), [], type);
+    }
+    assert.equal(TOOL_UTILS.createDefaultTool('drill').flutes, 2);
+    assert.equal(TOOL_UTILS.validateToolGeometry({ type: 'slitting', diameter_mm: 20, arbor_hole_mm: 22 }).length, 1);
+});
+
+test('--param sets other tool parameters with numbers and booleans parsed', () => {
+    const { status, stdout } = run(
+        'calc', '--tool', 'vbit', '--param', 'angle_deg=60', '--param', 'center_cutting=false',
+        '--material', 'mdf', '--cut', 'vcarve', '--json'
+    );
+    assert.equal(status, 0);
+    const [result] = JSON.parse(stdout);
+    assert.equal(result.tool.angle_deg, 60);
+    assert.equal(result.tool.center_cutting, false);
+});
+
+test('the table output names each material and cut', () => {
+    const { status, stdout } = run('calc', '--tool', 'endmill_flat:6x3', '--material', 'al_6061_t6', '--cut', 'profile');
+    assert.equal(status, 0);
+    assert.match(stdout, /^Material\s+Cut\s+RPM/);
+    assert.match(stdout, /al_6061_t6\s+profile/);
+});
+
+test('list prints the presets, as JSON when asked', () => {
+    const { status, stdout } = run('list', 'machines', '--json');
+    assert.equal(status, 0);
+    assert.deepEqual(JSON.parse(stdout).map(row => row.key), Object.keys(MACHINE_PRESETS));
+
+    const cuts = JSON.parse(run('list', 'cuts', '--tool', 'drill', '--json').stdout).map(row => row.key);
+    assert.ok(cuts.includes('drilling'));
+    assert.ok(!cuts.includes('slot'));
+});
+
+test('bad input exits with status 1 and a message on stderr', () => {
+    const cases = [
+        [['calc', '--material', 'al_6061_t6', '--cut', 'profile'], /--tool is required/],
+        [['calc', '--tool', 'spork', '--material', 'al_6061_t6', '--cut', 'profile'], /Unknown tool type: spork/],
+        [['calc', '--tool', 'endmill_flat:6xx', '--material', 'al_6061_t6', '--cut', 'profile'], /Invalid tool geometry/],
+        [['calc', '--tool', 'endmill_flat', '--material', 'al_6061_t6', '--cut', 'spiral'], /Unknown cut type: spiral/],
+        [['calc', '--tool', 'endmill_flat', '--material', 'al_6061_t6', '--cut', 'profile', '--doc', 'deep'], /--doc must be a number/],
+        [['calc', '--tool', 'endmill_flat', '--material', 'al_6061_t6', '--cut', 'profile', '--machine', 'bridgeport'], /Unknown machine: bridgeport/],
+        [['list', 'fixtures'], /Unknown list category: fixtures/],
+        [['mill'], /Unknown command "mill"/],
+        [['calc', '--bogus'], /Unknown option/]
+    ];
+    for (const [args, message] of cases) {
+        const { status, stdout, stderr } = run(...args);
+        assert.equal(status, 1, args.join(' '));
+        assert.equal(stdout, '');
+        assert.match(stderr, message);
+    }
+});
+
+test('help and no command print the usage', () => {
+    for (const args of [['help'], [], ['--help']]) {
+        const { status, stdout } = run(...args);
+        assert.equal(status, 0);
+        assert.match(stdout, /^Usage:/);
+    }
+});
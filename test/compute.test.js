@@ -0,0 +1,72 @@
+// computeCut Tests
+// Result schema, preset resolution and the deflection and power modules fed from the engine
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCut, resolveInputs, RESULT_SCHEMA_VERSION } from '../src/calculations/compute.js';
+import { calculateToolDeflection } from '../src/calculations/deflection.js';
+import { MACHINE_PRESETS } from '../src/data/machines.js';
+import { SPINDLE_TYPES } from '../src/data/spindles.js';
+import { MATERIALS } from '../src/data/materials.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 12, flutes: 3, stickout_mm: 30 };
+const steelSlot = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'steel_1018', cutType: 'slot', doc_mm: 2 };
+
+// Fields every CutResult carries (see the CutResult typedef in compute.js)
+const RESULT_FIELDS = [
+    'schema_version', 'material', 'materialKey', 'cutType', 'toolType', 'tool', 'rpm', 'vc_m_min', 'sfm', 'feed_mm_min',
+    'max_feed_mm_min', 'feed_limit_axis', 'feed_limited_by', 'fz_mm', 'effective_chip_thickness_mm',
+    'target_chip_thickness_mm', 'chip_thinning_factor', 'ae_mm', 'ap_mm', 'doc_mm', 'effective_diameter_mm',
+    'stepover_mm', 'scallop_height_mm', 'tilt_angle_deg', 'mrr_mm3_min', 'force_N', 'force_tangential_N',
+    'force_radial_N', 'force_axial_N', 'chip_thickness_mm', 'kc_N_mm2', 'forces', 'power_W', 'power_cutting_W',
+    'power_process_losses_W', 'power_losses_W', 'power_motor_W', 'power_wall_W', 'power_available_W',
+    'power_utilization_percent', 'power', 'torque_Nm', 'torque_peak_Nm', 'torque_available_Nm',
+    'torque_utilization_percent', 'deflection_mm', 'deflection', 'user_doc_override', 'drilling', 'entry', 'thread',
+    'tool_life_min', 'economics', 'surface_finish', 'runout', 'coolant', 'trochoid', 'axis_load', 'stability', 'warnings'
+];
+
+test('results carry every schema field and survive JSON', () => {
+    const result = computeCut(steelSlot);
+    assert.equal(result.schema_version, RESULT_SCHEMA_VERSION);
+    for (const field of RESULT_FIELDS) {
+        assert.ok(field in result, `missing ${field}`);
+    }
+
+    const json = JSON.parse(JSON.stringify(result));
+    for (const field of ['rpm', 'feed_mm_min', 'max_feed_mm_min', 'power_W', 'torque_Nm', 'force_N', 'deflection_mm']) {
+        assert.ok(Number.isFinite(json[field]), `${field} is ${json[field]}`);
+    }
+    assert.ok(Array.isArray(json.warnings));
+});
+
+test('preset keys and configuration objects give the same result', () => {
+    const byKey = computeCut(steelSlot);
+    const byObject = computeCut({
+        ...steelSlot,
+        machine: MACHINE_PRESETS.printnc,
+        spindle: SPINDLE_TYPES.water_2_2kw,
+        material: MATERIALS.steel_1018
+    });
+    assert.deepEqual(byObject, byKey);
+});
+
+test('unknown presets and missing inputs throw', () => {
+    assert.throws(() => resolveInputs({ ...steelSlot, machine: 'bridgeport' }), /Unknown machine: bridgeport/);
+    assert.throws(() => resolveInputs({ ...steelSlot, material: 'unobtainium' }), /Unknown material: unobtainium/);
+    assert.throws(() => resolveInputs({ ...steelSlot, spindle: null }), /Spindle configuration is required/);
+    assert.throws(() => resolveInputs({ ...steelSlot, tool: { diameter_mm: 6 } }), /Tool configuration with a type is required/);
+    assert.throws(() => resolveInputs({ ...steelSlot, cutType: undefined }), /Cut type is required/);
+});
+
+test('deflection comes from the engine force at the tool stickout', () => {
+    const result = computeCut(steelSlot);
+    const expected = calculateToolDeflection({ tool: endmill, cuttingForce: result.forces.lateral_force_N, stickout: endmill.stickout_mm });
+    assert.equal(result.deflection.total_deflection_mm, expected.total_deflection_mm);
+    assert.equal(result.deflection_mm, parseFloat(expected.total_deflection_mm.toFixed(4)));
+});
+
+test('power utilization is the shaft power over what the spindle has at the RPM', () => {
+    const result = computeCut(steelSlot);
+    const expected = result.power.shaft_power_W / result.power_available_W * 100;
+    assert.ok(Math.abs(result.power_utilization_percent - expected) <= 0.05);
+});
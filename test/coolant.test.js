@@ -0,0 +1,64 @@
+// Coolant Tests
+// Coolant modes against the material's recommended mode and the chip, work and tool heat split
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    COOLANT_MODES,
+    resolveCoolant,
+    getRecommendedCoolant,
+    getCoolantFactors,
+    calculateHeatPartition
+} from '../src/calculations/coolant.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { MATERIALS } from '../src/data/materials.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20, material: 'carbide' };
+const adaptive = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' };
+
+test('without a mode the material\'s recommended coolant is assumed', () => {
+    assert.equal(getRecommendedCoolant(MATERIALS.al_6061_t6), 'mist');
+    assert.equal(getRecommendedCoolant(MATERIALS.steel_1018), 'flood');
+    assert.deepEqual(resolveCoolant(null, MATERIALS.al_6061_t6), { mode: 'mist', recommended: 'mist', assumed: true });
+    assert.deepEqual(resolveCoolant('dry', MATERIALS.al_6061_t6), { mode: 'dry', recommended: 'mist', assumed: false });
+    assert.throws(() => resolveCoolant('oil', MATERIALS.al_6061_t6), /Unknown coolant mode: oil/);
+});
+
+test('the recommended mode leaves the tables unchanged', () => {
+    for (const material of Object.values(MATERIALS)) {
+        assert.deepEqual(getCoolantFactors(material, getRecommendedCoolant(material)), { vc: 1, fz: 1 }, material.name);
+    }
+    assert.deepEqual(getCoolantFactors(MATERIALS.al_6061_t6, 'dry'), { vc: 0.8, fz: 0.85 });
+});
+
+test('the heat fractions add up to one and a faster chip carries more away', () => {
+    const params = { material: MATERIALS.steel_1018, tool: endmill, chipThickness: 0.05 };
+    const slow = calculateHeatPartition({ ...params, vc: 30 });
+    const fast = calculateHeatPartition({ ...params, vc: 300 });
+    for (const split of [slow, fast]) {
+        assert.ok(Math.abs(split.chip_fraction + split.work_fraction + split.tool_fraction - 1) < 1e-12);
+    }
+    assert.ok(Math.abs(fast.thermal_number / slow.thermal_number - 10) < 1e-9);
+    assert.ok(fast.chip_fraction > slow.chip_fraction);
+    assert.ok(fast.tool_fraction < slow.tool_fraction);
+});
+
+test('running dry slows the speed and feed per tooth', () => {
+    const mist = computeCut(adaptive);
+    const dry = computeCut({ ...adaptive, coolant: 'dry' });
+    assert.equal(mist.coolant.assumed, true);
+    assert.equal(dry.coolant.vc_factor, 0.8);
+    assert.ok(Math.abs(dry.rpm / mist.rpm - 0.8) < 0.01);
+    assert.ok(dry.fz_mm < mist.fz_mm);
+});
+
+test('the coolant carries away its share of the tool heat', () => {
+    const steel = { ...adaptive, material: 'steel_1018', cutType: 'profile' };
+    const dry = computeCut({ ...steel, coolant: 'dry' }).coolant;
+    const flood = computeCut({ ...steel, coolant: 'flood' }).coolant;
+    assert.equal(dry.heat_generation_W, flood.heat_generation_W);
+    const toolHeat = flood.heat_generation_W * flood.tool_heat_percent / 100;
+    assert.ok(Math.abs(dry.tool_heat_W - toolHeat) < 0.5);
+    assert.ok(Math.abs(flood.tool_heat_W - toolHeat * (1 - COOLANT_MODES.flood.tool_cooling)) < 0.5);
+    assert.ok(flood.thermal_utilization_percent < dry.thermal_utilization_percent);
+});
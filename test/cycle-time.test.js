@@ -0,0 +1,70 @@
+// Cycle Time Tests
+// Feature estimates from pass plans, tool changes and the cost of a job
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateFeature, estimateJob } from '../src/calculations/cycle-time.js';
+import { planPasses } from '../src/calculations/pass-plan.js';
+import { resolveEconomics } from '../src/calculations/tool-life.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const smaller = { ...endmill, diameter_mm: 4, stickout_mm: 15 };
+const inputs = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6' };
+const pocket = { type: 'pocket', length_mm: 60, width_mm: 40, depth_mm: 8 };
+
+test('a pocket is cleared adaptively along its length between the end walls', () => {
+    const estimate = estimateFeature(inputs, pocket);
+    assert.equal(estimate.cutType, 'adaptive');
+    const plan = planPasses({ ...inputs, cutType: 'adaptive' }, { depth_mm: 8, width_mm: 40, length_mm: 54, wall_length_mm: 2 * (60 + 40 - 12) });
+    assert.equal(estimate.total_time_min, plan.total_time_min);
+    assert.equal(estimate.passes, plan.total_passes);
+});
+
+test('slots default to the tool width and wide slots are cleared like a pocket', () => {
+    const narrow = estimateFeature(inputs, { type: 'slot', length_mm: 50, depth_mm: 3 });
+    assert.equal(narrow.cutType, 'slot');
+    assert.equal(narrow.plan.width_mm, 6);
+
+    const wide = estimateFeature(inputs, { type: 'slot', length_mm: 50, width_mm: 12, depth_mm: 3 });
+    assert.equal(wide.cutType, 'adaptive');
+});
+
+test('a face given by area is faced as a square with overrun', () => {
+    const estimate = estimateFeature(inputs, { type: 'facing', area_mm2: 2500, depth_mm: 1 });
+    assert.equal(estimate.plan.width_mm, 50);
+    assert.equal(estimate.plan.length_mm, 56);
+});
+
+test('bad features throw', () => {
+    assert.throws(() => estimateFeature(inputs, { type: 'hole', depth_mm: 5 }), /Unknown feature type: hole/);
+    assert.throws(() => estimateFeature(inputs, { ...pocket, depth_mm: 0 }), /Pocket depth must be positive/);
+    assert.throws(() => estimateFeature(inputs, { ...pocket, width_mm: 4 }), /narrower than the 6mm tool/);
+    assert.throws(() => estimateFeature(inputs, { type: 'profile', depth_mm: 5 }), /Profile length_mm must be positive/);
+    assert.throws(() => estimateFeature(inputs, { type: 'facing', depth_mm: 1 }), /Facing needs area_mm2/);
+});
+
+test('each change to a different tool is counted, including loading the first', () => {
+    const job = estimateJob([
+        { inputs, feature: pocket },
+        { inputs, feature: { type: 'slot', length_mm: 50, depth_mm: 3 } },
+        { inputs: { ...inputs, tool: smaller }, feature: { type: 'profile', length_mm: 200, depth_mm: 5 } }
+    ]);
+    assert.equal(job.tool_changes, 2);
+    assert.equal(job.features.length, 3);
+    assert.equal(job.tool_change_time_min, 2 * resolveEconomics(null).tool_change_min);
+});
+
+test('the part time and cost add up and scale with the batch', () => {
+    const job = estimateJob([{ inputs, feature: pocket }], { quantity: 10, economics: { machine_rate_per_hour: 120 } });
+    const partTime = job.cutting_time_min + job.rapid_time_min + job.accel_time_min + job.tool_change_time_min;
+    assert.ok(Math.abs(job.time_per_part_min - partTime) < 0.02);
+    assert.ok(Math.abs(job.machine_cost_per_part - job.time_per_part_min * 2) < 0.02);
+    assert.ok(Math.abs(job.batch_time_min - job.time_per_part_min * 10) < 0.1);
+    assert.ok(Math.abs(job.batch_cost - job.cost_per_part * 10) < 0.1);
+    assert.ok(job.warnings.every(w => w.message.startsWith('Pocket: ')));
+});
+
+test('empty jobs and zero quantities are rejected', () => {
+    assert.throws(() => estimateJob([]), /at least one feature/);
+    assert.throws(() => estimateJob([{ inputs, feature: pocket }], { quantity: 0 }), /Quantity must be at least 1/);
+});
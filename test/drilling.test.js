@@ -0,0 +1,80 @@
+// Drilling Tests
+// Feed per revolution, Kienzle thrust and torque, peck planning and the Z axis thrust check
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getDrillFeedPerRev,
+    calculateDrillingForces,
+    planPecks,
+    checkZAxisThrust
+} from '../src/calculations/drilling.js';
+import { getKienzleCoefficients } from '../src/calculations/forces.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { optimizeCut } from '../src/calculations/optimizer.js';
+import { MATERIALS } from '../src/data/materials.js';
+import { MACHINE_PRESETS } from '../src/data/machines.js';
+import { DRILLING_CONSTANTS } from '../src/utils/constants.js';
+
+const drill = { type: 'drill', diameter_mm: 6, flutes: 2, stickout_mm: 40 };
+const material = MATERIALS.steel_1018;
+
+test('feed per revolution is the middle of the material range, halved for spot drills', () => {
+    const [low, high] = material.drill_feed_per_rev_D;
+    assert.ok(Math.abs(getDrillFeedPerRev(material, 6, 'drilling') - (low + high) / 2 * 6) < 1e-12);
+    assert.ok(Math.abs(getDrillFeedPerRev(material, 6, 'spot_drill') -
+        getDrillFeedPerRev(material, 6, 'drilling') * DRILLING_CONSTANTS.SPOT_DRILL_FEED_FACTOR) < 1e-12);
+});
+
+test('torque is kc·D²·f / 8000 and thrust follows the point angle', () => {
+    const f = 0.1;
+    const forces = calculateDrillingForces({ material, tool: drill, feedPerRev: f, rpm: 2000 });
+    const { kc1_1, mc } = getKienzleCoefficients(material);
+    const h = f / 2 * Math.sin(59 * Math.PI / 180);
+    const kc = kc1_1 * Math.pow(h, -mc);
+    assert.ok(Math.abs(forces.kc_N_mm2 - kc) < 1e-6);
+    assert.ok(Math.abs(forces.cutting_torque_Nm - kc * 36 * f / 8000) < 1e-9);
+    assert.ok(Math.abs(forces.axial_force_N - DRILLING_CONSTANTS.THRUST_RATIO * kc * 3 * f * Math.sin(59 * Math.PI / 180)) < 1e-6);
+    assert.equal(forces.lateral_force_N, 0, 'the lips balance');
+    assert.ok(Math.abs(forces.cutting_power_W - forces.cutting_torque_Nm * 2 * Math.PI * 2000 / 60) < 1e-9);
+});
+
+test('pecks get shorter as the hole gets deeper', () => {
+    assert.equal(planPecks(12, 6, 'drilling').peck_count, 1);
+    assert.equal(planPecks(24, 6, 'drilling').peck_depth_mm, 6);
+    assert.equal(planPecks(42, 6, 'drilling').peck_depth_mm, 4.5);
+    assert.equal(planPecks(60, 6, 'drilling').peck_depth_mm, 3);
+    assert.equal(planPecks(60, 6, 'drilling').peck_count, 20);
+});
+
+test('a requested peck cycle pecks shallow holes and spot drills never peck', () => {
+    assert.equal(planPecks(12, 6, 'peck_drill').peck_depth_mm, DRILLING_CONSTANTS.SHALLOW_PECK_D * 6);
+    assert.equal(planPecks(12, 6, 'peck_drill').peck_count, 2);
+    assert.equal(planPecks(60, 6, 'spot_drill').peck_count, 1);
+});
+
+test('the Z axis check reports the thrust that uses all of the motor', () => {
+    const machine = MACHINE_PRESETS.printnc;
+    const check = checkZAxisThrust(machine, 200);
+    assert.ok(Math.abs(check.utilization_percent - check.torque_required_Nm / check.torque_available_Nm * 100) < 1e-9);
+    const atLimit = checkZAxisThrust(machine, check.max_thrust_N);
+    assert.ok(Math.abs(atLimit.utilization_percent - 100) < 1e-6);
+    assert.equal(checkZAxisThrust({ axes: {} }, 200), null);
+});
+
+test('drilling results feed at rpm × f with the hole depth as the DOC', () => {
+    const result = computeCut({ machine: 'printnc', spindle: 'water_2_2kw', tool: drill, material: 'al_6061_t6', cutType: 'drilling' });
+    const { drilling } = result;
+    assert.ok(Math.abs(result.feed_mm_min - result.rpm * drilling.feed_per_rev_mm) <= result.feed_mm_min * 0.01);
+    assert.equal(drilling.hole_depth_mm, result.doc_mm);
+    assert.ok(drilling.thrust_force_N > 0 && drilling.torque_Nm > 0);
+    assert.equal(result.stability, null, 'no chatter check for drills');
+    assert.ok(result.warnings.some(w => w.message.startsWith('Peck drilling recommended')));
+});
+
+test('the optimizer rejects drilling', () => {
+    assert.throws(
+        () => optimizeCut({ machine: 'printnc', spindle: 'water_2_2kw', tool: drill, material: 'al_6061_t6', cutType: 'drilling' }),
+        /optimizer is for milling cuts/
+    );
+});
@@ -0,0 +1,83 @@
+// Entry Move Tests
+// Ramp angle limits, helix diameter range and the plunge and ramp feeds
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isCenterCutting, getMaxRampAngle, calculateEntryMoves } from '../src/calculations/entry-moves.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { MATERIALS } from '../src/data/materials.js';
+import { MACHINE_PRESETS, MACHINE_UTILS } from '../src/data/machines.js';
+import { ENTRY_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const facemill = { type: 'facemill', diameter_mm: 50, insert_count: 4 };
+const entry = {
+    tool: endmill,
+    material: MATERIALS.al_6061_t6,
+    machine: MACHINE_PRESETS.printnc,
+    diameter: 6,
+    flutes: 3,
+    rpm: 18000,
+    chiploadRange: [0.02, 0.04],
+    depth: 6
+};
+
+test('centre cutting follows the tool type unless the tool says otherwise', () => {
+    assert.equal(isCenterCutting(endmill), true);
+    assert.equal(isCenterCutting(facemill), false);
+    assert.equal(isCenterCutting({ ...endmill, center_cutting: false }), false);
+    assert.equal(isCenterCutting({ type: 'unknown' }), false);
+});
+
+test('the ramp angle is the lower of the material and tool limits', () => {
+    assert.deepEqual(getMaxRampAngle(endmill, MATERIALS.al_6061_t6), { angle_deg: 3, limited_by: 'material' });
+    assert.deepEqual(getMaxRampAngle(facemill, MATERIALS.al_6061_t6),
+        { angle_deg: ENTRY_CONSTANTS.NON_CENTER_CUTTING_MAX_RAMP_DEG, limited_by: 'tool' });
+    assert.deepEqual(getMaxRampAngle({ ...endmill, max_ramp_angle_deg: 2 }, MATERIALS.al_6061_t6), { angle_deg: 2, limited_by: 'tool' });
+    assert.deepEqual(getMaxRampAngle({ ...endmill, max_ramp_angle_deg: 10 }, MATERIALS.steel_1018), { angle_deg: 2, limited_by: 'material' });
+});
+
+test('ramp and plunge feeds scale the mid chipload', () => {
+    const moves = calculateEntryMoves(entry);
+    assert.ok(Math.abs(moves.ramp_feed_mm_min - 18000 * 3 * 0.03 * ENTRY_CONSTANTS.RAMP_CHIPLOAD_FACTOR) < 1e-9);
+    assert.ok(Math.abs(moves.plunge_feed_mm_min - 18000 * 3 * 0.03 * ENTRY_CONSTANTS.PLUNGE_CHIPLOAD_FACTOR) < 1e-9);
+    assert.ok(Math.abs(moves.ramp_length_mm - 6 / Math.tan(3 * Math.PI / 180)) < 1e-9);
+    assert.equal(moves.limited_by, 'material');
+});
+
+test('entry feeds never exceed the cut feed or the axis limits', () => {
+    const slow = calculateEntryMoves({ ...entry, cutFeed: 300 });
+    assert.equal(slow.ramp_feed_mm_min, 300);
+    assert.equal(slow.plunge_feed_mm_min, 300);
+    assert.equal(slow.limited_by, 'cut_feed');
+
+    const fast = calculateEntryMoves({ ...entry, rpm: 1e6 });
+    const zLimit = MACHINE_UTILS.getFeedLimitForMove(entry.machine, 90).max_feed_mm_min;
+    assert.equal(fast.plunge_feed_mm_min, zLimit);
+    assert.equal(fast.ramp_feed_mm_min, MACHINE_UTILS.getFeedLimitForMove(entry.machine, 3).max_feed_mm_min);
+    assert.match(fast.limited_by, /_axis$/);
+});
+
+test('tools without centre cutting edges cannot plunge and need a wider helix', () => {
+    const moves = calculateEntryMoves({ ...entry, tool: facemill, diameter: 50, flutes: 4, chiploadRange: [0.1, 0.2] });
+    assert.equal(moves.plunge_feed_mm_min, null);
+    const [minD, maxD] = ENTRY_CONSTANTS.HELIX_DIAMETER_D.non_center_cutting;
+    assert.equal(moves.helix_diameter_min_mm, minD * 50);
+    assert.equal(moves.helix_diameter_max_mm, maxD * 50);
+    assert.ok(Math.abs(moves.helix_revolutions * moves.helix_pitch_mm - 6) < 1e-9);
+});
+
+test('milling results carry entry moves and drilling results do not', () => {
+    const milling = computeCut({ machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' });
+    assert.equal(milling.entry.center_cutting, true);
+    assert.ok(milling.entry.ramp_feed_mm_min <= milling.feed_mm_min);
+
+    const drilling = computeCut({
+        machine: 'printnc',
+        spindle: 'water_2_2kw',
+        tool: { type: 'drill', diameter_mm: 6, flutes: 2, stickout_mm: 30 },
+        material: 'al_6061_t6',
+        cutType: 'drilling'
+    });
+    assert.equal(drilling.entry, null);
+});
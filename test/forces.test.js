@@ -0,0 +1,42 @@
+// Kienzle Cutting Force Tests
+// Specific cutting force, force scaling with feed and cutting power from the tangential force
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCuttingForces, getKienzleCoefficients } from '../src/calculations/forces.js';
+import { MATERIALS } from '../src/data/materials.js';
+
+const tool = { type: 'endmill_flat', diameter_mm: 10, flutes: 3 };
+const material = MATERIALS.steel_1018;
+
+test('kc follows kc1.1 · h^-mc at the mean chip thickness', () => {
+    const forces = calculateCuttingForces({ material, tool, ae: 5, ap: 10, fz: 0.05, rpm: 5000 });
+    const { kc1_1, mc } = getKienzleCoefficients(material);
+    assert.ok(Math.abs(forces.kc_N_mm2 - kc1_1 * Math.pow(forces.mean_chip_thickness_mm, -mc)) < 1e-6);
+    assert.ok(forces.kc_N_mm2 > kc1_1, 'chips thinner than 1mm cut at a higher specific force');
+});
+
+test('explicit material coefficients override the force group', () => {
+    assert.deepEqual(getKienzleCoefficients({ kc1_1_N_mm2: 1500, mc: 0.2, force_group: 'steel' }), { kc1_1: 1500, mc: 0.2 });
+});
+
+test('tangential force scales with fz^(1 - mc)', () => {
+    const low = calculateCuttingForces({ material, tool, ae: 5, ap: 10, fz: 0.04, rpm: 5000 });
+    const high = calculateCuttingForces({ material, tool, ae: 5, ap: 10, fz: 0.08, rpm: 5000 });
+    const expected = Math.pow(2, 1 - low.mc);
+    assert.ok(Math.abs(high.tangential_force_N / low.tangential_force_N - expected) < 1e-6);
+});
+
+test('cutting power is Ft · vc and torque is Ft · D / 2', () => {
+    const rpm = 4000;
+    const forces = calculateCuttingForces({ material, tool, ae: 10, ap: 5, fz: 0.05, rpm });
+    const vc = Math.PI * tool.diameter_mm * rpm / 1000;
+    assert.ok(Math.abs(forces.cutting_power_W - forces.tangential_force_N * vc / 60) < 1e-6);
+    assert.ok(Math.abs(forces.cutting_torque_Nm - forces.tangential_force_N * tool.diameter_mm / 2000) < 1e-9);
+});
+
+test('a full slot has half the teeth in the cut', () => {
+    const forces = calculateCuttingForces({ material, tool, ae: 10, ap: 5, fz: 0.05, rpm: 4000 });
+    assert.ok(Math.abs(forces.engagement_angle_deg - 180) < 1e-6);
+    assert.ok(Math.abs(forces.teeth_in_cut - 1.5) < 1e-6);
+});
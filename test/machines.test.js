@@ -0,0 +1,153 @@
+// Feed Axis Tests
+// Stepper pull-out curves, loaded feed limits, axis feed limits and the feed limit for a move direction
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MACHINE_PRESETS, MACHINE_UTILS, MOTOR_TYPES } from '../src/data/machines.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { validateMachine } from '../src/calculations/validation.js';
+
+// Configured limits only, no motor or drive data
+const configured = { max_feed_mm_min: { x: 3000, y: 4000, z: 1000 } };
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+
+const motor = {
+    holding_torque_Nm: 2.0,
+    max_speed_rpm: 1500,
+    step_angle_deg: 1.8,
+    current_A: 3.0,
+    inductance_mH: 3.0,
+    supply_voltage_V: 48,
+    driver_current_A: 3.0
+};
+
+test('corner speed is V / (2·L·I) steps per second', () => {
+    const stepsPerSecond = 48 / (2 * 0.003 * 3.0);
+    assert.ok(Math.abs(MACHINE_UTILS.getStepperCornerRPM(motor) - stepsPerSecond * 60 / 200) < 1e-9);
+});
+
+test('pull-out torque is flat to the corner speed and falls as 1/rpm above it', () => {
+    const corner = MACHINE_UTILS.getStepperCornerRPM(motor);
+    const lowSpeed = motor.holding_torque_Nm * MOTOR_TYPES.stepper.pullout_fraction;
+    assert.ok(Math.abs(MACHINE_UTILS.getStepperTorqueAtRPM(motor, corner / 2) - lowSpeed) < 1e-9);
+    assert.ok(Math.abs(MACHINE_UTILS.getStepperTorqueAtRPM(motor, corner * 1.5) - lowSpeed / 1.5) < 1e-9);
+    assert.equal(MACHINE_UTILS.getStepperTorqueAtRPM(motor, 2000), 0);
+});
+
+test('a lower driver current or supply voltage gives less torque at speed', () => {
+    const rpm = 1000;
+    const base = MACHINE_UTILS.getStepperTorqueAtRPM(motor, rpm);
+    assert.ok(MACHINE_UTILS.getStepperTorqueAtRPM({ ...motor, driver_current_A: 2.0 }, rpm) < base);
+    assert.ok(MACHINE_UTILS.getStepperTorqueAtRPM({ ...motor, supply_voltage_V: 24 }, rpm) < base);
+});
+
+test('a datasheet torque curve replaces the model', () => {
+    const curve = MACHINE_UTILS.parseTorqueCurve('1000:0.8Nm,0:1.6');
+    assert.deepEqual(curve, [{ rpm: 0, torque_Nm: 1.6 }, { rpm: 1000, torque_Nm: 0.8 }]);
+    assert.equal(MACHINE_UTILS.formatTorqueCurve(curve), '0:1.6Nm,1000:0.8Nm');
+
+    const withCurve = { ...motor, torque_curve: curve };
+    assert.ok(Math.abs(MACHINE_UTILS.getStepperTorqueAtRPM(withCurve, 500) - 1.2) < 1e-9);
+    assert.throws(() => MACHINE_UTILS.parseTorqueCurve('fast'), /Invalid torque curve point/);
+});
+
+test('loaded feed stops where pull-out within the margin meets the load', () => {
+    const axis = MACHINE_PRESETS.light_hobby.axes.x;
+    const accel = MACHINE_PRESETS.light_hobby.max_accel_mm_s2.x;
+    const rpm = MACHINE_UTILS.getLoadedMotorRPM(axis, accel);
+    assert.ok(rpm > 0 && rpm < axis.motor_specs.max_speed_rpm);
+
+    const type = MOTOR_TYPES.stepper;
+    const required = MACHINE_UTILS.calculateMotorTorque(axis, MACHINE_UTILS.calculateAxisForce(axis, accel)) +
+        axis.motor_specs.holding_torque_Nm * type.feed_reserve_fraction * (axis.motor_count || 1);
+    const available = (speed) => MACHINE_UTILS.getMotorTorqueAtRPM(axis, speed).peak_Nm * type.torque_margin;
+    assert.ok(available(rpm) >= required);
+    assert.ok(available(rpm + 2) < required);
+});
+
+test('faster acceleration lowers the loaded motor speed, and the screw caps the feed', () => {
+    const axis = MACHINE_PRESETS.light_hobby.axes.x;
+    assert.ok(MACHINE_UTILS.getLoadedMotorRPM(axis, 10000) < MACHINE_UTILS.getLoadedMotorRPM(axis, 100));
+
+    const screwLimit = axis.drive_specs.max_speed_rpm * axis.drive_specs.lead_mm_per_rev;
+    assert.ok(MACHINE_UTILS.getMaxFeedForAxis(axis, 100) <= screwLimit);
+});
+
+test('a torque curve needs two points and one of them above 0 rpm', () => {
+    assert.throws(() => MACHINE_UTILS.parseTorqueCurve('0:1.6Nm'), /at least two points/);
+    assert.throws(() => MACHINE_UTILS.parseTorqueCurve('0:1.6Nm,0:1.2Nm'), /at least one above 0 rpm/);
+
+    const axis = (torque_curve) => ({ axes: { x: { motor_specs: { holding_torque_Nm: 2, torque_curve } } } });
+    assert.deepEqual(validateMachine(axis([{ rpm: 0, torque_Nm: 1.6 }, { rpm: 1000, torque_Nm: 0.8 }])).errors, []);
+    assert.ok(validateMachine(axis([{ rpm: 0, torque_Nm: 1.6 }])).errors.includes('X-axis torque curve needs at least two points, with at least one above 0 rpm'));
+    assert.ok(validateMachine(axis([{ rpm: 0, torque_Nm: 1.6 }, { rpm: 1000, torque_Nm: 0 }])).errors.includes('X-axis torque curve points need a non-negative rpm and a positive torque_Nm'));
+});
+
+test('belt and rack drives feed at the loaded motor speed, linear motors at their rated speed', () => {
+    const stepperAxis = MACHINE_PRESETS.light_hobby.axes.x;
+    const belt = { ...stepperAxis, drive_system: 'belt_drive', drive_specs: { motor_pulley_teeth: 20, belt_pitch_mm: 2 } };
+    const beltFeed = MACHINE_UTILS.getMaxFeedForAxis(belt, 1000);
+    assert.ok(Number.isFinite(beltFeed) && beltFeed > 0);
+    assert.ok(Math.abs(beltFeed - MACHINE_UTILS.getLoadedMotorRPM(belt, 1000) * 40) < 1e-6);
+
+    const rack = { ...stepperAxis, drive_system: 'rack_pinion', drive_specs: { module_mm: 1, pinion_teeth: 20 } };
+    const rackFeed = MACHINE_UTILS.getMaxFeedForAxis(rack, 1000);
+    assert.ok(Number.isFinite(rackFeed) && rackFeed > 0);
+    assert.ok(Math.abs(rackFeed - MACHINE_UTILS.getLoadedMotorRPM(rack, 1000) * Math.PI * 20) < 1e-6);
+
+    const linear = { ...stepperAxis, drive_system: 'linear_motor', drive_specs: { max_speed_m_s: 2 } };
+    assert.equal(MACHINE_UTILS.getMaxFeedForAxis(linear), 120000);
+});
+
+test('an unknown drive falls back to the configured feed limit', () => {
+    const unknown = { ...MACHINE_PRESETS.light_hobby.axes.x, drive_system: 'hydraulic' };
+    assert.equal(MACHINE_UTILS.getMaxFeedForAxis(unknown), Infinity);
+    assert.equal(MACHINE_UTILS.getAxisFeedLimit({ ...configured, axes: { x: unknown } }, 'x'), 3000);
+});
+
+test('XY moves are bound by the slower of X and Y, plunges by Z', () => {
+    assert.deepEqual(MACHINE_UTILS.getFeedLimitForMove(configured, 0), { max_feed_mm_min: 3000, limiting_axis: 'x' });
+    const plunge = MACHINE_UTILS.getFeedLimitForMove(configured, 90);
+    assert.ok(Math.abs(plunge.max_feed_mm_min - 1000) < 1e-9);
+    assert.equal(plunge.limiting_axis, 'z');
+});
+
+test('a blended move stops where the first axis reaches its limit', () => {
+    const shallow = MACHINE_UTILS.getFeedLimitForMove(configured, 10);
+    assert.equal(shallow.limiting_axis, 'x');
+    assert.ok(Math.abs(shallow.max_feed_mm_min - 3000 / Math.cos(10 * Math.PI / 180)) < 1e-9);
+
+    const steep = MACHINE_UTILS.getFeedLimitForMove(configured, 45);
+    assert.equal(steep.limiting_axis, 'z');
+    assert.ok(Math.abs(steep.max_feed_mm_min - 1000 / Math.SQRT1_2) < 1e-9);
+});
+
+test('every axis feed limit is finite, including the custom preset', () => {
+    for (const [key, machine] of Object.entries(MACHINE_PRESETS)) {
+        for (const axis of ['x', 'y', 'z']) {
+            const limit = MACHINE_UTILS.getAxisFeedLimit(machine, axis);
+            assert.ok(Number.isFinite(limit) && limit > 0, `${key} ${axis}: ${limit}`);
+        }
+    }
+    assert.ok(Number.isFinite(MACHINE_UTILS.getFeedLimitForMove(MACHINE_PRESETS.custom, 0).max_feed_mm_min));
+});
+
+test('the custom preset computes a finite feed limit', () => {
+    const result = computeCut({ machine: 'custom', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' });
+    assert.ok(Number.isFinite(result.max_feed_mm_min));
+    assert.ok(Number.isFinite(result.feed_mm_min));
+});
+
+test('a slow Z axis no longer throttles XY cuts, and the limiting axis is reported', () => {
+    const machine = MACHINE_PRESETS.light_hobby;
+    const zLimit = MACHINE_UTILS.getAxisFeedLimit(machine, 'z');
+    const adaptive = computeCut({ machine: 'light_hobby', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' });
+    assert.ok(adaptive.feed_mm_min > zLimit);
+    assert.equal(adaptive.feed_limit_axis, 'x');
+    assert.equal(adaptive.feed_limited_by, 'x');
+    assert.ok(adaptive.warnings.some(w => w.message.startsWith('Feed limited by X axis')));
+
+    const plunge = computeCut({ machine: 'light_hobby', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'plunge' });
+    assert.equal(plunge.feed_limit_axis, 'z');
+    assert.ok(plunge.feed_mm_min <= zLimit);
+});
@@ -0,0 +1,59 @@
+// Optimizer Tests
+// Constraint limits on the optimum, the binding constraint and the cycle time objective
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeCut, OPTIMIZER_DEFAULTS } from '../src/calculations/optimizer.js';
+import { SPINDLE_TYPES } from '../src/data/spindles.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const adaptive = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' };
+const stock = { length_mm: 100, width_mm: 20, depth_mm: 12 };
+
+test('the optimum stays within every constraint and the spindle range', () => {
+    const best = optimizeCut(adaptive);
+    assert.equal(best.feasible, true);
+    for (const constraint of best.constraints) {
+        assert.ok(constraint.utilization_percent <= 100.5, `${constraint.name} at ${constraint.utilization_percent}%`);
+    }
+    const { rpm_min, rpm_max } = SPINDLE_TYPES.water_2_2kw;
+    assert.ok(best.rpm >= rpm_min && best.rpm <= rpm_max);
+    assert.ok(best.deflection_mm <= OPTIMIZER_DEFAULTS.maxDeflection_mm * 1.005);
+    const mrr = best.ae_mm * best.ap_mm * best.feed_mm_min;
+    assert.ok(Math.abs(best.mrr_mm3_min - mrr) <= mrr * 0.01, 'MRR is ae · ap · vf');
+});
+
+test('the binding constraint is at its limit', () => {
+    const best = optimizeCut(adaptive);
+    const binding = best.constraints.find(c => c.name === best.binding_constraint);
+    assert.ok(binding.utilization_percent >= 99, `${binding.name} at ${binding.utilization_percent}%`);
+    assert.ok(best.active_constraints.includes(best.binding_constraint));
+});
+
+test('a tighter deflection limit never gives more MRR', () => {
+    const loose = optimizeCut(adaptive);
+    const tight = optimizeCut(adaptive, { maxDeflection_mm: 0.02 });
+    assert.ok(tight.mrr_mm3_min <= loose.mrr_mm3_min);
+    assert.ok(tight.deflection_mm <= 0.02 * 1.005);
+});
+
+test('an impossible limit reports the constraint that blocks the lightest cut', () => {
+    const result = optimizeCut(adaptive, { maxDeflection_mm: 1e-6 });
+    assert.equal(result.feasible, false);
+    assert.equal(result.binding_constraint, 'deflection');
+    assert.match(result.message, /tool deflection limit/);
+});
+
+test('the cycle time objective needs stock and reports the time', () => {
+    assert.throws(() => optimizeCut(adaptive, { objective: 'cycle_time' }), /requires stock dimensions/);
+    const best = optimizeCut(adaptive, { objective: 'cycle_time', stock });
+    assert.equal(best.objective, 'cycle_time');
+    const passes = Math.ceil(stock.depth_mm / best.ap_mm - 1e-9) * Math.ceil(stock.width_mm / best.ae_mm - 1e-9);
+    assert.ok(Math.abs(best.cycle_time_min - passes * stock.length_mm / best.feed_mm_min) < 0.05);
+});
+
+test('every resolved input reaches the search, including the coolant', () => {
+    const flood = optimizeCut({ ...adaptive, coolant: 'flood' });
+    const dry = optimizeCut({ ...adaptive, coolant: 'dry' });
+    assert.ok(dry.rpm < flood.rpm, 'dry aluminium runs slower');
+});
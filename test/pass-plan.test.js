@@ -0,0 +1,73 @@
+// Pass Plan Tests
+// Roughing steps to the finishing allowances, floor and wall finishing passes and the plan totals
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planPasses } from '../src/calculations/pass-plan.js';
+import { createCalculator, resolveInputs } from '../src/calculations/compute.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const adaptive = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' };
+const pocket = { length_mm: 100, width_mm: 40, depth_mm: 10 };
+
+test('roughing steps down and across to the finishing allowances', () => {
+    const plan = planPasses(adaptive, pocket);
+    const rough = plan.operations.find(op => op.operation === 'rough');
+    assert.ok(Math.abs(rough.axial_levels_mm.at(-1) - (pocket.depth_mm - plan.floor_stock_mm)) < 1e-3);
+    assert.ok(rough.ap_mm <= plan.max_pass_depth_mm);
+    assert.ok(rough.ae_mm <= plan.max_stepover_mm);
+    assert.ok(Math.abs(rough.ae_mm * rough.radial_steps - (pocket.width_mm - plan.wall_stock_mm)) < 0.5);
+    assert.equal(rough.passes, rough.axial_levels_mm.length * rough.radial_steps);
+});
+
+test('the floor is finished at a wider stepover than roughing', () => {
+    const plan = planPasses(adaptive, pocket);
+    const rough = plan.operations.find(op => op.operation === 'rough');
+    const floor = plan.operations.find(op => op.operation === 'finish_floor');
+    assert.ok(floor.ae_mm > rough.ae_mm);
+    assert.ok(floor.radial_steps < rough.radial_steps);
+    assert.equal(floor.surface_finish.surface, 'floor');
+    assert.equal(plan.removed_volume_mm3, 100 * 40 * 10);
+});
+
+test('the wall is finished in steps within the depth limit for the cut', () => {
+    const plan = planPasses(adaptive, { ...pocket, depth_mm: 30 });
+    const wall = plan.operations.find(op => op.operation === 'finish_wall');
+    const limit = createCalculator(resolveInputs(adaptive)).getMaxAllowableDOC(endmill.diameter_mm);
+    assert.ok(wall.ap_mm <= limit);
+    assert.equal(wall.passes, Math.ceil(30 / limit - 1e-9));
+    assert.equal(wall.ae_mm, plan.wall_stock_mm);
+    assert.equal(wall.surface_finish.surface, 'wall');
+
+    const short = planPasses({ ...adaptive, tool: { ...endmill, flute_length_mm: 4 } }, { ...pocket, depth_mm: 30 });
+    const shortWall = short.operations.find(op => op.operation === 'finish_wall');
+    assert.ok(shortWall.ap_mm <= 4, 'the flutes only reach so far down the wall');
+    assert.equal(shortWall.passes, 8);
+});
+
+test('a roughing-only plan reports the roughing finish', () => {
+    const plan = planPasses(adaptive, pocket, { finish: false });
+    assert.deepEqual(plan.operations.map(op => op.operation), ['rough']);
+    assert.equal(plan.wall_stock_mm, 0);
+    assert.equal(plan.floor_stock_mm, 0);
+    assert.notEqual(plan.operations[0].surface_finish, null);
+});
+
+test('totals add up the operations', () => {
+    const plan = planPasses(adaptive, pocket);
+    assert.equal(plan.total_passes, plan.operations.reduce((sum, op) => sum + op.passes, 0));
+    assert.ok(Math.abs(plan.total_time_min - (plan.cutting_time_min + plan.rapid_time_min + plan.accel_time_min)) < 0.02);
+});
+
+test('a slot only removes the width of the tool', () => {
+    const plan = planPasses({ ...adaptive, cutType: 'slot' }, { length_mm: 100, width_mm: 20, depth_mm: 6 });
+    assert.equal(plan.removed_volume_mm3, 100 * endmill.diameter_mm * 6);
+    assert.ok(plan.warnings.some(w => w.message.startsWith('Stock is wider than the 6mm slot')));
+    assert.equal(plan.operations.find(op => op.operation === 'finish_wall'), undefined);
+});
+
+test('drilling, thread milling and empty stock are rejected', () => {
+    const drill = { ...adaptive, tool: { type: 'drill', diameter_mm: 6, flutes: 2 }, cutType: 'drilling' };
+    assert.throws(() => planPasses(drill, pocket), /Pass plans are for milling cuts - drilling/);
+    assert.throws(() => planPasses(adaptive, { ...pocket, depth_mm: 0 }), /Stock depth must be positive/);
+});
@@ -0,0 +1,53 @@
+// Power Tests
+// Cutting power against spindle and drive losses, and the power limiter on shaft power
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCut, createCalculator, resolveInputs, RESULT_SCHEMA_VERSION } from '../src/calculations/compute.js';
+import { calculatePowerBreakdown } from '../src/calculations/power.js';
+import { SPINDLE_TYPES } from '../src/data/spindles.js';
+import { POWER_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 12, flutes: 3, stickout_mm: 30 };
+const steelSlot = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'steel_1018', cutType: 'slot', doc_mm: 6 };
+
+test('power breakdown: cutting is Ft · vc and the losses add up to the wall', () => {
+    const result = computeCut({ ...steelSlot, doc_mm: 2 });
+    const { power } = result;
+    assert.ok(Math.abs(power.cutting_power_W - result.forces.cutting_power_W) < 1e-9);
+    assert.ok(Math.abs(power.shaft_power_W - (power.cutting_power_W + power.process_losses_W + power.friction_losses_W)) < 1e-9);
+    assert.ok(power.process_losses_W >= 0);
+    assert.ok(Math.abs(power.wall_power_W - power.shaft_power_W / POWER_CONSTANTS.MOTOR_EFFICIENCY / POWER_CONSTANTS.DRIVE_EFFICIENCY) < 1e-9);
+    assert.equal(result.power_W, Math.round(power.shaft_power_W), 'power_W is the shaft power');
+});
+
+test('friction losses depend on RPM alone and process losses scale with the cut', () => {
+    const params = { rpm: 12000, tool: { type: 'endmill_flat' }, machine: { K_rigidity: 1.2 }, spindle: SPINDLE_TYPES.water_2_2kw };
+    const light = calculatePowerBreakdown({ ...params, cutting_power_W: 200 });
+    const heavy = calculatePowerBreakdown({ ...params, cutting_power_W: 800 });
+    assert.equal(light.friction_losses_W, heavy.friction_losses_W);
+    assert.ok(Math.abs(heavy.process_losses_W / light.process_losses_W - 4) < 1e-9);
+    assert.equal(calculatePowerBreakdown({ ...params, cutting_power_W: 0 }).shaft_power_W, light.friction_losses_W);
+});
+
+test('the power limiter loads the spindle to POWER_LIMIT', () => {
+    const result = computeCut({ ...steelSlot, tool: { ...endmill, diameter_mm: 6 }, material: 'al_6061_t6' });
+    assert.ok(result.warnings.some(w => w.message === 'Power limited'));
+    const target = result.power_available_W * POWER_CONSTANTS.POWER_LIMIT;
+    assert.ok(Math.abs(result.power.shaft_power_W - target) <= target * POWER_CONSTANTS.LIMIT_TOLERANCE);
+    assert.ok(!result.warnings.some(w => w.message.startsWith('Power limit did not converge')));
+});
+
+test('the power limiter warns when it runs out of iterations', () => {
+    const calculator = createCalculator(resolveInputs(steelSlot));
+    const rpm = 6000;
+    const forcesAt = ratio => calculator.calculateCuttingForces(12, 6, 0.05 * ratio, rpm);
+    const limit = calculator.limitPower(forcesAt, rpm, calculator.getSpindlePowerAtRPM(rpm), 0);
+    assert.equal(limit.ratio, 1);
+    assert.ok(calculator.warnings.some(w => w.message.startsWith('Power limit did not converge')));
+});
+
+test('results are schema version 2, where power_W is the shaft power', () => {
+    assert.equal(RESULT_SCHEMA_VERSION, 2);
+    assert.equal(computeCut(steelSlot).schema_version, 2);
+});
@@ -0,0 +1,64 @@
+// Runout Tests
+// Per-flute chip loads for an eccentric tool and the feed derate that keeps the worst flute in range
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFluteChiploads, solveChiploadForRunout } from '../src/calculations/runout.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { SPINDLE_TYPES, SPINDLE_UTILS } from '../src/data/spindles.js';
+import { RUNOUT_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const slot = { machine: 'printnc', spindle: 'water_2_2kw', material: 'al_6061_t6', cutType: 'slot' };
+
+test('without runout every flute takes the programmed chip', () => {
+    const flutes = calculateFluteChiploads(0.05, 3, 0);
+    assert.deepEqual(flutes.chiploads_mm, [0.05, 0.05, 0.05]);
+    assert.equal(flutes.idle_flutes, 0);
+    assert.ok(Math.abs(flutes.load_share - 1 / 3) < 1e-12);
+});
+
+test('a two flute tool trades the runout between its flutes', () => {
+    const flutes = calculateFluteChiploads(0.05, 2, 0.02);
+    assert.ok(Math.abs(flutes.max_mm - 0.07) < 1e-12);
+    assert.ok(Math.abs(flutes.min_mm - 0.03) < 1e-12);
+    const total = flutes.chiploads_mm.reduce((sum, chip) => sum + chip, 0);
+    assert.ok(Math.abs(total - 0.1) < 1e-12, 'the material per revolution is unchanged');
+});
+
+test('runout larger than the feed leaves flutes idle, up to one feed per revolution on one flute', () => {
+    const flutes = calculateFluteChiploads(0.01, 3, 0.04);
+    assert.equal(flutes.idle_flutes, 2);
+    assert.ok(Math.abs(flutes.max_mm - 0.03) < 1e-12);
+    assert.ok(Math.abs(flutes.load_share - 1) < 1e-12);
+});
+
+test('the derated feed keeps the worst flute at the chip limit', () => {
+    const fz = solveChiploadForRunout(0.05, 3, 0.02);
+    assert.ok(calculateFluteChiploads(fz, 3, 0.02).max_mm <= 0.05);
+    assert.ok(calculateFluteChiploads(fz * (1 + 2 * RUNOUT_CONSTANTS.SOLVE_TOLERANCE), 3, 0.02).max_mm > 0.05);
+});
+
+test('runout at the tool is the spindle plus the collet that holds the shank, unless measured', () => {
+    const spindle = SPINDLE_TYPES.water_2_2kw;
+    const catalogue = SPINDLE_UTILS.getRunoutAtTool(spindle, endmill);
+    assert.equal(catalogue.total_um, catalogue.spindle_um + catalogue.collet_um);
+    assert.equal(catalogue.spindle_um, spindle.runout_um);
+    assert.equal(catalogue.measured, false);
+
+    assert.deepEqual(SPINDLE_UTILS.getRunoutAtTool(spindle, { ...endmill, runout_um: 5 }),
+        { spindle_um: 0, collet: null, collet_um: 0, total_um: 5, measured: true });
+});
+
+test('milling results report the per-flute chips and derate heavy runout', () => {
+    const concentric = computeCut({ ...slot, tool: { ...endmill, runout_um: 0 } });
+    assert.equal(concentric.runout.peak_load_factor, 1);
+    assert.equal(concentric.runout.max_flute_chip_mm, concentric.runout.min_flute_chip_mm);
+
+    const eccentric = computeCut({ ...slot, tool: { ...endmill, runout_um: 60 } });
+    assert.equal(eccentric.runout.runout_um, 60);
+    assert.ok(eccentric.runout.max_flute_chip_mm > eccentric.fz_mm);
+    assert.ok(eccentric.runout.peak_load_factor > 1);
+    assert.ok(eccentric.fz_mm < concentric.fz_mm);
+    assert.ok(eccentric.warnings.some(w => /feed derated/.test(w.message)));
+});
@@ -0,0 +1,70 @@
+// Sensitivity Tests
+// What-if sweeps over one input and elasticities of the engine outputs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sweepParameter, calculateSensitivities, SWEEP_PARAMETERS } from '../src/calculations/sensitivity.js';
+import { computeCut } from '../src/calculations/compute.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const adaptive = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' };
+
+test('a sweep defaults to ±50% of the current value in 11 steps', () => {
+    const sweep = sweepParameter(adaptive, 'stickout_mm');
+    assert.equal(sweep.current_value, 20);
+    assert.equal(sweep.points.length, 11);
+    assert.equal(sweep.points[0].value, 10);
+    assert.equal(sweep.points.at(-1).value, 30);
+});
+
+test('each sweep point matches computeCut at that value', () => {
+    const sweep = sweepParameter(adaptive, 'stickout_mm', { from: 15, to: 35, steps: 3 });
+    for (const point of sweep.points) {
+        const result = computeCut({ ...adaptive, tool: { ...endmill, stickout_mm: point.value } });
+        assert.equal(point.feed_mm_min, result.feed_mm_min);
+        assert.equal(point.deflection_mm, result.deflection_mm);
+    }
+    const deflections = sweep.points.map(point => point.deflection_mm);
+    assert.deepEqual(deflections, [...deflections].sort((a, b) => a - b), 'longer stickout deflects more');
+});
+
+test('drilling sweeps report the thrust as the force', () => {
+    const sweep = sweepParameter(
+        { ...adaptive, tool: { type: 'drill', diameter_mm: 6, flutes: 2 }, cutType: 'drilling' },
+        'rpm',
+        { steps: 3 }
+    );
+    assert.ok(sweep.points.every(point => point.error || point.force_N > 0));
+});
+
+test('flute sweeps are integer', () => {
+    const sweep = sweepParameter(adaptive, 'flutes', { from: 2, to: 5, steps: 7 });
+    assert.equal(sweep.integer, true);
+    assert.deepEqual(sweep.points.map(point => point.value), [2, 3, 4, 5]);
+});
+
+test('bad parameters and ranges throw', () => {
+    assert.throws(() => sweepParameter(adaptive, 'coolant'), /Unknown sweep parameter: coolant/);
+    assert.throws(() => sweepParameter(adaptive, 'rpm', { from: 10000, to: 5000 }), /must be positive and increasing/);
+    assert.throws(
+        () => sweepParameter({ ...adaptive, tool: { type: 'drill', diameter_mm: 6, flutes: 2 }, cutType: 'drilling' }, 'stickout_mm'),
+        /stickout_mm is not defined for a drill tool/
+    );
+});
+
+test('elasticities are normalized: RPM on RPM is one and stickout only moves deflection', () => {
+    const { baseline, values, elasticities } = calculateSensitivities(adaptive);
+    assert.deepEqual(Object.keys(elasticities), Object.keys(SWEEP_PARAMETERS));
+    assert.equal(values.rpm, baseline.rpm);
+    assert.equal(elasticities.rpm.rpm, 1);
+    assert.ok(Math.abs(elasticities.rpm.feed_mm_min - 1) < 0.01, 'feed scales with RPM at a fixed chipload');
+    assert.equal(elasticities.stickout_mm.feed_mm_min, 0);
+    assert.ok(elasticities.stickout_mm.deflection_mm > 0);
+    assert.ok(Math.abs(elasticities.diameter_mm.rpm + 1) < 0.01, 'RPM goes as 1/D at a fixed surface speed');
+});
+
+test('sensitivities can be limited to some parameters', () => {
+    const { elasticities } = calculateSensitivities(adaptive, { parameters: ['doc_mm'] });
+    assert.deepEqual(Object.keys(elasticities), ['doc_mm']);
+    assert.ok(Math.abs(elasticities.doc_mm.deflection_mm - 1) < 0.05, 'deflection is linear in the axial load');
+});
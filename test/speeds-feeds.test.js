@@ -0,0 +1,90 @@
+// Speeds and Feeds Tests
+// Cut type engagement and tool speed factors from the tool database, unsupported pairings and the spindle torque limit
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCut, createCalculator, resolveInputs } from '../src/calculations/compute.js';
+import { TOOL_TYPES, CUT_TYPES, TOOL_UTILS } from '../src/data/tools.js';
+import { MATERIALS } from '../src/data/materials.js';
+import { POWER_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 10, flutes: 3, stickout_mm: 30 };
+const chamfer = { type: 'chamfer', diameter_mm: 10, angle_deg: 90, flutes: 3, tip_diameter_mm: 1 };
+const facing = {
+    machine: 'printnc',
+    spindle: 'water_2_2kw',
+    tool: { type: 'facemill', diameter_mm: 50, insert_count: 4, insert_size_mm: 8, max_doc_mm: 5 },
+    material: 'steel_1018',
+    cutType: 'facing',
+    rpm: 6000
+};
+const base = { machine: 'printnc', spindle: 'water_2_2kw', material: 'al_6061_t6', economics: { speed_mode: 'nominal' } };
+
+test('every cut a tool lists also lists the tool', () => {
+    for (const [type, tool] of Object.entries(TOOL_TYPES)) {
+        for (const cut of tool.supportedCuts) {
+            assert.ok(CUT_TYPES[cut], `${type}: ${cut} is not a cut type`);
+            assert.ok(CUT_TYPES[cut].toolTypes.includes(type), `${cut} does not list ${type}`);
+        }
+    }
+});
+
+test('surface speed follows the tool speed factor for the cut', () => {
+    const slot = computeCut({ ...base, tool: endmill, cutType: 'slot' });
+    for (const cutType of ['profile', 'adaptive', 'facing']) {
+        const result = computeCut({ ...base, tool: endmill, cutType });
+        const factor = TOOL_UTILS.getSpeedFactor('endmill_flat', cutType) / TOOL_UTILS.getSpeedFactor('endmill_flat', 'slot');
+        assert.ok(Math.abs(result.rpm / slot.rpm - factor) < 0.01, `${cutType}: ${result.rpm} vs ${slot.rpm}`);
+    }
+});
+
+test('radial engagement comes from the cut type, capped by the material', () => {
+    const material = MATERIALS.al_6061_t6;
+    assert.equal(computeCut({ ...base, tool: endmill, cutType: 'slot' }).ae_mm, 10);
+
+    const profile = computeCut({ ...base, tool: endmill, cutType: 'profile' });
+    const [low, high] = CUT_TYPES.profile.ae_fraction_range;
+    const expected = Math.min((low + high) / 2, material.max_radial_engagement_fraction.profile) * 10;
+    assert.ok(Math.abs(profile.ae_mm - expected) < 0.01);
+
+    const adaptive = computeCut({ ...base, tool: endmill, cutType: 'adaptive' });
+    assert.ok(adaptive.ae_mm < profile.ae_mm);
+    assert.ok(adaptive.doc_mm > profile.doc_mm);
+});
+
+test('specialized operations get their own engagement', () => {
+    const chamfering = computeCut({ ...base, tool: chamfer, cutType: 'chamfer' });
+    const deburring = computeCut({ ...base, tool: chamfer, cutType: 'deburr' });
+    assert.ok(deburring.ae_mm < chamfering.ae_mm);
+    assert.ok(deburring.rpm > chamfering.rpm, 'deburring runs faster than chamfering');
+});
+
+test('unsupported tool and cut pairings throw', () => {
+    assert.throws(() => computeCut({ ...base, tool: endmill, cutType: 'deburr' }), /Flat End Mill does not support Deburring/);
+    assert.throws(() => computeCut({ ...base, tool: endmill, cutType: 'bogus' }), /Unknown cut type: bogus/);
+    assert.throws(() => computeCut({ ...base, tool: { ...endmill, type: 'bogus' }, cutType: 'slot' }), /Unknown tool type: bogus/);
+});
+
+test('the torque limiter holds the tooth-entry peak at the spindle limit', () => {
+    const result = computeCut(facing);
+    assert.ok(result.warnings.some(w => w.message.startsWith('Feed limited by spindle torque')));
+    const peakLimit = result.torque_available_Nm * POWER_CONSTANTS.PEAK_TORQUE_OVERLOAD;
+    assert.ok(Math.abs(result.torque_peak_Nm - peakLimit) <= peakLimit * POWER_CONSTANTS.LIMIT_TOLERANCE + 0.001);
+    assert.ok(result.torque_utilization_percent <= 100.5);
+});
+
+test('a cut within the spindle torque is left alone', () => {
+    const light = computeCut({ ...base, tool: { ...endmill, diameter_mm: 6 }, cutType: 'adaptive' });
+    assert.ok(!light.warnings.some(w => w.message.startsWith('Feed limited by spindle torque')));
+    assert.ok(light.torque_peak_Nm <= light.torque_available_Nm * POWER_CONSTANTS.PEAK_TORQUE_OVERLOAD);
+});
+
+test('the torque limiter warns when it runs out of iterations', () => {
+    const calculator = createCalculator(resolveInputs(facing));
+    const forcesAt = ratio => calculator.calculateCuttingForces(30, 5, 0.1 * ratio, facing.rpm);
+    const forces = forcesAt(1);
+    const power = calculator.calculateImprovedPower(forces, facing.rpm);
+    const limit = calculator.limitTorque(forcesAt, facing.rpm, forces, power, 0);
+    assert.equal(limit.ratio, 1);
+    assert.ok(calculator.warnings.some(w => w.message.startsWith('Torque limit did not converge')));
+});
@@ -0,0 +1,99 @@
+// Spindle Curve Tests
+// Ideal VFD curve regions, measured power and torque curves and S1/S6 duty
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPINDLE_TYPES, SPINDLE_UTILS } from '../src/data/spindles.js';
+import { validateSpindle } from '../src/calculations/validation.js';
+import { calculatePowerBreakdown } from '../src/calculations/power.js';
+import { computeCut } from '../src/calculations/compute.js';
+
+const vfd = { rated_power_kW: 2, rpm_min: 1000, rpm_max: 24000, base_rpm: 6000, constant_power_rpm: 18000 };
+
+test('ideal curve: constant torque to base RPM, constant power, then falling as 1/rpm', () => {
+    assert.equal(SPINDLE_UTILS.getSpindlePowerAtRPM(vfd, 3000), 1000);
+    assert.equal(SPINDLE_UTILS.getSpindlePowerAtRPM(vfd, 6000), 2000);
+    assert.equal(SPINDLE_UTILS.getSpindlePowerAtRPM(vfd, 12000), 2000);
+    assert.equal(SPINDLE_UTILS.getSpindlePowerAtRPM(vfd, 24000), 1500);
+
+    const low = SPINDLE_UTILS.getSpindleTorqueAtRPM(vfd, 2000);
+    const base = SPINDLE_UTILS.getSpindleTorqueAtRPM(vfd, 6000);
+    assert.ok(Math.abs(low - base) < 1e-9);
+});
+
+test('no power outside the RPM range', () => {
+    assert.equal(SPINDLE_UTILS.getSpindlePowerAtRPM(vfd, 500), 0);
+    assert.equal(SPINDLE_UTILS.getSpindlePowerAtRPM(vfd, 30000), 0);
+    assert.equal(SPINDLE_UTILS.getSpindleTorqueAtRPM(vfd, 0), 0);
+});
+
+test('a measured torque curve converts to power at each point', () => {
+    const spindle = SPINDLE_TYPES.water_2_2kw;
+    const [point] = spindle.power_curve;
+    const power = SPINDLE_UTILS.getSpindlePowerAtRPM(spindle, point.rpm);
+    assert.ok(Math.abs(power - point.torque_Nm * 2 * Math.PI * point.rpm / 60) < 1e-6);
+});
+
+test('curves parse from rpm:watts and rpm:torqueNm points, sorted by RPM', () => {
+    const curve = SPINDLE_UTILS.parsePowerCurve('24000:2200, 6000:0.7Nm');
+    assert.deepEqual(curve, [{ rpm: 6000, torque_Nm: 0.7 }, { rpm: 24000, power_W: 2200 }]);
+    assert.equal(SPINDLE_UTILS.formatPowerCurve(curve), '6000:0.7Nm,24000:2200');
+    assert.throws(() => SPINDLE_UTILS.parsePowerCurve('6000-2200'), /Invalid power curve point/);
+});
+
+test('S6 duty scales the S1 curve by the S6 rating', () => {
+    const spindle = { ...vfd, s6_power_kW: 2.6 };
+    const s1 = SPINDLE_UTILS.getSpindlePowerAtRPM(spindle, 12000, 'S1');
+    const s6 = SPINDLE_UTILS.getSpindlePowerAtRPM(spindle, 12000, 'S6');
+    assert.ok(Math.abs(s6 / s1 - 1.3) < 1e-9);
+});
+
+test('S6 without a rating falls back to S1, unknown duties throw', () => {
+    assert.equal(SPINDLE_UTILS.getDutyFactor(vfd, 'S6'), 1);
+    assert.throws(() => SPINDLE_UTILS.getDutyFactor(vfd, 'S3'), /Unknown spindle duty/);
+});
+
+test('curves need two points and one above 0 rpm', () => {
+    assert.throws(() => SPINDLE_UTILS.parsePowerCurve('12000:1500'), /at least two points/);
+    assert.throws(() => SPINDLE_UTILS.parsePowerCurve('0:1Nm,0:2Nm'), /at least one above 0 rpm/);
+    assert.throws(() => SPINDLE_UTILS.parsePowerCurve(''), /at least two points/);
+
+    const onePoint = validateSpindle({ ...vfd, power_curve: [{ rpm: 12000, power_W: 1500 }] });
+    assert.ok(onePoint.errors.includes('Power curve must have at least two points'));
+    const zero = validateSpindle({ ...vfd, power_curve: [{ rpm: 0, power_W: 0 }, { rpm: 12000, power_W: 1500 }] });
+    assert.ok(zero.errors.includes('Power curve point 1 needs a positive rpm and power_W or torque_Nm'));
+    assert.deepEqual(validateSpindle(SPINDLE_TYPES.water_2_2kw).errors, []);
+});
+
+test('the water- and air-cooled presets are rated at their top speed', () => {
+    for (const [key, spindle] of Object.entries(SPINDLE_TYPES)) {
+        if (spindle.type === 'water_cooled' || spindle.type === 'air_cooled') {
+            assert.equal(spindle.base_rpm, spindle.rpm_max, key);
+        }
+    }
+});
+
+test('bearing friction scales with the top speed, not the base RPM', () => {
+    const params = { cutting_power_W: 500, rpm: 12000, tool: { type: 'endmill_flat' }, machine: { K_rigidity: 1 } };
+    const early = calculatePowerBreakdown({ ...params, spindle: { ...vfd, base_rpm: 6000 } });
+    const late = calculatePowerBreakdown({ ...params, spindle: { ...vfd, base_rpm: 24000 } });
+    assert.equal(early.friction_losses_W, late.friction_losses_W);
+
+    const faster = calculatePowerBreakdown({ ...params, spindle: { ...vfd, rpm_max: 48000 } });
+    assert.ok(faster.friction_losses_W < early.friction_losses_W, 'the same RPM is a smaller share of a faster spindle');
+});
+
+test('S6 duty allows more power than S1 in the engine', () => {
+    const spindle = { ...SPINDLE_TYPES.water_2_2kw, s6_power_kW: 2.8 };
+    const steelSlot = {
+        machine: 'printnc',
+        tool: { type: 'endmill_flat', diameter_mm: 12, flutes: 3, stickout_mm: 30 },
+        material: 'steel_1018',
+        cutType: 'slot',
+        doc_mm: 6
+    };
+    const s1 = computeCut({ ...steelSlot, spindle });
+    const s6 = computeCut({ ...steelSlot, spindle: { ...spindle, duty: 'S6' } });
+    assert.ok(s6.power_available_W > s1.power_available_W);
+    assert.ok(s6.feed_mm_min > s1.feed_mm_min);
+});
@@ -0,0 +1,74 @@
+// Chatter Stability Tests
+// Single degree of freedom lobes against the closed-form minimum critical depth
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateStabilityLobes, getDirectionalFactor, analyzeChatterStability } from '../src/calculations/stability.js';
+import { computeCut } from '../src/calculations/compute.js';
+
+const dynamics = { natural_frequency_Hz: 2000, stiffness_N_mm: 5000, damping_ratio: 0.03 };
+const params = { dynamics, cuttingCoefficient: 1500, directionalFactor: -1, flutes: 3, rpmMin: 6000, rpmMax: 24000 };
+
+test('minimum critical depth matches 8π·k·ζ(1 + ζ) / (N · Kc · |α|)', () => {
+    const { min_critical_doc_mm: minDepth } = calculateStabilityLobes(params);
+    const { stiffness_N_mm: k, damping_ratio: zeta } = dynamics;
+    const expected = 8 * Math.PI * k * zeta * (1 + zeta) / (params.flutes * params.cuttingCoefficient);
+    assert.ok(Math.abs(minDepth - expected) / expected < 0.02, `${minDepth} vs ${expected}`);
+});
+
+test('the envelope never dips below the minimum critical depth', () => {
+    const { envelope, min_critical_doc_mm: minDepth } = calculateStabilityLobes(params);
+    assert.ok(envelope.length > 1);
+    for (const point of envelope) {
+        assert.ok(point.doc_mm >= minDepth * 0.999, `${point.doc_mm} at ${point.rpm} RPM`);
+    }
+});
+
+test('stiffer or better damped tools are stable to a greater depth', () => {
+    const base = calculateStabilityLobes(params).min_critical_doc_mm;
+    const stiffer = calculateStabilityLobes({ ...params, dynamics: { ...dynamics, stiffness_N_mm: 10000 } }).min_critical_doc_mm;
+    const damped = calculateStabilityLobes({ ...params, dynamics: { ...dynamics, damping_ratio: 0.06 } }).min_critical_doc_mm;
+    assert.ok(stiffer > base);
+    assert.ok(damped > base);
+});
+
+test('a slot is more critical than a light radial cut', () => {
+    assert.ok(Math.abs(getDirectionalFactor(10, 10)) > Math.abs(getDirectionalFactor(1, 10)));
+});
+
+test('a cut deeper than the limit is flagged with a warning', () => {
+    const tool = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 30, ...dynamics };
+    const spindle = { rpm_min: 6000, rpm_max: 24000 };
+    const shallow = analyzeChatterStability({ tool, kc: 1500, mc: 0.25, ae: 6, rpm: 12000, ap: 0.1, spindle });
+    const deep = analyzeChatterStability({ tool, kc: 1500, mc: 0.25, ae: 6, rpm: 12000, ap: 20, spindle });
+    assert.equal(shallow.stable, true);
+    assert.equal(deep.stable, false);
+    assert.ok(deep.warnings.some(w => w.message.startsWith('Chatter predicted')));
+});
+
+test('a pocket above every lobe is reported as unlimited', () => {
+    const tool = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 30, ...dynamics, natural_frequency_Hz: 100 };
+    const result = analyzeChatterStability({ tool, kc: 1500, mc: 0.25, ae: 6, rpm: 3000, ap: 10, spindle: { rpm_min: 3000, rpm_max: 24000 } });
+    assert.equal(result.stable, false);
+    assert.equal(result.recommended_critical_doc_mm, null);
+    assert.match(result.warnings[0].message, /try \d+ RPM \(unlimited\)$/);
+});
+
+test('a cut without engagement is stable at any depth', () => {
+    const tool = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 30, ...dynamics };
+    const result = analyzeChatterStability({ tool, kc: 1500, mc: 0.25, ae: 0, rpm: 12000, ap: 20, spindle: { rpm_min: 6000, rpm_max: 24000 } });
+    assert.equal(result.stable, true);
+    assert.equal(result.critical_doc_mm, null);
+    assert.deepEqual(result.warnings, []);
+
+    const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+    const cut = computeCut({ machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive', woc_mm: 0 });
+    assert.equal(cut.stability, null);
+});
+
+test('milling results carry the chatter check at the cut RPM', () => {
+    const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+    const cut = computeCut({ machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' });
+    assert.ok(cut.stability.lobe_diagram.length > 1);
+    assert.equal(cut.stability.stable, cut.ap_mm < cut.stability.critical_doc_mm);
+});
@@ -0,0 +1,77 @@
+// Surface Finish Tests
+// Feed mark and runout roughness on walls and floors, and the feed per tooth for a target Ra
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getFinishSurface,
+    getFinishRadius,
+    predictSurfaceFinish,
+    solveChiploadForRoughness
+} from '../src/calculations/surface-finish.js';
+import { calculateScallopHeight } from '../src/calculations/ball-nose.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { SURFACE_FINISH_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const facing = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'facing' };
+
+test('the cut type sets the finished surface for milling tools', () => {
+    assert.equal(getFinishSurface('endmill_flat', 'profile'), 'wall');
+    assert.equal(getFinishSurface('endmill_flat', 'facing'), 'floor');
+    assert.equal(getFinishSurface('endmill_flat', 'plunge'), null);
+    assert.equal(getFinishSurface('chamfer', 'chamfer'), null);
+});
+
+test('walls are swept by the cutting diameter and floors by the corner', () => {
+    assert.equal(getFinishRadius(endmill, 'wall', 6), 3);
+    assert.equal(getFinishRadius(endmill, 'floor', 6), SURFACE_FINISH_CONSTANTS.SHARP_CORNER_RADIUS_MM);
+    assert.equal(getFinishRadius({ ...endmill, corner_radius_mm: 0.5 }, 'floor', 6), 0.5);
+    assert.equal(getFinishRadius({ type: 'endmill_ball', diameter_mm: 6 }, 'floor', 6), 3);
+    assert.equal(getFinishRadius({ type: 'facemill', diameter_mm: 50 }, 'floor', 50), SURFACE_FINISH_CONSTANTS.INSERT_CORNER_RADIUS_MM);
+});
+
+test('without runout Rz is the feed mark cusp and Ra is a quarter of it', () => {
+    const finish = predictSurfaceFinish({ tool: endmill, surface: 'floor', fz: 0.05, flutes: 3, diameter: 6, ae: 4 });
+    const cusp = calculateScallopHeight(2 * SURFACE_FINISH_CONSTANTS.SHARP_CORNER_RADIUS_MM, 0.05);
+    assert.equal(finish.Rz_mm, cusp);
+    assert.equal(finish.runout_contribution_mm, 0);
+    assert.equal(finish.Ra_mm, cusp * SURFACE_FINISH_CONSTANTS.RA_RZ_RATIO);
+});
+
+test('runout roughens up to one feed per revolution', () => {
+    const params = { tool: endmill, surface: 'floor', fz: 0.05, flutes: 3, diameter: 6, ae: 4 };
+    const some = predictSurfaceFinish({ ...params, runout_mm: 0.02 });
+    const huge = predictSurfaceFinish({ ...params, runout_mm: 1 });
+    assert.ok(some.runout_contribution_mm > 0);
+    assert.equal(huge.Rz_mm, calculateScallopHeight(2 * SURFACE_FINISH_CONSTANTS.SHARP_CORNER_RADIUS_MM, 0.15));
+
+    const wall = predictSurfaceFinish({ ...params, surface: 'wall', runout_mm: 0.02, deflection_mm: 0.05 });
+    assert.equal(wall.form_error_mm, 0.05, 'deflection moves a wall instead of roughening it');
+    assert.ok(wall.Rz_mm <= calculateScallopHeight(6, 0.15));
+});
+
+test('ball nose floors carry the stepover cusp across the feed', () => {
+    const ball = { type: 'endmill_ball', diameter_mm: 6 };
+    const finish = predictSurfaceFinish({ tool: ball, surface: 'floor', fz: 0.05, flutes: 2, diameter: 6, ae: 0.5 });
+    assert.equal(finish.cross_feed_Rz_mm, calculateScallopHeight(6, 0.5));
+});
+
+test('the solved feed per tooth meets the target Ra', () => {
+    const predictRa = fz => predictSurfaceFinish({ tool: endmill, surface: 'floor', fz, flutes: 3, diameter: 6, ae: 4 }).Ra_mm;
+    const fz = solveChiploadForRoughness(0.0005, predictRa, 0.1);
+    assert.ok(predictRa(fz) <= 0.0005);
+    assert.ok(predictRa(fz * (1 + 2 * SURFACE_FINISH_CONSTANTS.SOLVE_TOLERANCE)) > 0.0005);
+    assert.equal(solveChiploadForRoughness(1, predictRa, 0.1), 0.1, 'already smooth enough');
+    assert.throws(() => solveChiploadForRoughness(0, predictRa, 0.1), /Target Ra must be positive/);
+});
+
+test('a target Ra slows the feed in the engine', () => {
+    const free = computeCut(facing);
+    const finished = computeCut({ ...facing, target_ra_um: 1 });
+    assert.equal(free.surface_finish.surface, 'floor');
+    assert.ok(free.surface_finish.Ra_um > 1);
+    assert.ok(finished.surface_finish.Ra_um <= 1);
+    assert.ok(finished.feed_mm_min < free.feed_mm_min);
+    assert.ok(finished.warnings.some(w => w.message.startsWith('Feed per tooth reduced')));
+});
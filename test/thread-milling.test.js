@@ -0,0 +1,89 @@
+// Thread Milling Tests
+// Thread designations and geometry, radial passes, helical feed compensation and cycle time
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    resolveThreadSpec,
+    planRadialPasses,
+    getHelicalFeedFactor,
+    estimateThreadCycleTime
+} from '../src/calculations/thread-milling.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { optimizeCut } from '../src/calculations/optimizer.js';
+import { THREAD_UTILS } from '../src/data/threads.js';
+import { MATERIALS } from '../src/data/materials.js';
+
+const threadmill = { type: 'threadmill', diameter_mm: 4, flutes: 3, pitch_mm: 1.27, stickout_mm: 20 };
+const tapping = {
+    machine: 'printnc',
+    spindle: 'water_2_2kw',
+    tool: threadmill,
+    material: 'steel_1018',
+    cutType: 'thread_mill',
+    thread: { designation: '1/4-20', length_mm: 12 }
+};
+
+test('designations parse to major diameter and pitch', () => {
+    assert.deepEqual(THREAD_UTILS.parseDesignation('M8'), { standard: 'metric', size: 'M8', major_diameter_mm: 8, pitch_mm: 1.25 });
+    assert.equal(THREAD_UTILS.parseDesignation('M10x1.25').pitch_mm, 1.25);
+    assert.equal(THREAD_UTILS.parseDesignation('1/4-20').pitch_mm, 25.4 / 20);
+    assert.equal(THREAD_UTILS.parseDesignation('#10-32').standard, 'unf');
+    assert.throws(() => THREAD_UTILS.parseDesignation('M7.3'), /No coarse pitch/);
+    assert.throws(() => THREAD_UTILS.parseDesignation('BSP 1/2'), /Unknown thread size/);
+});
+
+test('thread depth is 5/8·H inside and 17/24·H outside', () => {
+    const H = 0.866 * 1.5;
+    assert.ok(Math.abs(THREAD_UTILS.getThreadDepth(1.5, true) - H * 5 / 8) < 1e-3);
+    assert.ok(Math.abs(THREAD_UTILS.getThreadDepth(1.5, false) - H * 17 / 24) < 1e-3);
+
+    const internal = resolveThreadSpec({ designation: 'M10' }, threadmill);
+    assert.ok(Math.abs(internal.minor_diameter_mm - (10 - 2 * internal.thread_depth_mm)) < 1e-12);
+    assert.equal(internal.length_mm, 15, 'defaults to 1.5 × the major diameter');
+});
+
+test('without a spec the smallest size matching the tool pitch is assumed', () => {
+    const thread = resolveThreadSpec(null, { ...threadmill, pitch_mm: 1.25 });
+    assert.equal(thread.size, 'M8');
+    assert.equal(thread.assumed, true);
+    assert.throws(() => resolveThreadSpec(null, { ...threadmill, pitch_mm: 0.13 }), /No standard thread/);
+});
+
+test('radial passes split the depth evenly by material', () => {
+    assert.deepEqual(planRadialPasses(0.6, 1, MATERIALS.al_6061_t6), [0.6]);
+    const steel = planRadialPasses(0.8, 1, MATERIALS.steel_1018);
+    assert.equal(steel.length, 3);
+    assert.ok(Math.abs(steel[2] - 0.8) < 1e-12);
+    assert.ok(Math.abs(steel[0] - 0.8 / 3) < 1e-12);
+});
+
+test('the centre feed is slower inside a hole and faster around a boss', () => {
+    assert.ok(Math.abs(getHelicalFeedFactor(4, 10, true) - 0.6) < 1e-12);
+    assert.ok(Math.abs(getHelicalFeedFactor(4, 10, false) - 1.4) < 1e-12);
+});
+
+test('cycle time covers arc-in, orbit and arc-out for each pass plus the plunge', () => {
+    const params = { pathDiameter: 6, pitch: 1.5, length: 12, passes: 2, feed: 100, plungeFeed: 0 };
+    const time = estimateThreadCycleTime(params);
+    assert.ok(Math.abs(time.orbit_length_mm - Math.hypot(Math.PI * 6, 1.5)) < 1e-12);
+    assert.ok(Math.abs(time.cutting_time_s - time.path_length_mm / 100 * 60) < 1e-9);
+    assert.equal(time.cycle_time_s, time.cutting_time_s);
+    assert.ok(estimateThreadCycleTime({ ...params, passes: 4 }).cutting_time_s > time.cutting_time_s);
+    assert.ok(estimateThreadCycleTime({ ...params, plungeFeed: 500 }).cycle_time_s > time.cycle_time_s);
+});
+
+test('thread milling results report the compensated centre feed', () => {
+    const result = computeCut(tapping);
+    const { thread } = result;
+    assert.equal(thread.size, '1/4-20');
+    assert.equal(thread.radial_passes, thread.radial_depths_mm.length);
+    assert.ok(Math.abs(thread.path_diameter_mm - (thread.major_diameter_mm - threadmill.diameter_mm)) < 0.01);
+    assert.equal(result.feed_mm_min, thread.center_feed_mm_min);
+    assert.ok(thread.center_feed_mm_min < thread.edge_feed_mm_min);
+    assert.equal(result.stability, null);
+});
+
+test('the optimizer rejects thread milling', () => {
+    assert.throws(() => optimizeCut(tapping), /optimizer is for milling cuts/);
+});
@@ -0,0 +1,87 @@
+// Taylor Tool Life Tests
+// vc·T^n = C, coating factors and the economic speeds
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateToolLife,
+    getTaylorConstants,
+    getEconomicSpeed,
+    getEconomicToolLife,
+    resolveEconomics,
+    calculateCostPerPart
+} from '../src/calculations/tool-life.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { MATERIALS } from '../src/data/materials.js';
+
+const material = MATERIALS.steel_1018;
+
+test('tool life satisfies vc · T^n = C', () => {
+    const taylor = { n: 0.25, C: 300 };
+    for (const vc of [100, 200, 290]) {
+        const life = calculateToolLife(vc, taylor);
+        assert.ok(Math.abs(vc * Math.pow(life, taylor.n) - taylor.C) < 1e-9);
+    }
+});
+
+test('doubling the speed shortens life by 2^(1/n)', () => {
+    const taylor = { n: 0.25, C: 300 };
+    const ratio = calculateToolLife(100, taylor) / calculateToolLife(200, taylor);
+    assert.ok(Math.abs(ratio - Math.pow(2, 1 / taylor.n)) < 1e-9);
+});
+
+test('constants come from the tool material, borrowing carbide when missing', () => {
+    const hss = getTaylorConstants(material, { material: 'hss', coating: 'uncoated' });
+    assert.equal(hss.n, material.taylor.hss.n);
+    assert.equal(hss.estimated, false);
+
+    const cobalt = getTaylorConstants(material, { material: 'cobalt', coating: 'uncoated' });
+    assert.equal(cobalt.n, material.taylor.carbide.n);
+    assert.equal(cobalt.estimated, true);
+
+    assert.equal(getTaylorConstants({}, { material: 'carbide' }), null);
+});
+
+test('a coating raises C', () => {
+    const uncoated = getTaylorConstants(material, { material: 'carbide', coating: 'uncoated' });
+    const coated = getTaylorConstants(material, { material: 'carbide', coating: 'tialn' });
+    assert.ok(coated.C > uncoated.C);
+});
+
+test('max production runs faster than min cost', () => {
+    const taylor = getTaylorConstants(material, { material: 'carbide', coating: 'uncoated' });
+    const economics = resolveEconomics(null);
+    assert.ok(getEconomicSpeed('max_production', taylor, economics) > getEconomicSpeed('min_cost', taylor, economics));
+});
+
+test('max production tool life is (1/n - 1) tool changes', () => {
+    const taylor = { n: 0.25, C: 300 };
+    const economics = resolveEconomics({ tool_change_min: 2 });
+    assert.ok(Math.abs(getEconomicToolLife('max_production', taylor, economics) - 6) < 1e-9);
+});
+
+test('cost per part charges the machine time and each edge used', () => {
+    const taylor = { n: 0.25, C: 300 };
+    const economics = resolveEconomics({ tool_cost: 40, edges_per_tool: 2, machine_rate_per_hour: 60, tool_change_min: 2, cut_length_mm: 1000 });
+    const cost = calculateCostPerPart({ vc: 200, feed: 500, taylor, economics });
+    assert.equal(cost.machining_time_min, 2);
+    assert.equal(cost.machine_cost_per_part, 2);
+    const edges = 2 / calculateToolLife(200, taylor);
+    assert.ok(Math.abs(cost.parts_per_edge - 1 / edges) < 1e-12);
+    assert.ok(Math.abs(cost.tool_cost_per_part - edges * (20 + 2)) < 1e-9);
+    assert.ok(Math.abs(cost.time_per_part_min - (2 + edges * 2)) < 1e-9);
+});
+
+test('unknown speed modes throw and the engine reports the economics', () => {
+    assert.throws(() => resolveEconomics({ speed_mode: 'fastest' }), /Unknown speed mode: fastest/);
+
+    // Small enough that neither speed is held at the spindle minimum
+    const tool = { type: 'endmill_flat', diameter_mm: 2, flutes: 3, stickout_mm: 8 };
+    const inputs = { machine: 'printnc', spindle: 'water_2_2kw', tool, material: 'steel_1018', cutType: 'profile' };
+    const nominal = computeCut(inputs);
+    const minCost = computeCut({ ...inputs, economics: { speed_mode: 'min_cost' } });
+    assert.equal(nominal.economics.speed_mode, 'nominal');
+    assert.ok(nominal.economics.vc_max_production_m_min > nominal.economics.vc_min_cost_m_min);
+    assert.ok(minCost.rpm < nominal.rpm, 'min cost runs slower for a longer tool life');
+    assert.ok(minCost.tool_life_min > nominal.tool_life_min);
+});
@@ -0,0 +1,56 @@
+// Trochoidal Milling Tests
+// Loop stepover for a held engagement, centre feed compensation and the average removal rate of a slot
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateTrochoid, solveLoopStepover, calculateTrochoidalMRR } from '../src/calculations/trochoidal.js';
+import { getCircularEngagementAngle } from '../src/calculations/thread-milling.js';
+import { getEngagementAngle } from '../src/calculations/chip-thickness.js';
+import { computeCut } from '../src/calculations/compute.js';
+import { TROCHOIDAL_CONSTANTS } from '../src/utils/constants.js';
+
+const endmill = { type: 'endmill_flat', diameter_mm: 6, flutes: 3, stickout_mm: 20 };
+const adaptive = { machine: 'printnc', spindle: 'water_2_2kw', tool: endmill, material: 'al_6061_t6', cutType: 'adaptive' };
+
+const engagementAt = stepover => getCircularEngagementAngle({
+    toolDiameter: 6, finishedDiameter: 10, previousDiameter: 10 - 2 * stepover, internal: true
+});
+
+test('the loop stepover holds the straight-cut engagement', () => {
+    const target = getEngagementAngle(0.9, 6);
+    const stepover = solveLoopStepover(6, 10, target);
+    assert.ok(engagementAt(stepover) <= target);
+    assert.ok(engagementAt(stepover * (1 + 2 * TROCHOIDAL_CONSTANTS.SOLVE_TOLERANCE)) > target);
+});
+
+test('the loop sweeps the slot and the centre feed is slowed by (W - D) / W', () => {
+    const trochoid = calculateTrochoid({ diameter: 6, slotWidth: 10, ae: 0.9 });
+    assert.equal(trochoid.loop_diameter_mm, 4);
+    assert.ok(Math.abs(trochoid.feed_factor - 0.4) < 1e-12);
+    assert.ok(Math.abs(trochoid.engagement_angle_deg - getEngagementAngle(0.9, 6) * 180 / Math.PI) < 1e-9);
+    assert.ok(Math.abs(trochoid.loop_length_mm - (Math.PI * 4 + trochoid.stepover_mm)) < 1e-12);
+    assert.ok(trochoid.cutting_fraction > 0.5 && trochoid.cutting_fraction < 1, 'cutting over just more than half the loop');
+});
+
+test('the slot must be wider than the tool', () => {
+    assert.throws(() => calculateTrochoid({ diameter: 6, slotWidth: 6, ae: 0.9 }), /must be larger than the tool diameter/);
+});
+
+test('the average removal rate clears the slot width one stepover per loop', () => {
+    const trochoid = calculateTrochoid({ diameter: 6, slotWidth: 10, ae: 0.9 });
+    const mrr = calculateTrochoidalMRR({ trochoid, slotWidth: 10, ap: 12, centerFeed: 600 });
+    const loopTime = trochoid.loop_length_mm / 600;
+    assert.ok(Math.abs(mrr.loop_time_s - loopTime * 60) < 1e-12);
+    assert.ok(Math.abs(mrr.average_mrr_mm3_min - 10 * trochoid.stepover_mm * 12 / loopTime) < 1e-9);
+    assert.equal(calculateTrochoidalMRR({ trochoid, slotWidth: 10, ap: 12, centerFeed: 0 }).average_mrr_mm3_min, 0);
+});
+
+test('a slot width on an adaptive cut programs the centre feed', () => {
+    const result = computeCut({ ...adaptive, slot_width_mm: 10 });
+    const { trochoid } = result;
+    assert.equal(trochoid.slot_width_mm, 10);
+    assert.equal(result.feed_mm_min, trochoid.center_feed_mm_min);
+    assert.ok(Math.abs(trochoid.center_feed_mm_min - trochoid.edge_feed_mm_min * trochoid.feed_factor) <= 1);
+    assert.ok(trochoid.average_mrr_mm3_min < trochoid.peak_mrr_mm3_min);
+    assert.equal(computeCut(adaptive).trochoid, null);
+});